@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart3, Timer, TrendingDown, Truck, Users } from 'lucide-react';
+import { ANALYTICS_PERIODS, RUN_OUT_WARNING_DAYS, distributionsByWeek, timeToShip, fulfilmentByOrganization, forecastRunOut } from './Analytics';
+
+const formatDays = (days) => (days === null ? 'n/a' : `${days.toFixed(1)} days`);
+
+const formatRate = (rate) => (rate === null ? 'n/a' : `${Math.round(rate * 100)}%`);
+
+const Metric = ({ icon: Icon, title, value, detail }) => (
+    <div className="p-4 bg-gray-50 rounded-lg">
+        <p className="text-xs font-medium text-gray-500 uppercase flex items-center"><Icon className="w-4 h-4 mr-1 text-indigo-600" /> {title}</p>
+        <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+        {detail && <p className="text-xs text-gray-500">{detail}</p>}
+    </div>
+);
+
+// Two bars per week: units to recipients and units shipped to organizations
+const WeeklyChart = ({ series }) => {
+    const max = Math.max(1, ...series.map(s => Math.max(s.toRecipients, s.toOrganizations)));
+    const labelEvery = Math.ceil(series.length / 8);
+
+    return (
+        <div>
+            <div className="flex items-end gap-1 h-40 border-b border-gray-200">
+                {series.map(s => (
+                    <div key={s.week} className="flex-1 flex items-end justify-center gap-0.5 h-full" title={`Week of ${s.week}: ${s.toRecipients} units to recipients, ${s.toOrganizations} shipped to organizations`}>
+                        <div className="w-1/2 bg-indigo-500 rounded-t" style={{ height: `${(s.toRecipients / max) * 100}%` }}></div>
+                        <div className="w-1/2 bg-teal-400 rounded-t" style={{ height: `${(Math.max(0, s.toOrganizations) / max) * 100}%` }}></div>
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1 mt-1">
+                {series.map((s, index) => (
+                    <span key={s.week} className="flex-1 text-center text-[10px] text-gray-400">
+                        {index % labelEvery === 0 ? new Date(`${s.week}T00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : ''}
+                    </span>
+                ))}
+            </div>
+            <div className="flex gap-4 mt-2 text-xs text-gray-600">
+                <span className="flex items-center"><span className="inline-block w-3 h-3 bg-indigo-500 rounded-sm mr-1"></span> To recipients (completed records)</span>
+                <span className="flex items-center"><span className="inline-block w-3 h-3 bg-teal-400 rounded-sm mr-1"></span> Shipped to organizations</span>
+            </div>
+        </div>
+    );
+};
+
+const runOutLabel = (forecast) => {
+    if (forecast.daysLeft === 0) return { text: forecast.openDemand ? 'Open requests need all of it' : 'Out of stock', className: 'text-red-600 font-semibold' };
+    if (forecast.daysLeft === null) return { text: 'Not used in this period', className: 'text-gray-400' };
+    const text = `${new Date(`${forecast.runOutDate}T00:00`).toLocaleDateString()} (${Math.floor(forecast.daysLeft)} days)`;
+    return { text, className: forecast.daysLeft < RUN_OUT_WARNING_DAYS ? 'text-red-600 font-semibold' : 'text-gray-700' };
+};
+
+// --- Staff: trends over a period, fulfilment per organization and when stock runs out ---
+export const AnalyticsView = ({ repo, inventory, requests, isAuthReady }) => {
+    const [days, setDays] = useState(ANALYTICS_PERIODS[0]);
+    const [records, setRecords] = useState([]);
+    const [movements, setMovements] = useState([]);
+
+    useEffect(() => {
+        if (!repo || !isAuthReady) return;
+
+        const unsubRecords = repo.subscribeRecords({}, setRecords, (error) => {
+            console.error("Error fetching distribution records:", error);
+        });
+        const unsubLedger = repo.subscribeLedger(setMovements, (error) => {
+            console.error("Error fetching stock ledger:", error);
+        });
+
+        return () => {
+            unsubRecords();
+            unsubLedger();
+        };
+    }, [repo, isAuthReady]);
+
+    const since = useMemo(() => new Date(Date.now() - days * 24 * 60 * 60 * 1000), [days]);
+    const series = useMemo(() => distributionsByWeek(records, movements, { weeks: Math.ceil(days / 7) }), [records, movements, days]);
+    const shipping = useMemo(() => timeToShip(requests, { since }), [requests, since]);
+    const organizations = useMemo(() => fulfilmentByOrganization(requests, { since }), [requests, since]);
+    const forecasts = useMemo(() => forecastRunOut(inventory, movements, requests, { days }), [inventory, movements, requests, days]);
+
+    const runningOut = forecasts.filter(f => f.daysLeft !== null && f.daysLeft < RUN_OUT_WARNING_DAYS).length;
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-4 gap-2">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                    <BarChart3 className="w-5 h-5 mr-2 text-indigo-600" /> Analytics
+                </h2>
+                <select value={days} onChange={(e) => setDays(parseInt(e.target.value))} className="rounded-md border-gray-300 p-2 border bg-white text-sm">
+                    {ANALYTICS_PERIODS.map(period => <option key={period} value={period}>Last {period} days</option>)}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <Metric icon={Timer} title="Pending to Shipped" value={formatDays(shipping.averageDays)} detail={shipping.count ? `Average of ${shipping.count}; median ${formatDays(shipping.medianDays)}` : 'No request shipped in this period'} />
+                <Metric icon={Users} title="Units to Recipients" value={series.reduce((sum, s) => sum + s.toRecipients, 0)} detail="Completed distribution records" />
+                <Metric icon={Truck} title="Units to Organizations" value={series.reduce((sum, s) => sum + s.toOrganizations, 0)} detail="Shipped against requests, less returns" />
+                <Metric icon={TrendingDown} title="Running Out Soon" value={runningOut} detail={`Items with under ${RUN_OUT_WARNING_DAYS} days of stock`} />
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">Distributions per Week</h3>
+            <WeeklyChart series={series} />
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">Fulfilment by Organization</h3>
+                    {organizations.length === 0 ? (
+                        <p className="text-sm text-gray-500">No requests in this period.</p>
+                    ) : (
+                        <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Organization</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Requests</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Shipped / Rejected / Open</th>
+                                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fulfilment Rate</th>
+                                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Units Shipped</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {organizations.map(org => (
+                                        <tr key={org.id}>
+                                            <td className="px-3 py-2 text-gray-900">{org.name}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{org.requests}</td>
+                                            <td className="px-3 py-2 text-right text-gray-500">{org.fulfilled} / {org.rejected} / {org.open}</td>
+                                            <td className="px-3 py-2">
+                                                <div className="flex items-center gap-2">
+                                                    <div className="w-16 h-2 bg-gray-200 rounded-full overflow-hidden">
+                                                        <div className="h-full bg-green-500" style={{ width: `${(org.rate || 0) * 100}%` }}></div>
+                                                    </div>
+                                                    <span className="text-xs text-gray-700">{formatRate(org.rate)}</span>
+                                                </div>
+                                            </td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{org.unitsShipped} of {org.unitsRequested}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-700 mb-2">Consumption and Run-Out Forecast</h3>
+                    <p className="text-xs text-gray-500 mb-2">
+                        Stock across all sites, less what open requests still need, at the average daily use over the last {days} days.
+                    </p>
+                    <div className="overflow-x-auto max-h-80 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">On Hand</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Requested</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Used per Day</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Runs Out</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {forecasts.map(forecast => {
+                                    const runOut = runOutLabel(forecast);
+                                    return (
+                                        <tr key={forecast.item}>
+                                            <td className="px-3 py-2 text-gray-900">{forecast.item} <span className="text-xs text-gray-400">{forecast.unit}</span></td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{forecast.onHand}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{forecast.openDemand}</td>
+                                            <td className="px-3 py-2 text-right text-gray-700">{forecast.dailyRate.toFixed(1)}</td>
+                                            <td className={`px-3 py-2 ${runOut.className}`}>{runOut.text}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,208 @@
+import { REQUEST_STATUS, linesOf } from './Request-lifecycle';
+import { MOVEMENT_TYPES } from './Stock-ledger';
+import { orgSlug } from './Organizations';
+import { localDay, requestOutcome } from './Reports';
+
+// Trends for the analytics view of the dashboard: distributions over time,
+// how long requests take to ship, how well each organization is served and
+// how fast each item is used up. Everything is worked out from documents the
+// dashboard already listens to.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods the analytics view can look back over, in days
+export const ANALYTICS_PERIODS = [30, 90, 180];
+
+// Items forecast to run out sooner than this are flagged
+export const RUN_OUT_WARNING_DAYS = 14;
+
+// Movements that use stock up; returns give some of it back. Transfers only move it between sites.
+const CONSUMING_TYPES = [MOVEMENT_TYPES.shipment, MOVEMENT_TYPES.spoilage, MOVEMENT_TYPES.return];
+
+// Request statuses whose unshipped units are still owed
+const OPEN_STATUSES = [REQUEST_STATUS.pending, REQUEST_STATUS.approved, REQUEST_STATUS.partiallyShipped];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const itemKey = (name) => (name || '').trim().toLowerCase();
+
+// Monday of the week the date falls in, at local midnight
+const startOfWeek = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+};
+
+/**
+ * @typedef {Object} WeeklyDistribution
+ * @property {string} week - YYYY-MM-DD of the Monday
+ * @property {number} toRecipients - Units of completed distribution records
+ * @property {number} toOrganizations - Units shipped against requests, less returns
+ */
+
+/**
+ * Units handed out per week, oldest week first, ending with the current one.
+ * Records count in the week they were collected (`completedAt`); records
+ * completed before that was kept count in the week they were created.
+ *
+ * @param {import('./Data-repository').DistributionRecord[]} records
+ * @param {import('./Stock-ledger').InventoryMovement[]} movements
+ * @param {{ weeks?: number, now?: Date }} [options]
+ * @returns {WeeklyDistribution[]}
+ */
+export const distributionsByWeek = (records, movements, { weeks = 12, now = new Date() } = {}) => {
+  const thisWeek = startOfWeek(now);
+  const series = Array.from({ length: weeks }, (_, i) => {
+    const start = new Date(thisWeek);
+    start.setDate(start.getDate() - (weeks - 1 - i) * 7);
+    return { week: localDay(start), toRecipients: 0, toOrganizations: 0 };
+  });
+  const bucketOf = (date) => series.find(s => s.week === localDay(startOfWeek(date)));
+
+  records.filter(r => r.status === 'Completed').forEach(r => {
+    const bucket = bucketOf(r.completedAt ? new Date(r.completedAt) : r.timestamp);
+    if (bucket) bucket.toRecipients += r.quantity;
+  });
+  movements.filter(m => m.requestId && (m.type === MOVEMENT_TYPES.shipment || m.type === MOVEMENT_TYPES.return)).forEach(m => {
+    const bucket = bucketOf(new Date(m.at));
+    if (bucket) bucket.toOrganizations -= m.quantity;
+  });
+  return series;
+};
+
+/**
+ * How long requests took from submission until everything on them had
+ * shipped, for requests that finished shipping since `since`. Requests from
+ * before status history was kept are left out.
+ *
+ * @param {import('./Data-repository').DistributionRequest[]} requests
+ * @param {{ since: Date }} options
+ * @returns {{ count: number, averageDays: number|null, medianDays: number|null, slowestDays: number|null }}
+ */
+export const timeToShip = (requests, { since }) => {
+  const days = requests
+    .map(r => {
+      const history = r.history || [];
+      const submitted = history.find(h => h.action === 'submit');
+      const shipped = history.find(h => h.status === REQUEST_STATUS.shipped || h.status === REQUEST_STATUS.delivered);
+      if (!submitted || !shipped || new Date(shipped.at) < since) return null;
+      return (new Date(shipped.at) - new Date(submitted.at)) / DAY_MS;
+    })
+    .filter(d => d !== null)
+    .sort((a, b) => a - b);
+
+  if (!days.length) return { count: 0, averageDays: null, medianDays: null, slowestDays: null };
+  const middle = Math.floor(days.length / 2);
+  return {
+    count: days.length,
+    averageDays: sum(days) / days.length,
+    medianDays: days.length % 2 ? days[middle] : (days[middle - 1] + days[middle]) / 2,
+    slowestDays: days[days.length - 1],
+  };
+};
+
+/**
+ * @typedef {Object} OrganizationFulfilment
+ * @property {string} id - Registry id, or the slug of the name for requests from before the registry
+ * @property {string} name
+ * @property {number} requests
+ * @property {number} fulfilled
+ * @property {number} rejected
+ * @property {number} cancelled
+ * @property {number} open
+ * @property {number|null} rate - Fulfilled share of the requests that were shipped or rejected
+ * @property {number} unitsRequested
+ * @property {number} unitsShipped
+ */
+
+/**
+ * Requests per organization made since `since`, most requests first.
+ *
+ * @param {import('./Data-repository').DistributionRequest[]} requests
+ * @param {{ since: Date }} options
+ * @returns {OrganizationFulfilment[]}
+ */
+export const fulfilmentByOrganization = (requests, { since }) => {
+  const byOrg = new Map();
+  requests.filter(r => r.requestedDate >= localDay(since)).forEach(r => {
+    const id = r.organizationId || orgSlug(r.organization);
+    if (!byOrg.has(id)) {
+      byOrg.set(id, { id, name: r.organization, requests: 0, fulfilled: 0, rejected: 0, cancelled: 0, open: 0, unitsRequested: 0, unitsShipped: 0 });
+    }
+    const org = byOrg.get(id);
+    const lines = linesOf(r);
+    org.requests += 1;
+    org[requestOutcome(r.status)] += 1;
+    org.unitsRequested += sum(lines.map(l => l.amount));
+    org.unitsShipped += sum(lines.map(l => l.shippedAmount || 0));
+  });
+
+  return [...byOrg.values()]
+    .map(org => ({ ...org, rate: org.fulfilled + org.rejected ? org.fulfilled / (org.fulfilled + org.rejected) : null }))
+    .sort((a, b) => b.requests - a.requests || a.name.localeCompare(b.name));
+};
+
+/**
+ * @typedef {Object} ItemForecast
+ * @property {string} item
+ * @property {string} unit
+ * @property {number} onHand - Across all sites
+ * @property {number} openDemand - Units still owed on open requests
+ * @property {number} consumed - Units shipped or spoiled over the period, less returns
+ * @property {number} dailyRate - Average units consumed per day over the period
+ * @property {number|null} daysLeft - At the daily rate, after the open demand is met; 0 when open requests already need all of it, null when the item was not used
+ * @property {string|null} runOutDate - YYYY-MM-DD
+ */
+
+/**
+ * Burn rate of every catalog item over the last `days` days, and when its
+ * stock across all sites runs out at that rate once the open requests for it
+ * have shipped. Items running out first come first.
+ *
+ * @param {import('./Data-repository').InventoryItem[]} inventory
+ * @param {import('./Stock-ledger').InventoryMovement[]} movements
+ * @param {import('./Data-repository').DistributionRequest[]} requests
+ * @param {{ days: number, now?: Date }} options
+ * @returns {ItemForecast[]}
+ */
+export const forecastRunOut = (inventory, movements, requests, { days, now = new Date() }) => {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  // Movements and request lines name the inventory document; the item is the same at every site
+  const keyById = new Map(inventory.map(i => [i.id, itemKey(i.item)]));
+  const keyOf = (id, name) => keyById.get(id) || itemKey(name);
+
+  const byItem = new Map();
+  inventory.forEach(i => {
+    const key = itemKey(i.item);
+    if (!byItem.has(key)) byItem.set(key, { item: i.item, unit: i.unit, onHand: 0, openDemand: 0, consumed: 0 });
+    byItem.get(key).onHand += i.quantity;
+  });
+
+  movements
+    .filter(m => CONSUMING_TYPES.includes(m.type) && new Date(m.at) >= since)
+    .forEach(m => {
+      const entry = byItem.get(keyOf(m.itemId, m.item));
+      if (entry) entry.consumed -= m.quantity;
+    });
+
+  requests.forEach(r => {
+    linesOf(r).filter(l => OPEN_STATUSES.includes(l.status)).forEach(l => {
+      const entry = byItem.get(keyOf(l.shippedFromItemId || l.itemId, l.item));
+      if (entry) entry.openDemand += l.amount - (l.shippedAmount || 0);
+    });
+  });
+
+  return [...byItem.values()]
+    .map(entry => {
+      const dailyRate = Math.max(0, entry.consumed) / days;
+      const available = entry.onHand - entry.openDemand;
+      const daysLeft = available <= 0 ? 0 : dailyRate > 0 ? available / dailyRate : null;
+      return {
+        ...entry,
+        dailyRate,
+        daysLeft,
+        runOutDate: daysLeft === null ? null : localDay(new Date(now.getTime() + daysLeft * DAY_MS)),
+      };
+    })
+    .sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.item.localeCompare(b.item));
+};
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { distributionsByWeek, timeToShip, fulfilmentByOrganization, forecastRunOut } from './Analytics';
+
+// Wednesday; its week starts on Monday 2026-10-19
+const now = new Date(2026, 9, 21, 12);
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('distributionsByWeek', () => {
+  const records = [
+    // Created last week, collected this week
+    { foodItem: 'Rice (5kg)', quantity: 2, status: 'Completed', timestamp: daysAgo(8), completedAt: daysAgo(1).toISOString() },
+    // Completed before completedAt was kept
+    { foodItem: 'Rice (5kg)', quantity: 3, status: 'Completed', timestamp: daysAgo(7) },
+    { foodItem: 'Rice (5kg)', quantity: 5, status: 'Pending', timestamp: daysAgo(1) },
+  ];
+  const movements = [
+    { type: 'shipment', quantity: -10, requestId: 'request-1', at: daysAgo(1).toISOString() },
+    { type: 'return', quantity: 4, requestId: 'request-1', at: now.toISOString() },
+    { type: 'adjustment', quantity: -20, at: now.toISOString() },
+  ];
+
+  it('counts records in the week they were collected, and shipments less returns', () => {
+    expect(distributionsByWeek(records, movements, { weeks: 2, now })).toEqual([
+      { week: '2026-10-12', toRecipients: 3, toOrganizations: 0 },
+      { week: '2026-10-19', toRecipients: 2, toOrganizations: 6 },
+    ]);
+  });
+
+  it('leaves out anything before the first week', () => {
+    expect(distributionsByWeek([{ ...records[1], timestamp: daysAgo(30) }], [], { weeks: 2, now })
+      .map(w => w.toRecipients)).toEqual([0, 0]);
+  });
+});
+
+describe('timeToShip', () => {
+  const request = (submittedDaysAgo, shippedDaysAgo) => ({
+    history: [
+      { at: daysAgo(submittedDaysAgo).toISOString(), status: 'Pending', action: 'submit' },
+      { at: daysAgo(shippedDaysAgo).toISOString(), status: 'Shipped', action: 'ship' },
+    ],
+  });
+
+  it('measures from submission to shipping for requests shipped in the period', () => {
+    const requests = [request(10, 8), request(9, 5), request(6, 5), request(60, 50), { status: 'Shipped' }];
+    expect(timeToShip(requests, { since: daysAgo(30) })).toEqual({ count: 3, averageDays: 7 / 3, medianDays: 2, slowestDays: 4 });
+  });
+
+  it('has nothing to say without shipped requests', () => {
+    expect(timeToShip([], { since: daysAgo(30) })).toEqual({ count: 0, averageDays: null, medianDays: null, slowestDays: null });
+  });
+});
+
+describe('fulfilmentByOrganization', () => {
+  const request = (organization, status, lines, requestedDate = '2026-10-15') => ({ organization, status, lines, requestedDate });
+  const line = (amount, shippedAmount = 0) => ({ id: 'line-1', item: 'Dry Pasta', amount, shippedAmount, status: 'Pending' });
+
+  it('sums outcomes and units per organization, most requests first', () => {
+    const result = fulfilmentByOrganization([
+      request('Shelter A', 'Shipped', [line(10, 10)]),
+      request('Shelter A', 'Rejected', [line(5)]),
+      request('Shelter A', 'Pending', [line(4)]),
+      request('Kitchen B', 'Delivered', [line(8, 8)]),
+      request('Kitchen B', 'Shipped', [line(2, 2)], '2026-08-01'),
+    ], { since: daysAgo(30) });
+
+    expect(result).toEqual([
+      { id: 'shelter-a', name: 'Shelter A', requests: 3, fulfilled: 1, rejected: 1, cancelled: 0, open: 1, rate: 0.5, unitsRequested: 19, unitsShipped: 10 },
+      { id: 'kitchen-b', name: 'Kitchen B', requests: 1, fulfilled: 1, rejected: 0, cancelled: 0, open: 0, rate: 1, unitsRequested: 8, unitsShipped: 8 },
+    ]);
+  });
+});
+
+describe('forecastRunOut', () => {
+  const inventory = [
+    { id: 'pasta-a', item: 'Dry Pasta', unit: 'boxes', quantity: 40 },
+    { id: 'pasta-b', item: 'dry pasta ', unit: 'boxes', quantity: 20 },
+    { id: 'oil', item: 'Oil (1L)', unit: 'bottles', quantity: 10 },
+  ];
+  const movements = [
+    { type: 'shipment', itemId: 'pasta-a', quantity: -30, at: daysAgo(5).toISOString() },
+    { type: 'return', itemId: 'pasta-a', quantity: 5, at: daysAgo(4).toISOString() },
+    { type: 'spoilage', itemId: 'pasta-b', quantity: -5, at: daysAgo(3).toISOString() },
+    // Moves stock between sites, uses none up
+    { type: 'transfer', itemId: 'pasta-b', quantity: -10, at: daysAgo(2).toISOString() },
+    // Before the period
+    { type: 'shipment', itemId: 'oil', quantity: -10, at: daysAgo(60).toISOString() },
+  ];
+  const requests = [
+    { status: 'Approved', lines: [{ id: 'line-1', itemId: 'pasta-b', item: 'Dry Pasta', amount: 20, shippedAmount: 0, status: 'Approved' }] },
+    { status: 'Shipped', lines: [{ id: 'line-1', itemId: 'pasta-a', item: 'Dry Pasta', amount: 30, shippedAmount: 30, status: 'Shipped' }] },
+  ];
+
+  it('forecasts each item across sites from its use over the period, after open requests', () => {
+    const [pasta, oil] = forecastRunOut(inventory, movements, requests, { days: 10, now });
+
+    // 60 on hand, 20 owed, 30 used over 10 days
+    expect(pasta).toMatchObject({ item: 'Dry Pasta', onHand: 60, openDemand: 20, consumed: 30, dailyRate: 3 });
+    expect(pasta.daysLeft).toBeCloseTo(40 / 3);
+    expect(pasta.runOutDate).toBe('2026-11-03');
+    expect(oil).toMatchObject({ item: 'Oil (1L)', consumed: 0, dailyRate: 0, daysLeft: null, runOutDate: null });
+  });
+
+  it('has run out when open requests need all the stock', () => {
+    const owed = [{ status: 'Pending', lines: [{ id: 'line-1', itemId: 'oil', item: 'Oil (1L)', amount: 12, status: 'Pending' }] }];
+    expect(forecastRunOut(inventory, [], owed, { days: 10, now }).find(f => f.item === 'Oil (1L)')).toMatchObject({ daysLeft: 0 });
+  });
+});
@@ -1,16 +1,12 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, collection, query, onSnapshot, getDocs, updateDoc, writeBatch } from 'firebase/firestore';
-import { setLogLevel } from 'firebase/firestore';
-
-// Set Firebase log level for debugging
-setLogLevel('Debug');
-
-// Global variables from the canvas environment (MUST BE USED)
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+import { getBackend, appId, initialAuthToken, isOfflineMode } from './Backend';
+import { RoleContext, RequireRole, DemoRoleSwitcher, useUserRole, hasRole, ROLE_LABELS, STAFF_ROLES, MANAGER_ROLES } from './Roles';
+import { entitlementSummary } from './Entitlements';
+import { formatSlot, isActiveBooking } from './Pickup-slots';
+import { PickupBooking, PickupRoster } from './Pickup-appointments';
+import { BenefitPasses, PassScanner } from './Benefit-card';
+import { OutboxStatus, useOutbox } from './Counter-mode';
+import { OUTBOX_STATE } from './Outbox';
 
 // Utility to generate a consistent UUID (for use when __initial_auth_token is missing)
 const generateUserId = () => {
@@ -26,97 +22,69 @@ const initialRecords = [
 
 // --- Main Application Component ---
 const App = () => {
-  const [auth, setAuth] = useState(null);
-  const [db, setDb] = useState(null);
+  const [repo, setRepo] = useState(null);
+  // Queue for completions made while the counter is offline
+  const [outbox, setOutbox] = useState(null);
   const [userId, setUserId] = useState(null);
   const [records, setRecords] = useState([]);
+  // The citizen's own program and household size; null until staff record it
+  const [eligibility, setEligibility] = useState(null);
+  // The citizen's registry entry, for their assigned pickup site
+  const [beneficiary, setBeneficiary] = useState(null);
+  // The citizen's pickup appointment, if they booked one
+  const [booking, setBooking] = useState(null);
+  const [sites, setSites] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // --- 1. Firebase Initialization and Authentication ---
+  // --- 1. Backend Connection and Authentication ---
   useEffect(() => {
     try {
-      if (Object.keys(firebaseConfig).length === 0) {
-        throw new Error("Firebase configuration is missing. Cannot initialize.");
-      }
-      
-      const firebaseApp = initializeApp(firebaseConfig);
-      const authInstance = getAuth(firebaseApp);
-      const dbInstance = getFirestore(firebaseApp);
-
-      setAuth(authInstance);
-      setDb(dbInstance);
-
-      const signIn = async () => {
-        if (initialAuthToken) {
-          await signInWithCustomToken(authInstance, initialAuthToken);
-        } else {
-          await signInAnonymously(authInstance);
-        }
-      };
+      // Firestore when the canvas provides a config, otherwise offline (local) storage
+      const backend = getBackend();
+      setRepo(backend.repo);
+      setOutbox(backend.outbox);
 
       // Ensure auth state is established before setting userId
-      const unsubscribe = onAuthStateChanged(authInstance, (user) => {
-        if (user) {
-          // Use the actual UID, or a placeholder if running in a non-authenticated environment
-          setUserId(user.uid || generateUserId());
+      const unsubscribe = backend.watchAuth(
+        (uid) => {
+          setUserId(uid || generateUserId());
           setIsLoading(false);
-        } else if (!userId) {
-          // Fallback if auth fails or not available, assign a default local ID
-          setUserId(generateUserId());
+        },
+        (err) => {
+          console.error("Sign-in Failed:", err);
+          setError("Authentication failed. Check console for details.");
           setIsLoading(false);
         }
-      });
-      
-      // Execute sign-in attempt
-      signIn().catch(err => {
-        console.error("Firebase Sign-in Failed:", err);
-        setError("Authentication failed. Check console for details.");
-        setIsLoading(false);
-      });
+      );
 
       return () => unsubscribe();
 
     } catch (err) {
-      console.error("Firebase Initialization Error:", err);
-      setError("Failed to initialize Firebase. Check console.");
+      console.error("Backend Initialization Error:", err);
+      setError("Failed to connect to the data store. Check console.");
       setIsLoading(false);
     }
   }, []);
 
-  // --- 2. Simulated Role Check ---
-  // In a real Auth0 setup, this would check the 'roles' array in the JWT access token.
-  // Here, we simulate by checking if the ID starts with 'manager-'.
-  const isManager = useMemo(() => userId && userId.startsWith('manager-'), [userId]);
-  const isCitizen = useMemo(() => userId && userId.startsWith('citizen-'), [userId]);
+  // --- 2. Role Check ---
+  // Role comes from the auth token's `role` claim or the users/{uid} profile, never from the ID itself.
+  const roleState = useUserRole(userId);
+  const { role } = roleState;
+  const isManager = useMemo(() => hasRole(role, MANAGER_ROLES), [role]);
+  // Everyone outside the staff roles only sees their own records
+  const isCitizen = useMemo(() => Boolean(role) && !hasRole(role, STAFF_ROLES), [role]);
 
   // --- 3. Data Fetching (Real-time with onSnapshot) ---
   useEffect(() => {
-    if (!db || !userId) return;
-
-    // Collection path for public/shared data
-    const recordsCollectionPath = `artifacts/${appId}/public/data/distribution_records`;
-    const recordsRef = collection(db, recordsCollectionPath);
+    if (!repo || !userId || !role) return;
 
-    // Build the query based on the user's role
-    let recordsQuery = recordsRef;
+    // Citizen: Filter records to only show theirs
+    const filter = isCitizen ? { recipientId: userId } : {};
 
-    if (isCitizen) {
-      // Citizen: Filter records to only show theirs
-      recordsQuery = query(recordsRef, where('recipientId', '==', userId));
-    }
-
-    // Subscribe to real-time updates
-    const unsubscribe = onSnapshot(recordsQuery, 
-      (snapshot) => {
-        const fetchedRecords = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          // Ensure timestamp is a JS Date object for sorting
-          timestamp: doc.data().timestamp?.toDate ? doc.data().timestamp.toDate() : new Date(doc.data().timestamp),
-        }));
-        // Sort in memory (newest first)
-        fetchedRecords.sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime()); 
+    // Subscribe to real-time updates (records arrive sorted newest first)
+    const unsubscribe = repo.subscribeRecords(filter,
+      (fetchedRecords) => {
         setRecords(fetchedRecords);
         setIsLoading(false);
       },
@@ -128,13 +96,58 @@ const App = () => {
     );
 
     return () => unsubscribe(); // Cleanup the listener
-  }, [db, userId, isCitizen, appId]); // Depend on db, userId, and role
+  }, [repo, userId, role, isCitizen]); // Depend on repo, userId, and role
+
+  // Citizens see their entitlement on the benefit card
+  useEffect(() => {
+    if (!repo || !userId || !isCitizen) return;
+
+    const unsubscribe = repo.watchEligibility(userId, setEligibility, (err) => {
+      console.error("Error loading eligibility:", err);
+      setEligibility(null);
+    });
+
+    return () => unsubscribe();
+  }, [repo, userId, isCitizen]);
+
+  useEffect(() => {
+    if (!repo || !userId || !isCitizen) return;
+
+    const unsubscribe = repo.watchBeneficiary(userId, setBeneficiary, (err) => {
+      console.error("Error loading beneficiary:", err);
+      setBeneficiary(null);
+    });
+
+    return () => unsubscribe();
+  }, [repo, userId, isCitizen]);
+
+  useEffect(() => {
+    if (!repo || !userId || !isCitizen) return;
+
+    const unsubscribe = repo.watchBooking(userId, setBooking, (err) => {
+      console.error("Error loading pickup booking:", err);
+      setBooking(null);
+    });
+
+    return () => unsubscribe();
+  }, [repo, userId, isCitizen]);
+
+  useEffect(() => {
+    if (!repo || !role) return;
+
+    const unsubscribe = repo.subscribeSites(setSites, (err) => {
+      console.error("Error loading sites:", err);
+      setSites([]);
+    });
+
+    return () => unsubscribe();
+  }, [repo, role]);
 
   // --- 4. Data Management Functions ---
 
   // Function to create and upload sample data (Admin function)
   const uploadSampleData = useCallback(async () => {
-    if (!db) {
+    if (!repo) {
       setError("Database not initialized.");
       return;
     }
@@ -143,40 +156,49 @@ const App = () => {
     const managerId = 'manager-' + crypto.randomUUID().substring(0, 8); 
 
     const sampleRecords = [
-      { recipientId: managerId, foodItem: 'Management Report', quantity: 1, location: 'HQ', status: 'Completed', timestamp: new Date() },
+      { recipientId: managerId, foodItem: 'Beans (1kg)', quantity: 2, location: 'HQ', status: 'Completed', timestamp: new Date() },
       ...initialRecords.map(r => ({...r, recipientId: r.recipientId.replace('citizen-', 'citizen-' + crypto.randomUUID().substring(0, 5))})), // Ensure unique IDs
       { recipientId: userId, foodItem: 'Citizen Kit', quantity: 1, location: 'Local Center D', status: 'Pending', timestamp: new Date() },
     ];
 
-    const batch = writeBatch(db);
-    const recordsCollectionPath = `artifacts/${appId}/public/data/distribution_records`;
-    
     try {
-      sampleRecords.forEach(record => {
-        // Create a new document reference with an auto-generated ID
-        const newDocRef = doc(collection(db, recordsCollectionPath)); 
-        // Use a standard field for date storage
-        batch.set(newDocRef, record);
-      });
-      await batch.commit();
+      // Records are checked against entitlement, so every sample recipient needs an eligibility
+      const recipients = [...new Set(sampleRecords.map(r => r.recipientId))];
+      await Promise.all(recipients.map(async (recipientId) => {
+        if (await repo.getEligibility(recipientId)) return;
+        await repo.setEligibility(recipientId, { program: 'standard', householdSize: 1 + Math.floor(Math.random() * 5) }, { actor: userId });
+      }));
+      await repo.addRecords(sampleRecords);
       console.log("Sample data successfully uploaded via batch.");
     } catch (e) {
       console.error("Error adding sample documents: ", e);
-      setError("Failed to add sample data.");
+      setError(e.code === 'entitlement' ? `Failed to add sample data: ${e.message}` : "Failed to add sample data.");
     }
-  }, [db, userId, appId]);
+  }, [repo, userId]);
+
+  // Completions waiting in the outbox; their records still read Pending until they sync
+  const { entries: outboxEntries } = useOutbox(outbox);
+  const queuedRecordIds = useMemo(() => new Set(
+    outboxEntries.filter(e => e.kind === 'recordStatus' && e.state === OUTBOX_STATE.queued).map(e => e.args.recordId)
+  ), [outboxEntries]);
 
-  // Function to update a record (Manager function)
+  // Function to update a record (Manager function). Goes through the outbox, so it works offline
+  // and is refused, rather than applied twice, when another device changed the record first.
   const updateRecordStatus = useCallback(async (recordId, newStatus) => {
-    if (!db || !isManager) return;
+    if (!outbox || !isManager) return;
+    const record = records.find(r => r.id === recordId);
+    if (!record) return;
     try {
-      const docRef = doc(db, `artifacts/${appId}/public/data/distribution_records`, recordId);
-      await updateDoc(docRef, { status: newStatus });
+      await outbox.submit(
+        'recordStatus',
+        { recordId, status: newStatus, from: record.status },
+        `${newStatus}: ${record.quantity} × ${record.foodItem} for ${record.recipientId}`
+      );
     } catch (e) {
       console.error("Error updating record: ", e);
-      setError("Failed to update record status.");
+      setError(e.code === 'stale' ? e.message : "Failed to update record status.");
     }
-  }, [db, isManager, appId]);
+  }, [outbox, isManager, records]);
 
 
   // --- 5. UI Components ---
@@ -195,7 +217,8 @@ const App = () => {
     </div>
   );
 
-  const DistributionTable = ({ data, title, isManagerView = false }) => (
+  // Staff see whose record it is; only managers get the Action column
+  const DistributionTable = ({ data, title, isManagerView = false, showRecipients = isManagerView }) => (
     <div className="bg-white p-6 rounded-xl shadow-lg">
       <h2 className="text-2xl font-bold mb-4 text-gray-800 border-b pb-2">{title} ({data.length})</h2>
       {data.length === 0 ? (
@@ -205,7 +228,7 @@ const App = () => {
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
-                {isManagerView && <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient ID</th>}
+                {showRecipients && <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient ID</th>}
                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
@@ -217,7 +240,7 @@ const App = () => {
             <tbody className="bg-white divide-y divide-gray-200">
               {data.map((record) => (
                 <tr key={record.id}>
-                  {isManagerView && <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900 truncate max-w-[120px]">{record.recipientId}</td>}
+                  {showRecipients && <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900 truncate max-w-[120px]">{record.recipientId}</td>}
                   <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{record.foodItem}</td>
                   <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{record.quantity}</td>
                   <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{record.location}</td>
@@ -231,7 +254,9 @@ const App = () => {
                   </td>
                   {isManagerView && (
                     <td className="px-3 py-2 whitespace-nowrap text-sm font-medium">
-                      {record.status === 'Pending' ? (
+                      {queuedRecordIds.has(record.id) ? (
+                        <span className="text-yellow-700">Queued</span>
+                      ) : record.status === 'Pending' ? (
                         <button
                           onClick={() => updateRecordStatus(record.id, 'Completed')}
                           className="text-indigo-600 hover:text-indigo-900 bg-indigo-50 hover:bg-indigo-100 px-2 py-1 rounded transition duration-150"
@@ -258,7 +283,7 @@ const App = () => {
         <h1 className="text-3xl font-extrabold text-indigo-700">Manager Dashboard</h1>
         <button
           onClick={uploadSampleData}
-          disabled={!db}
+          disabled={!repo}
           className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-full shadow-lg transition duration-300 transform hover:scale-105 disabled:opacity-50"
         >
           Add Sample Distribution Data
@@ -272,12 +297,34 @@ const App = () => {
     </div>
   );
 
+  // Warehouse staff see every distribution, without the managers' record controls
+  const StaffDashboard = () => (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-lg border-b-4 border-teal-500">
+        <h1 className="text-3xl font-extrabold text-teal-700">Warehouse Dashboard</h1>
+      </div>
+      <DistributionTable
+        data={records}
+        title="All Distribution Records (Read-Only Access)"
+        showRecipients={true}
+      />
+    </div>
+  );
+
+  // Where the citizen collects next: the site of their appointment, their assigned site
+  // from the registry, or otherwise wherever the next pending record is
+  const pendingRecord = records.find(r => r.status === 'Pending');
+  const hasAppointment = isActiveBooking(booking);
+  const pickupSite = sites.find(s => s.id === ((hasAppointment && booking.siteId) || beneficiary?.siteId || pendingRecord?.siteId));
+
   const CitizenPortal = () => {
     const totalPending = records.filter(r => r.status === 'Pending').length;
     const totalCompleted = records.filter(r => r.status === 'Completed').length;
     
-    // Simulate complex benefit calculation based on current records
-    const nextDistribution = records.find(r => r.status === 'Pending')?.location || 'TBD';
+    const nextDistribution = pickupSite?.name || pendingRecord?.location || 'TBD';
+
+    // What the household may still receive this period, from its program and household size
+    const entitlement = entitlementSummary(eligibility, records);
 
     return (
       <div className="space-y-6">
@@ -295,8 +342,47 @@ const App = () => {
             <div className="p-4 bg-yellow-50 rounded-lg shadow-inner">
               <p className="text-sm font-semibold text-yellow-600">Next Pickup Location</p>
               <p className="text-xl font-bold text-yellow-800 mt-1">{nextDistribution}</p>
+              {pickupSite && (
+                <p className="text-sm text-yellow-700 mt-1">
+                  {pickupSite.address}
+                  {pickupSite.openingHours && <span className="block">Open {pickupSite.openingHours}</span>}
+                </p>
+              )}
+              {hasAppointment && <p className="text-sm font-semibold text-yellow-800 mt-1">Appointment: {formatSlot(booking)}</p>}
             </div>
           </div>
+
+          <div className="mt-6">
+            {entitlement ? (
+              <>
+                <div className="flex flex-wrap justify-between items-baseline mb-2">
+                  <h2 className="text-lg font-bold text-gray-800">
+                    {entitlement.program.label} · household of {eligibility.householdSize}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {entitlement.periodStart.toLocaleDateString()} – {new Date(entitlement.periodEnd.getTime() - 1).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="space-y-3">
+                  {entitlement.items.map(({ item, allowed, used, remaining }) => (
+                    <div key={item}>
+                      <div className="flex justify-between text-sm">
+                        <span className="font-medium text-gray-700">{item}</span>
+                        <span className="text-gray-500">{used} of {allowed} used · <span className="font-semibold text-blue-700">{remaining} remaining</span></span>
+                      </div>
+                      <div className="mt-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div className="h-2 bg-blue-500" style={{ width: `${allowed ? Math.min(100, (used / allowed) * 100) : 100}%` }}></div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">
+                Your entitlement appears here once staff have recorded your household size and benefit program.
+              </p>
+            )}
+          </div>
         </div>
         <DistributionTable
           data={records}
@@ -324,33 +410,58 @@ const App = () => {
   }
   
   return (
-    <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans">
-      <header className="mb-8 p-4 bg-white shadow-md rounded-xl">
-        <div className="text-center">
-          <h1 className="text-4xl font-black text-gray-900">Government Food System Portal</h1>
-          <p className="text-lg text-gray-500 mt-1">Simulated Auth0 Role-Based Access with Firestore</p>
-        </div>
-        <div className="mt-4 border-t pt-3 flex flex-wrap justify-between items-center text-sm">
-          <span className={`font-semibold ${isManager ? 'text-red-600' : 'text-green-600'}`}>
-            Current Role: {isManager ? 'System Manager' : 'Citizen / Beneficiary'}
-          </span>
-          <span className="text-gray-600">
-            User ID: <code className="bg-gray-200 p-1 rounded text-xs">{userId || 'N/A'}</code>
-          </span>
-        </div>
-      </header>
-
-      {error && <div className="mb-6"><ErrorState /></div>}
-
-      <main>
-        {isManager ? <ManagerDashboard /> : <CitizenPortal />}
-      </main>
-
-      <footer className="mt-10 p-4 text-center text-xs text-gray-400">
-        <p>Data stored in Firestore under App ID: {appId}</p>
-        <p>User ID is {initialAuthToken ? 'authenticated via token' : 'assigned anonymously/locally'}.</p>
-      </footer>
-    </div>
+    <RoleContext.Provider value={roleState}>
+      <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans">
+        <header className="mb-8 p-4 bg-white shadow-md rounded-xl">
+          <div className="text-center">
+            <h1 className="text-4xl font-black text-gray-900">Government Food System Portal</h1>
+            <p className="text-lg text-gray-500 mt-1">Role-Based Access with Firestore</p>
+          </div>
+          <div className="mt-4 border-t pt-3 flex flex-wrap justify-between items-center text-sm">
+            <span className={`font-semibold ${isManager ? 'text-red-600' : 'text-green-600'}`}>
+              Current Role: {ROLE_LABELS[role] || 'Checking...'}
+            </span>
+            <DemoRoleSwitcher />
+            <span className="text-gray-600">
+              User ID: <code className="bg-gray-200 p-1 rounded text-xs">{userId || 'N/A'}</code>
+            </span>
+          </div>
+        </header>
+
+        {error && <div className="mb-6"><ErrorState /></div>}
+
+        <main>
+          <RequireRole roles={STAFF_ROLES}>
+            <OutboxStatus outbox={outbox} />
+          </RequireRole>
+          <RequireRole roles={MANAGER_ROLES} fallback={
+            <RequireRole roles={STAFF_ROLES} fallback={<CitizenPortal />}>
+              <StaffDashboard />
+            </RequireRole>
+          }>
+            <ManagerDashboard />
+          </RequireRole>
+          {/* Outside the dashboard and portal, so their state survives re-renders */}
+          {isCitizen && (
+            <div className="mt-6 space-y-6">
+              <BenefitPasses repo={repo} records={records} />
+              <PickupBooking repo={repo} userId={userId} site={pickupSite} booking={booking} hasPending={Boolean(pendingRecord)} />
+            </div>
+          )}
+          <RequireRole roles={STAFF_ROLES}>
+            <PassScanner repo={repo} userId={userId} />
+          </RequireRole>
+          <RequireRole roles={MANAGER_ROLES}>
+            <PickupRoster repo={repo} userId={userId} sites={sites} records={records} onComplete={(recordId) => updateRecordStatus(recordId, 'Completed')} />
+          </RequireRole>
+        </main>
+
+        <footer className="mt-10 p-4 text-center text-xs text-gray-400">
+          <p>Data stored in {isOfflineMode ? 'this browser (offline mode)' : 'Firestore'} under App ID: {appId}</p>
+          <p>User ID is {initialAuthToken ? 'authenticated via token' : 'assigned anonymously/locally'}.</p>
+        </footer>
+      </div>
+    </RoleContext.Provider>
   );
 };
 
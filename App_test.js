@@ -1,17 +1,14 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, collection, query, onSnapshot, updateDoc, writeBatch, where, addDoc, Timestamp } from 'firebase/firestore';
-import { setLogLevel } from 'firebase/firestore';
-
-// Set Firebase log level for debugging
-setLogLevel('Debug');
-
-// Global variables from the canvas environment (MUST BE USED)
-// NOTE: These are required for the application to function within the Canvas environment.
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+import { getBackend, appId, initialAuthToken, isOfflineMode } from './Backend';
+import { RoleContext, RequireRole, DemoRoleSwitcher, useUserRole, hasRole, ROLE_LABELS, STAFF_ROLES, MANAGER_ROLES } from './Roles';
+import { PROGRAMS, MAX_HOUSEHOLD_SIZE, entitlementSummary } from './Entitlements';
+import { householdSize, findDuplicatesOf, findLikelyDuplicates, searchBeneficiaries } from './Beneficiaries';
+import { DEFAULT_SITE_ID, siteName } from './Sites';
+import { formatSlot, isActiveBooking } from './Pickup-slots';
+import { PickupBooking, PickupRoster } from './Pickup-appointments';
+import { BenefitPasses, PassScanner } from './Benefit-card';
+import { OutboxStatus, useOutbox } from './Counter-mode';
+import { OUTBOX_STATE } from './Outbox';
 
 // Utility to generate a consistent UUID (for use when __initial_auth_token is missing)
 const generateUserId = () => {
@@ -20,20 +17,254 @@ const generateUserId = () => {
 
 // Data structure for a distribution record
 const initialRecords = [
-  { recipientId: generateUserId(), foodItem: 'Rice (5kg)', quantity: 1, location: 'Central Hub A', status: 'Pending', timestamp: Date.now() - 100000 },
-  { recipientId: generateUserId(), foodItem: 'Beans (1kg)', quantity: 3, location: 'Local Center B', status: 'Completed', timestamp: Date.now() - 50000 },
-  { recipientId: generateUserId(), foodItem: 'Oil (1L)', quantity: 1, location: 'Central Hub A', status: 'Pending', timestamp: Date.now() - 10000 },
+  { recipientId: generateUserId(), foodItem: 'Rice (5kg)', quantity: 1, siteId: 'central-hub-a', location: 'Central Hub A', status: 'Pending', timestamp: Date.now() - 100000 },
+  { recipientId: generateUserId(), foodItem: 'Beans (1kg)', quantity: 3, siteId: 'local-center-b', location: 'Local Center B', status: 'Completed', timestamp: Date.now() - 50000 },
+  { recipientId: generateUserId(), foodItem: 'Oil (1L)', quantity: 1, siteId: 'central-hub-a', location: 'Central Hub A', status: 'Pending', timestamp: Date.now() - 10000 },
 ];
 
+// Registry entries for the sample recipients above, in the same order
+const sampleHouseholds = [
+  { name: 'Amina Yusuf', phone: '555-0142', address: '12 Mill Lane', siteId: 'central-hub-a', dietaryNotes: 'Halal', members: [{ name: 'Omar Yusuf', relationship: 'child' }, { name: 'Leila Yusuf', relationship: 'child' }] },
+  { name: 'Piotr Nowak', phone: '555-0178', address: '4 Station Road', siteId: 'local-center-b', dietaryNotes: '', members: [{ name: 'Ewa Nowak', relationship: 'spouse' }] },
+  { name: 'Grace Mensah', phone: '555-0119', address: '88 Harbour Street', siteId: 'central-hub-a', dietaryNotes: 'Peanut allergy', members: [] },
+];
+
+const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border";
+
+const emptyBeneficiary = {
+  name: '',
+  dateOfBirth: '',
+  phone: '',
+  email: '',
+  address: '',
+  siteId: DEFAULT_SITE_ID,
+  dietaryNotes: '',
+  members: [],
+  consent: { dataStorage: false, contactBySms: false, contactByEmail: false, shareWithPartners: false },
+};
+
+// --- Beneficiary Registration (inside the New Record modal) ---
+const BeneficiaryRegistration = ({ beneficiaries, sites, onRegister, onSelect, onCancel }) => {
+  const [draft, setDraft] = useState(emptyBeneficiary);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Warn while typing, before a second registration for the same household is made
+  const duplicates = useMemo(() => findDuplicatesOf(draft, beneficiaries), [draft, beneficiaries]);
+
+  const handleChange = (e) => setDraft(prev => ({ ...prev, [e.target.name]: e.target.value }));
+  const handleConsent = (e) => setDraft(prev => ({ ...prev, consent: { ...prev.consent, [e.target.name]: e.target.checked } }));
+  const updateMember = (index, changes) =>
+    setDraft(prev => ({ ...prev, members: prev.members.map((m, i) => (i === index ? { ...m, ...changes } : m)) }));
+
+  const handleRegister = async () => {
+    setError(null);
+    setIsSaving(true);
+    try {
+      const id = await onRegister(draft);
+      onSelect({ id, ...draft });
+    } catch (e) {
+      console.error("Error registering beneficiary: ", e);
+      setError(e.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <fieldset className="p-3 bg-indigo-50 rounded-md space-y-3">
+      <legend className="text-sm font-medium text-indigo-700">Register New Beneficiary</legend>
+      <div className="grid grid-cols-2 gap-4">
+        <input type="text" name="name" value={draft.name} onChange={handleChange} placeholder="Head of household" className={inputClass} />
+        <input type="date" name="dateOfBirth" value={draft.dateOfBirth} onChange={handleChange} title="Date of birth" className={inputClass} />
+        <input type="tel" name="phone" value={draft.phone} onChange={handleChange} placeholder="Phone" className={inputClass} />
+        <input type="email" name="email" value={draft.email} onChange={handleChange} placeholder="Email" className={inputClass} />
+      </div>
+      <input type="text" name="address" value={draft.address} onChange={handleChange} placeholder="Address" className={inputClass} />
+      <div className="grid grid-cols-2 gap-4">
+        <select name="siteId" value={draft.siteId} onChange={handleChange} title="Assigned site" className={`${inputClass} bg-white`}>
+          {sites.map(site => <option key={site.id} value={site.id}>{site.name}</option>)}
+        </select>
+        <input type="text" name="dietaryNotes" value={draft.dietaryNotes} onChange={handleChange} placeholder="Dietary needs / allergies" className={inputClass} />
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700">Household Members</p>
+        {draft.members.map((member, index) => (
+          <div key={index} className="grid grid-cols-7 gap-2 mt-1">
+            <input type="text" value={member.name} onChange={(e) => updateMember(index, { name: e.target.value })} placeholder="Name" className={`${inputClass} col-span-3`} />
+            <input type="text" value={member.relationship} onChange={(e) => updateMember(index, { relationship: e.target.value })} placeholder="Relationship" className={`${inputClass} col-span-3`} />
+            <button
+              type="button"
+              onClick={() => setDraft(prev => ({ ...prev, members: prev.members.filter((_, i) => i !== index) }))}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setDraft(prev => ({ ...prev, members: [...prev.members, { name: '', relationship: '' }] }))}
+          className="mt-1 text-sm text-indigo-600 hover:text-indigo-800"
+        >
+          + Add member
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-1 text-sm text-gray-700">
+        <label><input type="checkbox" name="dataStorage" checked={draft.consent.dataStorage} onChange={handleConsent} className="mr-1" />Agrees to details being stored (required)</label>
+        <label><input type="checkbox" name="contactBySms" checked={draft.consent.contactBySms} onChange={handleConsent} className="mr-1" />Contact by SMS</label>
+        <label><input type="checkbox" name="contactByEmail" checked={draft.consent.contactByEmail} onChange={handleConsent} className="mr-1" />Contact by email</label>
+        <label><input type="checkbox" name="shareWithPartners" checked={draft.consent.shareWithPartners} onChange={handleConsent} className="mr-1" />Share with partner organizations</label>
+      </div>
+
+      {duplicates.length > 0 && (
+        <div className="p-2 bg-yellow-50 border border-yellow-300 rounded text-sm text-yellow-800">
+          <p className="font-semibold">Possibly already registered:</p>
+          {duplicates.map(({ beneficiary, reason }) => (
+            <p key={beneficiary.id} className="flex justify-between items-center">
+              <span>{beneficiary.name} ({beneficiary.id}): {reason}</span>
+              <button type="button" onClick={() => onSelect(beneficiary)} className="text-indigo-600 hover:text-indigo-800">Use this</button>
+            </p>
+          ))}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200">Back to Search</button>
+        <button
+          type="button"
+          onClick={handleRegister}
+          disabled={isSaving || !draft.name.trim() || !draft.consent.dataStorage}
+          className="px-3 py-1 text-sm text-white bg-indigo-600 rounded-full hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {duplicates.length ? 'Register Anyway' : 'Register'}
+        </button>
+      </div>
+    </fieldset>
+  );
+};
+
+// --- Beneficiary Picker: search the registry instead of typing a recipient ID ---
+const BeneficiaryPicker = ({ beneficiaries, sites, selected, onSelect, onRegister }) => {
+  const [query, setQuery] = useState('');
+  const [isRegistering, setIsRegistering] = useState(false);
+
+  const duplicates = useMemo(() => findLikelyDuplicates(beneficiaries), [beneficiaries]);
+  const matches = useMemo(() => searchBeneficiaries(beneficiaries, query), [beneficiaries, query]);
+
+  const DuplicateFlag = ({ id }) => duplicates[id] ? (
+    <span className="ml-2 text-xs text-yellow-700" title={duplicates[id].map(d => `${d.name} (${d.id}): ${d.reason}`).join('\n')}>
+      possible duplicate
+    </span>
+  ) : null;
+
+  if (selected) {
+    return (
+      <div className="p-3 bg-gray-50 rounded-md text-sm">
+        <div className="flex justify-between items-start">
+          <div>
+            <p className="font-semibold text-gray-900">{selected.name}<DuplicateFlag id={selected.id} /></p>
+            <p className="text-gray-500">{selected.id} · household of {householdSize(selected)}{selected.phone && ` · ${selected.phone}`}</p>
+            {selected.siteId && <p className="text-gray-500">Collects at {siteName(sites, selected.siteId)}</p>}
+          </div>
+          <button type="button" onClick={() => onSelect(null)} className="text-indigo-600 hover:text-indigo-800">Change</button>
+        </div>
+        {selected.dietaryNotes && <p className="mt-2 p-2 bg-red-50 text-red-700 rounded">Dietary / allergy notes: {selected.dietaryNotes}</p>}
+      </div>
+    );
+  }
+
+  if (isRegistering) {
+    return (
+      <BeneficiaryRegistration
+        beneficiaries={beneficiaries}
+        sites={sites}
+        onRegister={onRegister}
+        onSelect={(beneficiary) => {
+          setIsRegistering(false);
+          onSelect(beneficiary);
+        }}
+        onCancel={() => setIsRegistering(false)}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search by name, household member, phone or ID"
+        className={inputClass}
+      />
+      {query && (
+        <ul className="mt-1 border rounded-md divide-y max-h-48 overflow-y-auto">
+          {matches.map(b => (
+            <li key={b.id}>
+              <button type="button" onClick={() => onSelect(b)} className="w-full text-left px-3 py-2 text-sm hover:bg-indigo-50">
+                <span className="font-medium">{b.name}</span><DuplicateFlag id={b.id} />
+                <span className="block text-xs text-gray-500">{b.id} · household of {householdSize(b)}{b.phone && ` · ${b.phone}`}</span>
+              </button>
+            </li>
+          ))}
+          {!matches.length && <li className="px-3 py-2 text-sm text-gray-500">No registered beneficiary matches.</li>}
+        </ul>
+      )}
+      <button type="button" onClick={() => setIsRegistering(true)} className="mt-2 text-sm text-indigo-600 hover:text-indigo-800">
+        + Register new beneficiary
+      </button>
+    </div>
+  );
+};
+
 // --- Modal Component for New Record ---
-const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading }) => {
+const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading, repo, error, beneficiaries, sites, onRegister }) => {
   const [formData, setFormData] = useState({
     recipientId: '',
     foodItem: '',
     quantity: 1,
-    location: 'Central Hub A',
+    siteId: DEFAULT_SITE_ID,
     status: 'Pending',
+    program: 'standard',
+    householdSize: 1,
   });
+  // The recipient's entitlement: 'idle', 'checking', 'found' (summary is set) or 'missing' (eligibility fields shown)
+  const [entitlement, setEntitlement] = useState({ state: 'idle', eligibility: null, summary: null });
+
+  const [recipient, setRecipient] = useState(null);
+
+  const lookUpEntitlement = async (recipientId) => {
+    if (!repo || !recipientId) return setEntitlement({ state: 'idle', eligibility: null, summary: null });
+    setEntitlement({ state: 'checking', eligibility: null, summary: null });
+    try {
+      const { eligibility, summary } = await repo.getEntitlement(recipientId);
+      setEntitlement({ state: eligibility ? 'found' : 'missing', eligibility, summary });
+    } catch (e) {
+      console.error("Error loading entitlement: ", e);
+      setEntitlement({ state: 'idle', eligibility: null, summary: null });
+    }
+  };
+
+  // Picking a beneficiary fills in their ID, assigned site and household size
+  const selectRecipient = (beneficiary) => {
+    setRecipient(beneficiary);
+    if (beneficiary) {
+      setFormData(prev => ({
+        ...prev,
+        recipientId: beneficiary.id,
+        siteId: beneficiary.siteId || prev.siteId,
+        householdSize: householdSize(beneficiary),
+      }));
+    } else setFormData(prev => ({ ...prev, recipientId: '' }));
+    lookUpEntitlement(beneficiary?.id);
+  };
+
+  const itemEntitlement = entitlement.summary?.items.find(i => i.item === formData.foodItem);
 
   const handleChange = (e) => {
     const { name, value, type } = e.target;
@@ -45,31 +276,64 @@ const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading }) => {
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    const { program, householdSize, ...record } = formData;
+    // A recipient without eligibility gets it recorded together with the distribution
+    onSubmit({ ...record, location: siteName(sites, record.siteId) }, entitlement.state === 'missing' ? { program, householdSize } : null);
   };
 
   if (!isOpen) return null;
 
   return (
     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex justify-center items-center p-4">
-      <div className="bg-white p-6 rounded-xl shadow-2xl max-w-lg w-full transform transition-all duration-300 scale-100">
+      <div className="bg-white p-6 rounded-xl shadow-2xl max-w-2xl w-full transform transition-all duration-300 scale-100">
         <h3 className="text-2xl font-bold mb-4 text-indigo-700 border-b pb-2">Add New Distribution Record</h3>
         
         <form onSubmit={handleSubmit} className="space-y-4">
           
           <div>
-            <label className="block text-sm font-medium text-gray-700">Recipient ID (e.g., citizen-xxxxx)</label>
-            <input
-              type="text"
-              name="recipientId"
-              value={formData.recipientId}
-              onChange={handleChange}
-              placeholder="e.g. citizen-abc12345"
-              required
-              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border"
-            />
+            <label className="block text-sm font-medium text-gray-700">Recipient</label>
+            <BeneficiaryPicker beneficiaries={beneficiaries} sites={sites} selected={recipient} onSelect={selectRecipient} onRegister={onRegister} />
+            {entitlement.state === 'checking' && <p className="mt-1 text-xs text-gray-500">Checking entitlement...</p>}
+            {entitlement.state === 'found' && (
+              <p className="mt-1 text-xs text-gray-600">
+                {entitlement.summary.program.label}, household of {entitlement.eligibility.householdSize}. Remaining this period:{' '}
+                {entitlement.summary.items.map(i => `${i.item} ${i.remaining}`).join(', ')}
+              </p>
+            )}
           </div>
 
+          {entitlement.state === 'missing' && (
+            <fieldset className="p-3 bg-indigo-50 rounded-md">
+              <legend className="text-sm font-medium text-indigo-700">No eligibility on file: record it now</legend>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Program</label>
+                  <select
+                    name="program"
+                    value={formData.program}
+                    onChange={handleChange}
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border bg-white"
+                  >
+                    {Object.entries(PROGRAMS).map(([key, program]) => <option key={key} value={key}>{program.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Household Size</label>
+                  <input
+                    type="number"
+                    name="householdSize"
+                    value={formData.householdSize}
+                    onChange={handleChange}
+                    min="1"
+                    max={MAX_HOUSEHOLD_SIZE}
+                    required
+                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border"
+                  />
+                </div>
+              </div>
+            </fieldset>
+          )}
+
           <div className="grid grid-cols-2 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700">Food Item</label>
@@ -78,9 +342,14 @@ const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading }) => {
                 name="foodItem"
                 value={formData.foodItem}
                 onChange={handleChange}
+                list="entitlement-items"
                 required
                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border"
               />
+              <datalist id="entitlement-items">
+                {PROGRAMS[entitlement.eligibility?.program || formData.program].allowances.map(a => <option key={a.item} value={a.item} />)}
+              </datalist>
+              {itemEntitlement && <p className="mt-1 text-xs text-gray-500">{itemEntitlement.remaining} of {itemEntitlement.allowed} remaining</p>}
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700">Quantity</label>
@@ -99,14 +368,12 @@ const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading }) => {
           <div>
             <label className="block text-sm font-medium text-gray-700">Location</label>
             <select
-              name="location"
-              value={formData.location}
+              name="siteId"
+              value={formData.siteId}
               onChange={handleChange}
               className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border bg-white"
             >
-              <option>Central Hub A</option>
-              <option>Local Center B</option>
-              <option>Regional Depot C</option>
+              {sites.map(site => <option key={site.id} value={site.id}>{site.name}</option>)}
             </select>
           </div>
 
@@ -123,6 +390,8 @@ const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading }) => {
             </select>
           </div>
 
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
           <div className="flex justify-end space-x-3 pt-2">
             <button
               type="button"
@@ -135,7 +404,7 @@ const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading }) => {
             <button
               type="submit"
               className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-full hover:bg-indigo-700 shadow-md transition duration-150 disabled:opacity-50 flex items-center"
-              disabled={isLoading}
+              disabled={isLoading || !formData.recipientId}
             >
               {isLoading && <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>}
               Add Record
@@ -149,90 +418,72 @@ const NewDistributionModal = ({ isOpen, onClose, onSubmit, isLoading }) => {
 
 // --- Main Application Component ---
 const App = () => {
-  const [auth, setAuth] = useState(null);
-  const [db, setDb] = useState(null);
+  const [repo, setRepo] = useState(null);
+  // Queue for completions made while the counter is offline
+  const [outbox, setOutbox] = useState(null);
   const [userId, setUserId] = useState(null);
   const [records, setRecords] = useState([]);
+  // The citizen's own program and household size; null until staff record it
+  const [eligibility, setEligibility] = useState(null);
+  // The citizen's registry entry, for their assigned pickup site
+  const [beneficiary, setBeneficiary] = useState(null);
+  // The citizen's pickup appointment, if they booked one
+  const [booking, setBooking] = useState(null);
+  const [sites, setSites] = useState([]);
+  // Beneficiary registry, for managers recording distributions
+  const [beneficiaries, setBeneficiaries] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [modalError, setModalError] = useState(null);
 
-  // --- 1. Firebase Initialization and Authentication ---
+  // --- 1. Backend Connection and Authentication ---
   useEffect(() => {
     try {
-      if (Object.keys(firebaseConfig).length === 0) {
-        throw new Error("Firebase configuration is missing. Cannot initialize.");
-      }
-      
-      const firebaseApp = initializeApp(firebaseConfig);
-      const authInstance = getAuth(firebaseApp);
-      const dbInstance = getFirestore(firebaseApp);
-
-      setAuth(authInstance);
-      setDb(dbInstance);
-
-      const signIn = async () => {
-        if (initialAuthToken) {
-          await signInWithCustomToken(authInstance, initialAuthToken);
-        } else {
-          await signInAnonymously(authInstance);
-        }
-      };
+      // Firestore when the canvas provides a config, otherwise offline (local) storage
+      const backend = getBackend();
+      setRepo(backend.repo);
+      setOutbox(backend.outbox);
 
       // Ensure auth state is established before setting userId
-      const unsubscribe = onAuthStateChanged(authInstance, (user) => {
-        if (user) {
-          setUserId(user.uid || generateUserId());
+      const unsubscribe = backend.watchAuth(
+        (uid) => {
+          setUserId(uid || generateUserId());
           setIsLoading(false);
-        } else if (!userId) {
-          setUserId(generateUserId());
+        },
+        (err) => {
+          console.error("Sign-in Failed:", err);
+          setError("Authentication failed. Check console for details.");
           setIsLoading(false);
         }
-      });
-      
-      signIn().catch(err => {
-        console.error("Firebase Sign-in Failed:", err);
-        setError("Authentication failed. Check console for details.");
-        setIsLoading(false);
-      });
+      );
 
       return () => unsubscribe();
 
     } catch (err) {
-      console.error("Firebase Initialization Error:", err);
-      setError("Failed to initialize Firebase. Check console.");
+      console.error("Backend Initialization Error:", err);
+      setError("Failed to connect to the data store. Check console.");
       setIsLoading(false);
     }
   }, []);
 
-  // --- 2. Simulated Role Check ---
-  const isManager = useMemo(() => userId && userId.startsWith('manager-'), [userId]);
-  const isCitizen = useMemo(() => userId && userId.startsWith('citizen-'), [userId]);
+  // --- 2. Role Check ---
+  // Role comes from the auth token's `role` claim or the users/{uid} profile, never from the ID itself.
+  const roleState = useUserRole(userId);
+  const { role } = roleState;
+  const isManager = useMemo(() => hasRole(role, MANAGER_ROLES), [role]);
+  // Everyone outside the staff roles only sees their own records
+  const isCitizen = useMemo(() => Boolean(role) && !hasRole(role, STAFF_ROLES), [role]);
 
   // --- 3. Data Fetching (Real-time with onSnapshot) ---
   useEffect(() => {
-    if (!db || !userId) return;
-
-    const recordsCollectionPath = `artifacts/${appId}/public/data/distribution_records`;
-    const recordsRef = collection(db, recordsCollectionPath);
+    if (!repo || !userId || !role) return;
 
-    let recordsQuery = recordsRef;
+    const filter = isCitizen ? { recipientId: userId } : {};
 
-    if (isCitizen) {
-      recordsQuery = query(recordsRef, where('recipientId', '==', userId));
-    }
-
-    const unsubscribe = onSnapshot(recordsQuery, 
-      (snapshot) => {
-        const fetchedRecords = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-          // Ensure timestamp is a JS Date object for sorting
-          timestamp: doc.data().timestamp?.toDate ? doc.data().timestamp.toDate() : new Date(doc.data().timestamp),
-        }));
-        // Sort in memory (newest first)
-        fetchedRecords.sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime()); 
+    const unsubscribe = repo.subscribeRecords(filter,
+      (fetchedRecords) => {
         setRecords(fetchedRecords);
         setIsLoading(false);
       },
@@ -244,37 +495,97 @@ const App = () => {
     );
 
     return () => unsubscribe();
-  }, [db, userId, isCitizen, appId]);
+  }, [repo, userId, role, isCitizen]);
+
+  // Citizens see their entitlement on the benefit card
+  useEffect(() => {
+    if (!repo || !userId || !isCitizen) return;
+
+    const unsubscribe = repo.watchEligibility(userId, setEligibility, (err) => {
+      console.error("Error loading eligibility:", err);
+      setEligibility(null);
+    });
+
+    return () => unsubscribe();
+  }, [repo, userId, isCitizen]);
+
+  useEffect(() => {
+    if (!repo || !userId || !isCitizen) return;
+
+    const unsubscribe = repo.watchBeneficiary(userId, setBeneficiary, (err) => {
+      console.error("Error loading beneficiary:", err);
+      setBeneficiary(null);
+    });
+
+    return () => unsubscribe();
+  }, [repo, userId, isCitizen]);
+
+  useEffect(() => {
+    if (!repo || !userId || !isCitizen) return;
+
+    const unsubscribe = repo.watchBooking(userId, setBooking, (err) => {
+      console.error("Error loading pickup booking:", err);
+      setBooking(null);
+    });
+
+    return () => unsubscribe();
+  }, [repo, userId, isCitizen]);
+
+  useEffect(() => {
+    if (!repo || !role) return;
+
+    const unsubscribe = repo.subscribeSites(setSites, (err) => {
+      console.error("Error loading sites:", err);
+      setSites([]);
+    });
+
+    return () => unsubscribe();
+  }, [repo, role]);
+
+  useEffect(() => {
+    if (!repo || !isManager) return;
+
+    const unsubscribe = repo.subscribeBeneficiaries(setBeneficiaries, (err) => {
+      console.error("Error loading beneficiaries:", err);
+      setError("Failed to load the beneficiary registry.");
+    });
+
+    return () => unsubscribe();
+  }, [repo, isManager]);
 
   // --- 4. Data Management Functions ---
 
-  const addDistributionRecord = useCallback(async (data) => {
-    if (!db || !isManager) {
+  const registerBeneficiary = useCallback((details) => repo.registerBeneficiary(details, { actor: userId }), [repo, userId]);
+
+  const addDistributionRecord = useCallback(async (data, eligibility) => {
+    if (!repo || !isManager) {
       setError("Database not initialized or user is not authorized.");
       return;
     }
 
     setIsSubmitting(true);
-    const recordsCollectionPath = `artifacts/${appId}/public/data/distribution_records`;
+    setModalError(null);
     
     try {
-      await addDoc(collection(db, recordsCollectionPath), {
+      if (eligibility) await repo.setEligibility(data.recipientId, eligibility, { actor: userId });
+      await repo.addRecord({
         ...data,
         quantity: data.quantity || 1,
-        timestamp: Timestamp.now(),
+        timestamp: new Date(),
       });
       setIsModalOpen(false);
     } catch (e) {
       console.error("Error adding new document: ", e);
-      setError("Failed to add new distribution record.");
+      // Entitlement refusals explain themselves; anything else is unexpected
+      setModalError(e.code === 'entitlement' ? e.message : "Failed to add new distribution record.");
     } finally {
       setIsSubmitting(false);
     }
-  }, [db, isManager, appId]);
+  }, [repo, isManager, userId]);
 
 
   const uploadSampleData = useCallback(async () => {
-    if (!db) {
+    if (!repo) {
       setError("Database not initialized.");
       return;
     }
@@ -282,37 +593,55 @@ const App = () => {
     const managerId = 'manager-' + crypto.randomUUID().substring(0, 8); 
 
     const sampleRecords = [
-      { recipientId: managerId, foodItem: 'Management Report', quantity: 1, location: 'HQ', status: 'Completed', timestamp: new Date() },
+      { recipientId: managerId, foodItem: 'Beans (1kg)', quantity: 2, location: 'HQ', status: 'Completed', timestamp: new Date() },
       ...initialRecords.map(r => ({...r, recipientId: r.recipientId.replace('citizen-', 'citizen-' + crypto.randomUUID().substring(0, 5))})),
       { recipientId: userId, foodItem: 'Citizen Kit', quantity: 1, location: 'Local Center D', status: 'Pending', timestamp: new Date() },
     ];
 
-    const batch = writeBatch(db);
-    const recordsCollectionPath = `artifacts/${appId}/public/data/distribution_records`;
-    
     try {
-      sampleRecords.forEach(record => {
-        const newDocRef = doc(collection(db, recordsCollectionPath)); 
-        batch.set(newDocRef, record);
-      });
-      await batch.commit();
+      const citizens = sampleRecords.slice(1, 1 + sampleHouseholds.length);
+      await Promise.all(citizens.map((r, i) => repo.registerBeneficiary(
+        { id: r.recipientId, ...sampleHouseholds[i], consent: { dataStorage: true } }, { actor: userId })));
+
+      // Records are checked against entitlement, so every sample recipient needs an eligibility
+      const recipients = [...new Set(sampleRecords.map(r => r.recipientId))];
+      await Promise.all(recipients.map(async (recipientId) => {
+        if (await repo.getEligibility(recipientId)) return;
+        const household = sampleHouseholds[citizens.findIndex(r => r.recipientId === recipientId)];
+        const size = household ? householdSize(household) : 1 + Math.floor(Math.random() * 5);
+        await repo.setEligibility(recipientId, { program: 'standard', householdSize: size }, { actor: userId });
+      }));
+      await repo.addRecords(sampleRecords);
       console.log("Sample data successfully uploaded via batch.");
     } catch (e) {
       console.error("Error adding sample documents: ", e);
-      setError("Failed to add sample data.");
+      setError(e.code === 'entitlement' ? `Failed to add sample data: ${e.message}` : "Failed to add sample data.");
     }
-  }, [db, userId, appId]);
+  }, [repo, userId]);
 
+  // Completions waiting in the outbox; their records still read Pending until they sync
+  const { entries: outboxEntries } = useOutbox(outbox);
+  const queuedRecordIds = useMemo(() => new Set(
+    outboxEntries.filter(e => e.kind === 'recordStatus' && e.state === OUTBOX_STATE.queued).map(e => e.args.recordId)
+  ), [outboxEntries]);
+
+  // Function to update a record (Manager function). Goes through the outbox, so it works offline
+  // and is refused, rather than applied twice, when another device changed the record first.
   const updateRecordStatus = useCallback(async (recordId, newStatus) => {
-    if (!db || !isManager) return;
+    if (!outbox || !isManager) return;
+    const record = records.find(r => r.id === recordId);
+    if (!record) return;
     try {
-      const docRef = doc(db, `artifacts/${appId}/public/data/distribution_records`, recordId);
-      await updateDoc(docRef, { status: newStatus });
+      await outbox.submit(
+        'recordStatus',
+        { recordId, status: newStatus, from: record.status },
+        `${newStatus}: ${record.quantity} × ${record.foodItem} for ${record.recipientId}`
+      );
     } catch (e) {
       console.error("Error updating record: ", e);
-      setError("Failed to update record status.");
+      setError(e.code === 'stale' ? e.message : "Failed to update record status.");
     }
-  }, [db, isManager, appId]);
+  }, [outbox, isManager, records]);
 
 
   // --- 5. UI Components ---
@@ -331,7 +660,8 @@ const App = () => {
     </div>
   );
 
-  const DistributionTable = ({ data, title, isManagerView = false }) => (
+  // Staff see whose record it is; only managers get the Action column
+  const DistributionTable = ({ data, title, isManagerView = false, showRecipients = isManagerView }) => (
     <div className="bg-white p-6 rounded-xl shadow-lg">
       <h2 className="text-2xl font-bold mb-4 text-gray-800 border-b pb-2">{title} ({data.length})</h2>
       {data.length === 0 ? (
@@ -341,7 +671,7 @@ const App = () => {
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
-                {isManagerView && <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient ID</th>}
+                {showRecipients && <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recipient ID</th>}
                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Qty</th>
                 <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
@@ -353,7 +683,7 @@ const App = () => {
             <tbody className="bg-white divide-y divide-gray-200">
               {data.map((record) => (
                 <tr key={record.id}>
-                  {isManagerView && <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900 truncate max-w-[120px]">{record.recipientId}</td>}
+                  {showRecipients && <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900 truncate max-w-[120px]">{record.recipientId}</td>}
                   <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{record.foodItem}</td>
                   <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{record.quantity}</td>
                   <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-500">{record.location}</td>
@@ -367,7 +697,9 @@ const App = () => {
                   </td>
                   {isManagerView && (
                     <td className="px-3 py-2 whitespace-nowrap text-sm font-medium">
-                      {record.status === 'Pending' ? (
+                      {queuedRecordIds.has(record.id) ? (
+                        <span className="text-yellow-700">Queued</span>
+                      ) : record.status === 'Pending' ? (
                         <button
                           onClick={() => updateRecordStatus(record.id, 'Completed')}
                           className="text-indigo-600 hover:text-indigo-900 bg-indigo-50 hover:bg-indigo-100 px-2 py-1 rounded transition duration-150"
@@ -396,7 +728,7 @@ const App = () => {
         <div className="flex space-x-3">
             <button
               onClick={() => setIsModalOpen(true)}
-              disabled={!db}
+              disabled={!repo}
               className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-full shadow-lg transition duration-300 transform hover:scale-105 disabled:opacity-50 flex items-center"
             >
                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" /></svg>
@@ -404,7 +736,7 @@ const App = () => {
             </button>
             <button
               onClick={uploadSampleData}
-              disabled={!db}
+              disabled={!repo}
               className="bg-green-500 hover:bg-green-600 text-white font-bold py-2 px-4 rounded-full shadow-lg transition duration-300 transform hover:scale-105 disabled:opacity-50"
             >
               Add Sample Data
@@ -416,20 +748,37 @@ const App = () => {
         title="All Distribution Records (Read/Write Access)"
         isManagerView={true}
       />
-      <NewDistributionModal
-        isOpen={isModalOpen}
-        onClose={() => setIsModalOpen(false)}
-        onSubmit={addDistributionRecord}
-        isLoading={isSubmitting}
+    </div>
+  );
+
+  // Warehouse staff see every distribution, without the managers' record controls
+  const StaffDashboard = () => (
+    <div className="space-y-6">
+      <div className="bg-white p-6 rounded-xl shadow-lg border-b-4 border-teal-500">
+        <h1 className="text-3xl font-extrabold text-teal-700">Warehouse Dashboard</h1>
+      </div>
+      <DistributionTable
+        data={records}
+        title="All Distribution Records (Read-Only Access)"
+        showRecipients={true}
       />
     </div>
   );
 
+  // Where the citizen collects next: the site of their appointment, their assigned site
+  // from the registry, or otherwise wherever the next pending record is
+  const pendingRecord = records.find(r => r.status === 'Pending');
+  const hasAppointment = isActiveBooking(booking);
+  const pickupSite = sites.find(s => s.id === ((hasAppointment && booking.siteId) || beneficiary?.siteId || pendingRecord?.siteId));
+
   const CitizenPortal = () => {
     const totalPending = records.filter(r => r.status === 'Pending').length;
     const totalCompleted = records.filter(r => r.status === 'Completed').length;
     
-    const nextDistribution = records.find(r => r.status === 'Pending')?.location || 'TBD';
+    const nextDistribution = pickupSite?.name || pendingRecord?.location || 'TBD';
+
+    // What the household may still receive this period, from its program and household size
+    const entitlement = entitlementSummary(eligibility, records);
 
     return (
       <div className="space-y-6">
@@ -447,8 +796,47 @@ const App = () => {
             <div className="p-4 bg-yellow-50 rounded-lg shadow-inner">
               <p className="text-sm font-semibold text-yellow-600">Next Pickup Location</p>
               <p className="text-xl font-bold text-yellow-800 mt-1">{nextDistribution}</p>
+              {pickupSite && (
+                <p className="text-sm text-yellow-700 mt-1">
+                  {pickupSite.address}
+                  {pickupSite.openingHours && <span className="block">Open {pickupSite.openingHours}</span>}
+                </p>
+              )}
+              {hasAppointment && <p className="text-sm font-semibold text-yellow-800 mt-1">Appointment: {formatSlot(booking)}</p>}
             </div>
           </div>
+
+          <div className="mt-6">
+            {entitlement ? (
+              <>
+                <div className="flex flex-wrap justify-between items-baseline mb-2">
+                  <h2 className="text-lg font-bold text-gray-800">
+                    {entitlement.program.label} · household of {eligibility.householdSize}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    {entitlement.periodStart.toLocaleDateString()} – {new Date(entitlement.periodEnd.getTime() - 1).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="space-y-3">
+                  {entitlement.items.map(({ item, allowed, used, remaining }) => (
+                    <div key={item}>
+                      <div className="flex justify-between text-sm">
+                        <span className="font-medium text-gray-700">{item}</span>
+                        <span className="text-gray-500">{used} of {allowed} used · <span className="font-semibold text-blue-700">{remaining} remaining</span></span>
+                      </div>
+                      <div className="mt-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                        <div className="h-2 bg-blue-500" style={{ width: `${allowed ? Math.min(100, (used / allowed) * 100) : 100}%` }}></div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">
+                Your entitlement appears here once staff have recorded your household size and benefit program.
+              </p>
+            )}
+          </div>
         </div>
         <DistributionTable
           data={records}
@@ -476,33 +864,75 @@ const App = () => {
   }
   
   return (
-    <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans">
-      <header className="mb-8 p-4 bg-white shadow-md rounded-xl">
-        <div className="text-center">
-          <h1 className="text-4xl font-black text-gray-900">Government Food System Portal</h1>
-          <p className="text-lg text-gray-500 mt-1">Simulated Auth0 Role-Based Access with Firestore</p>
-        </div>
-        <div className="mt-4 border-t pt-3 flex flex-wrap justify-between items-center text-sm">
-          <span className={`font-semibold ${isManager ? 'text-red-600' : 'text-green-600'}`}>
-            Current Role: {isManager ? 'System Manager' : 'Citizen / Beneficiary'}
-          </span>
-          <span className="text-gray-600">
-            User ID: <code className="bg-gray-200 p-1 rounded text-xs">{userId || 'N/A'}</code>
-          </span>
-        </div>
-      </header>
-
-      {error && <div className="mb-6"><ErrorState /></div>}
-
-      <main>
-        {isManager ? <ManagerDashboard /> : <CitizenPortal />}
-      </main>
+    <RoleContext.Provider value={roleState}>
+      <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans">
+        <header className="mb-8 p-4 bg-white shadow-md rounded-xl">
+          <div className="text-center">
+            <h1 className="text-4xl font-black text-gray-900">Government Food System Portal</h1>
+            <p className="text-lg text-gray-500 mt-1">Role-Based Access with Firestore</p>
+          </div>
+          <div className="mt-4 border-t pt-3 flex flex-wrap justify-between items-center text-sm">
+            <span className={`font-semibold ${isManager ? 'text-red-600' : 'text-green-600'}`}>
+              Current Role: {ROLE_LABELS[role] || 'Checking...'}
+            </span>
+            <DemoRoleSwitcher />
+            <span className="text-gray-600">
+              User ID: <code className="bg-gray-200 p-1 rounded text-xs">{userId || 'N/A'}</code>
+            </span>
+          </div>
+        </header>
+
+        {error && <div className="mb-6"><ErrorState /></div>}
+
+        <main>
+          <RequireRole roles={STAFF_ROLES}>
+            <OutboxStatus outbox={outbox} />
+          </RequireRole>
+          <RequireRole roles={MANAGER_ROLES} fallback={
+            <RequireRole roles={STAFF_ROLES} fallback={<CitizenPortal />}>
+              <StaffDashboard />
+            </RequireRole>
+          }>
+            <ManagerDashboard />
+          </RequireRole>
+          {/* Outside the dashboard and portal, so their state survives re-renders */}
+          {isCitizen && (
+            <div className="mt-6 space-y-6">
+              <BenefitPasses repo={repo} records={records} />
+              <PickupBooking repo={repo} userId={userId} site={pickupSite} booking={booking} hasPending={Boolean(pendingRecord)} />
+            </div>
+          )}
+          <RequireRole roles={STAFF_ROLES}>
+            <PassScanner repo={repo} userId={userId} />
+          </RequireRole>
+          <RequireRole roles={MANAGER_ROLES}>
+            <PickupRoster repo={repo} userId={userId} sites={sites} records={records} onComplete={(recordId) => updateRecordStatus(recordId, 'Completed')} />
+          </RequireRole>
+          {/* Rendered here rather than inside ManagerDashboard so it keeps its form state while the dashboard re-renders */}
+          {isModalOpen && (
+            <NewDistributionModal
+              isOpen={isModalOpen}
+              onClose={() => {
+                setIsModalOpen(false);
+                setModalError(null);
+              }}
+              onSubmit={addDistributionRecord}
+              isLoading={isSubmitting}
+              repo={repo}
+              error={modalError}
+              beneficiaries={beneficiaries}
+              sites={sites}
+              onRegister={registerBeneficiary}
+            />
+          )}
+        </main>
 
-      <footer className="mt-10 p-4 text-center text-xs text-gray-400">
-        <p>Data stored in Firestore under App ID: {appId}</p>
-        <p>User ID is {initialAuthToken ? 'authenticated via token' : 'assigned anonymously/locally'}.</p>
-      </footer>
-    </div>
+        <footer className="mt-10 p-4 text-center text-xs text-gray-400">
+          <p>Data stored in {isOfflineMode ? 'this browser (offline mode)' : 'Firestore'} under App ID: {appId}</p>
+          <p>User ID is {initialAuthToken ? 'authenticated via token' : 'assigned anonymously/locally'}.</p>
+        </footer>
+      </div>
+    </RoleContext.Provider>
   );
 };
 
@@ -0,0 +1,114 @@
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager, setLogLevel } from 'firebase/firestore';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { createFirestoreAdapter, createLocalAdapter } from './Storage-adapters';
+import { createRepository, createLocalPassService } from './Data-repository';
+import { newPassKey } from './functions/Benefit-passes';
+import { createOutbox } from './Outbox';
+
+/* global __app_id, __firebase_config, __initial_auth_token */
+
+// Global variables from the canvas environment (MUST BE USED)
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+export const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
+export const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+
+// Without a Firebase config every screen runs against the local adapter
+export const isOfflineMode = !firebaseConfig || Object.keys(firebaseConfig).length === 0;
+
+const LOCAL_USER_KEY = 'food-distribution-portal:user';
+
+// Offline users keep the same ID across reloads so their records stay theirs
+const localUserId = () => {
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(LOCAL_USER_KEY) : null;
+  if (stored) return stored;
+  const id = 'local-' + Math.random().toString(36).substring(2, 9);
+  if (typeof localStorage !== 'undefined') localStorage.setItem(LOCAL_USER_KEY, id);
+  return id;
+};
+
+const openFirestoreBackend = () => {
+  // Set Firebase log level for debugging
+  setLogLevel('debug');
+
+  // Several screens may be mounted on one page; they share the default app
+  const isNewApp = !getApps().length;
+  const app = isNewApp ? initializeApp(firebaseConfig) : getApp();
+  const auth = getAuth(app);
+  // Cached on the device, so counter screens keep showing data while the connection is down
+  const db = isNewApp
+    ? initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) })
+    : getFirestore(app);
+  // Pickup codes are signed by the Cloud Functions in functions/, which hold the key
+  const functions = getFunctions(app);
+  const passes = {
+    issue: async (recordId) => (await httpsCallable(functions, 'issuePass')({ appId, recordId })).data,
+    check: async (code) => (await httpsCallable(functions, 'checkPass')({ appId, code })).data.valid,
+  };
+  const repo = createRepository(createFirestoreAdapter(db, appId), { passes });
+
+  return {
+    repo,
+    outbox: createOutbox({ repo, storageKey: `food-distribution-portal:${appId}:outbox` }),
+
+    // Custom claims set through the Admin SDK, e.g. { role: 'manager' }
+    getClaims: async () => (await auth.currentUser?.getIdTokenResult())?.claims || {},
+
+    // Calls onUser with the signed-in UID, signing in first when needed
+    watchAuth: (onUser, onError) =>
+      onAuthStateChanged(auth, async (user) => {
+        if (user) return onUser(user.uid);
+        try {
+          if (initialAuthToken) {
+            await signInWithCustomToken(auth, initialAuthToken);
+          } else {
+            await signInAnonymously(auth);
+          }
+        } catch (error) {
+          onError(error);
+        }
+      }),
+  };
+};
+
+// Offline there is no server to keep the pickup code key from the browser; it only has to survive reloads
+const localPassKey = () => {
+  const storageKey = `food-distribution-portal:${appId}:pass-key`;
+  const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(storageKey) : null;
+  if (stored) return stored;
+  const key = newPassKey();
+  if (typeof localStorage !== 'undefined') localStorage.setItem(storageKey, key);
+  return key;
+};
+
+const openLocalBackend = () => {
+  const store = createLocalAdapter({ storageKey: `food-distribution-portal:${appId}` });
+  const repo = createRepository(store, { passes: createLocalPassService(store, localPassKey()) });
+  return {
+    repo,
+    outbox: createOutbox({ repo, storageKey: `food-distribution-portal:${appId}:outbox` }),
+
+    // There is no token offline; roles come from the users profile only
+    getClaims: async () => ({}),
+
+    watchAuth: (onUser) => {
+      const timer = setTimeout(() => onUser(localUserId()), 0);
+      return () => clearTimeout(timer);
+    },
+  };
+};
+
+let backend = null;
+
+/**
+ * Returns the backend shared by every screen on the page: a repository, the
+ * counter outbox (see Outbox.js) and an auth watcher. Firestore is used when
+ * the canvas provides a config, otherwise data lives in this browser.
+ *
+ * @returns {{ repo: ReturnType<typeof createRepository>, outbox: ReturnType<typeof createOutbox>, getClaims: () => Promise<Object>, watchAuth: (onUser: (uid: string) => void, onError: (error: Error) => void) => () => void }}
+ */
+export const getBackend = () => {
+  if (!backend) backend = isOfflineMode ? openLocalBackend() : openFirestoreBackend();
+  return backend;
+};
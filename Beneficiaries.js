@@ -0,0 +1,124 @@
+// The beneficiary registry: who a distribution record's recipientId stands
+// for. A beneficiary's id is the recipientId on their records, so a citizen
+// who signs in to the portal is registered under their user ID.
+
+/**
+ * @typedef {Object} HouseholdMember
+ * @property {string} name
+ * @property {string} [relationship] - e.g. 'spouse', 'child'
+ * @property {string} [dateOfBirth] - YYYY-MM-DD
+ */
+
+/**
+ * @typedef {Object} BeneficiaryConsent
+ * @property {boolean} dataStorage - Agreed to their details being kept; required to register
+ * @property {boolean} contactBySms
+ * @property {boolean} contactByEmail
+ * @property {boolean} shareWithPartners - Details may be passed to partner organizations
+ */
+
+/**
+ * @typedef {Object} Beneficiary
+ * @property {string} id - Used as recipientId on distribution records
+ * @property {string} name - Head of household
+ * @property {string} normalizedName
+ * @property {string|null} dateOfBirth - YYYY-MM-DD
+ * @property {HouseholdMember[]} members - Everyone else in the household
+ * @property {string} phone
+ * @property {string} email
+ * @property {string} address
+ * @property {string|null} siteId - Assigned site, where they collect from
+ * @property {string} dietaryNotes - Dietary needs and allergies
+ * @property {BeneficiaryConsent} consent
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} createdBy - UID of the staff member who registered them
+ */
+
+export const normalizeName = (name) =>
+  (name || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Last nine digits, so '+44 7700 900123' and '07700 900123' match
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-9);
+
+// Everyone the entitlement is for: the head of household and the members
+export const householdSize = (beneficiary) => 1 + (beneficiary.members?.length || 0);
+
+// Recipient IDs for people registered at the counter rather than through the portal
+export const newRecipientId = () => `citizen-${crypto.randomUUID().slice(0, 8)}`;
+
+/**
+ * Why two registrations are probably the same household, or null.
+ *
+ * @param {Partial<Beneficiary>} a
+ * @param {Partial<Beneficiary>} b
+ * @returns {string|null}
+ */
+export const duplicateReason = (a, b) => {
+  const phone = normalizePhone(a.phone);
+  if (phone.length >= 7 && phone === normalizePhone(b.phone)) return 'same phone number';
+  if (a.email && a.email.trim().toLowerCase() === (b.email || '').trim().toLowerCase()) return 'same email';
+
+  const name = a.normalizedName || normalizeName(a.name);
+  if (!name || name !== (b.normalizedName || normalizeName(b.name))) return null;
+  if (a.dateOfBirth && a.dateOfBirth === b.dateOfBirth) return 'same name and date of birth';
+  if (a.address && normalizeName(a.address) === normalizeName(b.address)) return 'same name and address';
+  return null;
+};
+
+/**
+ * Registrations that may be duplicates of `draft`, for the warning shown
+ * while registering someone. Unlike findLikelyDuplicates() this also lists
+ * namesakes, since the person at the counter can simply ask.
+ *
+ * @param {Partial<Beneficiary>} draft
+ * @param {Beneficiary[]} beneficiaries
+ * @returns {{ beneficiary: Beneficiary, reason: string }[]}
+ */
+export const findDuplicatesOf = (draft, beneficiaries) =>
+  beneficiaries
+    .filter(b => b.id !== draft.id)
+    .map(beneficiary => ({
+      beneficiary,
+      reason: duplicateReason(draft, beneficiary)
+        || (normalizeName(draft.name) && normalizeName(draft.name) === (beneficiary.normalizedName || normalizeName(beneficiary.name)) ? 'same name' : null),
+    }))
+    .filter(match => match.reason);
+
+/**
+ * Likely duplicates of every registration, keyed by beneficiary id.
+ *
+ * @param {Beneficiary[]} beneficiaries
+ * @returns {Object<string, { id: string, name: string, reason: string }[]>}
+ */
+export const findLikelyDuplicates = (beneficiaries) => {
+  const result = {};
+  beneficiaries.forEach((a, i) => {
+    beneficiaries.slice(i + 1).forEach(b => {
+      const reason = duplicateReason(a, b);
+      if (!reason) return;
+      (result[a.id] = result[a.id] || []).push({ id: b.id, name: b.name, reason });
+      (result[b.id] = result[b.id] || []).push({ id: a.id, name: a.name, reason });
+    });
+  });
+  return result;
+};
+
+/**
+ * Registrations matching a search by name (theirs or a household member's),
+ * phone number or recipient ID.
+ *
+ * @param {Beneficiary[]} beneficiaries
+ * @param {string} query
+ * @param {number} [limit]
+ */
+export const searchBeneficiaries = (beneficiaries, query, limit = 8) => {
+  const text = normalizeName(query);
+  const digits = (query || '').replace(/\D/g, '');
+  if (!text) return [];
+  return beneficiaries.filter(b =>
+    b.id.toLowerCase().includes(query.trim().toLowerCase())
+    || (b.normalizedName || normalizeName(b.name)).includes(text)
+    || (b.members || []).some(m => normalizeName(m.name).includes(text))
+    || (digits.length >= 4 && (b.phone || '').replace(/\D/g, '').includes(digits))
+  ).slice(0, limit);
+};
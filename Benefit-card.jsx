@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+import { PASS_LIFETIME_MINUTES, PASS_REFRESH_MARGIN_MS } from './functions/Benefit-passes';
+
+// --- Citizen: one QR code per pending distribution, replaced shortly before it expires ---
+const PassCode = ({ repo, record }) => {
+    const [pass, setPass] = useState(null);
+    const [error, setError] = useState(null);
+    // Record snapshots arrive often; only a different record needs a new code
+    const recordRef = useRef(record);
+    recordRef.current = record;
+    const recordId = record.id;
+
+    useEffect(() => {
+        let cancelled = false;
+        let timer = null;
+
+        const issue = async () => {
+            try {
+                const { code, expiresAt } = await repo.issuePass(recordRef.current);
+                const image = await QRCode.toDataURL(code, { margin: 1, width: 220 });
+                if (cancelled) return;
+                setPass({ image, expiresAt });
+                setError(null);
+                timer = setTimeout(issue, Math.max(expiresAt.getTime() - Date.now() - PASS_REFRESH_MARGIN_MS, 5000));
+            } catch (e) {
+                console.error("Error issuing benefit pass: ", e);
+                if (!cancelled) setError("Could not create your pickup code. Please reload the page.");
+            }
+        };
+        issue();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [repo, recordId]);
+
+    return (
+        <div className="p-4 bg-white border rounded-lg text-center">
+            <p className="font-semibold text-gray-800">{record.quantity} × {record.foodItem}</p>
+            <p className="text-xs text-gray-500 mb-2">{record.location}</p>
+            {pass && <img src={pass.image} alt={`Pickup code for ${record.foodItem}`} className="mx-auto w-44 h-44" />}
+            {pass && <p className="text-xs text-gray-500 mt-1">Valid until {pass.expiresAt.toLocaleTimeString()}</p>}
+            {!pass && !error && <p className="text-sm text-gray-400 py-16">Preparing code...</p>}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+export const BenefitPasses = ({ repo, records }) => {
+    const pending = records.filter(r => r.status === 'Pending');
+    if (!repo || !pending.length) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-xl font-bold text-gray-800 mb-1">Pickup Codes</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                Show a code at the counter to collect that distribution. Each code works once and for {PASS_LIFETIME_MINUTES} minutes; a new one appears automatically.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                {pending.map(record => <PassCode key={record.id} repo={repo} record={record} />)}
+            </div>
+        </div>
+    );
+};
+
+// --- Staff: scan a code with the camera (or type it) and complete the distribution ---
+const RESULT_STYLES = {
+    ok: 'bg-green-50 border-green-500 text-green-800',
+    error: 'bg-red-50 border-red-500 text-red-700',
+};
+
+export const PassScanner = ({ repo, userId }) => {
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const [isScanning, setIsScanning] = useState(false);
+    const [typed, setTyped] = useState('');
+    // Outcome of the last code: { kind: 'ok'|'error', message }
+    const [result, setResult] = useState(null);
+    const [isChecking, setIsChecking] = useState(false);
+    // The camera sees the same code many times a second; only the first read counts
+    const lastCode = useRef(null);
+
+    const redeem = useCallback(async (code) => {
+        setIsChecking(true);
+        try {
+            const record = await repo.redeemPass(code, { actor: userId });
+            setResult({ kind: 'ok', message: `Completed: ${record.quantity} × ${record.foodItem} for ${record.recipientId}. Hand over the goods.` });
+        } catch (e) {
+            console.error("Pickup code refused: ", e);
+            setResult({ kind: 'error', message: e.message });
+        } finally {
+            setIsChecking(false);
+        }
+    }, [repo, userId]);
+
+    useEffect(() => {
+        if (!isScanning) return;
+        let stream = null;
+        let timer = null;
+
+        const scanFrame = () => {
+            const video = videoRef.current;
+            const canvas = canvasRef.current;
+            if (video && canvas && video.readyState === video.HAVE_ENOUGH_DATA) {
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                const context = canvas.getContext('2d');
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+                const found = jsQR(context.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height);
+                if (found && found.data !== lastCode.current) {
+                    lastCode.current = found.data;
+                    redeem(found.data);
+                }
+            }
+            timer = setTimeout(scanFrame, 250);
+        };
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+            .then((media) => {
+                stream = media;
+                videoRef.current.srcObject = media;
+                videoRef.current.play();
+                scanFrame();
+            })
+            .catch((e) => {
+                console.error("Camera unavailable: ", e);
+                setResult({ kind: 'error', message: 'The camera could not be opened. Type the code below instead.' });
+                setIsScanning(false);
+            });
+
+        return () => {
+            clearTimeout(timer);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, [isScanning, redeem]);
+
+    const handleTyped = (e) => {
+        e.preventDefault();
+        lastCode.current = typed.trim();
+        redeem(typed.trim());
+        setTyped('');
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg mt-8">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-bold text-indigo-700">Pickup Scanner</h2>
+                <button
+                    onClick={() => setIsScanning(!isScanning)}
+                    className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-full hover:bg-indigo-700"
+                >
+                    {isScanning ? 'Stop Camera' : 'Start Camera'}
+                </button>
+            </div>
+            {isScanning && <video ref={videoRef} muted playsInline className="w-full max-w-sm mx-auto rounded-lg bg-black" />}
+            <canvas ref={canvasRef} className="hidden" />
+
+            <form onSubmit={handleTyped} className="mt-4 flex gap-2">
+                <input
+                    type="text"
+                    value={typed}
+                    onChange={(e) => setTyped(e.target.value)}
+                    placeholder="Or paste / type the code (handheld scanners type it here)"
+                    className="flex-grow rounded-md border-gray-300 p-2 border text-sm"
+                />
+                <button type="submit" disabled={!typed.trim() || isChecking} className="px-4 py-2 text-sm font-medium text-white bg-teal-600 rounded-md hover:bg-teal-700 disabled:opacity-50">
+                    Check
+                </button>
+            </form>
+
+            {isChecking && <p className="mt-3 text-sm text-gray-500">Checking code...</p>}
+            {result && !isChecking && (
+                <p className={`mt-3 p-3 border-l-4 rounded text-sm ${RESULT_STYLES[result.kind]}`}>{result.message}</p>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { OUTBOX_STATE } from './Outbox';
+
+const EMPTY_STATE = { entries: [], isOnline: true, isSyncing: false };
+
+/**
+ * Live state of the counter outbox: queued and conflicting writes, and
+ * whether the device is online.
+ *
+ * @param {ReturnType<import('./Outbox').createOutbox>|null} outbox
+ * @returns {import('./Outbox').OutboxState}
+ */
+export const useOutbox = (outbox) => {
+    const [state, setState] = useState(EMPTY_STATE);
+
+    useEffect(() => {
+        if (!outbox) return;
+        return outbox.subscribe(setState);
+    }, [outbox]);
+
+    return state;
+};
+
+// --- Staff: connection, writes waiting to sync, and conflicts to review ---
+export const OutboxStatus = ({ outbox }) => {
+    const { entries, isOnline, isSyncing } = useOutbox(outbox);
+    const [busyId, setBusyId] = useState(null);
+
+    const queued = entries.filter(e => e.state === OUTBOX_STATE.queued);
+    const conflicts = entries.filter(e => e.state === OUTBOX_STATE.conflict);
+
+    const run = async (id, action) => {
+        setBusyId(id);
+        try {
+            await action();
+        } catch (e) {
+            console.error("Error resolving queued write: ", e);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    if (!outbox) return null;
+
+    return (
+        <div className={`mb-6 p-3 rounded-lg text-sm border-l-4 ${!isOnline ? 'bg-yellow-50 border-yellow-500' : conflicts.length ? 'bg-red-50 border-red-500' : 'bg-white border-green-500 shadow-sm'}`}>
+            <div className="flex flex-wrap items-center gap-3">
+                <span className="flex items-center font-semibold text-gray-800">
+                    <span className={`inline-block w-2.5 h-2.5 rounded-full mr-2 ${isOnline ? 'bg-green-500' : 'bg-yellow-500'}`}></span>
+                    {isOnline ? 'Online' : 'Offline: completions and stock changes are saved on this device'}
+                </span>
+                <span className="text-gray-600">
+                    {isSyncing ? 'Syncing...' : queued.length ? `${queued.length} ${queued.length === 1 ? 'write' : 'writes'} waiting to sync` : 'All changes synced'}
+                </span>
+                {isOnline && queued.length > 0 && !isSyncing && (
+                    <button onClick={() => outbox.replay()} className="px-3 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-full hover:bg-indigo-100">
+                        Sync now
+                    </button>
+                )}
+            </div>
+
+            {queued.length > 0 && (
+                <ul className="mt-2 text-xs text-gray-500 list-disc list-inside">
+                    {queued.map(entry => <li key={entry.id}>{entry.label} <span className="text-gray-400">· queued {new Date(entry.queuedAt).toLocaleTimeString()}</span></li>)}
+                </ul>
+            )}
+
+            {conflicts.length > 0 && (
+                <div className="mt-3">
+                    <p className="font-semibold text-red-700">Needs review: these changes were refused when they synced</p>
+                    {conflicts.map(entry => (
+                        <div key={entry.id} className="mt-2 p-2 bg-white rounded-md border border-red-200 flex flex-wrap justify-between items-center gap-2">
+                            <div>
+                                <p className="font-medium text-gray-800">{entry.label}</p>
+                                <p className="text-xs text-red-600">{entry.problem}</p>
+                                <p className="text-xs text-gray-400">Made {new Date(entry.queuedAt).toLocaleString()}</p>
+                            </div>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => run(entry.id, () => outbox.retry(entry.id))}
+                                    disabled={busyId !== null || !isOnline}
+                                    className="px-3 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-md hover:bg-indigo-100 disabled:opacity-50"
+                                >
+                                    Try Again
+                                </button>
+                                <button
+                                    onClick={() => run(entry.id, () => outbox.discard(entry.id))}
+                                    disabled={busyId !== null}
+                                    className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                                >
+                                    Discard
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
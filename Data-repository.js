@@ -0,0 +1,1763 @@
+import { planTransition, linesOf, overallStatus } from './Request-lifecycle';
+import { MOVEMENT_TYPES, assertMovement, reconcile, sortMovements } from './Stock-ledger';
+import { ORG_STATUS, normalizeOrgName, orgSlug } from './Organizations';
+import { newReferenceCode, trackingId } from './Reference-codes';
+import { lotsOf, lotFields, allocateFefo, takeFromLot, addToLots, returnToLots, receiveIntoLots, LOW_STOCK_THRESHOLD } from './Inventory-lots';
+import { REQUEST_LIMITS, validateRequest } from './Request-validation';
+import { PROGRAMS, assertEligibility, allowancesOf, entitlementProblem, entitlementSummary, periodBounds, usageIdOf, usageProblem, usedByItem } from './Entitlements';
+import { normalizeName, newRecipientId } from './Beneficiaries';
+import { DEFAULT_SITE_ID, siteOf, siteSlug, siteName, assertSite } from './Sites';
+import { TRANSFER_STATUS, assertTransfer, receiptDiscrepancy } from './Transfers';
+import { BOOKING_STATUS, MAX_BOOKED_RECORDS, planSlots, hasStarted, freePlaces, isActiveBooking } from './Pickup-slots';
+import { newPass, isReusable, signPass, parsePass, verifyPass } from './functions/Benefit-passes';
+import { IMPORT_TARGETS, chunkRows } from './Imports';
+import { REPORT_TYPES, buildReport } from './Reports';
+import { MAX_BATCH_WRITES, MAX_BATCH_LOOKUPS } from './Storage-adapters';
+
+// Collection names; where they live is up to the storage adapter.
+// This is the only place that knows the collection layout.
+export const COLLECTIONS = {
+  inventory: 'inventory',
+  requests: 'requests',
+  records: 'distribution_records',
+  users: 'users',
+  movements: 'inventory_movements',
+  organizations: 'organizations',
+  organizationNames: 'organization_names',
+  tracking: 'request_tracking',
+  submissionLimits: 'submission_limits',
+  eligibility: 'eligibility',
+  beneficiaries: 'beneficiaries',
+  sites: 'sites',
+  transfers: 'stock_transfers',
+  pickupSlots: 'pickup_slots',
+  pickupBookings: 'pickup_bookings',
+  passes: 'benefit_passes',
+  catalog: 'catalog',
+  usage: 'entitlement_usage',
+};
+
+/**
+ * @typedef {Object} InventoryItem
+ * @property {string} id
+ * @property {string} item - Display name, e.g. 'Canned Beans'
+ * @property {number} quantity - Total of all lots
+ * @property {string} unit - e.g. 'cases', 'crates'
+ * @property {string|null} expiration - YYYY-MM-DD, earliest lot expiration
+ * @property {import('./Inventory-lots').Lot[]} [lots] - Missing on items stored before lots existed
+ * @property {number} [maxPerRequest] - Most one request line may ask for; REQUEST_LIMITS.defaultMaxPerRequest when missing
+ * @property {string} [siteId] - Site the stock is kept at; DEFAULT_SITE_ID when missing
+ * @property {string} lastUpdated - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} DistributionRequest
+ * @property {string} id
+ * @property {string} organization - Name as typed on the form
+ * @property {string} [organizationId] - Registry entry; missing on requests made before the registry, see orgSlug()
+ * @property {RequestLine[]} [lines] - Missing on single-item requests made before line items; see linesOf()
+ * @property {string} [contactEmail]
+ * @property {'Pending'|'Approved'|'Rejected'|'Cancelled'|'PartiallyShipped'|'Shipped'|'Delivered'} status - Derived from the lines, see overallStatus()
+ * @property {string} requestedDate - YYYY-MM-DD
+ * @property {string|null} [processedBy]
+ * @property {StockLogEntry[]} [stockLog] - Every shipment and return, so shipped minus returned always balances
+ * @property {string} [referenceCode] - Given to the organization on submission, e.g. FD-7K3M-Q9XP
+ * @property {string|null} [trackingId] - Public tracking document, see Reference-codes.js
+ * @property {StatusChange[]} [history]
+ * @property {Fulfilment} [fulfilment] - Expected pickup or delivery, set by staff
+ */
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {string} at - ISO timestamp
+ * @property {string} status - Overall request status after the change
+ * @property {string} action - 'submit', 'schedule' or a lifecycle action
+ * @property {string} [item] - The line's item, for line actions
+ * @property {string|null} [note]
+ */
+
+/**
+ * @typedef {Object} Fulfilment
+ * @property {'pickup'|'delivery'} method
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} location - Pickup site or delivery address
+ * @property {string} [notes]
+ */
+
+/**
+ * What an organization sees on the public status page. Kept next to the
+ * request and rewritten with it; holds no contact details or stock data.
+ *
+ * @typedef {Object} RequestTracking
+ * @property {string} requestId
+ * @property {string} referenceCode
+ * @property {string} organization
+ * @property {string} status
+ * @property {string} requestedDate
+ * @property {{ item: string, amount: number, shippedAmount: number, status: string, rejectionReason: string|null }[]} lines
+ * @property {StatusChange[]} history
+ * @property {Fulfilment|null} fulfilment
+ * @property {string} updatedAt - ISO timestamp
+ */
+
+/**
+ * One item of a request. Each line moves through the request lifecycle on
+ * its own.
+ *
+ * @typedef {Object} RequestLine
+ * @property {string} id
+ * @property {string|null} itemId - Inventory document requested; null on requests made before the live catalog
+ * @property {string} item - Item name at the time of the request, for display
+ * @property {number} amount
+ * @property {'Pending'|'Approved'|'Rejected'|'Cancelled'|'PartiallyShipped'|'Shipped'|'Delivered'} status
+ * @property {string|null} [processedBy]
+ * @property {number} [shippedAmount] - Units shipped so far and not returned
+ * @property {string} [shippedFromItemId] - Inventory document the shipped units came from
+ * @property {import('./Inventory-lots').LotAllocation[]} [shippedLots] - Lots the shipped units were taken from
+ * @property {string} [rejectionReason]
+ */
+
+/**
+ * @typedef {Object} StockLogEntry
+ * @property {'shipment'|'return'} type
+ * @property {number} quantity
+ * @property {string} itemId
+ * @property {string} [lineId] - Request line the stock moved for
+ * @property {import('./Inventory-lots').LotAllocation[]} [lots]
+ * @property {string} action - The lifecycle action that moved the stock
+ * @property {string} at - ISO timestamp
+ */
+
+/**
+ * What the public request form may see of a catalog item: no counts, only a
+ * hint of availability across all sites. Stored in the catalog collection,
+ * one document per item name, and kept in step with inventory by every
+ * write that changes stock; only staff may read inventory itself.
+ *
+ * @typedef {Object} CatalogEntry
+ * @property {string} id - Id of one inventory document of the item, stored on requests as itemId
+ * @property {string} item
+ * @property {string} unit
+ * @property {'available'|'limited'|'unavailable'} availability
+ * @property {number|null} maxPerRequest
+ */
+
+/**
+ * @typedef {Object} DistributionRecord
+ * @property {string} id
+ * @property {string} recipientId
+ * @property {string} foodItem
+ * @property {number} quantity
+ * @property {string} location - Site name as shown
+ * @property {string} [siteId] - Missing on records from before sites existed
+ * @property {'Pending'|'Completed'} status
+ * @property {Date} timestamp
+ * @property {string} [completedAt] - ISO timestamp of the pickup; missing on records completed before it was kept
+ * @property {string} [usageId] - The usage counter it was added to (see EntitlementUsage in Entitlements.js); missing on records from before counters
+ */
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {string} id - The user's auth UID
+ * @property {string} role - One of ROLES in Role-names.js
+ * @property {string} [updatedAt] - ISO timestamp
+ */
+
+// Firestore Timestamps, Dates, ISO strings and epoch millis all become JS Dates
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const toRecords = (docs) => {
+  const records = docs.map(r => ({ ...r, timestamp: toDate(r.timestamp) }));
+  // Sort in memory (newest first)
+  records.sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime());
+  return records;
+};
+
+// Shown next to catalog items on the request form
+export const AVAILABILITY_LABELS = {
+  available: 'In stock',
+  limited: 'Limited stock',
+  unavailable: 'Currently out of stock',
+};
+
+// Splits new records into rounds holding at most one record per recipient and item, because
+// one write may add only one record per item to a usage counter (see EntitlementUsage)
+const usageRounds = (items, recordOf = (item) => item) => {
+  const rounds = [];
+  const seen = new Map();
+  items.forEach((item) => {
+    const { recipientId, foodItem } = recordOf(item);
+    const key = `${recipientId}/${foodItem}`;
+    const round = seen.get(key) || 0;
+    seen.set(key, round + 1);
+    rounds[round] = [...(rounds[round] || []), item];
+  });
+  return rounds;
+};
+
+/** @returns {RequestTracking} */
+const toTracking = (request) => ({
+  requestId: request.id,
+  referenceCode: request.referenceCode,
+  organization: request.organization,
+  status: request.status,
+  requestedDate: request.requestedDate,
+  lines: linesOf(request).map(({ item, amount, shippedAmount = 0, status, rejectionReason = null }) =>
+    ({ item, amount, shippedAmount, status, rejectionReason })),
+  history: request.history || [],
+  fulfilment: request.fulfilment || null,
+  updatedAt: new Date().toISOString(),
+});
+
+/** @returns {CatalogEntry} */
+const toCatalogEntry = ({ id, item, unit, quantity, maxPerRequest = null }) => ({
+  id,
+  item,
+  unit,
+  availability: quantity <= 0 ? 'unavailable' : quantity < LOW_STOCK_THRESHOLD ? 'limited' : 'available',
+  maxPerRequest,
+});
+
+// One entry per item name, with the stock of every site added up. The entry
+// takes the id of the item's first document, so it stays the same as sites
+// add or empty theirs.
+const toCatalog = (items) => {
+  const byName = new Map();
+  [...items].sort((a, b) => a.id.localeCompare(b.id)).forEach(i => {
+    const key = i.item.trim().toLowerCase();
+    const entry = byName.get(key);
+    byName.set(key, entry ? { ...entry, quantity: entry.quantity + i.quantity } : i);
+  });
+  return [...byName.values()].map(toCatalogEntry).sort((a, b) => a.item.localeCompare(b.item));
+};
+
+// Catalog documents are keyed by the item name toCatalog() groups by
+const catalogKey = (name) => encodeURIComponent(name.trim().toLowerCase());
+
+// The stored catalog document of one item name, from that item's stock at every site.
+// itemIds lets a transaction find the other sites' stock, since it cannot query.
+const toCatalogDoc = (stocks) => {
+  const [{ id, ...entry }] = toCatalog(stocks);
+  return { itemId: id, ...entry, itemIds: stocks.map(s => s.id).sort() };
+};
+
+// Catalog writes for the given stock, one per item name; every site's stock of a name must be included
+const catalogWrites = (items) => {
+  const byKey = new Map();
+  items.forEach(i => byKey.set(catalogKey(i.item), [...(byKey.get(catalogKey(i.item)) || []), i]));
+  return [...byKey.entries()].map(([key, stocks]) => ({ op: 'set', name: COLLECTIONS.catalog, id: key, data: toCatalogDoc(stocks) }));
+};
+
+/** @returns {CatalogEntry} */
+const fromCatalogDoc = ({ itemId, item, unit, availability, maxPerRequest }) => ({ id: itemId, item, unit, availability, maxPerRequest });
+
+const isSameCatalogDoc = (stored, next) =>
+  Boolean(stored) && Object.keys(next).every(field => JSON.stringify(stored[field]) === JSON.stringify(next[field]));
+
+// Rejected submissions carry the per-field messages for the form, see validateRequest()
+const invalidRequestError = (fieldErrors) =>
+  Object.assign(new Error('Please correct the highlighted fields.'), { code: 'invalid', fieldErrors });
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(new Date(value).getTime());
+
+// Throws a user-facing message for anything a goods receipt must not book
+const checkReceipt = ({ itemId, newItem, quantity, lot }) => {
+  if (!itemId && !newItem) throw new Error('Choose an item or add a new one.');
+  if (newItem && (!newItem.item?.trim() || !newItem.unit?.trim())) {
+    throw new Error('A new item needs a name and a unit.');
+  }
+  if (newItem?.maxPerRequest != null && (!Number.isInteger(newItem.maxPerRequest) || newItem.maxPerRequest <= 0)) {
+    throw new Error('Enter the most one request may ask for as a whole number, or leave it empty.');
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) throw new Error('Enter a whole number of units received.');
+  if (!lot.supplier?.trim()) throw new Error('Enter the donor or supplier.');
+  if (!isIsoDate(lot.receivedDate)) throw new Error('Enter the date the goods were received.');
+  if (lot.expiration && !isIsoDate(lot.expiration)) throw new Error('Enter the expiration as a date.');
+  if (lot.expiration && lot.expiration < lot.receivedDate) throw new Error('These goods were already expired when received and cannot be booked.');
+  if (!lot.condition?.packagingIntact || !lot.condition?.temperatureOk) {
+    throw new Error('Goods that fail the condition check cannot be received. Return them to the supplier or record them as spoilage.');
+  }
+};
+
+/**
+ * Issues and checks signed pickup codes. With Firestore these are the
+ * issuePass and checkPass Cloud Functions (functions/index.js), which hold
+ * the signing key and write the passes.
+ *
+ * @typedef {Object} PassService
+ * @property {(recordId: string) => Promise<{ code: string, expiresAt: number }>} issue
+ * @property {(code: string) => Promise<boolean>} check - Whether the signature is genuine
+ */
+
+/**
+ * A PassService that signs in the browser, for offline mode and tests. The key
+ * sits on the same device as the codes, so it proves nothing there.
+ *
+ * @param {import('./Storage-adapters').StorageAdapter} store
+ * @param {string} key
+ * @returns {PassService}
+ */
+export const createLocalPassService = (store, key) => ({
+  issue: async (recordId) => {
+    // Same steps as issuePass in functions/index.js
+    const pass = await store.transaction(async (tx) => {
+      const record = await tx.get(COLLECTIONS.records, recordId);
+      const current = await tx.get(COLLECTIONS.passes, recordId);
+      if (!record || record.status !== 'Pending') throw new Error('Only pending distributions can be collected.');
+      if (isReusable(current)) return current;
+
+      const fresh = newPass(record);
+      tx.set(COLLECTIONS.passes, recordId, fresh);
+      return fresh;
+    });
+    return { code: await signPass(pass, key), expiresAt: pass.expiresAt };
+  },
+  check: async (code) => {
+    const parsed = parsePass(code);
+    return Boolean(parsed) && verifyPass(parsed, key);
+  },
+});
+
+/**
+ * Creates the data-access layer on top of a storage adapter. Screens call
+ * these functions instead of a database SDK so the collection layout and the
+ * backend can change in one place.
+ *
+ * @param {import('./Storage-adapters').StorageAdapter} store
+ * @param {{ passes?: PassService }} [services] - Without passes, pickup codes are unavailable
+ */
+export const createRepository = (store, { passes = null } = {}) => {
+  // Ledger entry for a quantity change written in the same transaction or commit
+  const newMovement = (stock, type, quantity, balanceAfter, { actor = null, reason = null, requestId = null, transferId = null, lots = null } = {}) => ({
+    itemId: stock.id,
+    item: stock.item,
+    siteId: siteOf(stock),
+    type,
+    quantity,
+    balanceAfter,
+    actor,
+    reason,
+    requestId,
+    transferId,
+    lots,
+    at: new Date().toISOString(),
+  });
+
+  // --- Catalog ---
+
+  /**
+   * Reads, inside a transaction, the catalog documents of the given item
+   * names and the stock of every site they cover. Transactions read before
+   * they write, so call this before the first write; the returned function
+   * takes the stock documents the transaction writes, as written, and
+   * updates the catalog documents whose availability changed.
+   *
+   * @param {import('./Storage-adapters').Transaction} tx
+   * @param {string[]} names
+   * @returns {Promise<(written: InventoryItem[]) => void>}
+   */
+  const readCatalogDocs = async (tx, names) => {
+    const groups = new Map();
+    for (const key of new Set(names.map(catalogKey))) {
+      const stored = await tx.get(COLLECTIONS.catalog, key);
+      const stocks = [];
+      for (const id of stored?.itemIds || []) {
+        const stock = await tx.get(COLLECTIONS.inventory, id);
+        if (stock) stocks.push(stock);
+      }
+      groups.set(key, { stored, stocks });
+    }
+
+    return (written) => groups.forEach(({ stored, stocks }, key) => {
+      const changed = written.filter(w => catalogKey(w.item) === key);
+      const next = toCatalogDoc([...stocks.filter(s => !changed.some(c => c.id === s.id)), ...changed]);
+      if (!isSameCatalogDoc(stored, next)) tx.set(COLLECTIONS.catalog, key, next);
+    });
+  };
+
+  /**
+   * Rebuilds every catalog document from the inventory, writing only those
+   * that differ. Run after bulk writes (imports), and by the dashboard to
+   * fill the catalog for stock stored before it existed. Staff only.
+   *
+   * @returns {Promise<number>} how many catalog documents were written
+   */
+  const refreshCatalog = async () => {
+    const [items, stored] = await Promise.all([store.list(COLLECTIONS.inventory), store.list(COLLECTIONS.catalog)]);
+    const writes = catalogWrites(items).filter(w => !isSameCatalogDoc(stored.find(c => c.id === w.id), w.data));
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+      await store.commit(writes.slice(i, i + MAX_BATCH_WRITES));
+    }
+    return writes.length;
+  };
+
+  // --- Inventory ---
+
+  /** @returns {Promise<InventoryItem[]>} */
+  const listInventory = () => store.list(COLLECTIONS.inventory);
+
+  /**
+   * @param {(items: InventoryItem[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeInventory = (onData, onError) =>
+    store.subscribe(COLLECTIONS.inventory, {}, onData, onError);
+
+  /**
+   * The items organizations can request, sorted by name, from the catalog
+   * kept alongside the inventory the dashboard manages. Organizations
+   * request items, not sites; staff decide which site ships.
+   *
+   * @param {(entries: CatalogEntry[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeCatalog = (onData, onError) =>
+    store.subscribe(COLLECTIONS.catalog, {}, (docs) => onData(
+      docs.map(fromCatalogDoc).sort((a, b) => a.item.localeCompare(b.item)),
+    ), onError);
+
+  /**
+   * Adds (or with a negative delta, removes) units of an inventory item and
+   * records the movement in the ledger, in one transaction.
+   *
+   * Removals come out of `lotId` when given, otherwise first-expiring-first-out,
+   * expired lots included.
+   * Additions become a new lot when `lot` details are given (see addToLots).
+   *
+   * @param {string} itemId
+   * @param {number} delta
+   * @param {{ type?: string, reason?: string, actor?: string, lot?: Partial<import('./Inventory-lots').Lot>, lotId?: string }} [details] - type defaults to 'adjustment'
+   */
+  const adjustStock = async (itemId, delta, { type = MOVEMENT_TYPES.adjustment, reason = null, actor = null, lot, lotId } = {}) => {
+    assertMovement(type, delta);
+
+    return store.transaction(async (tx) => {
+      const stock = await tx.get(COLLECTIONS.inventory, itemId);
+      if (!stock) throw new Error('This inventory item no longer exists.');
+
+      const newQuantity = stock.quantity + delta;
+      if (newQuantity < 0) {
+        throw new Error(`Cannot remove ${-delta} units of ${stock.item}. Only ${stock.quantity} in stock.`);
+      }
+
+      const writeCatalog = await readCatalogDocs(tx, [stock.item]);
+
+      const lots = lotsOf(stock);
+      let change;
+      if (delta > 0) change = addToLots(lots, delta, { lot, lotId });
+      else if (lotId) change = takeFromLot(lots, lotId, -delta);
+      // A count correction or write-off may take expired units; they go first
+      else change = allocateFefo(lots, -delta, { includeExpired: true });
+
+      const fields = { ...lotFields(change.lots), lastUpdated: new Date().toISOString() };
+      tx.update(COLLECTIONS.inventory, itemId, fields);
+      tx.set(COLLECTIONS.movements, undefined, newMovement(stock, type, delta, newQuantity, { actor, reason, lots: change.allocations }));
+      writeCatalog([{ ...stock, ...fields }]);
+    });
+  };
+
+  /**
+   * Books a goods receipt as a new lot, creating the catalog item first when
+   * `newItem` is given. The receipt is validated, then the item and its
+   * ledger entry are written in one transaction.
+   *
+   * @param {Object} receipt
+   * @param {string} [receipt.itemId] - Existing item; omit it and pass newItem to create one
+   * @param {{ item: string, unit: string, maxPerRequest?: number|null }} [receipt.newItem]
+   * @param {string} [receipt.siteId] - Where a new item is stocked
+   * @param {number} receipt.quantity
+   * @param {{ expiration?: string, supplier: string, receivedDate: string, condition: import('./Inventory-lots').LotCondition }} receipt.lot
+   * @param {string} [receipt.actor]
+   * @returns {Promise<string>} id of the inventory item
+   */
+  const receiveStock = async ({ itemId, newItem, siteId = DEFAULT_SITE_ID, quantity, lot = {}, actor = null }) => {
+    checkReceipt({ itemId, newItem, quantity, lot });
+
+    if (newItem) {
+      const name = newItem.item.trim().toLowerCase();
+      const existing = await store.list(COLLECTIONS.inventory);
+      if (existing.some(i => siteOf(i) === siteId && i.item.trim().toLowerCase() === name)) {
+        throw new Error(`${newItem.item.trim()} is already stocked at this site. Select it from the list instead.`);
+      }
+    }
+
+    const id = newItem ? crypto.randomUUID() : itemId;
+    await store.transaction(async (tx) => {
+      const stock = newItem
+        ? { id, item: newItem.item.trim(), unit: newItem.unit.trim(), siteId, quantity: 0, lots: [] }
+        : await tx.get(COLLECTIONS.inventory, id);
+      if (!stock) throw new Error('This inventory item no longer exists.');
+      const writeCatalog = await readCatalogDocs(tx, [stock.item]);
+
+      const { lots, allocations } = addToLots(lotsOf(stock), quantity, {
+        lot: { ...lot, supplier: lot.supplier.trim(), expiration: lot.expiration || null },
+      });
+      const fields = { ...lotFields(lots), lastUpdated: new Date().toISOString() };
+
+      const created = newItem && {
+        item: stock.item,
+        unit: stock.unit,
+        siteId,
+        ...(newItem.maxPerRequest ? { maxPerRequest: newItem.maxPerRequest } : {}),
+        ...fields,
+      };
+      if (newItem) tx.set(COLLECTIONS.inventory, id, created);
+      else tx.update(COLLECTIONS.inventory, id, fields);
+      tx.set(COLLECTIONS.movements, undefined, newMovement(stock, MOVEMENT_TYPES.receipt, quantity, fields.quantity, {
+        actor, reason: `Received from ${lot.supplier.trim()}`, lots: allocations,
+      }));
+      writeCatalog([newItem ? { id, ...created } : { ...stock, ...fields }]);
+    });
+    return id;
+  };
+
+  // --- Stock ledger ---
+
+  /**
+   * Movements of one item, newest first.
+   * @param {string} itemId
+   * @returns {Promise<import('./Stock-ledger').InventoryMovement[]>}
+   */
+  const listMovements = async (itemId) => sortMovements(await store.list(COLLECTIONS.movements, { itemId }));
+
+  /**
+   * @param {string} itemId
+   * @param {(movements: import('./Stock-ledger').InventoryMovement[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeMovements = (itemId, onData, onError) =>
+    store.subscribe(COLLECTIONS.movements, { itemId }, (docs) => onData(sortMovements(docs)), onError);
+
+  /**
+   * Every movement of every item, newest first, for trends across the stock.
+   *
+   * @param {(movements: import('./Stock-ledger').InventoryMovement[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeLedger = (onData, onError) =>
+    store.subscribe(COLLECTIONS.movements, {}, (docs) => onData(sortMovements(docs)), onError);
+
+  /**
+   * Brings an item's ledger in line with its stored quantity by posting the
+   * difference as an adjustment. Used for stock recorded before the ledger
+   * existed; the stored quantity itself is not changed.
+   *
+   * @param {string} itemId
+   * @param {{ actor?: string }} [details]
+   * @returns {Promise<number>} the drift that was posted (0 when already balanced)
+   */
+  const reconcileItem = async (itemId, { actor = null } = {}) => {
+    const [item, movements] = await Promise.all([store.get(COLLECTIONS.inventory, itemId), listMovements(itemId)]);
+    if (!item) throw new Error('This inventory item no longer exists.');
+
+    const { drift } = reconcile(item, movements);
+    if (drift === 0) return 0;
+
+    await store.commit([{
+      op: 'set',
+      name: COLLECTIONS.movements,
+      data: newMovement(item, MOVEMENT_TYPES.adjustment, drift, item.quantity, {
+        actor,
+        reason: 'Reconciliation with stored quantity',
+      }),
+    }]);
+    return drift;
+  };
+
+  // --- Requests ---
+
+  /**
+   * @param {(requests: DistributionRequest[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeRequests = (onData, onError) =>
+    store.subscribe(COLLECTIONS.requests, {}, onData, onError);
+
+  /**
+   * Stores a new request with a reference code, together with the public
+   * tracking document the organization can follow it on, in one write.
+   *
+   * The request is checked against the live catalog first; a rejected one
+   * throws with code 'invalid' and `fieldErrors`. An organization can send
+   * one request every REQUEST_LIMITS.minutesBetweenSubmissions minutes,
+   * otherwise this throws with code 'rate-limited'. firestore.rules enforce
+   * both again on the server.
+   *
+   * @param {Omit<DistributionRequest, 'id'|'referenceCode'|'trackingId'|'history'>} request
+   * @returns {Promise<{ id: string, referenceCode: string }>}
+   */
+  const submitRequest = async (request) => {
+    const catalog = (await store.list(COLLECTIONS.catalog)).map(fromCatalogDoc);
+    const fieldErrors = validateRequest({ ...request, lines: linesOf(request) }, catalog);
+    if (fieldErrors) throw invalidRequestError(fieldErrors);
+
+    if (request.organizationId) {
+      const limit = await store.get(COLLECTIONS.submissionLimits, request.organizationId);
+      const minutesSince = limit ? (Date.now() - toDate(limit.lastSubmittedAt).getTime()) / 60000 : Infinity;
+      const wait = Math.ceil(REQUEST_LIMITS.minutesBetweenSubmissions - minutesSince);
+      if (wait > 0) {
+        throw Object.assign(
+          new Error(`Your organization sent a request a few minutes ago. Please wait ${wait} more minute${wait === 1 ? '' : 's'} before sending another.`),
+          { code: 'rate-limited' },
+        );
+      }
+    }
+
+    const id = crypto.randomUUID();
+    const referenceCode = newReferenceCode();
+    const data = {
+      ...request,
+      referenceCode,
+      trackingId: request.contactEmail ? trackingId(referenceCode, request.contactEmail) : null,
+      history: [{ at: new Date().toISOString(), status: request.status, action: 'submit' }],
+    };
+
+    await store.commit([
+      { op: 'set', name: COLLECTIONS.requests, id, data },
+      ...(data.trackingId ? [{ op: 'set', name: COLLECTIONS.tracking, id: data.trackingId, data: toTracking({ id, ...data }) }] : []),
+      ...(request.organizationId ? [{ op: 'set', name: COLLECTIONS.submissionLimits, id: request.organizationId, data: { lastSubmittedAt: store.serverTime() } }] : []),
+    ]);
+    return { id, referenceCode };
+  };
+
+  /**
+   * Live status of a request for the public status page. onData gets null
+   * when the code and email do not match a request.
+   *
+   * @param {string} referenceCode - Normalized, see normalizeReferenceCode()
+   * @param {string} contactEmail
+   * @param {(tracking: RequestTracking|null) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const watchTracking = (referenceCode, contactEmail, onData, onError) =>
+    store.watch(COLLECTIONS.tracking, trackingId(referenceCode, contactEmail), onData, onError);
+
+  /**
+   * Records when and where the request will be picked up or delivered, and
+   * shows it on the public status page.
+   *
+   * @param {DistributionRequest} request
+   * @param {Fulfilment} fulfilment
+   */
+  const setFulfilment = (request, { method, date, location, notes = '' }) => {
+    if (!['pickup', 'delivery'].includes(method)) return Promise.reject(new Error('Choose pickup or delivery.'));
+    if (!isIsoDate(date)) return Promise.reject(new Error('Enter the pickup or delivery date.'));
+    if (!location?.trim()) return Promise.reject(new Error('Enter the pickup site or delivery address.'));
+
+    return store.transaction(async (tx) => {
+      const current = await tx.get(COLLECTIONS.requests, request.id);
+      if (!current) throw new Error('This request no longer exists.');
+
+      const fulfilment = { method, date, location: location.trim(), notes: notes.trim() };
+      const patch = {
+        fulfilment,
+        history: [...(current.history || []), {
+          at: new Date().toISOString(),
+          status: current.status,
+          action: 'schedule',
+          note: `${method === 'pickup' ? 'Pickup' : 'Delivery'} on ${date} at ${fulfilment.location}`,
+        }],
+      };
+      tx.update(COLLECTIONS.requests, current.id, patch);
+      if (current.trackingId) tx.set(COLLECTIONS.tracking, current.trackingId, toTracking({ ...current, ...patch }));
+    });
+  };
+
+  /**
+   * Applies a lifecycle action (see TRANSITIONS in Request-lifecycle.js) to
+   * one line of a request and recomputes the request's overall status.
+   * Transitions the machine does not allow are refused with an Error.
+   *
+   * Runs as a transaction over the stored request and inventory item rather
+   * than the copies on screen: if another user ships the same item at the
+   * same time, one of the two is retried against the new quantity, and stock
+   * can never be taken below zero. A conflict that outlasts the retries is
+   * thrown with code 'conflict'.
+   *
+   * Shipments take stock from the item's lots first-expiring-first-out.
+   * Reversing a shipment (reset, cancel, reject) adds the shipped units back
+   * to the inventory document and lots they were taken from, in the same write, and
+   * logs the return on the request. Both directions are also written to the
+   * stock ledger, linked to the request.
+   *
+   * @param {DistributionRequest} request
+   * @param {string} action - e.g. 'approve', 'ship'
+   * @param {{ role: string, lineId?: string, actor?: string, quantity?: number, reason?: string, inventoryItem?: InventoryItem }} context - lineId may be left out for single-line requests; inventoryItem is the stock to ship from, i.e. which site ships
+   */
+  const transitionRequest = (request, action, context) =>
+    store.transaction(async (tx) => {
+      const current = await tx.get(COLLECTIONS.requests, request.id);
+      if (!current) throw new Error('This request no longer exists.');
+
+      const lines = linesOf(current);
+      if (!context.lineId && lines.length > 1) throw new Error('Choose which line of the request to update.');
+      const line = context.lineId ? lines.find(l => l.id === context.lineId) : lines[0];
+      if (!line) throw new Error('This request line no longer exists.');
+
+      // Once something has shipped, stock moves only against that same item (and site)
+      const stockId = line.shippedFromItemId || context.inventoryItem?.id || line.itemId;
+      const stock = stockId ? await tx.get(COLLECTIONS.inventory, stockId) : null;
+      const writeCatalog = stock ? await readCatalogDocs(tx, [stock.item]) : null;
+
+      const { patch, shipQuantity, returnQuantity } = planTransition(line, action, context);
+      const now = new Date().toISOString();
+      const stockLog = [...(current.stockLog || [])];
+      const movement = { actor: context.actor, reason: `Request ${action}`, requestId: current.id };
+
+      if (shipQuantity) {
+        if (!stock) {
+          throw new Error(`Inventory item not found for ${line.item}. Cannot ship.`);
+        }
+        const newQuantity = stock.quantity - shipQuantity;
+        if (newQuantity < 0) {
+          throw new Error(`Insufficient stock to ship ${shipQuantity} units of ${line.item}. Only ${stock.quantity} available.`);
+        }
+        const { lots, allocations } = allocateFefo(lotsOf(stock), shipQuantity);
+        const fields = { ...lotFields(lots), lastUpdated: now };
+        tx.update(COLLECTIONS.inventory, stock.id, fields);
+        writeCatalog([{ ...stock, ...fields }]);
+        tx.set(COLLECTIONS.movements, undefined, newMovement(stock, MOVEMENT_TYPES.shipment, -shipQuantity, newQuantity, { ...movement, lots: allocations }));
+        stockLog.push({ type: 'shipment', quantity: shipQuantity, itemId: stock.id, lineId: line.id, lots: allocations, action, at: now });
+        patch.shippedFromItemId = stock.id;
+        patch.shippedLots = [...(line.shippedLots || []), ...allocations];
+      }
+
+      if (returnQuantity) {
+        if (!stock) {
+          throw new Error(`The inventory item ${line.item} was shipped from no longer exists. Cannot return stock.`);
+        }
+        // Shipments from before lots existed did not record where they came from
+        const returned = line.shippedLots?.length
+          ? { lots: returnToLots(lotsOf(stock), line.shippedLots), allocations: line.shippedLots }
+          : addToLots(lotsOf(stock), returnQuantity);
+        const fields = { ...lotFields(returned.lots), lastUpdated: now };
+        tx.update(COLLECTIONS.inventory, stock.id, fields);
+        writeCatalog([{ ...stock, ...fields }]);
+        tx.set(COLLECTIONS.movements, undefined, newMovement(stock, MOVEMENT_TYPES.return, returnQuantity, stock.quantity + returnQuantity, { ...movement, lots: returned.allocations }));
+        stockLog.push({ type: 'return', quantity: returnQuantity, itemId: stock.id, lineId: line.id, lots: returned.allocations, action, at: now });
+        patch.shippedLots = [];
+      }
+
+      const nextLines = lines.map(l => (l.id === line.id ? { ...l, ...patch } : l));
+      const status = overallStatus(nextLines);
+      const requestPatch = {
+        lines: nextLines,
+        status,
+        processedBy: patch.processedBy,
+        history: [...(current.history || []), {
+          at: now,
+          status,
+          action,
+          item: line.item,
+          note: patch.rejectionReason || (shipQuantity ? `${shipQuantity} units shipped` : null),
+        }],
+      };
+      if (stockLog.length !== (current.stockLog || []).length) requestPatch.stockLog = stockLog;
+      tx.update(COLLECTIONS.requests, current.id, requestPatch);
+      // Keep the public status page in step with the request
+      if (current.trackingId) tx.set(COLLECTIONS.tracking, current.trackingId, toTracking({ ...current, ...requestPatch }));
+    });
+
+  // --- Distribution records ---
+
+  /**
+   * Subscribes to distribution records, newest first. Pass a recipientId to
+   * only receive that recipient's records.
+   *
+   * @param {{ recipientId?: string }} filter
+   * @param {(records: DistributionRecord[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeRecords = ({ recipientId } = {}, onData, onError) =>
+    store.subscribe(COLLECTIONS.records, { recipientId }, (docs) => onData(toRecords(docs)), onError);
+
+  // Throws with code 'entitlement' when a new record goes over what its recipient may still receive
+  const assertEntitled = async (newRecords) => {
+    const recipients = [...new Set(newRecords.map(r => r.recipientId))];
+    await Promise.all(recipients.map(async (recipientId) => {
+      const [eligibility, existing] = await Promise.all([
+        store.get(COLLECTIONS.eligibility, recipientId),
+        store.list(COLLECTIONS.records, { recipientId }),
+      ]);
+      // Records in the same batch count against each other
+      newRecords.filter(r => r.recipientId === recipientId).reduce((seen, record) => {
+        const problem = entitlementProblem(eligibility, seen, record);
+        if (problem) throw Object.assign(new Error(problem), { code: 'entitlement' });
+        return [...seen, record];
+      }, toRecords(existing));
+    }));
+  };
+
+  const recordsOf = async (recipientIds) =>
+    toRecords((await Promise.all(recipientIds.map(recipientId => store.list(COLLECTIONS.records, { recipientId })))).flat());
+
+  /**
+   * Reads the eligibilities and usage counters of new records through `read`
+   * and returns the records with their usageId, together with the writes
+   * that add them to the counters. Throws with code 'entitlement' when a
+   * record goes over what its recipient may still receive. A counter that
+   * does not exist yet starts from `existing`, the records stored before it.
+   *
+   * @param {(name: string, id: string) => Promise<Object|null>} read - A transaction's get
+   * @param {DistributionRecord[]} records - One round of usageRounds(), with ids
+   * @param {DistributionRecord[]} existing
+   * @returns {Promise<{ records: DistributionRecord[], writes: import('./Storage-adapters').Write[] }>}
+   */
+  const planUsage = async (read, records, existing) => {
+    const entitlementError = (problem) => Object.assign(new Error(problem), { code: 'entitlement' });
+    const recipientIds = [...new Set(records.map(r => r.recipientId))];
+    const eligibilities = new Map(await Promise.all(recipientIds.map(async id => [id, await read(COLLECTIONS.eligibility, id)])));
+
+    const planned = records.map((record) => {
+      const eligibility = eligibilities.get(record.recipientId);
+      if (!eligibility || !PROGRAMS[eligibility.program]) throw entitlementError(usageProblem(null, {}, record));
+      return { ...record, usageId: usageIdOf(record.recipientId, PROGRAMS[eligibility.program].period, toDate(record.timestamp)) };
+    });
+    const usageIds = [...new Set(planned.map(r => r.usageId))];
+    const stored = new Map(await Promise.all(usageIds.map(async id => [id, await read(COLLECTIONS.usage, id)])));
+
+    const usages = new Map();
+    planned.forEach((record) => {
+      const eligibility = eligibilities.get(record.recipientId);
+      const current = stored.get(record.usageId);
+      const { start, end } = periodBounds(PROGRAMS[eligibility.program].period, toDate(record.timestamp));
+      const usage = usages.get(record.usageId) || (current
+        ? { recipientId: current.recipientId, used: current.used, lastRecordIds: current.lastRecordIds }
+        : { recipientId: record.recipientId, used: usedByItem(existing.filter(r => r.recipientId === record.recipientId), start, end), lastRecordIds: {} });
+
+      const problem = usageProblem(eligibility, usage.used, record);
+      if (problem) throw entitlementError(problem);
+      usages.set(record.usageId, {
+        ...usage,
+        used: { ...usage.used, [record.foodItem]: (usage.used[record.foodItem] || 0) + record.quantity },
+        lastRecordIds: { ...usage.lastRecordIds, [record.foodItem]: record.id },
+      });
+    });
+
+    return {
+      records: planned,
+      writes: [
+        ...[...usages].map(([id, data]) => ({ op: 'set', name: COLLECTIONS.usage, id, data })),
+        // firestore.rules cap the counters with the allowances stored on the eligibility
+        ...[...eligibilities].filter(([, eligibility]) => !eligibility.allowances)
+          .map(([id, eligibility]) => ({ op: 'update', name: COLLECTIONS.eligibility, id, data: { allowances: allowancesOf(eligibility) } })),
+      ],
+    };
+  };
+
+  // Stores one round of new records (see usageRounds) and adds them to their usage counters
+  const writeRecords = (records, existing) =>
+    store.transaction(async (tx) => {
+      const planned = await planUsage(tx.get, records, existing);
+      planned.writes.forEach(({ op, name, id, data }) => (op === 'set' ? tx.set(name, id, data) : tx.update(name, id, data)));
+      planned.records.forEach(({ id, ...data }) => tx.set(COLLECTIONS.records, id, data));
+    });
+
+  /**
+   * Checked against the recipient's entitlement, see Entitlements.js. The
+   * record is added to its recipient's usage counter in the same
+   * transaction, so two staff members recording for the same recipient at
+   * once cannot both hand out the last of an allowance.
+   *
+   * @param {Omit<DistributionRecord, 'id'>} record
+   * @returns {Promise<string>} the new record's id
+   */
+  const addRecord = async (record) => {
+    const id = crypto.randomUUID();
+    await writeRecords([{ id, ...record }], await recordsOf([record.recipientId]));
+    return id;
+  };
+
+  /**
+   * Checked like addRecord(), all of them before any is written. Records of
+   * the same recipient and item are stored in separate transactions.
+   *
+   * @param {Omit<DistributionRecord, 'id'>[]} records
+   */
+  const addRecords = async (records) => {
+    await assertEntitled(records);
+    const existing = await recordsOf([...new Set(records.map(r => r.recipientId))]);
+    for (const round of usageRounds(records.map(record => ({ id: crypto.randomUUID(), ...record })))) {
+      await writeRecords(round, existing);
+    }
+  };
+
+  /**
+   * With `from`, the status only changes while the record still has that
+   * status; otherwise it throws with code 'stale'. A completion queued on an
+   * offline counter cannot then complete a record another device already
+   * completed (see Outbox.js).
+   *
+   * @param {string} recordId
+   * @param {DistributionRecord['status']} status
+   * @param {{ from?: DistributionRecord['status'] }} [options]
+   */
+  const updateRecordStatus = (recordId, status, { from } = {}) => {
+    const patch = status === 'Completed' ? { status, completedAt: new Date().toISOString() } : { status };
+    if (!from) return store.update(COLLECTIONS.records, recordId, patch);
+
+    return store.transaction(async (tx) => {
+      const record = await tx.get(COLLECTIONS.records, recordId);
+      if (!record) throw Object.assign(new Error('This distribution record no longer exists.'), { code: 'stale' });
+      if (record.status !== from) {
+        throw Object.assign(new Error(`This record is already ${record.status}, probably changed on another device.`), { code: 'stale' });
+      }
+      tx.update(COLLECTIONS.records, recordId, patch);
+    });
+  };
+
+  // --- Benefit passes (QR codes) ---
+
+  // Refusals at the scanner, with a code the scanner view can show differently
+  const passError = (code, message) => Object.assign(new Error(message), { code });
+
+  const passService = () => {
+    if (!passes) throw new Error('Pickup codes are not available here.');
+    return passes;
+  };
+
+  /**
+   * The signed QR code text for one of the recipient's Pending records. The
+   * record's pass is reused until shortly before it expires.
+   *
+   * @param {DistributionRecord} record
+   * @returns {Promise<{ code: string, expiresAt: Date }>}
+   */
+  const issuePass = async (record) => {
+    if (record.status !== 'Pending') throw new Error('Only pending distributions can be collected.');
+    const { code, expiresAt } = await passService().issue(record.id);
+    return { code, expiresAt: new Date(expiresAt) };
+  };
+
+  /**
+   * Checks a scanned code and, when it is good, marks its record Completed
+   * and the pass used in one transaction. Refusals carry `code`: 'invalid'
+   * (not a pass, or altered or made up), 'expired', 'used' (pass already
+   * redeemed or record no longer Pending) or 'entitlement'.
+   *
+   * @param {string} text - The scanned code
+   * @param {{ actor?: string|null }} [options]
+   * @returns {Promise<DistributionRecord>} the completed record
+   */
+  const redeemPass = async (text, { actor = null } = {}) => {
+    const parsed = parsePass(text);
+    if (!parsed) throw passError('invalid', 'This is not a benefit card code.');
+    // Only the pass service holds the key, so this is what tells an issued code from a made-up one
+    if (!(await passService().check(text))) {
+      throw passError('invalid', 'This code is not valid. It may have been altered or made up; ask the recipient to open their card again.');
+    }
+    const pass = await store.get(COLLECTIONS.passes, parsed.recordId);
+    if (!pass) throw passError('invalid', 'The distribution for this code no longer exists.');
+    if (pass.expiresAt !== parsed.expiresAt) throw passError('expired', 'This code was replaced by a newer one. Ask the recipient to show the code on their card now.');
+    if (parsed.expiresAt <= Date.now()) throw passError('expired', 'This code has expired. Ask the recipient to refresh their card.');
+    if (pass.usedAt) throw passError('used', `This code was already used at ${new Date(pass.usedAt).toLocaleString()}.`);
+
+    // The record must still fit the entitlement, counting everything else the recipient has
+    const [eligibility, records] = await Promise.all([
+      store.get(COLLECTIONS.eligibility, pass.recipientId),
+      store.list(COLLECTIONS.records, { recipientId: pass.recipientId }),
+    ]);
+    const record = records.find(r => r.id === pass.recordId);
+    if (!record) throw passError('invalid', 'The distribution for this code no longer exists.');
+    const problem = entitlementProblem(eligibility, toRecords(records.filter(r => r.id !== record.id)), toRecords([record])[0]);
+    if (problem) throw passError('entitlement', problem);
+
+    return store.transaction(async (tx) => {
+      const current = await tx.get(COLLECTIONS.passes, pass.recordId);
+      const stored = await tx.get(COLLECTIONS.records, pass.recordId);
+      if (current.usedAt) throw passError('used', `This code was already used at ${new Date(current.usedAt).toLocaleString()}.`);
+      if (current.expiresAt !== parsed.expiresAt) throw passError('expired', 'This code was replaced by a newer one. Ask the recipient to show the code on their card now.');
+      if (!stored || stored.status !== 'Pending') throw passError('used', 'This distribution has already been collected.');
+
+      const now = new Date().toISOString();
+      tx.update(COLLECTIONS.passes, pass.recordId, { usedAt: now, usedBy: actor });
+      tx.update(COLLECTIONS.records, pass.recordId, { status: 'Completed', completedAt: now });
+      return toRecords([{ ...stored, status: 'Completed', completedAt: now }])[0];
+    });
+  };
+
+  // --- Eligibility ---
+
+  /** @returns {Promise<import('./Entitlements').Eligibility|null>} */
+  const getEligibility = (recipientId) => store.get(COLLECTIONS.eligibility, recipientId);
+
+  /**
+   * A recipient's eligibility and what it leaves them this period, for staff
+   * recording a distribution.
+   *
+   * @param {string} recipientId
+   * @returns {Promise<{ eligibility: import('./Entitlements').Eligibility|null, summary: import('./Entitlements').EntitlementSummary|null }>}
+   */
+  const getEntitlement = async (recipientId) => {
+    const [eligibility, records] = await Promise.all([
+      store.get(COLLECTIONS.eligibility, recipientId),
+      store.list(COLLECTIONS.records, { recipientId }),
+    ]);
+    return { eligibility, summary: entitlementSummary(eligibility, toRecords(records)) };
+  };
+
+  /**
+   * Live eligibility of one recipient; onData gets null when none is on file.
+   *
+   * @param {string} recipientId
+   * @param {(eligibility: import('./Entitlements').Eligibility|null) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const watchEligibility = (recipientId, onData, onError) =>
+    store.watch(COLLECTIONS.eligibility, recipientId, onData, onError);
+
+  /**
+   * Sets the program and household size a recipient's entitlement is
+   * calculated from.
+   *
+   * @param {string} recipientId
+   * @param {{ program: string, householdSize: number }} eligibility
+   * @param {{ actor?: string|null }} [options]
+   */
+  const setEligibility = async (recipientId, { program, householdSize }, { actor = null } = {}) => {
+    if (!recipientId?.trim()) throw new Error('Enter the recipient ID.');
+    assertEligibility({ program, householdSize });
+    await store.commit([{
+      op: 'set',
+      name: COLLECTIONS.eligibility,
+      id: recipientId.trim(),
+      data: { program, householdSize, allowances: allowancesOf({ program, householdSize }), updatedAt: new Date().toISOString(), updatedBy: actor },
+    }]);
+  };
+
+  // --- Sites ---
+
+  /**
+   * @param {(sites: import('./Sites').Site[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeSites = (onData, onError) =>
+    store.subscribe(COLLECTIONS.sites, {}, (docs) => onData(docs.sort((a, b) => a.name.localeCompare(b.name))), onError);
+
+  /**
+   * Adds a site, or updates the one with the given id. New sites are stored
+   * under the slug of their name.
+   *
+   * @param {Omit<import('./Sites').Site, 'updatedAt'|'updatedBy'>} site
+   * @param {{ actor?: string|null }} [options]
+   * @returns {Promise<string>} the site id
+   */
+  const saveSite = async ({ id, name, address, openingHours = '', capacity }, { actor = null } = {}) => {
+    assertSite({ name, address, capacity });
+    const siteId = id || siteSlug(name);
+    if (!id && await store.get(COLLECTIONS.sites, siteId)) throw new Error('A site with this name already exists.');
+
+    await store.commit([{
+      op: id ? 'update' : 'set',
+      name: COLLECTIONS.sites,
+      id: siteId,
+      data: { name: name.trim(), address: address.trim(), openingHours: openingHours.trim(), capacity, updatedAt: new Date().toISOString(), updatedBy: actor },
+    }]);
+    return siteId;
+  };
+
+  // --- Transfers between sites ---
+
+  /**
+   * @param {(transfers: import('./Transfers').Transfer[]) => void} onData - Newest first
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeTransfers = (onData, onError) =>
+    store.subscribe(COLLECTIONS.transfers, {}, (docs) => onData(docs.sort((a, b) => b.createdAt.localeCompare(a.createdAt))), onError);
+
+  /**
+   * Plans moving units of one site's item to another site. Nothing leaves
+   * the source until the transfer is dispatched.
+   *
+   * @param {{ fromItemId: string, toSiteId: string, quantity: number, notes?: string }} transfer
+   * @param {{ actor?: string|null }} [options]
+   * @returns {Promise<string>} the transfer id
+   */
+  const createTransfer = async ({ fromItemId, toSiteId, quantity, notes = '' }, { actor = null } = {}) => {
+    const stock = await store.get(COLLECTIONS.inventory, fromItemId);
+    if (!stock) throw new Error('This inventory item no longer exists.');
+    assertTransfer({ fromSiteId: siteOf(stock), toSiteId, quantity });
+    if (quantity > stock.quantity) throw new Error(`Only ${stock.quantity} ${stock.unit} of ${stock.item} are in stock at this site.`);
+
+    const now = new Date().toISOString();
+    return store.add(COLLECTIONS.transfers, {
+      item: stock.item,
+      unit: stock.unit,
+      fromSiteId: siteOf(stock),
+      fromItemId,
+      toSiteId,
+      toItemId: null,
+      quantity,
+      status: TRANSFER_STATUS.requested,
+      lots: [],
+      receivedQuantity: null,
+      discrepancy: null,
+      notes: notes.trim(),
+      history: [{ at: now, status: TRANSFER_STATUS.requested, actor }],
+      createdAt: now,
+      createdBy: actor,
+    });
+  };
+
+  /**
+   * Sends a requested transfer: its units leave the source item (first
+   * expiring first) with a 'transfer' movement, in the same transaction as
+   * the status change.
+   *
+   * @param {string} transferId
+   * @param {{ actor?: string|null, sites?: import('./Sites').Site[] }} [options] - sites name the destination in the ledger
+   */
+  const dispatchTransfer = (transferId, { actor = null, sites = [] } = {}) =>
+    store.transaction(async (tx) => {
+      const transfer = await tx.get(COLLECTIONS.transfers, transferId);
+      if (!transfer) throw new Error('This transfer no longer exists.');
+      if (transfer.status !== TRANSFER_STATUS.requested) throw new Error('Only requested transfers can be dispatched.');
+      const stock = await tx.get(COLLECTIONS.inventory, transfer.fromItemId);
+      if (!stock) throw new Error('The source inventory item no longer exists.');
+      if (stock.quantity < transfer.quantity) {
+        throw new Error(`Only ${stock.quantity} ${stock.unit} of ${stock.item} are in stock; cannot dispatch ${transfer.quantity}.`);
+      }
+
+      const writeCatalog = await readCatalogDocs(tx, [stock.item]);
+
+      const now = new Date().toISOString();
+      const { lots, allocations } = allocateFefo(lotsOf(stock), transfer.quantity);
+      const fields = { ...lotFields(lots), lastUpdated: now };
+      tx.update(COLLECTIONS.inventory, stock.id, fields);
+      writeCatalog([{ ...stock, ...fields }]);
+      tx.set(COLLECTIONS.movements, undefined, newMovement(stock, MOVEMENT_TYPES.transfer, -transfer.quantity, fields.quantity, {
+        actor, reason: `Transfer to ${siteName(sites, transfer.toSiteId)}`, transferId, lots: allocations,
+      }));
+      tx.update(COLLECTIONS.transfers, transferId, {
+        status: TRANSFER_STATUS.inTransit,
+        lots: allocations,
+        history: [...transfer.history, { at: now, status: TRANSFER_STATUS.inTransit, actor }],
+      });
+    });
+
+  /**
+   * Books a transfer in transit as arrived. The units that arrived are added
+   * to the destination site's document for the item (created if the site
+   * does not stock it yet) with a 'transfer' movement; any shortfall is kept
+   * on the transfer as its discrepancy.
+   *
+   * @param {string} transferId
+   * @param {{ receivedQuantity: number, reason?: string }} receipt - reason is required when units are missing
+   * @param {{ actor?: string|null, sites?: import('./Sites').Site[] }} [options]
+   */
+  const receiveTransfer = async (transferId, { receivedQuantity, reason = '' }, { actor = null, sites = [] } = {}) => {
+    const planned = await store.get(COLLECTIONS.transfers, transferId);
+    if (!planned) throw new Error('This transfer no longer exists.');
+    receiptDiscrepancy(planned, receivedQuantity, reason);
+
+    // Transactions cannot query, so the destination document is looked up first
+    const name = planned.item.trim().toLowerCase();
+    const existing = (await store.list(COLLECTIONS.inventory))
+      .find(i => siteOf(i) === planned.toSiteId && i.item.trim().toLowerCase() === name);
+    const destinationId = existing?.id || crypto.randomUUID();
+
+    await store.transaction(async (tx) => {
+      const transfer = await tx.get(COLLECTIONS.transfers, transferId);
+      if (!transfer) throw new Error('This transfer no longer exists.');
+      if (transfer.status !== TRANSFER_STATUS.inTransit) throw new Error('Only transfers in transit can be received.');
+      const stored = await tx.get(COLLECTIONS.inventory, destinationId);
+      const source = stored ? null : await tx.get(COLLECTIONS.inventory, transfer.fromItemId);
+      const destination = stored || { id: destinationId, item: transfer.item, unit: transfer.unit, siteId: transfer.toSiteId, quantity: 0, lots: [] };
+      const writeCatalog = await readCatalogDocs(tx, [destination.item]);
+
+      const now = new Date().toISOString();
+      const discrepancy = receiptDiscrepancy(transfer, receivedQuantity, reason);
+      if (receivedQuantity > 0) {
+        const { lots, allocations } = receiveIntoLots(lotsOf(destination), transfer.lots, receivedQuantity);
+        const fields = { ...lotFields(lots), lastUpdated: now };
+        const created = !stored && {
+          item: destination.item,
+          unit: destination.unit,
+          siteId: destination.siteId,
+          ...(source?.maxPerRequest ? { maxPerRequest: source.maxPerRequest } : {}),
+          ...fields,
+        };
+        if (stored) tx.update(COLLECTIONS.inventory, destinationId, fields);
+        else tx.set(COLLECTIONS.inventory, destinationId, created);
+        writeCatalog([stored ? { ...stored, ...fields } : { id: destinationId, ...created }]);
+        tx.set(COLLECTIONS.movements, undefined, newMovement(destination, MOVEMENT_TYPES.transfer, receivedQuantity, fields.quantity, {
+          actor, reason: `Transfer from ${siteName(sites, transfer.fromSiteId)}`, transferId, lots: allocations,
+        }));
+      }
+      tx.update(COLLECTIONS.transfers, transferId, {
+        status: TRANSFER_STATUS.received,
+        toItemId: receivedQuantity > 0 ? destinationId : null,
+        receivedQuantity,
+        discrepancy,
+        history: [...transfer.history, { at: now, status: TRANSFER_STATUS.received, actor }],
+      });
+    });
+  };
+
+  /**
+   * Calls off a transfer that has not been dispatched; no stock has moved.
+   * @param {string} transferId
+   * @param {{ actor?: string|null }} [options]
+   */
+  const cancelTransfer = (transferId, { actor = null } = {}) =>
+    store.transaction(async (tx) => {
+      const transfer = await tx.get(COLLECTIONS.transfers, transferId);
+      if (!transfer) throw new Error('This transfer no longer exists.');
+      if (transfer.status !== TRANSFER_STATUS.requested) {
+        throw new Error('Only transfers that have not been dispatched can be cancelled. Receive it with the units that arrived instead.');
+      }
+      tx.update(COLLECTIONS.transfers, transferId, {
+        status: TRANSFER_STATUS.cancelled,
+        history: [...transfer.history, { at: new Date().toISOString(), status: TRANSFER_STATUS.cancelled, actor }],
+      });
+    });
+
+  // --- Pickup appointments ---
+
+  const bySlotTime = (a, b) => a.date.localeCompare(b.date) || a.start.localeCompare(b.start);
+
+  /**
+   * Slots of one site, optionally on one day, in time order.
+   *
+   * @param {{ siteId: string, date?: string }} filter
+   * @param {(slots: import('./Pickup-slots').PickupSlot[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeSlots = ({ siteId, date }, onData, onError) =>
+    store.subscribe(COLLECTIONS.pickupSlots, { siteId, date }, (docs) => onData(docs.sort(bySlotTime)), onError);
+
+  /**
+   * Publishes back-to-back slots for one day at a site (see planSlots()).
+   * Slots already published for that day are left alone; a plan overlapping
+   * any of them is refused.
+   *
+   * @param {{ siteId: string, date: string, from: string, to: string, length: number, capacity: number }} plan
+   * @param {{ actor?: string|null }} [options]
+   * @returns {Promise<number>} how many slots were published
+   */
+  const publishSlots = async (plan, { actor = null } = {}) => {
+    const slots = planSlots(plan);
+    const existing = await store.list(COLLECTIONS.pickupSlots, { siteId: plan.siteId, date: plan.date });
+    const clash = existing.find(e => slots.some(slot => slot.start < e.end && e.start < slot.end));
+    if (clash) throw new Error(`These times overlap the ${clash.start}–${clash.end} slot already published for that day.`);
+
+    const now = new Date().toISOString();
+    await store.commit(slots.map(({ id, ...slot }) => ({
+      op: 'set', name: COLLECTIONS.pickupSlots, id, data: { ...slot, booked: 0, createdAt: now, createdBy: actor },
+    })));
+    return slots.length;
+  };
+
+  /**
+   * @param {string} recipientId
+   * @param {(booking: import('./Pickup-slots').PickupBooking|null) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const watchBooking = (recipientId, onData, onError) =>
+    store.watch(COLLECTIONS.pickupBookings, recipientId, onData, onError);
+
+  /**
+   * Active bookings at a site on one day, for the pickup roster.
+   *
+   * @param {{ siteId: string, date: string }} filter
+   * @param {(bookings: import('./Pickup-slots').PickupBooking[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeBookings = ({ siteId, date }, onData, onError) =>
+    store.subscribe(COLLECTIONS.pickupBookings, { siteId, date, status: BOOKING_STATUS.booked },
+      (docs) => onData(docs.sort(bySlotTime)), onError);
+
+  /**
+   * Books the recipient into a slot, moving an existing booking there. The
+   * places taken in the old and new slot change in the same transaction, so
+   * a full slot cannot be overbooked by two citizens booking at once.
+   *
+   * @param {string} recipientId
+   * @param {string} slotId
+   */
+  const bookSlot = async (recipientId, slotId) => {
+    const pending = (await store.list(COLLECTIONS.records, { recipientId })).filter(r => r.status === 'Pending');
+    if (!pending.length) throw new Error('You have no pending distributions to collect, so there is nothing to book.');
+
+    await store.transaction(async (tx) => {
+      const slot = await tx.get(COLLECTIONS.pickupSlots, slotId);
+      if (!slot) throw new Error('This time slot is no longer offered.');
+      const booking = await tx.get(COLLECTIONS.pickupBookings, recipientId);
+      const isMove = isActiveBooking(booking);
+      if (isMove && booking.slotId === slotId) return;
+      const previous = isMove ? await tx.get(COLLECTIONS.pickupSlots, booking.slotId) : null;
+
+      if (hasStarted(slot)) throw new Error('This time slot has already started. Please choose a later one.');
+      if (!freePlaces(slot)) throw new Error('This time slot is fully booked. Please choose another one.');
+      if (previous && hasStarted(previous)) throw new Error('Your current appointment has already started and can no longer be moved.');
+
+      if (previous) tx.update(COLLECTIONS.pickupSlots, previous.id, { booked: previous.booked - 1 });
+      tx.update(COLLECTIONS.pickupSlots, slotId, { booked: slot.booked + 1 });
+      tx.set(COLLECTIONS.pickupBookings, recipientId, {
+        recipientId,
+        status: BOOKING_STATUS.booked,
+        slotId,
+        siteId: slot.siteId,
+        date: slot.date,
+        start: slot.start,
+        end: slot.end,
+        recordIds: pending.slice(0, MAX_BOOKED_RECORDS).map(r => r.id),
+        bookedAt: new Date().toISOString(),
+      });
+    });
+  };
+
+  /**
+   * Gives the recipient's place back to the slot.
+   * @param {string} recipientId
+   */
+  const cancelBooking = (recipientId) =>
+    store.transaction(async (tx) => {
+      const booking = await tx.get(COLLECTIONS.pickupBookings, recipientId);
+      if (!isActiveBooking(booking)) return;
+      const slot = await tx.get(COLLECTIONS.pickupSlots, booking.slotId);
+      if (slot && hasStarted(slot)) throw new Error('This appointment has already started and can no longer be cancelled.');
+
+      if (slot) tx.update(COLLECTIONS.pickupSlots, slot.id, { booked: slot.booked - 1 });
+      tx.update(COLLECTIONS.pickupBookings, recipientId, { status: BOOKING_STATUS.cancelled });
+    });
+
+  // --- Beneficiaries ---
+
+  // The stored registry entry; also written by bulk imports
+  const toBeneficiaryData = ({ name, dateOfBirth = null, members = [], phone = '', email = '', address = '', siteId = null, dietaryNotes = '', consent = {} }, actor) => ({
+    name: name.trim(),
+    normalizedName: normalizeName(name),
+    dateOfBirth: dateOfBirth || null,
+    members: members.map(({ name: memberName, relationship = '', dateOfBirth: born = '' }) =>
+      ({ name: memberName.trim(), relationship: relationship.trim(), dateOfBirth: born || null })),
+    phone: phone.trim(),
+    email: email.trim(),
+    address: address.trim(),
+    siteId,
+    dietaryNotes: dietaryNotes.trim(),
+    consent: {
+      dataStorage: true,
+      contactBySms: Boolean(consent.contactBySms),
+      contactByEmail: Boolean(consent.contactByEmail),
+      shareWithPartners: Boolean(consent.shareWithPartners),
+    },
+    createdAt: new Date().toISOString(),
+    createdBy: actor,
+  });
+
+  /**
+   * Live beneficiary registry, sorted by name. Staff only.
+   *
+   * @param {(beneficiaries: import('./Beneficiaries').Beneficiary[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeBeneficiaries = (onData, onError) =>
+    store.subscribe(COLLECTIONS.beneficiaries, {}, (docs) =>
+      onData(docs.sort((a, b) => a.normalizedName.localeCompare(b.normalizedName))), onError);
+
+  /**
+   * A recipient's own registry entry, for the citizen portal; onData gets
+   * null when they are not registered.
+   *
+   * @param {string} recipientId
+   * @param {(beneficiary: import('./Beneficiaries').Beneficiary|null) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const watchBeneficiary = (recipientId, onData, onError) =>
+    store.watch(COLLECTIONS.beneficiaries, recipientId, onData, onError);
+
+  /**
+   * Adds a household to the registry and returns its recipient ID. Pass `id`
+   * to register someone under their portal user ID; otherwise one is made up.
+   * Likely duplicates are not refused here: the form warns about them, since
+   * two families can share a name.
+   *
+   * @param {Omit<import('./Beneficiaries').Beneficiary, 'normalizedName'|'createdAt'|'createdBy'|'id'> & { id?: string }} details
+   * @param {{ actor?: string|null }} [options]
+   * @returns {Promise<string>}
+   */
+  const registerBeneficiary = async ({ id, name, dateOfBirth = null, members = [], phone = '', email = '', address = '', siteId = null, dietaryNotes = '', consent = {} }, { actor = null } = {}) => {
+    if (!name?.trim()) throw new Error('Enter the name of the head of household.');
+    if (!consent.dataStorage) throw new Error('The beneficiary must agree to their details being stored before they can be registered.');
+    if (members.some(m => !m.name?.trim())) throw new Error('Every household member needs a name.');
+    if (dateOfBirth && !isIsoDate(dateOfBirth)) throw new Error('Enter the date of birth as a date.');
+
+    const beneficiaryId = id?.trim() || newRecipientId();
+    if (await store.get(COLLECTIONS.beneficiaries, beneficiaryId)) {
+      throw new Error(`${beneficiaryId} is already registered.`);
+    }
+
+    await store.commit([{
+      op: 'set',
+      name: COLLECTIONS.beneficiaries,
+      id: beneficiaryId,
+      data: toBeneficiaryData({ name, dateOfBirth, members, phone, email, address, siteId, dietaryNotes, consent }, actor),
+    }]);
+    return beneficiaryId;
+  };
+
+  // --- Organizations ---
+
+  // What anyone may see of an organization, under the same id: firestore.rules keep the rest to staff
+  const toOrganizationName = ({ name, status }) => ({ name, status });
+
+  /**
+   * Looks an organization up by name, ignoring case, punctuation and legal
+   * suffixes. Used by the public request form, so it only sees the name and
+   * status, not the contacts.
+   *
+   * @param {string} name
+   * @returns {Promise<import('./Organizations').OrganizationName|null>}
+   */
+  const findOrganization = (name) => {
+    const id = orgSlug(name);
+    return id ? store.get(COLLECTIONS.organizationNames, id) : Promise.resolve(null);
+  };
+
+  /**
+   * Adds an organization to the registry as Unverified, with its public name
+   * entry. If one with the same normalized name exists already it is left
+   * untouched and its id returned.
+   *
+   * @param {Omit<import('./Organizations').Organization, 'id'|'normalizedName'|'status'|'createdAt'|'createdBy'>} organization
+   * @param {{ actor?: string|null }} [details] - UID of whoever fills in the form
+   * @returns {Promise<string>} id of the organization
+   */
+  const registerOrganization = ({ name, address, serviceArea, registrationNumber = '', contacts }, { actor = null } = {}) => {
+    const id = orgSlug(name);
+    if (!id) return Promise.reject(new Error('Enter the organization name.'));
+    if (!contacts?.length || !contacts.every(c => c.name?.trim() && c.email?.trim())) {
+      return Promise.reject(new Error('Enter a contact name and email.'));
+    }
+
+    return store.transaction(async (tx) => {
+      if (await tx.get(COLLECTIONS.organizationNames, id)) return id;
+      const organization = {
+        name: name.trim(),
+        normalizedName: normalizeOrgName(name),
+        address: address.trim(),
+        serviceArea: serviceArea.trim(),
+        registrationNumber: registrationNumber.trim(),
+        contacts: contacts.map(c => ({ name: c.name.trim(), email: c.email.trim().toLowerCase(), phone: c.phone?.trim() || '' })),
+        status: ORG_STATUS.unverified,
+        createdAt: new Date().toISOString(),
+        createdBy: actor,
+      };
+      tx.set(COLLECTIONS.organizations, id, organization);
+      tx.set(COLLECTIONS.organizationNames, id, toOrganizationName(organization));
+      return id;
+    });
+  };
+
+  /**
+   * The whole registry, sorted by name. Staff only.
+   *
+   * @param {(organizations: import('./Organizations').Organization[]) => void} onData
+   * @param {(error: Error) => void} [onError]
+   * @returns {() => void} unsubscribe
+   */
+  const subscribeOrganizations = (onData, onError) =>
+    store.subscribe(COLLECTIONS.organizations, {}, (docs) => onData(
+      docs.sort((a, b) => a.normalizedName.localeCompare(b.normalizedName)),
+    ), onError);
+
+  /**
+   * Staff decision on an organization's registration.
+   *
+   * @param {string} id
+   * @param {'Unverified'|'Verified'|'Rejected'} status
+   * @param {{ actor?: string }} [details]
+   */
+  const setOrganizationStatus = (id, status, { actor = null } = {}) =>
+    store.transaction(async (tx) => {
+      const organization = await tx.get(COLLECTIONS.organizations, id);
+      if (!organization) throw new Error('This organization no longer exists.');
+      tx.update(COLLECTIONS.organizations, id, { status, verifiedBy: actor, verifiedAt: new Date().toISOString() });
+      tx.set(COLLECTIONS.organizationNames, id, toOrganizationName({ ...organization, status }));
+    });
+
+  /**
+   * Adds the public name entry of organizations registered before there was
+   * one, so the request form can find them. Staff only; does nothing once
+   * every organization has its entry.
+   *
+   * @returns {Promise<number>} how many entries were added
+   */
+  const publishOrganizationNames = async () => {
+    const [organizations, names] = await Promise.all([
+      store.list(COLLECTIONS.organizations),
+      store.list(COLLECTIONS.organizationNames),
+    ]);
+    const published = new Set(names.map(n => n.id));
+    const writes = organizations
+      .filter(o => !published.has(o.id))
+      .map(o => ({ op: 'set', name: COLLECTIONS.organizationNames, id: o.id, data: toOrganizationName(o) }));
+    // Each entry makes firestore.rules read its organization
+    for (let i = 0; i < writes.length; i += MAX_BATCH_LOOKUPS) {
+      await store.commit(writes.slice(i, i + MAX_BATCH_LOOKUPS));
+    }
+    return writes.length;
+  };
+
+  // --- User profiles ---
+
+  /**
+   * @param {string} uid
+   * @returns {Promise<UserProfile|null>}
+   */
+  const getUserProfile = (uid) => store.get(COLLECTIONS.users, uid);
+
+  /**
+   * Creates or updates the users/{uid} profile with a new role. Security rules
+   * only allow this for admins.
+   *
+   * @param {string} uid
+   * @param {string} role
+   */
+  const setUserRole = (uid, role) =>
+    store.commit([{
+      op: 'merge',
+      name: COLLECTIONS.users,
+      id: uid,
+      data: { role, updatedAt: new Date().toISOString() },
+    }]);
+
+  // --- Bulk import (see Imports.js) ---
+
+  /**
+   * Checks validated rows against what is stored. Rows whose key was
+   * imported before are marked `imported` and will be skipped; problems only
+   * the stored data shows are added to the row's errors: an item already
+   * stocked at the site, or a record over the recipient's entitlement.
+   *
+   * @param {'inventory'|'beneficiaries'|'records'} targetName
+   * @param {import('./Imports').ImportRow[]} rows
+   * @returns {Promise<import('./Imports').ImportRow[]>}
+   */
+  const checkImport = async (targetName, rows) => {
+    const existing = await store.list(COLLECTIONS[targetName]);
+    const existingIds = new Set(existing.map(d => d.id));
+    const checked = rows.map(row => ({ ...row, errors: [...row.errors], imported: existingIds.has(row.docId) }));
+    const toWrite = checked.filter(r => !r.imported && !r.errors.length);
+
+    if (targetName === 'inventory') {
+      // One document per item and site, as for goods receipts
+      const stocked = new Map(existing.map(i => [`${siteOf(i)}/${i.item.trim().toLowerCase()}`, null]));
+      toWrite.forEach(row => {
+        const key = `${row.data.siteId}/${row.data.item.toLowerCase()}`;
+        if (!stocked.has(key)) {
+          stocked.set(key, row.line);
+        } else {
+          row.errors.push(stocked.get(key)
+            ? `Row ${stocked.get(key)} already adds ${row.data.item} at this site.`
+            : `${row.data.item} is already stocked at this site. Receive stock into it instead.`);
+        }
+      });
+    }
+
+    if (targetName === 'records') {
+      // Rows count against each other like a batch of new records does
+      const recipients = [...new Set(toWrite.map(r => r.data.recipientId))];
+      await Promise.all(recipients.map(async (recipientId) => {
+        const eligibility = await store.get(COLLECTIONS.eligibility, recipientId);
+        toWrite.filter(r => r.data.recipientId === recipientId).reduce((seen, row) => {
+          const problem = entitlementProblem(eligibility, seen, row.data);
+          if (!problem) return [...seen, ...toRecords([row.data])];
+          row.errors.push(problem);
+          return seen;
+        }, toRecords(existing.filter(r => r.recipientId === recipientId)));
+      }));
+    }
+
+    return checked;
+  };
+
+  // The documents one imported row writes, each carrying its external key
+  const importWrites = (targetName, { key, docId, data }, { actor, now }) => {
+    if (targetName === 'beneficiaries') {
+      return [{ op: 'set', name: COLLECTIONS.beneficiaries, id: docId, data: { ...toBeneficiaryData(data, actor), externalKey: key } }];
+    }
+    const { quantity, expiration, supplier, maxPerRequest, ...item } = data;
+    const lots = quantity ? [{ id: 'import', quantity, expiration, supplier, receivedDate: now.slice(0, 10) }] : [];
+    // firestore.rules only accept maxPerRequest as a whole number, so leave it out when not given
+    const stock = { id: docId, ...item, ...(maxPerRequest ? { maxPerRequest } : {}), ...lotFields(lots), lastUpdated: now, externalKey: key };
+    const { id, ...stockData } = stock;
+    return [
+      { op: 'set', name: COLLECTIONS.inventory, id, data: stockData },
+      ...(quantity ? [{
+        op: 'set',
+        name: COLLECTIONS.movements,
+        data: newMovement(stock, MOVEMENT_TYPES.receipt, quantity, quantity, { actor, reason: 'Imported', lots: stock.lots }),
+      }] : []),
+    ];
+  };
+
+  /**
+   * Writes the rows that passed checkImport(), in batches that fit
+   * MAX_BATCH_WRITES and, for records, MAX_BATCH_LOOKUPS documents the rules
+   * read (each recipient's eligibility and usage counters). Records are
+   * written in transactions together with their usage counters, rows of the
+   * same recipient and item in separate ones. Keys stored in the meantime are
+   * skipped as well, so running the same import twice writes nothing the
+   * second time. A batch that fails stops the import; the batches before it
+   * stay written, and importing the file again picks up after them.
+   *
+   * @param {'inventory'|'beneficiaries'|'records'} targetName
+   * @param {import('./Imports').ImportRow[]} rows
+   * @param {{ actor?: string|null, onProgress?: (written: number, total: number) => void }} [options]
+   * @returns {Promise<{ written: number, skipped: number }>}
+   */
+  const commitImport = async (targetName, rows, { actor = null, onProgress } = {}) => {
+    const existing = await store.list(COLLECTIONS[targetName]);
+    const existingIds = new Set(existing.map(d => d.id));
+    const fresh = rows.filter(r => !r.errors.length && !existingIds.has(r.docId));
+    const now = new Date().toISOString();
+
+    const { writesPerRow, lookupKey, lookupsPerKey = 1 } = IMPORT_TARGETS[targetName];
+    const limits = { lookupKey, maxLookups: Math.floor(MAX_BATCH_LOOKUPS / lookupsPerKey) };
+    // Records go through their usage counters, in rounds (see usageRounds)
+    const rounds = targetName === 'records' ? usageRounds(fresh, row => row.data) : [fresh];
+    let written = 0;
+    for (const round of rounds) {
+      for (const chunk of chunkRows(round, writesPerRow, MAX_BATCH_WRITES, limits)) {
+        if (targetName === 'records') {
+          await writeRecords(chunk.map(({ key, docId, data }) => ({ id: docId, ...data, timestamp: new Date(data.timestamp), externalKey: key })), toRecords(existing));
+        } else {
+          await store.commit(chunk.flatMap(row => importWrites(targetName, row, { actor, now })));
+        }
+        written += chunk.length;
+        if (onProgress) onProgress(written, fresh.length);
+      }
+    }
+    if (targetName === 'inventory' && written) await refreshCatalog();
+    return { written, skipped: rows.length - fresh.length };
+  };
+
+  // --- Reports (see Reports.js) ---
+
+  /**
+   * Builds a report from what is stored now. The source collection is read
+   * whole and filtered in memory, because documents from before sites existed
+   * carry no siteId to query on.
+   *
+   * @param {string} type - Key of REPORT_TYPES
+   * @param {import('./Reports').ReportFilters} filters
+   * @param {{ sites?: import('./Sites').Site[] }} [context]
+   * @returns {Promise<import('./Reports').Report>}
+   */
+  const loadReport = async (type, filters, { sites = [] } = {}) => {
+    const { source } = REPORT_TYPES[type];
+    const [docs, inventory] = await Promise.all([
+      store.list(COLLECTIONS[source]),
+      type === 'requests' ? listInventory() : [],
+    ]);
+    return buildReport(type, source === 'records' ? toRecords(docs) : docs, filters, { sites, inventory });
+  };
+
+  // --- Seeding ---
+
+  /**
+   * Writes starter inventory and requests, used on first run when the
+   * inventory collection is empty. Each item's starting quantity is booked
+   * as a receipt so its ledger balances from day one. Items given without
+   * `lots` become a single lot, and request lines are linked to items by name
+   * (at the default site when the name is stocked at several).
+   *
+   * @param {Omit<InventoryItem, 'id'>[]} items
+   * @param {Omit<DistributionRequest, 'id'>[]} requests
+   * @param {{ actor?: string, sites?: import('./Sites').Site[] }} [details]
+   */
+  const seed = (items, requests, { actor = null, sites = [] } = {}) => {
+    const stocked = items.map(data => ({ id: crypto.randomUUID(), siteId: DEFAULT_SITE_ID, ...data, ...lotFields(lotsOf(data)) }));
+    const stockFor = (name) =>
+      stocked.find(i => i.item === name && i.siteId === DEFAULT_SITE_ID) || stocked.find(i => i.item === name);
+    const now = new Date().toISOString();
+    return store.commit([
+      ...sites.map(({ id, ...data }) => ({ op: 'set', name: COLLECTIONS.sites, id, data: { ...data, updatedAt: now, updatedBy: actor } })),
+      ...stocked.map(({ id, ...data }) => ({ op: 'set', name: COLLECTIONS.inventory, id, data })),
+      ...catalogWrites(stocked),
+      ...stocked.map(item => ({
+        op: 'set',
+        name: COLLECTIONS.movements,
+        data: newMovement(item, MOVEMENT_TYPES.receipt, item.quantity, item.quantity, { actor, reason: 'Initial stock' }),
+      })),
+      ...requests.map(data => ({
+        op: 'set',
+        name: COLLECTIONS.requests,
+        data: { ...data, lines: data.lines.map(line => ({ itemId: stockFor(line.item)?.id || null, ...line })) },
+      })),
+    ]);
+  };
+
+  return {
+    mode: store.mode,
+    listInventory,
+    subscribeInventory,
+    subscribeCatalog,
+    refreshCatalog,
+    adjustStock,
+    receiveStock,
+    listMovements,
+    subscribeMovements,
+    subscribeLedger,
+    reconcileItem,
+    subscribeRequests,
+    submitRequest,
+    watchTracking,
+    setFulfilment,
+    transitionRequest,
+    subscribeRecords,
+    addRecord,
+    addRecords,
+    updateRecordStatus,
+    issuePass,
+    redeemPass,
+    subscribeSites,
+    saveSite,
+    subscribeTransfers,
+    createTransfer,
+    dispatchTransfer,
+    receiveTransfer,
+    cancelTransfer,
+    subscribeSlots,
+    publishSlots,
+    watchBooking,
+    subscribeBookings,
+    bookSlot,
+    cancelBooking,
+    subscribeBeneficiaries,
+    watchBeneficiary,
+    registerBeneficiary,
+    checkImport,
+    commitImport,
+    loadReport,
+    getEligibility,
+    getEntitlement,
+    watchEligibility,
+    setEligibility,
+    findOrganization,
+    registerOrganization,
+    subscribeOrganizations,
+    setOrganizationStatus,
+    publishOrganizationNames,
+    getUserProfile,
+    setUserRole,
+    seed,
+  };
+};
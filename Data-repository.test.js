@@ -0,0 +1,273 @@
+import { readFileSync } from 'fs';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { createRepository, createLocalPassService, COLLECTIONS } from './Data-repository';
+import { createLocalAdapter, createFirestoreAdapter } from './Storage-adapters';
+import { signPass } from './functions/Benefit-passes';
+
+const STAFF = { role: 'warehouse_staff', actor: 'staff-1' };
+
+// Counts every run of a transaction callback, so retries show up
+const countingAttempts = (store) => {
+  const counted = { ...store, attempts: 0 };
+  counted.transaction = (fn) => store.transaction((tx) => {
+    counted.attempts += 1;
+    return fn(tx);
+  });
+  return counted;
+};
+
+// One inventory item and two approved requests for it from different organizations
+const setUp = async (store, { stock, amount }) => {
+  const repo = createRepository(store);
+  await repo.seed([{ item: 'Dry Pasta', unit: 'boxes', quantity: stock }], ['Shelter A', 'Food Bank'].map(organization => ({
+    organization,
+    status: 'Approved',
+    requestedDate: '2026-10-19',
+    lines: [{ id: 'line-1', item: 'Dry Pasta', amount, status: 'Approved' }],
+  })));
+  const [item] = await store.list(COLLECTIONS.inventory);
+  const requests = await store.list(COLLECTIONS.requests);
+  return { repo, item, requests };
+};
+
+// Starts both shipments before either has finished
+const shipBoth = ({ repo, item, requests }) =>
+  Promise.allSettled(requests.map(request => repo.transitionRequest(request, 'ship', { ...STAFF, inventoryItem: item })));
+
+const shipments = async (store) => (await store.list(COLLECTIONS.movements)).filter(m => m.type === 'shipment');
+
+// The same checks against any storage adapter
+const concurrentShipmentTests = (openStore) => {
+  it('retries the second shipment so both are taken off the stock', async () => {
+    const store = countingAttempts(await openStore());
+    const setup = await setUp(store, { stock: 150, amount: 60 });
+
+    const results = await shipBoth(setup);
+
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'fulfilled']);
+    expect((await store.get(COLLECTIONS.inventory, setup.item.id)).quantity).toBe(30);
+    expect(await shipments(store)).toHaveLength(2);
+    expect(store.attempts).toBeGreaterThan(2);
+  });
+
+  it('refuses the shipment that no longer fits, and stock never goes below zero', async () => {
+    const store = await openStore();
+    const setup = await setUp(store, { stock: 100, amount: 60 });
+
+    const results = await shipBoth(setup);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    const [refused] = results.filter(r => r.status === 'rejected');
+    expect(refused.reason.message).toMatch(/Insufficient stock to ship 60 units of Dry Pasta\. Only 40 available\./);
+
+    expect((await store.get(COLLECTIONS.inventory, setup.item.id)).quantity).toBe(40);
+    expect(await shipments(store)).toHaveLength(1);
+    const statuses = (await store.list(COLLECTIONS.requests)).map(r => r.status).sort();
+    expect(statuses).toEqual(['Approved', 'Shipped']);
+  });
+};
+
+describe('concurrent shipments of the same item', () => {
+  describe('local adapter', () => {
+    concurrentShipmentTests(async () => createLocalAdapter({ storage: null }));
+  });
+
+  // Needs the emulator, like firestore.rules.test.js; run with `npm run test:rules`
+  describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('Firestore emulator', () => {
+    let env;
+
+    beforeAll(async () => {
+      env = await initializeTestEnvironment({
+        projectId: 'demo-food-distribution',
+        firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') },
+      });
+    });
+
+    afterAll(() => env.cleanup());
+
+    concurrentShipmentTests(async () => {
+      await env.clearFirestore();
+      return createFirestoreAdapter(env.authenticatedContext('manager-1', { role: 'manager' }).firestore(), 'shipments-test-app');
+    });
+  });
+});
+
+describe('pickup codes', () => {
+  // A recipient with one Pending record that fits their entitlement
+  const setUpPass = async () => {
+    const store = createLocalAdapter({ storage: null });
+    const repo = createRepository(store, { passes: createLocalPassService(store, 'server-key') });
+    await store.commit([
+      { op: 'set', name: COLLECTIONS.eligibility, id: 'citizen-1', data: { program: 'standard', householdSize: 1 } },
+      { op: 'set', name: COLLECTIONS.records, id: 'record-1', data: { recipientId: 'citizen-1', foodItem: 'Rice (5kg)', quantity: 1, status: 'Pending', timestamp: new Date().toISOString() } },
+    ]);
+    const record = await store.get(COLLECTIONS.records, 'record-1');
+    return { store, repo, record };
+  };
+
+  it('shows the same code again instead of writing a new pass', async () => {
+    const { store, repo, record } = await setUpPass();
+
+    const first = await repo.issuePass(record);
+    const second = await repo.issuePass(record);
+
+    expect(second.code).toBe(first.code);
+    expect(await store.list(COLLECTIONS.passes)).toHaveLength(1);
+  });
+
+  it('completes the record for a genuine code, once', async () => {
+    const { store, repo, record } = await setUpPass();
+    const { code } = await repo.issuePass(record);
+
+    expect((await repo.redeemPass(code, { actor: 'staff-1' })).status).toBe('Completed');
+    expect((await store.get(COLLECTIONS.passes, 'record-1')).usedBy).toBe('staff-1');
+    await expect(repo.redeemPass(code, { actor: 'staff-1' })).rejects.toMatchObject({ code: 'used' });
+  });
+
+  it('refuses a tampered or made-up code before looking up the pass', async () => {
+    const { store, repo, record } = await setUpPass();
+    const { code } = await repo.issuePass(record);
+    const [prefix, recordId, expiresAt, signature] = code.split('.');
+    const lookups = [];
+    const get = store.get;
+    store.get = (name, id) => {
+      lookups.push(name);
+      return get(name, id);
+    };
+
+    await expect(repo.redeemPass([prefix, recordId, Number(expiresAt) + 3600000, signature].join('.'))).rejects.toMatchObject({ code: 'invalid' });
+    await expect(repo.redeemPass(await signPass({ recordId, expiresAt: Number(expiresAt) }, 'guessed-key'))).rejects.toMatchObject({ code: 'invalid' });
+    expect(lookups).not.toContain(COLLECTIONS.passes);
+    expect((await get(COLLECTIONS.records, 'record-1')).status).toBe('Pending');
+  });
+});
+
+describe('catalog', () => {
+  const catalogEntries = async (store) => store.list(COLLECTIONS.catalog);
+
+  it('keeps one entry per item across sites, without counts, in step with the stock', async () => {
+    const store = createLocalAdapter({ storage: null });
+    const repo = createRepository(store);
+    await repo.seed([
+      { item: 'Dry Pasta', unit: 'boxes', quantity: 40 },
+      { item: 'Dry Pasta', unit: 'boxes', quantity: 20, siteId: 'local-center-b' },
+    ], []);
+    const [entry] = await catalogEntries(store);
+    expect(entry).toMatchObject({ item: 'Dry Pasta', availability: 'available' });
+    expect(entry).not.toHaveProperty('quantity');
+    expect(entry.itemIds).toHaveLength(2);
+
+    const [larger] = await store.list(COLLECTIONS.inventory, { quantity: 40 });
+    await repo.adjustStock(larger.id, -30, { reason: 'Count' });
+
+    expect(await catalogEntries(store)).toEqual([expect.objectContaining({ availability: 'limited' })]);
+  });
+
+  it('fills in entries for stock stored before the catalog', async () => {
+    const store = createLocalAdapter({ storage: null });
+    const repo = createRepository(store);
+    await store.commit([{ op: 'set', name: COLLECTIONS.inventory, id: 'pasta', data: { item: 'Dry Pasta', unit: 'boxes', quantity: 0 } }]);
+
+    expect(await repo.refreshCatalog()).toBe(1);
+    expect(await repo.refreshCatalog()).toBe(0);
+    expect(await catalogEntries(store)).toEqual([expect.objectContaining({ itemId: 'pasta', availability: 'unavailable' })]);
+  });
+});
+
+describe('usage counters', () => {
+  // Standard program for one person: 1 Rice (5kg) and 2 Beans (1kg) a month
+  const setUp = async (records = []) => {
+    const store = createLocalAdapter({ storage: null });
+    const repo = createRepository(store);
+    await store.commit([
+      { op: 'set', name: COLLECTIONS.eligibility, id: 'citizen-1', data: { program: 'standard', householdSize: 1 } },
+      ...records.map(data => ({ op: 'set', name: COLLECTIONS.records, data })),
+    ]);
+    return { store, repo };
+  };
+  const record = (foodItem, quantity = 1) => ({ recipientId: 'citizen-1', foodItem, quantity, status: 'Pending', timestamp: new Date() });
+  const usages = (store) => store.list(COLLECTIONS.usage, { recipientId: 'citizen-1' });
+
+  it('adds each record to its counter, starting from the records stored before it', async () => {
+    const { store, repo } = await setUp([{ ...record('Beans (1kg)'), timestamp: new Date().toISOString() }]);
+
+    const id = await repo.addRecord(record('Beans (1kg)'));
+
+    const [usage] = await usages(store);
+    expect(usage).toMatchObject({ used: { 'Beans (1kg)': 2 }, lastRecordIds: { 'Beans (1kg)': id } });
+    expect((await store.get(COLLECTIONS.records, id)).usageId).toBe(usage.id);
+    expect((await store.get(COLLECTIONS.eligibility, 'citizen-1')).allowances).toMatchObject({ 'Rice (5kg)': 1, 'Beans (1kg)': 2 });
+    await expect(repo.addRecord(record('Beans (1kg)'))).rejects.toMatchObject({ code: 'entitlement' });
+  });
+
+  it('refuses the second of two records racing for the last of an allowance', async () => {
+    const { store, repo } = await setUp();
+
+    const results = await Promise.allSettled([repo.addRecord(record('Rice (5kg)')), repo.addRecord(record('Rice (5kg)'))]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason.code).toBe('entitlement');
+    expect(await store.list(COLLECTIONS.records)).toHaveLength(1);
+    expect((await usages(store))[0].used).toEqual({ 'Rice (5kg)': 1 });
+  });
+
+  it('adds records of the same item one at a time', async () => {
+    const { store, repo } = await setUp();
+
+    await repo.addRecords([record('Beans (1kg)'), record('Beans (1kg)'), record('Rice (5kg)')]);
+
+    const [usage] = await usages(store);
+    expect(usage.used).toEqual({ 'Beans (1kg)': 2, 'Rice (5kg)': 1 });
+    expect(await store.list(COLLECTIONS.records, { usageId: usage.id })).toHaveLength(3);
+  });
+});
+
+describe('stock transfers', () => {
+  const setUp = async (destination = null) => {
+    const store = createLocalAdapter({ storage: null });
+    const repo = createRepository(store);
+    await store.commit([
+      { op: 'set', name: COLLECTIONS.inventory, id: 'pasta-a', data: {
+        item: 'Dry Pasta', unit: 'boxes', siteId: 'central-hub-a', quantity: 30,
+        lots: [
+          { id: 'late', quantity: 20, expiration: '2099-06-01', supplier: null, receivedDate: '2026-09-01' },
+          { id: 'soon', quantity: 10, expiration: '2099-01-01', supplier: null, receivedDate: '2026-09-01' },
+        ],
+      } },
+      ...(destination ? [{ op: 'set', name: COLLECTIONS.inventory, id: 'pasta-b', data: { item: 'Dry Pasta', unit: 'boxes', siteId: 'local-center-b', ...destination } }] : []),
+    ]);
+    return { store, repo };
+  };
+  const ledger = async (store) => (await store.list(COLLECTIONS.movements)).map(m => [m.itemId, m.type, m.quantity, m.balanceAfter]);
+
+  it("moves the units from one site's stock to the other's, with a ledger entry for each", async () => {
+    const { store, repo } = await setUp({ quantity: 5, lots: [{ id: 'b-1', quantity: 5, expiration: null, supplier: null, receivedDate: null }] });
+
+    const transferId = await repo.createTransfer({ fromItemId: 'pasta-a', toSiteId: 'local-center-b', quantity: 15 }, STAFF);
+    await repo.dispatchTransfer(transferId, STAFF);
+    expect((await store.get(COLLECTIONS.inventory, 'pasta-a')).quantity).toBe(15);
+    expect((await store.get(COLLECTIONS.transfers, transferId)).lots.map(l => [l.id, l.quantity])).toEqual([['soon', 10], ['late', 5]]);
+
+    await repo.receiveTransfer(transferId, { receivedQuantity: 15 }, STAFF);
+
+    const destination = await store.get(COLLECTIONS.inventory, 'pasta-b');
+    expect(destination.quantity).toBe(20);
+    expect(destination.expiration).toBe('2099-01-01');
+    expect((await ledger(store)).sort()).toEqual([['pasta-a', 'transfer', -15, 15], ['pasta-b', 'transfer', 15, 20]]);
+  });
+
+  it('stocks a site that did not hold the item, and keeps units that did not arrive as the discrepancy', async () => {
+    const { store, repo } = await setUp();
+
+    const transferId = await repo.createTransfer({ fromItemId: 'pasta-a', toSiteId: 'local-center-b', quantity: 10 }, STAFF);
+    await repo.dispatchTransfer(transferId, STAFF);
+    await expect(repo.receiveTransfer(transferId, { receivedQuantity: 8 }, STAFF)).rejects.toThrow('Explain why units are missing or were refused.');
+    await repo.receiveTransfer(transferId, { receivedQuantity: 8, reason: 'Two boxes crushed' }, STAFF);
+
+    const [created] = await store.list(COLLECTIONS.inventory, { siteId: 'local-center-b' });
+    expect(created).toMatchObject({ item: 'Dry Pasta', quantity: 8 });
+    expect(await store.get(COLLECTIONS.transfers, transferId)).toMatchObject({ status: 'Received', toItemId: created.id, discrepancy: { quantity: 2, reason: 'Two boxes crushed' } });
+    expect((await ledger(store)).sort()).toEqual([[created.id, 'transfer', 8, 8], ['pasta-a', 'transfer', -10, 20]].sort());
+  });
+});
@@ -0,0 +1,236 @@
+// What a household may receive. A recipient's eligibility names a benefit
+// program and a household size; the program sets, per item, how much one
+// household may receive in each period. Distribution records that are Pending
+// or Completed count against it, and each new record is added to a usage
+// counter for its recipient and period so firestore.rules can cap it.
+
+/**
+ * Allowance for one item: `base` for a single-person household plus
+ * `perExtraMember` for every further member, rounded down, up to `max`.
+ *
+ * @typedef {Object} Allowance
+ * @property {string} item - Matches DistributionRecord.foodItem
+ * @property {number} base
+ * @property {number} perExtraMember
+ * @property {number} [max]
+ */
+
+/**
+ * @typedef {Object} Program
+ * @property {string} label
+ * @property {'week'|'month'} period
+ * @property {Allowance[]} allowances
+ */
+
+/** @type {Object<string, Program>} */
+export const PROGRAMS = {
+  standard: {
+    label: 'Standard Household',
+    period: 'month',
+    allowances: [
+      { item: 'Rice (5kg)', base: 1, perExtraMember: 1, max: 6 },
+      { item: 'Beans (1kg)', base: 2, perExtraMember: 1, max: 8 },
+      { item: 'Oil (1L)', base: 1, perExtraMember: 0.5, max: 4 },
+      { item: 'Citizen Kit', base: 1, perExtraMember: 0, max: 1 },
+    ],
+  },
+  senior: {
+    label: 'Senior Nutrition',
+    period: 'month',
+    allowances: [
+      { item: 'Rice (5kg)', base: 1, perExtraMember: 0.5, max: 3 },
+      { item: 'Beans (1kg)', base: 3, perExtraMember: 1, max: 6 },
+      { item: 'Oil (1L)', base: 1, perExtraMember: 0, max: 1 },
+      { item: 'Citizen Kit', base: 1, perExtraMember: 0, max: 1 },
+    ],
+  },
+  emergency: {
+    label: 'Emergency Relief',
+    period: 'week',
+    allowances: [
+      { item: 'Rice (5kg)', base: 1, perExtraMember: 0.5, max: 4 },
+      { item: 'Beans (1kg)', base: 2, perExtraMember: 1, max: 8 },
+      { item: 'Oil (1L)', base: 1, perExtraMember: 0.5, max: 3 },
+      { item: 'Citizen Kit', base: 1, perExtraMember: 0.5, max: 3 },
+    ],
+  },
+};
+
+// Largest household an eligibility may record
+export const MAX_HOUSEHOLD_SIZE = 20;
+
+// Record statuses that use up entitlement; Pending ones are already promised
+const COUNTED_STATUSES = ['Pending', 'Completed'];
+
+/**
+ * @typedef {Object} Eligibility
+ * @property {string} id - The recipient's ID, as in DistributionRecord.recipientId
+ * @property {keyof PROGRAMS} program
+ * @property {number} householdSize
+ * @property {Object<string, number>} [allowances] - allowanceFor() each item, for firestore.rules; missing on eligibilities set before usage counters
+ * @property {string} updatedAt - ISO timestamp
+ * @property {string|null} updatedBy - UID of the staff member who set it
+ */
+
+/**
+ * What a recipient's records add up to in one period. Written together with
+ * every new record; firestore.rules check that the record adds exactly its
+ * quantity and that the total stays within the eligibility's allowances.
+ *
+ * @typedef {Object} EntitlementUsage
+ * @property {string} id - usageIdOf(recipientId, period, date)
+ * @property {string} recipientId
+ * @property {Object<string, number>} used - Quantity per item
+ * @property {Object<string, string>} lastRecordIds - Per item, the record that last added to it, so one write adds one record per item
+ */
+
+/**
+ * @typedef {Object} ItemEntitlement
+ * @property {string} item
+ * @property {number} allowed
+ * @property {number} used
+ * @property {number} remaining
+ */
+
+/**
+ * @typedef {Object} EntitlementSummary
+ * @property {Program} program
+ * @property {Date} periodStart
+ * @property {Date} periodEnd - Exclusive
+ * @property {ItemEntitlement[]} items
+ */
+
+/**
+ * The period that `now` falls in: calendar months, or weeks starting on
+ * Monday, in local time.
+ *
+ * @param {'week'|'month'} period
+ * @param {Date} [now]
+ * @returns {{ start: Date, end: Date }}
+ */
+export const periodBounds = (period, now = new Date()) => {
+  if (period === 'week') {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+    return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+  }
+  return { start: new Date(now.getFullYear(), now.getMonth(), 1), end: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+};
+
+export const allowanceFor = ({ base, perExtraMember, max = Infinity }, householdSize) =>
+  Math.min(max, Math.floor(base + perExtraMember * (householdSize - 1)));
+
+/**
+ * Every item's allowance for the household, as stored on the eligibility.
+ * @param {{ program: string, householdSize: number }} eligibility
+ * @returns {Object<string, number>}
+ */
+export const allowancesOf = ({ program, householdSize }) =>
+  Object.fromEntries(PROGRAMS[program].allowances.map(a => [a.item, allowanceFor(a, householdSize)]));
+
+const toLocalDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * ID of the usage counter for the period that `at` falls in, e.g.
+ * 'citizen-1_month-2026-10-01'.
+ *
+ * @param {string} recipientId
+ * @param {'week'|'month'} period
+ * @param {Date} at
+ */
+export const usageIdOf = (recipientId, period, at) =>
+  `${recipientId}_${period}-${toLocalDate(periodBounds(period, at).start)}`;
+
+const recordDate = (record) => (record.timestamp ? new Date(record.timestamp) : new Date());
+
+/**
+ * Quantity per item of the records that count in [start, end).
+ *
+ * @param {import('./Data-repository').DistributionRecord[]} records
+ * @param {Date} start
+ * @param {Date} end - Exclusive
+ * @returns {Object<string, number>}
+ */
+export const usedByItem = (records, start, end) => records
+  .filter(r => COUNTED_STATUSES.includes(r.status) && recordDate(r) >= start && recordDate(r) < end)
+  .reduce((used, r) => ({ ...used, [r.foodItem]: (used[r.foodItem] || 0) + r.quantity }), {});
+
+/**
+ * Throws a user-facing message unless the eligibility can be stored.
+ * @param {{ program: string, householdSize: number }} eligibility
+ */
+export const assertEligibility = ({ program, householdSize }) => {
+  if (!PROGRAMS[program]) throw new Error('Choose a benefit program.');
+  if (!Number.isInteger(householdSize) || householdSize < 1 || householdSize > MAX_HOUSEHOLD_SIZE) {
+    throw new Error(`Household size must be a whole number from 1 to ${MAX_HOUSEHOLD_SIZE}.`);
+  }
+};
+
+/**
+ * Allowed, used and remaining amounts of every item in the recipient's
+ * program for the current period, or null without an eligibility.
+ *
+ * @param {Eligibility|null} eligibility
+ * @param {import('./Data-repository').DistributionRecord[]} records - The recipient's records
+ * @param {Date} [now]
+ * @returns {EntitlementSummary|null}
+ */
+export const entitlementSummary = (eligibility, records, now = new Date()) => {
+  const program = eligibility && PROGRAMS[eligibility.program];
+  if (!program) return null;
+
+  const { start, end } = periodBounds(program.period, now);
+  const usedPerItem = usedByItem(records, start, end);
+
+  return {
+    program,
+    periodStart: start,
+    periodEnd: end,
+    items: program.allowances.map(allowance => {
+      const allowed = allowanceFor(allowance, eligibility.householdSize);
+      const used = usedPerItem[allowance.item] || 0;
+      return { item: allowance.item, allowed, used, remaining: Math.max(0, allowed - used) };
+    }),
+  };
+};
+
+/**
+ * Why a new distribution record would exceed the recipient's entitlement,
+ * given what they already used in the record's period, or null when it fits.
+ *
+ * @param {Eligibility|null} eligibility
+ * @param {Object<string, number>} used - Quantity per item, as in EntitlementUsage
+ * @param {Omit<import('./Data-repository').DistributionRecord, 'id'>} record
+ * @returns {string|null}
+ */
+export const usageProblem = (eligibility, used, record) => {
+  const program = eligibility && PROGRAMS[eligibility.program];
+  if (!program) return 'This recipient has no eligibility on file. Record their program and household size first.';
+  if (!COUNTED_STATUSES.includes(record.status)) return null;
+
+  const allowance = program.allowances.find(a => a.item === record.foodItem);
+  if (!allowance) return `${record.foodItem} is not part of the ${program.label} program.`;
+  const allowed = allowanceFor(allowance, eligibility.householdSize);
+  const remaining = Math.max(0, allowed - (used[record.foodItem] || 0));
+  if (record.quantity > remaining) {
+    const until = new Date(periodBounds(program.period, recordDate(record)).end.getTime() - 1).toLocaleDateString();
+    return `Only ${remaining} of ${allowed} ${record.foodItem} left for this recipient until ${until}.`;
+  }
+  return null;
+};
+
+/**
+ * Like usageProblem(), counting the recipient's existing records instead of
+ * a usage counter.
+ *
+ * @param {Eligibility|null} eligibility
+ * @param {import('./Data-repository').DistributionRecord[]} records - The recipient's existing records
+ * @param {Omit<import('./Data-repository').DistributionRecord, 'id'>} record
+ * @returns {string|null}
+ */
+export const entitlementProblem = (eligibility, records, record) => {
+  const program = eligibility && PROGRAMS[eligibility.program];
+  if (!program) return usageProblem(eligibility, {}, record);
+  const { start, end } = periodBounds(program.period, recordDate(record));
+  return usageProblem(eligibility, usedByItem(records, start, end), record);
+};
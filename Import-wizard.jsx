@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import * as XLSX from 'xlsx';
+import { Upload, FileSpreadsheet, Loader2, CheckCircle } from 'lucide-react';
+import { useRole, STAFF_ROLES, MANAGER_ROLES } from './Roles';
+import { IMPORT_TARGETS, MAX_IMPORT_ROWS, guessMapping, validateRows } from './Imports';
+
+// Rows listed in the preview, those with errors first; the counts above it cover the whole file
+const PREVIEW_ROWS = 200;
+
+const ACCESS_ROLES = { staff: STAFF_ROLES, manager: MANAGER_ROLES };
+
+/**
+ * Reads the first sheet of a CSV or XLSX file into a heading row and data
+ * rows of text. Date cells come out as YYYY-MM-DD.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+const readSheet = (buffer) => {
+    const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) throw new Error('The file has no sheets.');
+
+    const table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '', blankrows: false });
+    const [headers = [], ...rows] = table.map(row => row.map(cell => String(cell).trim()));
+    if (!headers.some(Boolean)) throw new Error('The first row must hold the column headings.');
+    if (rows.length > MAX_IMPORT_ROWS) throw new Error(`The file has ${rows.length} rows. Import at most ${MAX_IMPORT_ROWS} at a time.`);
+    return { headers, rows };
+};
+
+const rowStatus = (row) => {
+    if (row.errors.length) return { label: row.errors.join(' '), className: 'text-red-600' };
+    if (row.imported) return { label: 'Already imported, skipped', className: 'text-gray-400' };
+    return { label: 'Ready', className: 'text-green-700' };
+};
+
+// --- Staff: upload a file, map its columns, check the rows, then import the valid ones ---
+export const ImportWizard = ({ repo, userId, sites, isAuthReady }) => {
+    const { hasRole: canAct } = useRole();
+    const targets = Object.entries(IMPORT_TARGETS).filter(([, target]) => canAct(ACCESS_ROLES[target.access]));
+
+    const [targetName, setTargetName] = useState('');
+    // Parsed file: { fileName, headers, rows }
+    const [sheet, setSheet] = useState(null);
+    const [mapping, setMapping] = useState({});
+    // Checked rows, once the preview is shown
+    const [rows, setRows] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const currentTarget = targets.some(([name]) => name === targetName) ? targetName : targets[0]?.[0];
+    const target = IMPORT_TARGETS[currentTarget];
+
+    const reset = () => {
+        setSheet(null);
+        setRows(null);
+        setProgress(null);
+        setResult(null);
+        setError(null);
+    };
+
+    const run = async (step) => {
+        if (!repo || !isAuthReady) return console.error("Database not ready.");
+        setError(null);
+        setIsBusy(true);
+        try {
+            await step();
+        } catch (err) {
+            console.error("Error importing file:", err);
+            setError(err.message);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        reset();
+        run(async () => {
+            const parsed = readSheet(await file.arrayBuffer());
+            setSheet({ fileName: file.name, ...parsed });
+            setMapping(guessMapping(parsed.headers, target));
+        });
+    };
+
+    const handleTarget = (name) => {
+        setTargetName(name);
+        setRows(null);
+        if (sheet) setMapping(guessMapping(sheet.headers, IMPORT_TARGETS[name]));
+    };
+
+    const handleCheck = () => run(async () => {
+        setRows(await repo.checkImport(currentTarget, validateRows(sheet.rows, mapping, currentTarget, { sites })));
+    });
+
+    const handleImport = () => run(async () => {
+        setProgress({ written: 0, total: ready.length });
+        try {
+            setResult(await repo.commitImport(currentTarget, rows, {
+                actor: userId,
+                onProgress: (written, total) => setProgress({ written, total }),
+            }));
+        } catch (err) {
+            // Frees the controls so the file can be checked and imported again
+            setProgress(null);
+            throw err;
+        }
+    });
+
+    if (!target) return null;
+
+    const ready = rows ? rows.filter(r => !r.errors.length && !r.imported) : [];
+    const failed = rows ? rows.filter(r => r.errors.length) : [];
+    const skipped = rows ? rows.filter(r => !r.errors.length && r.imported) : [];
+    const missingRequired = target.fields.filter(f => f.required && !(mapping[f.key] >= 0));
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-4 gap-2">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                    <FileSpreadsheet className="w-5 h-5 mr-2 text-indigo-600" /> Bulk Import
+                </h2>
+                <p className="text-sm text-gray-500">CSV or Excel (.xlsx), headings in the first row, up to {MAX_IMPORT_ROWS} rows</p>
+            </div>
+
+            <div className="mb-4 flex flex-wrap items-center gap-3">
+                <select value={currentTarget} onChange={(e) => handleTarget(e.target.value)} disabled={isBusy || Boolean(progress)} className="rounded-md border-gray-300 p-2 border bg-white text-sm">
+                    {targets.map(([name, t]) => <option key={name} value={name}>{t.label}</option>)}
+                </select>
+                <label className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 cursor-pointer ${isBusy || progress ? 'opacity-50 pointer-events-none' : ''}`}>
+                    <Upload className="w-4 h-4 mr-1" /> {sheet ? 'Choose Another File' : 'Choose File'}
+                    <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} disabled={!isAuthReady} className="hidden" />
+                </label>
+                {sheet && <span className="text-sm text-gray-600">{sheet.fileName}: {sheet.rows.length} rows</span>}
+            </div>
+
+            {sheet && !rows && (
+                <div className="p-3 bg-indigo-50 rounded-md">
+                    <p className="text-sm font-medium text-gray-700 mb-2">Match the columns of the file to the fields</p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {target.fields.map(field => (
+                            <label key={field.key} className="flex items-center gap-2 text-sm text-gray-700">
+                                <span className="w-44 shrink-0">
+                                    {field.label}{field.required && <span className="text-red-500"> *</span>}
+                                    {field.hint && <span className="block text-xs text-gray-400">{field.hint}</span>}
+                                </span>
+                                <select
+                                    value={mapping[field.key] ?? -1}
+                                    onChange={(e) => setMapping({ ...mapping, [field.key]: parseInt(e.target.value) })}
+                                    className="flex-grow rounded-md border-gray-300 p-1.5 border bg-white text-sm"
+                                >
+                                    <option value={-1}>(not in file)</option>
+                                    {sheet.headers.map((header, index) => <option key={index} value={index}>{header || `Column ${index + 1}`}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    {missingRequired.length > 0 && (
+                        <p className="mt-2 text-xs text-red-600">Choose a column for: {missingRequired.map(f => f.label).join(', ')}</p>
+                    )}
+                    <button onClick={handleCheck} disabled={isBusy || missingRequired.length > 0} className="mt-3 inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 disabled:opacity-50">
+                        {isBusy && <Loader2 className="w-4 h-4 mr-1 animate-spin" />} Check Rows
+                    </button>
+                </div>
+            )}
+
+            {rows && (
+                <div>
+                    <div className="mb-3 flex flex-wrap items-center gap-4 text-sm">
+                        <span className="font-semibold text-green-700">{ready.length} ready</span>
+                        <span className="font-semibold text-red-600">{failed.length} with errors</span>
+                        <span className="text-gray-500">{skipped.length} already imported</span>
+                        {!result && (
+                            <>
+                                <button onClick={() => setRows(null)} disabled={isBusy} className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-200 hover:bg-gray-300 disabled:opacity-50">
+                                    Back to Columns
+                                </button>
+                                <button onClick={handleImport} disabled={isBusy || !ready.length} className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">
+                                    {isBusy && <Loader2 className="w-3 h-3 mr-1 animate-spin" />} Import {ready.length} Rows
+                                </button>
+                            </>
+                        )}
+                    </div>
+                    {progress && !result && <p className="mb-2 text-sm text-indigo-700">Imported {progress.written} of {progress.total} rows...</p>}
+                    {result && (
+                        <p className="mb-3 p-3 bg-green-50 border-l-4 border-green-500 text-green-800 rounded text-sm flex items-center">
+                            <CheckCircle className="w-4 h-4 mr-2" /> Imported {result.written} rows; {result.skipped} skipped (errors or already imported).
+                            <button onClick={reset} className="ml-3 px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-100">Done</button>
+                        </p>
+                    )}
+
+                    <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{target.fields.find(f => f.key === target.keyField).label}</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Check</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {[...failed, ...ready, ...skipped].slice(0, PREVIEW_ROWS).map(row => {
+                                    const status = rowStatus(row);
+                                    return (
+                                        <tr key={row.line}>
+                                            <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                                            <td className="px-3 py-2 font-mono text-xs">{row.key}</td>
+                                            <td className={`px-3 py-2 ${status.className}`}>{status.label}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        {rows.length > PREVIEW_ROWS && <p className="text-center py-2 text-xs text-gray-500">Showing the first {PREVIEW_ROWS} of {rows.length} rows.</p>}
+                    </div>
+                </div>
+            )}
+
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        </div>
+    );
+};
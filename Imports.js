@@ -0,0 +1,253 @@
+import { DEFAULT_SITE_ID, siteName } from './Sites';
+
+// Bulk import of inventory, beneficiaries and distribution records from a
+// CSV or XLSX file. Staff map the file's columns to fields, every row is
+// validated on its own, and only valid rows are written. Each row carries an
+// external key that decides its document ID, so importing the same file again
+// skips the rows already imported instead of duplicating them.
+
+/**
+ * @typedef {Object} ImportField
+ * @property {string} key
+ * @property {string} label
+ * @property {boolean} [required]
+ * @property {string[]} [aliases] - Other column headings guessed to mean this field
+ * @property {string} [hint] - Expected format, shown next to the column picker
+ */
+
+/**
+ * @typedef {Object} ImportTarget
+ * @property {string} label
+ * @property {string} keyField - The field holding the external key
+ * @property {number} writesPerRow - Documents one row writes, for sizing batches
+ * @property {'staff'|'manager'} access - Who may import it; firestore.rules enforces the same
+ * @property {(row: ImportRow) => string} [lookupKey] - Document firestore.rules reads to allow the row, e.g. the recipient's eligibility; batches are limited to MAX_BATCH_LOOKUPS distinct ones
+ * @property {number} [lookupsPerKey] - Documents read per distinct lookupKey, when more than one
+ * @property {ImportField[]} fields
+ */
+
+/**
+ * One data row of the file after validation.
+ *
+ * @typedef {Object} ImportRow
+ * @property {number} line - Row number in the spreadsheet, counting the heading row
+ * @property {string} key - External key
+ * @property {string} docId
+ * @property {Object} data - Field values converted to the types the repository expects
+ * @property {string[]} errors - Empty when the row can be imported
+ * @property {boolean} [imported] - Set by checkImport() when the key was imported before
+ */
+
+// Keyed like COLLECTIONS in Data-repository.js
+/** @type {Object<string, ImportTarget>} */
+export const IMPORT_TARGETS = {
+  inventory: {
+    label: 'Inventory',
+    keyField: 'externalId',
+    // The item and its ledger entry
+    writesPerRow: 2,
+    access: 'staff',
+    fields: [
+      { key: 'externalId', label: 'External ID', required: true, aliases: ['id', 'sku', 'code', 'item code'] },
+      { key: 'item', label: 'Item', required: true, aliases: ['item name', 'name', 'product'] },
+      { key: 'unit', label: 'Unit', required: true, aliases: ['units', 'uom'] },
+      { key: 'quantity', label: 'Quantity', required: true, aliases: ['qty', 'stock', 'amount'], hint: 'whole number' },
+      { key: 'site', label: 'Site', aliases: ['location', 'site id', 'warehouse'], hint: 'name or ID; blank for the default site' },
+      { key: 'expiration', label: 'Expiration', aliases: ['expiry', 'expires', 'expiration date', 'best before'], hint: 'YYYY-MM-DD' },
+      { key: 'supplier', label: 'Supplier', aliases: ['donor', 'source'] },
+      { key: 'maxPerRequest', label: 'Max per Request', aliases: ['limit', 'max'], hint: 'whole number' },
+    ],
+  },
+  beneficiaries: {
+    label: 'Beneficiaries',
+    keyField: 'recipientId',
+    writesPerRow: 1,
+    access: 'manager',
+    fields: [
+      { key: 'recipientId', label: 'Recipient ID', required: true, aliases: ['id', 'beneficiary id', 'external id'] },
+      { key: 'name', label: 'Head of Household', required: true, aliases: ['name', 'full name', 'beneficiary'] },
+      { key: 'dateOfBirth', label: 'Date of Birth', aliases: ['dob', 'birth date', 'born'], hint: 'YYYY-MM-DD' },
+      { key: 'members', label: 'Household Members', aliases: ['members', 'household'], hint: 'names separated by ;' },
+      { key: 'phone', label: 'Phone', aliases: ['phone number', 'mobile', 'telephone'] },
+      { key: 'email', label: 'Email', aliases: ['e-mail', 'email address'] },
+      { key: 'address', label: 'Address', aliases: ['street', 'home address'] },
+      { key: 'site', label: 'Site', aliases: ['location', 'site id', 'pickup site'], hint: 'name or ID' },
+      { key: 'dietaryNotes', label: 'Dietary Notes', aliases: ['diet', 'allergies', 'dietary needs'] },
+      { key: 'consent', label: 'Consent to Storage', required: true, aliases: ['consent', 'data consent', 'gdpr'], hint: 'yes / no' },
+    ],
+  },
+  records: {
+    label: 'Distribution Records',
+    keyField: 'externalId',
+    // The record, its usage counter and, for eligibilities set before counters, their allowances
+    writesPerRow: 3,
+    access: 'manager',
+    // Creating a record reads the recipient's eligibility and the usage counter of the record's
+    // period; one key per recipient and day covers both
+    lookupKey: (row) => `${row.data.recipientId}/${new Date(row.data.timestamp).toDateString()}`,
+    lookupsPerKey: 2,
+    fields: [
+      { key: 'externalId', label: 'External ID', required: true, aliases: ['id', 'record id', 'reference'] },
+      { key: 'recipientId', label: 'Recipient ID', required: true, aliases: ['recipient', 'beneficiary id'] },
+      { key: 'foodItem', label: 'Food Item', required: true, aliases: ['item', 'food', 'product'] },
+      { key: 'quantity', label: 'Quantity', required: true, aliases: ['qty', 'amount'], hint: 'whole number' },
+      { key: 'site', label: 'Site', aliases: ['location', 'site id'], hint: 'name or ID; blank for the default site' },
+      { key: 'status', label: 'Status', aliases: ['state'], hint: 'Pending or Completed; blank for Pending' },
+      { key: 'date', label: 'Date', aliases: ['timestamp', 'distributed on', 'distribution date'], hint: 'YYYY-MM-DD' },
+    ],
+  },
+};
+
+// Longest file a single import takes; beyond this, split the file
+export const MAX_IMPORT_ROWS = 5000;
+
+// Document ID for an external key; encoded, so any key maps to its own valid ID
+export const importDocId = (key) => `import-${encodeURIComponent(key)}`;
+
+const normalizeHeading = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Column index for each field, matched by heading; -1 where nothing fits.
+ *
+ * @param {string[]} headers
+ * @param {ImportTarget} target
+ * @returns {Object<string, number>}
+ */
+export const guessMapping = (headers, target) => {
+  const headings = headers.map(normalizeHeading);
+  return Object.fromEntries(target.fields.map(field => {
+    const names = [field.label, field.key, ...(field.aliases || [])].map(normalizeHeading);
+    return [field.key, headings.findIndex(h => names.includes(h))];
+  }));
+};
+
+/** Site ID for a cell holding a site's name or ID, or null when unknown. */
+const findSiteId = (text, sites) => {
+  const wanted = text.toLowerCase();
+  return sites.find(s => s.id.toLowerCase() === wanted || s.name.toLowerCase() === wanted)?.id || null;
+};
+
+// Spreadsheets format large numbers with thousands separators, e.g. "1,000"
+const GROUPED_NUMBER = /^-?\d{1,3}(,\d{3})+$/;
+
+const toWholeNumber = (text, label, errors, { min }) => {
+  const digits = GROUPED_NUMBER.test(text) ? text.replace(/,/g, '') : text;
+  const value = /^-?\d+$/.test(digits) ? Number(digits) : NaN;
+  if (Number.isNaN(value) || value < min) {
+    errors.push(`${label} must be a whole number${min > 0 ? ` of at least ${min}` : ''}.`);
+    return null;
+  }
+  return value;
+};
+
+// Converts one row's cells into document fields, pushing a message per problem
+const BUILDERS = {
+  inventory: (v, { sites, errors }) => {
+    const quantity = toWholeNumber(v.quantity, 'Quantity', errors, { min: 0 });
+    const maxPerRequest = v.maxPerRequest ? toWholeNumber(v.maxPerRequest, 'Max per Request', errors, { min: 1 }) : null;
+    const siteId = v.site ? findSiteId(v.site, sites) : DEFAULT_SITE_ID;
+    if (!siteId) errors.push(`Unknown site "${v.site}".`);
+    if (v.expiration && !isIsoDate(v.expiration)) errors.push('Expiration must be a date (YYYY-MM-DD).');
+    return { item: v.item, unit: v.unit, quantity, siteId, expiration: v.expiration || null, supplier: v.supplier || null, maxPerRequest };
+  },
+
+  beneficiaries: (v, { sites, errors }) => {
+    if (v.recipientId.includes('/')) errors.push('Recipient ID cannot contain "/".');
+    if (v.dateOfBirth && !isIsoDate(v.dateOfBirth)) errors.push('Date of Birth must be a date (YYYY-MM-DD).');
+    const siteId = v.site ? findSiteId(v.site, sites) : null;
+    if (v.site && !siteId) errors.push(`Unknown site "${v.site}".`);
+    const consent = /^(y|yes|true|1|x)$/i.test(v.consent);
+    if (v.consent && !consent) errors.push('Only households that agreed to their details being stored can be imported.');
+    return {
+      name: v.name,
+      dateOfBirth: v.dateOfBirth || null,
+      members: (v.members || '').split(';').map(name => name.trim()).filter(Boolean).map(name => ({ name })),
+      phone: v.phone || '',
+      email: v.email || '',
+      address: v.address || '',
+      siteId,
+      dietaryNotes: v.dietaryNotes || '',
+      consent: { dataStorage: consent },
+    };
+  },
+
+  records: (v, { sites, errors }) => {
+    const quantity = toWholeNumber(v.quantity, 'Quantity', errors, { min: 1 });
+    const siteId = v.site ? findSiteId(v.site, sites) : DEFAULT_SITE_ID;
+    if (!siteId) errors.push(`Unknown site "${v.site}".`);
+    const status = v.status ? ['Pending', 'Completed'].find(s => s.toLowerCase() === v.status.toLowerCase()) : 'Pending';
+    if (!status) errors.push('Status must be Pending or Completed.');
+    if (v.date && !isIsoDate(v.date)) errors.push('Date must be a date (YYYY-MM-DD).');
+    return {
+      recipientId: v.recipientId,
+      foodItem: v.foodItem,
+      quantity,
+      location: siteId ? siteName(sites, siteId) : '',
+      siteId,
+      status,
+      timestamp: v.date ? new Date(`${v.date}T12:00`).toISOString() : new Date().toISOString(),
+    };
+  },
+};
+
+/**
+ * Validates every data row against the mapping. Rows with errors stay in the
+ * result so the preview can show them.
+ *
+ * @param {string[][]} rows
+ * @param {Object<string, number>} mapping - From guessMapping(), adjusted by staff
+ * @param {string} targetName - Key of IMPORT_TARGETS
+ * @param {{ sites: import('./Sites').Site[] }} context
+ * @returns {ImportRow[]}
+ */
+export const validateRows = (rows, mapping, targetName, { sites }) => {
+  const target = IMPORT_TARGETS[targetName];
+  const seen = new Map();
+
+  return rows.map((cells, index) => {
+    const line = index + 2;
+    const errors = [];
+    const values = Object.fromEntries(target.fields.map(field => [field.key, mapping[field.key] >= 0 ? cells[mapping[field.key]] || '' : '']));
+
+    target.fields.filter(f => f.required && !values[f.key]).forEach(f => errors.push(`${f.label} is missing.`));
+    const key = values[target.keyField];
+    if (key && seen.has(key)) errors.push(`Same ${target.fields.find(f => f.key === target.keyField).label} as row ${seen.get(key)}.`);
+    if (key && !seen.has(key)) seen.set(key, line);
+
+    const data = BUILDERS[targetName](values, { sites, errors });
+    return { line, key, docId: targetName === 'beneficiaries' ? key : importDocId(key), data, errors };
+  });
+};
+
+/**
+ * Splits rows into groups that each fit in one batch: at most `maxWrites`
+ * writes and, when `lookupKey` is given, at most `maxLookups` distinct keys.
+ *
+ * @template T
+ * @param {T[]} rows
+ * @param {number} writesPerRow
+ * @param {number} maxWrites
+ * @param {{ lookupKey?: (row: T) => string, maxLookups?: number }} [limits]
+ * @returns {T[][]}
+ */
+export const chunkRows = (rows, writesPerRow, maxWrites, { lookupKey, maxLookups = Infinity } = {}) => {
+  const size = Math.max(1, Math.floor(maxWrites / writesPerRow));
+  const chunks = [];
+  let chunk = [];
+  let keys = new Set();
+  rows.forEach(row => {
+    const key = lookupKey ? lookupKey(row) : null;
+    const needsKey = lookupKey && !keys.has(key);
+    if (chunk.length && (chunk.length >= size || (needsKey && keys.size >= maxLookups))) {
+      chunks.push(chunk);
+      chunk = [];
+      keys = new Set();
+    }
+    chunk.push(row);
+    if (lookupKey) keys.add(key);
+  });
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+};
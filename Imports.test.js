@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { IMPORT_TARGETS, chunkRows, validateRows } from './Imports';
+
+describe('chunkRows', () => {
+  const records = (recipients) => recipients.map((recipientId, i) => ({ line: i + 2, data: { recipientId, timestamp: '2026-10-19T12:00:00.000Z' } }));
+  const { lookupKey } = IMPORT_TARGETS.records;
+
+  it('fills each batch up to the write limit', () => {
+    expect(chunkRows(records(Array(5).fill('r-1')), 2, 4).map(c => c.length)).toEqual([2, 2, 1]);
+  });
+
+  it('starts a new batch when one more recipient would go over the lookup limit', () => {
+    const chunks = chunkRows(records(['a', 'b', 'a', 'c', 'b', 'd']), 1, 500, { lookupKey, maxLookups: 2 });
+    expect(chunks.map(c => c.map(r => r.data.recipientId))).toEqual([['a', 'b', 'a'], ['c', 'b'], ['d']]);
+  });
+});
+
+describe('validateRows', () => {
+  const mapping = { externalId: 0, item: 1, unit: 2, quantity: 3 };
+  const check = (quantity) => validateRows([['sku-1', 'Dry Pasta', 'boxes', quantity]], mapping, 'inventory', { sites: [] })[0];
+
+  it('reads quantities with thousands separators', () => {
+    expect(check('1,000').data.quantity).toBe(1000);
+    expect(check('1,000').errors).toEqual([]);
+  });
+
+  it('refuses separators in the wrong places', () => {
+    expect(check('10,00').errors).toEqual(['Quantity must be a whole number.']);
+  });
+});
@@ -1,18 +1,30 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { Package, Truck, Users, Activity, CheckCircle, Clock, Save, Loader2, Database, AlertTriangle, Send, RefreshCw } from 'lucide-react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, addDoc, updateDoc, onSnapshot, collection, query, writeBatch, getDocs, setLogLevel } from 'firebase/firestore';
-
-// Set Firebase log level for debugging
-setLogLevel('debug');
+import { Package, Truck, Users, Activity, CheckCircle, Clock, Save, Loader2, Database, AlertTriangle, Send, RefreshCw, XCircle, Ban, PackageCheck, History, Building2, ShieldCheck, Calendar, MapPin, Pencil, ArrowRightLeft, BarChart3 } from 'lucide-react';
+import { getBackend, isOfflineMode } from './Backend';
+import { RoleContext, RequireRole, DemoRoleSwitcher, useUserRole, useRole, hasRole, ROLE_LABELS, STAFF_ROLES, MANAGER_ROLES } from './Roles';
+import { availableActions, remainingAmount, statusLabel, linesOf, EFFECTS, TRANSITIONS } from './Request-lifecycle';
+import { MOVEMENT_LABELS, MOVEMENT_TYPES, reconcile } from './Stock-ledger';
+import { lotsOf, isNearExpiry, LOW_STOCK_THRESHOLD } from './Inventory-lots';
+import { ORG_STATUS, orgSlug, findLikelyDuplicates } from './Organizations';
+import { REQUEST_LIMITS } from './Request-validation';
+import { DEFAULT_SITES, DEFAULT_SITE_ID, siteOf, siteName } from './Sites';
+import { TRANSFER_STATUS, transferStatusLabel, unitsInTransit } from './Transfers';
+import { OUTBOX_STATE } from './Outbox';
+import { OutboxStatus, useOutbox } from './Counter-mode';
+import { ImportWizard } from './Import-wizard';
+import { ReportExporter } from './Report-export';
+import { AnalyticsView } from './Analytics-view';
 
 // Utility function to determine status color
 const getStatusColor = (status) => {
     switch (status) {
         case 'Approved': return 'bg-teal-100 text-teal-700 border-teal-300';
         case 'Pending': return 'bg-yellow-100 text-yellow-700 border-yellow-300';
+        case 'PartiallyShipped': return 'bg-blue-100 text-blue-700 border-blue-300';
         case 'Shipped': return 'bg-indigo-100 text-indigo-700 border-indigo-300';
+        case 'Delivered': return 'bg-green-100 text-green-700 border-green-300';
+        case 'Rejected': return 'bg-red-100 text-red-700 border-red-300';
+        case 'Cancelled': return 'bg-gray-100 text-gray-500 border-gray-300';
         case 'Low Stock': return 'bg-red-100 text-red-700 border-red-300';
         default: return 'bg-gray-100 text-gray-700 border-gray-300';
     }
@@ -35,47 +47,351 @@ const StatCard = ({ icon: Icon, title, value, color }) => (
     </div>
 );
 
-// 2. Inventory Table Component
-const InventoryTable = ({ inventory, db, userId, appId, isAuthReady }) => {
-    const handleUpdateStock = async (itemId) => {
-        if (!db || !isAuthReady) return console.error("Database not ready or user not authenticated.");
-        
-        const item = inventory.find(i => i.id === itemId);
-        if (!item) return;
+// 2. Movement History Modal: the stock ledger of one item
+const MovementHistoryModal = ({ item, repo, outbox, userId, onClose }) => {
+    const [movements, setMovements] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [form, setForm] = useState({ type: MOVEMENT_TYPES.adjustment, quantity: '', reason: '', lotId: '' });
+    const [error, setError] = useState(null);
+    // Shown when a movement was queued on this device rather than written
+    const [notice, setNotice] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
 
-        // Simple mock update logic: increase stock by 10
-        const newQuantity = item.quantity + 10;
-        
+    useEffect(() => {
+        const unsubscribe = repo.subscribeMovements(item.id, (data) => {
+            setMovements(data);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching stock movements:", err);
+            setError(err.message);
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [repo, item.id]);
+
+    const { stored, ledger, drift } = reconcile(item, movements);
+
+    const run = async (write) => {
+        setError(null);
+        setNotice(null);
+        setIsSaving(true);
         try {
-            const itemRef = doc(db, `artifacts/${appId}/public/data/inventory`, itemId);
-            await updateDoc(itemRef, {
-                quantity: newQuantity,
-                lastUpdated: new Date().toISOString()
-            });
-            console.log(`Stock updated for ${item.item}. New quantity: ${newQuantity}`);
-        } catch (error) {
-            console.error("Error updating document: ", error);
+            await write();
+        } catch (err) {
+            console.error("Error writing stock movement:", err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleRecord = (e) => {
+        e.preventDefault();
+        // Spoilage is entered as a positive count of units lost
+        const quantity = parseInt(form.quantity);
+        const delta = form.type === MOVEMENT_TYPES.spoilage ? -Math.abs(quantity) : quantity;
+        run(async () => {
+            const { queued } = await outbox.submit(
+                'adjustStock',
+                { itemId: item.id, delta, details: { type: form.type, reason: form.reason.trim() || null, actor: userId, lotId: form.lotId || undefined } },
+                `${MOVEMENT_LABELS[form.type]}: ${delta > 0 ? '+' : ''}${delta} ${item.unit} of ${item.item}`
+            );
+            setForm({ ...form, quantity: '', reason: '' });
+            if (queued) setNotice("Saved on this device. It will be recorded when the connection returns.");
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex justify-center items-center p-4">
+            <div className="bg-white p-6 rounded-xl shadow-2xl max-w-3xl w-full">
+                <div className="flex justify-between items-center border-b pb-2 mb-4">
+                    <h3 className="text-2xl font-bold text-indigo-700">Stock History: {item.item}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700"><XCircle className="w-6 h-6" /></button>
+                </div>
+
+                <div className={`p-3 rounded-md text-sm mb-4 flex flex-wrap items-center justify-between gap-2 ${drift ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-800'}`}>
+                    <span>
+                        Stored: <span className="font-bold">{stored}</span> {item.unit} · Ledger: <span className="font-bold">{ledger}</span> {item.unit}
+                        {drift !== 0 && !isLoading && <> · {drift > 0 ? '+' : ''}{drift} not explained by movements</>}
+                    </span>
+                    {drift !== 0 && !isLoading && (
+                        <RequireRole roles={MANAGER_ROLES}>
+                            <button
+                                onClick={() => run(() => repo.reconcileItem(item.id, { actor: userId }))}
+                                disabled={isSaving}
+                                className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50"
+                            >
+                                <RefreshCw className="w-3 h-3 mr-1" /> Reconcile
+                            </button>
+                        </RequireRole>
+                    )}
+                </div>
+
+                <form onSubmit={handleRecord} className="flex flex-wrap items-center gap-2 mb-4">
+                    <select
+                        value={form.type}
+                        onChange={(e) => setForm({ ...form, type: e.target.value })}
+                        className="rounded-md border-gray-300 p-1 text-sm border bg-white"
+                    >
+                        <option value={MOVEMENT_TYPES.adjustment}>{MOVEMENT_LABELS.adjustment}</option>
+                        <option value={MOVEMENT_TYPES.spoilage}>{MOVEMENT_LABELS.spoilage}</option>
+                    </select>
+                    <select
+                        value={form.lotId}
+                        onChange={(e) => setForm({ ...form, lotId: e.target.value })}
+                        className="rounded-md border-gray-300 p-1 text-sm border bg-white"
+                    >
+                        <option value="">Any lot (FEFO)</option>
+                        {lotsOf(item).map(lot => (
+                            <option key={lot.id} value={lot.id}>{lot.quantity} {item.unit}, exp. {lot.expiration || 'n/a'}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="number"
+                        value={form.quantity}
+                        onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+                        placeholder={form.type === MOVEMENT_TYPES.spoilage ? 'Units lost' : 'Units (+/-)'}
+                        required
+                        className="w-28 rounded-md border-gray-300 p-1 text-sm border"
+                    />
+                    <input
+                        type="text"
+                        value={form.reason}
+                        onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                        placeholder="Reason"
+                        required
+                        className="flex-grow rounded-md border-gray-300 p-1 text-sm border"
+                    />
+                    <button type="submit" disabled={isSaving} className="px-3 py-1 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">Record</button>
+                </form>
+
+                {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+                {notice && <p className="text-xs text-yellow-700 mb-2">{notice}</p>}
+
+                <div className="overflow-y-auto max-h-96">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">When</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {movements.map((m) => (
+                                <tr key={m.id}>
+                                    <td className="px-3 py-2 whitespace-nowrap text-gray-500">{new Date(m.at).toLocaleString()}</td>
+                                    <td className="px-3 py-2 whitespace-nowrap">{MOVEMENT_LABELS[m.type] || m.type}</td>
+                                    <td className={`px-3 py-2 text-right font-semibold ${m.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>{m.quantity > 0 ? '+' : ''}{m.quantity}</td>
+                                    <td className="px-3 py-2 text-right text-gray-700">{m.balanceAfter}</td>
+                                    <td className="px-3 py-2 text-gray-600">
+                                        {m.reason}
+                                        {m.requestId && <span className="block text-xs text-gray-400 font-mono">Request {m.requestId.substring(0, 8)}</span>}
+                                    </td>
+                                    <td className="px-3 py-2 text-xs text-gray-400 font-mono">{m.actor ? m.actor.substring(0, 12) : 'system'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {isLoading && <p className="text-center py-6 text-gray-500"><Loader2 className="w-4 h-4 inline animate-spin mr-2" />Loading history...</p>}
+                    {!isLoading && !movements.length && <p className="text-center py-6 text-gray-500">No movements recorded for this item yet.</p>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// 3. Receive Stock Modal: goods receipt for an existing or new catalog item
+const NEW_ITEM = '__new';
+
+const emptyReceipt = (itemId = '') => ({
+    itemId,
+    item: '',
+    unit: '',
+    maxPerRequest: '',
+    quantity: '',
+    expiration: '',
+    supplier: '',
+    receivedDate: new Date().toISOString().slice(0, 10),
+    packagingIntact: false,
+    temperatureOk: false,
+    notes: '',
+});
+
+const ReceiveStockModal = ({ inventory, site, outbox, userId, initialItemId, onClose }) => {
+    const [form, setForm] = useState(() => emptyReceipt(initialItemId || inventory[0]?.id || NEW_ITEM));
+    const [error, setError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const isNewItem = form.itemId === NEW_ITEM;
+    const selectedItem = inventory.find(i => i.id === form.itemId);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setIsSaving(true);
+        try {
+            const receipt = {
+                itemId: isNewItem ? undefined : form.itemId,
+                newItem: isNewItem ? { item: form.item, unit: form.unit, maxPerRequest: form.maxPerRequest ? parseInt(form.maxPerRequest) : null } : undefined,
+                siteId: site.id,
+                quantity: parseInt(form.quantity),
+                lot: {
+                    expiration: form.expiration,
+                    supplier: form.supplier,
+                    receivedDate: form.receivedDate,
+                    condition: { packagingIntact: form.packagingIntact, temperatureOk: form.temperatureOk, notes: form.notes.trim() },
+                },
+                actor: userId,
+            };
+            // Queued while offline; the counter status shows it until it syncs
+            await outbox.submit('receiveStock', { receipt }, `Receive ${receipt.quantity} ${selectedItem?.unit || form.unit} of ${selectedItem?.item || form.item} at ${site.name}`);
+            onClose();
+        } catch (err) {
+            console.error("Error receiving stock:", err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
         }
     };
 
+    const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border";
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 flex justify-center items-center p-4">
+            <div className="bg-white p-6 rounded-xl shadow-2xl max-w-lg w-full">
+                <h3 className="text-2xl font-bold mb-4 text-indigo-700 border-b pb-2">Receive Stock at {site.name}</h3>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Item</label>
+                        <select name="itemId" value={form.itemId} onChange={handleChange} className={`${inputClass} bg-white`}>
+                            {inventory.map(i => <option key={i.id} value={i.id}>{i.item}</option>)}
+                            <option value={NEW_ITEM}>+ New catalog item...</option>
+                        </select>
+                    </div>
+
+                    {isNewItem && (
+                        <div className="grid grid-cols-3 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">Item Name</label>
+                                <input type="text" name="item" value={form.item} onChange={handleChange} placeholder="e.g. Rice" required className={inputClass} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">Unit</label>
+                                <input type="text" name="unit" value={form.unit} onChange={handleChange} placeholder="e.g. bags" required className={inputClass} />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">Max per Request</label>
+                                <input type="number" name="maxPerRequest" value={form.maxPerRequest} onChange={handleChange} min="1" placeholder={String(REQUEST_LIMITS.defaultMaxPerRequest)} className={inputClass} />
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Quantity{selectedItem && ` (${selectedItem.unit})`}</label>
+                            <input type="number" name="quantity" value={form.quantity} onChange={handleChange} min="1" required className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Lot Expiration</label>
+                            <input type="date" name="expiration" value={form.expiration} onChange={handleChange} min={form.receivedDate} className={inputClass} />
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Donor / Supplier</label>
+                            <input type="text" name="supplier" value={form.supplier} onChange={handleChange} required className={inputClass} />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Received On</label>
+                            <input type="date" name="receivedDate" value={form.receivedDate} onChange={handleChange} required className={inputClass} />
+                        </div>
+                    </div>
+
+                    <fieldset className="p-3 bg-gray-50 rounded-md space-y-2">
+                        <legend className="text-sm font-medium text-gray-700">Condition Check</legend>
+                        <label className="flex items-center text-sm text-gray-700">
+                            <input type="checkbox" name="packagingIntact" checked={form.packagingIntact} onChange={handleChange} className="mr-2" />
+                            Packaging intact, no damage, pests or leaks
+                        </label>
+                        <label className="flex items-center text-sm text-gray-700">
+                            <input type="checkbox" name="temperatureOk" checked={form.temperatureOk} onChange={handleChange} className="mr-2" />
+                            Temperature OK (cold chain kept, or not required)
+                        </label>
+                        <input type="text" name="notes" value={form.notes} onChange={handleChange} placeholder="Notes (optional)" className="block w-full rounded-md border-gray-300 p-2 border text-sm" />
+                    </fieldset>
+
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+
+                    <div className="flex justify-end space-x-3 pt-2">
+                        <button type="button" onClick={onClose} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition">
+                            Cancel
+                        </button>
+                        <button type="submit" disabled={isSaving} className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">
+                            {isSaving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />} Receive
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// 4. Inventory Table Component: stock held at the selected site
+const InventoryTable = ({ inventory, site, repo, outbox, userId, isAuthReady }) => {
+    const { hasRole: canAct } = useRole();
+    // Item whose movement history is open
+    const [historyItemId, setHistoryItemId] = useState(null);
+    const historyItem = inventory.find(i => i.id === historyItemId);
+    // Goods receipt dialog: { itemId } (undefined itemId opens it on the first item)
+    const [receipt, setReceipt] = useState(null);
+
+    const openReceipt = (itemId) => {
+        if (!repo || !isAuthReady) return console.error("Database not ready or user not authenticated.");
+        if (!canAct(STAFF_ROLES)) return console.error("Only warehouse staff and managers can change stock.");
+        setReceipt({ itemId });
+    };
+
     return (
         <div className="mt-8 bg-white p-6 rounded-xl shadow-lg h-full flex flex-col">
-            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
-                <Package className="w-5 h-5 mr-2 text-indigo-600" /> Current Inventory Stock
-            </h2>
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                    <Package className="w-5 h-5 mr-2 text-indigo-600" /> Current Inventory Stock
+                    <span className="ml-2 text-base font-normal text-gray-500">at {site.name}</span>
+                </h2>
+                <RequireRole roles={STAFF_ROLES}>
+                    <button
+                        onClick={() => openReceipt()}
+                        className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                        disabled={!isAuthReady}
+                    >
+                        <Save className="w-4 h-4 mr-1" /> Receive Stock
+                    </button>
+                </RequireRole>
+            </div>
             <div className="overflow-x-auto flex-grow">
                 <table className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-gray-50">
                         <tr>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lots (FEFO)</th>
                             <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
                         </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
                         {inventory.map((item) => {
-                            const isLowStock = item.quantity < 50;
+                            const isLowStock = item.quantity < LOW_STOCK_THRESHOLD;
                             return (
                                 <tr key={item.id} className={`hover:bg-indigo-50 transition duration-150 ${isLowStock ? 'bg-red-50' : ''}`}>
                                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{item.item}</td>
@@ -87,22 +403,35 @@ const InventoryTable = ({ inventory, db, userId, appId, isAuthReady }) => {
                                             </span>
                                         )}
                                     </td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
-                                        <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold ${
-                                            new Date(item.expiration) < new Date(Date.now() + 60 * 24 * 60 * 60 * 1000) // 60 days near expiry
-                                            ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
-                                        }`}>
-                                            {item.expiration}
-                                        </span>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm space-y-1">
+                                        {/* One badge per lot, in the order shipments draw from them */}
+                                        {lotsOf(item).map((lot) => (
+                                            <div key={lot.id} className="flex items-center gap-2" title={lot.supplier ? `From ${lot.supplier}, received ${lot.receivedDate}` : undefined}>
+                                                <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold ${
+                                                    isNearExpiry(lot.expiration) ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
+                                                }`}>
+                                                    {lot.expiration || 'No date'}
+                                                </span>
+                                                <span className="text-xs text-gray-500">{lot.quantity} {item.unit}{lot.supplier && ` · ${lot.supplier}`}</span>
+                                            </div>
+                                        ))}
                                     </td>
                                     <td className="px-6 py-4 whitespace-nowrap text-center text-sm font-medium">
-                                        <button 
-                                            onClick={() => handleUpdateStock(item.id)}
-                                            className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
-                                            disabled={!isAuthReady}
-                                        >
-                                            <Save className="w-4 h-4 mr-1" /> Add 10 {item.unit}
-                                        </button>
+                                        <RequireRole roles={STAFF_ROLES} fallback={<span className="text-xs text-gray-400">View only</span>}>
+                                            <button 
+                                                onClick={() => openReceipt(item.id)}
+                                                className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+                                                disabled={!isAuthReady}
+                                            >
+                                                <Save className="w-4 h-4 mr-1" /> Receive
+                                            </button>
+                                            <button
+                                                onClick={() => setHistoryItemId(item.id)}
+                                                className="inline-flex items-center ml-2 px-3 py-1.5 text-xs font-medium rounded-md text-indigo-700 bg-indigo-100 hover:bg-indigo-200"
+                                            >
+                                                <History className="w-4 h-4 mr-1" /> History
+                                            </button>
+                                        </RequireRole>
                                     </td>
                                 </tr>
                             );
@@ -111,57 +440,218 @@ const InventoryTable = ({ inventory, db, userId, appId, isAuthReady }) => {
                 </table>
             </div>
             {!inventory.length && (
-                 <p className="text-center py-12 text-gray-500">No inventory items found. Add some to the database!</p>
+                 <p className="text-center py-12 text-gray-500">No inventory at this site. Use Receive Stock to add the first item.</p>
+            )}
+            {receipt && (
+                <ReceiveStockModal inventory={inventory} site={site} outbox={outbox} userId={userId} initialItemId={receipt.itemId} onClose={() => setReceipt(null)} />
+            )}
+            {historyItem && (
+                <MovementHistoryModal item={historyItem} repo={repo} outbox={outbox} userId={userId} onClose={() => setHistoryItemId(null)} />
             )}
         </div>
     );
 };
 
-// 3. Request Manager Component (New Logic)
-const RequestManager = ({ requests, inventory, db, appId, isAuthReady }) => {
-    
-    // Function to handle status updates and inventory decrement (using a batch write)
-    const handleStatusUpdate = async (requestId, requestItem, requestAmount, newStatus) => {
-        if (!db || !isAuthReady) return console.error("Database not ready.");
+// 5. Request Manager Component (New Logic)
 
-        const batch = writeBatch(db);
-        const requestRef = doc(db, `artifacts/${appId}/public/data/requests`, requestId);
-        
-        batch.update(requestRef, {
-            status: newStatus,
-            processedBy: newStatus !== 'Pending' ? new Date().toISOString() : null
-        });
+// Button look for each lifecycle action (see TRANSITIONS in Request-lifecycle.js)
+const ACTION_STYLES = {
+    approve: { icon: CheckCircle, className: 'text-white bg-teal-600 hover:bg-teal-700' },
+    reject: { icon: XCircle, className: 'text-white bg-red-600 hover:bg-red-700' },
+    cancel: { icon: Ban, className: 'text-gray-700 bg-gray-200 hover:bg-gray-300' },
+    shipPartial: { icon: Truck, className: 'text-indigo-700 bg-indigo-100 hover:bg-indigo-200' },
+    ship: { icon: Truck, className: 'text-white bg-indigo-600 hover:bg-indigo-700' },
+    deliver: { icon: PackageCheck, className: 'text-white bg-green-600 hover:bg-green-700' },
+    reset: { icon: RefreshCw, className: 'text-gray-700 bg-gray-200 hover:bg-gray-300' },
+};
 
-        // If the request is being SHIPPED, we must update the inventory
-        if (newStatus === 'Shipped') {
-            const inventoryItem = inventory.find(i => i.item === requestItem);
-            
-            if (!inventoryItem) {
-                console.error(`Inventory item not found for ${requestItem}. Cannot ship.`);
-                return; // Prevent shipping if inventory item doesn't exist
-            }
+// Stock a line ships from: whatever it already shipped from, otherwise the selected site's
+// document for the item. Lines name one document by id (possibly at another site), older
+// requests only by display name.
+const findStockFor = (inventory, siteId, line) => {
+    if (line.shippedFromItemId) return inventory.find(i => i.id === line.shippedFromItemId);
+    const atSite = inventory.filter(i => siteOf(i) === siteId);
+    const named = inventory.find(i => i.id === line.itemId)?.item || line.item;
+    return atSite.find(i => i.id === line.itemId) || atSite.find(i => i.item.toLowerCase() === named.toLowerCase());
+};
 
-            const newQuantity = inventoryItem.quantity - requestAmount;
-            
-            if (newQuantity < 0) {
-                 // In a real app, this would trigger an error modal, not just a console log
-                console.error(`Insufficient stock to ship ${requestAmount} units of ${requestItem}. Only ${inventoryItem.quantity} available.`);
-                return;
-            }
+// Units of one line sent back to inventory by reversed shipments
+const returnedUnits = (request, line) =>
+    (request.stockLog || [])
+        .filter(e => e.type === 'return' && (e.lineId || 'line-1') === line.id)
+        .reduce((sum, e) => sum + e.quantity, 0);
 
-            const inventoryRef = doc(db, `artifacts/${appId}/public/data/inventory`, inventoryItem.id);
-            
-            batch.update(inventoryRef, {
-                quantity: newQuantity,
-                lastUpdated: new Date().toISOString()
-            });
+// One line item of a request, with the lifecycle actions allowed for it
+const RequestLineRow = ({ request, line, inventory, siteId, role, isAuthReady, isBusy, prompt, error, onAction, onPrompt }) => {
+    const inventoryItem = findStockFor(inventory, siteId, line);
+    const remaining = remainingAmount(line);
+    const isShippable = inventoryItem && inventoryItem.quantity >= remaining;
+    const actions = availableActions(line, role);
+    const canShip = actions.some(t => t.action === 'ship');
+    const returned = returnedUnits(request, line);
+
+    const startAction = (transition) => {
+        if (!transition.input) return onAction(line, transition.action);
+        onPrompt({ lineId: line.id, action: transition.action, input: transition.input, value: '' });
+    };
+
+    return (
+        <div className="py-2 border-t border-gray-100 first:border-t-0">
+            <div className="flex justify-between items-start">
+                <div>
+                    <p className="text-sm text-gray-700">
+                        <span className="font-bold">{line.amount}</span> {inventoryItem?.unit || 'units'} of <span className="font-bold">{line.item}</span>
+                        {line.shippedAmount > 0 && <span className="text-gray-500"> ({line.shippedAmount} shipped)</span>}
+                    </p>
+                    {returned > 0 && (
+                        <p className="text-xs text-gray-500 mt-1">{returned} shipped units returned to stock</p>
+                    )}
+                    {line.status === 'Rejected' && line.rejectionReason && (
+                        <p className="text-xs text-red-600 mt-1">Reason: {line.rejectionReason}</p>
+                    )}
+                </div>
+                <span className={`px-2 py-0.5 text-xs font-semibold rounded-full border ${getStatusColor(line.status)}`}>
+                    {statusLabel(line.status)}
+                </span>
+            </div>
+            <RequireRole roles={STAFF_ROLES}>
+                {actions.length > 0 && (
+                    <div className="mt-2 flex flex-wrap justify-end gap-2">
+                        {actions.map((transition) => {
+                            const { icon: Icon, className } = ACTION_STYLES[transition.action];
+                            const blocked = transition.action === 'ship' && !isShippable;
+                            return (
+                                <button 
+                                    key={transition.action}
+                                    onClick={() => startAction(transition)}
+                                    className={`inline-flex items-center px-3 py-1 text-xs font-medium rounded-md disabled:opacity-50 ${blocked ? 'text-white bg-gray-400 cursor-not-allowed' : className}`}
+                                    disabled={!isAuthReady || blocked || isBusy}
+                                    title={blocked ? `Not enough stock (Available: ${inventoryItem?.quantity || 0})` : transition.effects?.includes(EFFECTS.returnStock) && line.shippedAmount > 0 ? `${transition.label} and return ${line.shippedAmount} units to stock` : transition.label}
+                                >
+                                    <Icon className="w-3 h-3 mr-1" /> {transition.label}
+                                </button>
+                            );
+                        })}
+                    </div>
+                )}
+                {prompt && (
+                    <form
+                        className="mt-2 flex items-center gap-2"
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            const input = prompt.input === 'quantity' ? { quantity: parseInt(prompt.value) } : { reason: prompt.value };
+                            onAction(line, prompt.action, input);
+                        }}
+                    >
+                        <input
+                            type={prompt.input === 'quantity' ? 'number' : 'text'}
+                            min="1"
+                            max={remaining - 1}
+                            autoFocus
+                            value={prompt.value}
+                            onChange={(e) => onPrompt({ ...prompt, value: e.target.value })}
+                            placeholder={prompt.input === 'quantity' ? `Units to ship now (of ${remaining})` : 'Reason for rejection'}
+                            required
+                            className="flex-grow px-2 py-1 text-xs border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <button type="submit" disabled={isBusy} className="px-3 py-1 text-xs font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">Confirm</button>
+                        <button type="button" onClick={() => onPrompt(null)} className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-200 hover:bg-gray-300">Cancel</button>
+                    </form>
+                )}
+            </RequireRole>
+            {canShip && !isShippable && (
+                <p className="text-xs text-red-500 mt-2">⚠️ Cannot ship: Insufficient stock of {line.item} at this site.</p>
+            )}
+            {error && (
+                <p className="text-xs text-red-500 mt-2">{error}</p>
+            )}
+        </div>
+    );
+};
+
+// Pickup or delivery details for a request, shown to the organization on the status page
+const FulfilmentForm = ({ request, repo, onDone }) => {
+    const [form, setForm] = useState(() => ({ method: 'pickup', date: '', location: '', notes: '', ...request.fulfilment }));
+    const [error, setError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setIsSaving(true);
+        try {
+            await repo.setFulfilment(request, form);
+            onDone();
+        } catch (err) {
+            console.error("Error saving pickup/delivery details:", err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
         }
-        
+    };
+
+    const inputClass = "px-2 py-1 text-xs border border-gray-300 rounded-md focus:ring-indigo-500 focus:border-indigo-500";
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-2 p-2 bg-gray-50 rounded-md flex flex-wrap items-center gap-2">
+            <select name="method" value={form.method} onChange={handleChange} className={`${inputClass} bg-white`}>
+                <option value="pickup">Pickup</option>
+                <option value="delivery">Delivery</option>
+            </select>
+            <input type="date" name="date" value={form.date} onChange={handleChange} required className={inputClass} />
+            <input type="text" name="location" value={form.location} onChange={handleChange} placeholder={form.method === 'pickup' ? 'Pickup site' : 'Delivery address'} required className={`${inputClass} flex-grow`} />
+            <input type="text" name="notes" value={form.notes} onChange={handleChange} placeholder="Notes for the organization" className={`${inputClass} w-full`} />
+            <button type="submit" disabled={isSaving} className="px-3 py-1 text-xs font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">Save</button>
+            <button type="button" onClick={onDone} className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-200 hover:bg-gray-300">Cancel</button>
+            {error && <p className="w-full text-xs text-red-500">{error}</p>}
+        </form>
+    );
+};
+
+const RequestManager = ({ requests, inventory, siteId, organizations, duplicates, repo, outbox, userId, isAuthReady }) => {
+    const { role } = useRole();
+    // Action waiting for a reason or quantity: { requestId, lineId, action, input, value }
+    const [prompt, setPrompt] = useState(null);
+    // Errors keyed by `${requestId}/${lineId}`
+    const [errors, setErrors] = useState({});
+    // Request being written; its buttons stay disabled so a slow write is not sent twice
+    const [busyId, setBusyId] = useState(null);
+    // Request whose pickup/delivery form is open
+    const [schedulingId, setSchedulingId] = useState(null);
+    // Lines with a change waiting in the outbox stay locked until it syncs
+    const { entries: outboxEntries } = useOutbox(outbox);
+    const queuedLines = useMemo(() => new Set(
+        outboxEntries
+            .filter(e => e.kind === 'transitionRequest' && e.state === OUTBOX_STATE.queued)
+            .map(e => `${e.args.requestId}/${e.args.context.lineId}`)
+    ), [outboxEntries]);
+    
+    // Runs a lifecycle action on one line; the state machine refuses anything it does not allow
+    const handleStatusUpdate = async (request, line, action, input = {}) => {
+        if (!outbox || !isAuthReady) return console.error("Database not ready.");
+
+        const errorKey = `${request.id}/${line.id}`;
+        const inventoryItem = findStockFor(inventory, siteId, line);
+        setErrors(prev => ({ ...prev, [errorKey]: null }));
+        setBusyId(request.id);
+
         try {
-            await batch.commit();
-            console.log(`Request ${requestId} status updated to ${newStatus}. Inventory adjusted (if shipped).`);
+            // Runs as a transaction, so concurrent shipments of the same item are retried, not lost.
+            // Offline it is queued, and on replay the state machine refuses it if the line moved on meanwhile.
+            const { queued } = await outbox.submit(
+                'transitionRequest',
+                { requestId: request.id, action, context: { role, actor: userId, lineId: line.id, inventoryItem: inventoryItem && { id: inventoryItem.id }, ...input } },
+                `${TRANSITIONS.find(t => t.action === action)?.label || action}: ${line.item} for ${request.organization}`
+            );
+            setPrompt(null);
+            console.log(`Request ${request.id}, ${line.id}: ${action} ${queued ? 'queued until the connection returns' : 'applied. Inventory adjusted (if shipped)'}.`);
         } catch (error) {
-            console.error("Error committing batch update (status/inventory): ", error);
+            console.error("Error updating request status/inventory: ", error);
+            setErrors(prev => ({ ...prev, [errorKey]: error.message }));
+        } finally {
+            setBusyId(null);
         }
     };
 
@@ -173,64 +663,482 @@ const RequestManager = ({ requests, inventory, db, appId, isAuthReady }) => {
             </h2>
             <div className="overflow-y-auto flex-grow space-y-4">
                 {requests.map((request) => {
-                    const inventoryItem = inventory.find(i => i.item === request.item);
-                    const isShippable = inventoryItem && inventoryItem.quantity >= request.amount;
-                    
+                    const lines = linesOf(request);
+                    const organization = findOrganizationFor(organizations, request);
                     return (
                         <div key={request.id} className="p-4 border rounded-lg shadow-sm hover:shadow-md transition duration-150" style={{borderColor: getStatusColor(request.status).split(' ')[3]}}>
-                            <div className="flex justify-between items-start">
+                            <div className="flex justify-between items-start mb-2">
                                 <div>
-                                    <p className="text-lg font-semibold text-indigo-600">{request.organization}</p>
-                                    <p className="text-sm text-gray-700 mt-1">
-                                        Needs <span className="font-bold">{request.amount}</span> units of <span className="font-bold">{request.item}</span>
+                                    <p className="text-lg font-semibold text-indigo-600 flex flex-wrap items-center gap-2">
+                                        {request.organization}
+                                        <OrganizationFlags organization={organization} duplicates={organization && duplicates[organization.id]} />
                                     </p>
+                                    <p className="text-xs text-gray-500">
+                                        {request.referenceCode && <span className="font-mono">{request.referenceCode} · </span>}
+                                        {lines.length} {lines.length === 1 ? 'item' : 'items'} · requested {request.requestedDate}
+                                    </p>
+                                    {request.fulfilment && (
+                                        <p className="text-xs text-indigo-700 mt-1 flex items-center">
+                                            <Calendar className="w-3 h-3 mr-1" />
+                                            {request.fulfilment.method === 'pickup' ? 'Pickup' : 'Delivery'} on {request.fulfilment.date} at {request.fulfilment.location}
+                                        </p>
+                                    )}
                                 </div>
                                 <span className={`px-3 py-1 text-xs font-semibold rounded-full border ${getStatusColor(request.status)}`}>
-                                    {request.status}
+                                    {statusLabel(request.status)}
                                 </span>
                             </div>
-                            <div className="mt-3 pt-3 border-t border-gray-100 flex justify-end space-x-2">
-                                
-                                {request.status === 'Pending' && (
-                                    <button 
-                                        onClick={() => handleStatusUpdate(request.id, request.item, request.amount, 'Approved')}
-                                        className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 disabled:opacity-50"
-                                        disabled={!isAuthReady}
-                                    >
-                                        <CheckCircle className="w-3 h-3 mr-1" /> Approve
-                                    </button>
+                            {lines.map((line) => (
+                                <RequestLineRow
+                                    key={line.id}
+                                    request={request}
+                                    line={line}
+                                    inventory={inventory}
+                                    siteId={siteId}
+                                    role={role}
+                                    isAuthReady={isAuthReady}
+                                    isBusy={busyId === request.id || queuedLines.has(`${request.id}/${line.id}`)}
+                                    prompt={prompt?.requestId === request.id && prompt.lineId === line.id ? prompt : null}
+                                    error={errors[`${request.id}/${line.id}`]}
+                                    onAction={(target, action, input) => handleStatusUpdate(request, target, action, input)}
+                                    onPrompt={(next) => setPrompt(next && { ...next, requestId: request.id })}
+                                />
+                            ))}
+                            <RequireRole roles={STAFF_ROLES}>
+                                {schedulingId === request.id ? (
+                                    <FulfilmentForm request={request} repo={repo} onDone={() => setSchedulingId(null)} />
+                                ) : (
+                                    <div className="mt-2 flex justify-end">
+                                        <button
+                                            onClick={() => setSchedulingId(request.id)}
+                                            disabled={!isAuthReady}
+                                            className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-indigo-700 bg-indigo-50 hover:bg-indigo-100 disabled:opacity-50"
+                                        >
+                                            <Calendar className="w-3 h-3 mr-1" /> {request.fulfilment ? 'Reschedule' : 'Schedule pickup/delivery'}
+                                        </button>
+                                    </div>
                                 )}
+                            </RequireRole>
+                        </div>
+                    );
+                })}
+            </div>
+            {!requests.length && (
+                 <p className="text-center py-12 text-gray-500">No pending requests at this time. All clear!</p>
+            )}
+        </div>
+    );
+};
 
-                                {request.status === 'Approved' && (
-                                    <button 
-                                        onClick={() => handleStatusUpdate(request.id, request.item, request.amount, 'Shipped')}
-                                        className={`inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-white ${isShippable ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-gray-400 cursor-not-allowed'}`}
-                                        disabled={!isAuthReady || !isShippable}
-                                        title={isShippable ? "Ship this request" : `Not enough stock (Available: ${inventoryItem.quantity || 0})`}
-                                    >
-                                        <Truck className="w-3 h-3 mr-1" /> Ship
-                                    </button>
-                                )}
 
-                                {(request.status === 'Approved' || request.status === 'Shipped') && (
-                                     <button 
-                                        onClick={() => handleStatusUpdate(request.id, request.item, request.amount, 'Pending')}
-                                        className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
-                                        disabled={!isAuthReady}
+// 6. Organization Registry Component
+
+const ORG_STATUS_COLORS = {
+    Verified: 'bg-green-100 text-green-700 border-green-300',
+    Unverified: 'bg-yellow-100 text-yellow-700 border-yellow-300',
+    Rejected: 'bg-red-100 text-red-700 border-red-300',
+};
+
+// Requests link to the registry by id; older ones by the slug of the typed name
+const findOrganizationFor = (organizations, request) =>
+    organizations.find(o => o.id === (request.organizationId || orgSlug(request.organization)));
+
+// Warning badges for a request's organization, shown on request cards
+const OrganizationFlags = ({ organization, duplicates }) => {
+    if (!organization) {
+        return <span className="px-2 py-0.5 text-xs font-semibold rounded-full border bg-gray-100 text-gray-600 border-gray-300">Not registered</span>;
+    }
+    return (
+        <>
+            {organization.status !== ORG_STATUS.verified && (
+                <span className={`px-2 py-0.5 text-xs font-semibold rounded-full border ${ORG_STATUS_COLORS[organization.status]}`}>{organization.status}</span>
+            )}
+            {duplicates?.length > 0 && (
+                <span className="px-2 py-0.5 text-xs font-semibold rounded-full border bg-orange-100 text-orange-700 border-orange-300" title={duplicates.map(d => `${d.name} (${d.reason})`).join(', ')}>
+                    Possible duplicate
+                </span>
+            )}
+        </>
+    );
+};
+
+const OrganizationRegistry = ({ organizations, duplicates, repo, userId, isAuthReady }) => {
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleStatus = async (organization, status) => {
+        if (!repo || !isAuthReady) return console.error("Database not ready.");
+        setError(null);
+        setBusyId(organization.id);
+        try {
+            await repo.setOrganizationStatus(organization.id, status, { actor: userId });
+        } catch (err) {
+            console.error("Error updating organization status:", err);
+            setError(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+                <Building2 className="w-5 h-5 mr-2 text-indigo-600" /> Organization Registry
+            </h2>
+            {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Organization</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Service Area</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contacts</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                            <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {organizations.map((organization) => (
+                            <tr key={organization.id} className={duplicates[organization.id] ? 'bg-orange-50' : ''}>
+                                <td className="px-4 py-3">
+                                    <p className="font-medium text-gray-900">{organization.name}</p>
+                                    <p className="text-xs text-gray-500">{organization.address}</p>
+                                    {organization.registrationNumber && <p className="text-xs text-gray-400 font-mono">Reg. {organization.registrationNumber}</p>}
+                                    {(duplicates[organization.id] || []).map(d => (
+                                        <p key={d.id} className="text-xs text-orange-700 mt-1">⚠️ Possible duplicate of {d.name} ({d.reason})</p>
+                                    ))}
+                                </td>
+                                <td className="px-4 py-3 text-gray-600">{organization.serviceArea}</td>
+                                <td className="px-4 py-3 text-xs text-gray-600">
+                                    {organization.contacts.map(c => (
+                                        <p key={c.email}>{c.name} · {c.email}{c.phone && ` · ${c.phone}`}</p>
+                                    ))}
+                                </td>
+                                <td className="px-4 py-3">
+                                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full border ${ORG_STATUS_COLORS[organization.status]}`}>{organization.status}</span>
+                                </td>
+                                <td className="px-4 py-3 text-center whitespace-nowrap">
+                                    <RequireRole roles={STAFF_ROLES}>
+                                        {organization.status !== ORG_STATUS.verified && (
+                                            <button
+                                                onClick={() => handleStatus(organization, ORG_STATUS.verified)}
+                                                disabled={!isAuthReady || busyId === organization.id}
+                                                className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 disabled:opacity-50"
+                                            >
+                                                <ShieldCheck className="w-3 h-3 mr-1" /> Verify
+                                            </button>
+                                        )}
+                                        {organization.status !== ORG_STATUS.rejected && (
+                                            <button
+                                                onClick={() => handleStatus(organization, ORG_STATUS.rejected)}
+                                                disabled={!isAuthReady || busyId === organization.id}
+                                                className="inline-flex items-center ml-2 px-3 py-1 text-xs font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                                            >
+                                                <XCircle className="w-3 h-3 mr-1" /> Reject
+                                            </button>
+                                        )}
+                                    </RequireRole>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {!organizations.length && (
+                <p className="text-center py-12 text-gray-500">No organizations registered yet. They are added when an organization first submits a request.</p>
+            )}
+        </div>
+    );
+};
+
+// 7. Sites: the selected site's details, and the list managers edit
+const emptySite = { name: '', address: '', openingHours: '', capacity: '' };
+
+const SiteManager = ({ sites, inventory, selectedId, onSelect, repo, userId, isAuthReady }) => {
+    // Site being edited: { id?, name, address, openingHours, capacity }; no id means a new site
+    const [form, setForm] = useState(null);
+    const [error, setError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const unitsAt = (siteId) => inventory.filter(i => siteOf(i) === siteId).reduce((sum, i) => sum + i.quantity, 0);
+
+    const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!repo || !isAuthReady) return console.error("Database not ready.");
+        setError(null);
+        setIsSaving(true);
+        try {
+            const id = await repo.saveSite({ ...form, capacity: parseInt(form.capacity) }, { actor: userId });
+            setForm(null);
+            onSelect(id);
+        } catch (err) {
+            console.error("Error saving site:", err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const inputClass = "block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border text-sm";
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-xl shadow-lg">
+            <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                    <MapPin className="w-5 h-5 mr-2 text-indigo-600" /> Distribution Sites
+                </h2>
+                <RequireRole roles={MANAGER_ROLES}>
+                    <button
+                        onClick={() => setForm(emptySite)}
+                        disabled={!isAuthReady}
+                        className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        <Save className="w-4 h-4 mr-1" /> Add Site
+                    </button>
+                </RequireRole>
+            </div>
+
+            {form && (
+                <form onSubmit={handleSubmit} className="mb-4 p-3 bg-indigo-50 rounded-md grid grid-cols-1 md:grid-cols-5 gap-2 items-start">
+                    <input type="text" name="name" value={form.name} onChange={handleChange} placeholder="Site name" required disabled={Boolean(form.id)} className={inputClass} />
+                    <input type="text" name="address" value={form.address} onChange={handleChange} placeholder="Address" required className={inputClass} />
+                    <input type="text" name="openingHours" value={form.openingHours} onChange={handleChange} placeholder="Opening hours" className={inputClass} />
+                    <input type="number" name="capacity" value={form.capacity} onChange={handleChange} min="0" placeholder="Capacity (units)" required className={inputClass} />
+                    <div className="flex gap-2">
+                        <button type="submit" disabled={isSaving} className="px-3 py-2 text-xs font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">Save</button>
+                        <button type="button" onClick={() => { setForm(null); setError(null); }} className="px-3 py-2 text-xs font-medium rounded-md text-gray-700 bg-gray-200 hover:bg-gray-300">Cancel</button>
+                    </div>
+                </form>
+            )}
+            {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {sites.map((site) => {
+                    const units = unitsAt(site.id);
+                    const usage = site.capacity ? Math.min(100, (units / site.capacity) * 100) : 100;
+                    return (
+                        <div
+                            key={site.id}
+                            onClick={() => onSelect(site.id)}
+                            className={`p-4 rounded-lg border cursor-pointer ${site.id === selectedId ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                        >
+                            <div className="flex justify-between items-start">
+                                <p className="font-semibold text-gray-900">{site.name}</p>
+                                <RequireRole roles={MANAGER_ROLES}>
+                                    <button
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setForm({ ...site, capacity: String(site.capacity) });
+                                        }}
+                                        className="text-indigo-600 hover:text-indigo-800"
+                                        title="Edit site"
                                     >
-                                        <RefreshCw className="w-3 h-3 mr-1" /> Reset
+                                        <Pencil className="w-4 h-4" />
                                     </button>
-                                )}
+                                </RequireRole>
+                            </div>
+                            <p className="text-xs text-gray-500">{site.address}</p>
+                            {site.openingHours && <p className="text-xs text-gray-500">Open {site.openingHours}</p>}
+                            <div className="mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+                                <div className={`h-2 ${usage > 90 ? 'bg-red-500' : 'bg-indigo-500'}`} style={{ width: `${usage}%` }}></div>
                             </div>
-                            {!isShippable && request.status === 'Approved' && (
-                                <p className="text-xs text-red-500 mt-2">⚠️ Cannot ship: Insufficient stock of {request.item}.</p>
-                            )}
+                            <p className="text-xs text-gray-500 mt-1">{units} of {site.capacity} units capacity used</p>
                         </div>
                     );
                 })}
             </div>
-            {!requests.length && (
-                 <p className="text-center py-12 text-gray-500">No pending requests at this time. All clear!</p>
+        </div>
+    );
+};
+
+// 8. Stock Transfers between sites, as seen from the selected site
+const TRANSFER_STATUS_COLORS = {
+    Requested: 'bg-yellow-100 text-yellow-800',
+    InTransit: 'bg-blue-100 text-blue-800',
+    Received: 'bg-green-100 text-green-800',
+    Cancelled: 'bg-gray-100 text-gray-700',
+};
+
+const TransferManager = ({ transfers, inventory, sites, siteId, repo, userId, isAuthReady }) => {
+    const siteStock = inventory.filter(i => siteOf(i) === siteId && i.quantity > 0);
+    const destinations = sites.filter(s => s.id !== siteId);
+    const [form, setForm] = useState({ fromItemId: '', toSiteId: '', quantity: '', notes: '' });
+    // Receipt being entered: { transferId, receivedQuantity, reason }
+    const [receipt, setReceipt] = useState(null);
+    const [error, setError] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    // Choices fall back to the first option, also after switching to another site
+    const fromItemId = siteStock.some(i => i.id === form.fromItemId) ? form.fromItemId : siteStock[0]?.id || '';
+    const toSiteId = destinations.some(s => s.id === form.toSiteId) ? form.toSiteId : destinations[0]?.id || '';
+
+    const shown = transfers.filter(t => t.fromSiteId === siteId || t.toSiteId === siteId);
+    const inTransit = unitsInTransit(transfers, siteId);
+
+    // Runs one step and shows its message; the repository refuses steps out of order
+    const run = async (id, step) => {
+        if (!repo || !isAuthReady) return console.error("Database not ready.");
+        setError(null);
+        setBusyId(id);
+        try {
+            await step();
+            return true;
+        } catch (err) {
+            console.error("Error updating transfer:", err);
+            setError(err.message);
+            return false;
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const created = await run('new', () => repo.createTransfer({
+            fromItemId,
+            toSiteId,
+            quantity: parseInt(form.quantity),
+            notes: form.notes,
+        }, { actor: userId }));
+        if (created) setForm({ fromItemId: '', toSiteId: '', quantity: '', notes: '' });
+    };
+
+    const handleReceive = async (e) => {
+        e.preventDefault();
+        const received = await run(receipt.transferId, () => repo.receiveTransfer(receipt.transferId, {
+            receivedQuantity: parseInt(receipt.receivedQuantity),
+            reason: receipt.reason,
+        }, { actor: userId, sites }));
+        if (received) setReceipt(null);
+    };
+
+    const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    const inputClass = "block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border text-sm";
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-xl shadow-lg">
+            <div className="flex flex-wrap justify-between items-center mb-4 gap-2">
+                <h2 className="text-2xl font-semibold text-gray-800 flex items-center">
+                    <ArrowRightLeft className="w-5 h-5 mr-2 text-indigo-600" /> Stock Transfers
+                </h2>
+                <p className="text-sm text-gray-500">In transit: {inTransit.outgoing} units leaving, {inTransit.incoming} units on the way here</p>
+            </div>
+
+            <RequireRole roles={STAFF_ROLES}>
+                <form onSubmit={handleCreate} className="mb-4 p-3 bg-indigo-50 rounded-md grid grid-cols-1 md:grid-cols-5 gap-2 items-start">
+                    <select name="fromItemId" value={fromItemId} onChange={handleChange} className={`${inputClass} bg-white`}>
+                        {siteStock.map(i => <option key={i.id} value={i.id}>{i.item} ({i.quantity} {i.unit})</option>)}
+                    </select>
+                    <select name="toSiteId" value={toSiteId} onChange={handleChange} className={`${inputClass} bg-white`}>
+                        {destinations.map(s => <option key={s.id} value={s.id}>To {s.name}</option>)}
+                    </select>
+                    <input type="number" name="quantity" value={form.quantity} onChange={handleChange} min="1" placeholder="Units" required className={inputClass} />
+                    <input type="text" name="notes" value={form.notes} onChange={handleChange} placeholder="Notes (optional)" className={inputClass} />
+                    <button type="submit" disabled={!isAuthReady || !siteStock.length || !destinations.length || busyId === 'new'} className="px-3 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">
+                        Create Transfer
+                    </button>
+                </form>
+            </RequireRole>
+            {error && <p className="text-xs text-red-500 mb-2">{error}</p>}
+
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Route</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                            <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {shown.map((transfer) => {
+                            const isBusy = busyId === transfer.id;
+                            return (
+                                <tr key={transfer.id}>
+                                    <td className="px-4 py-3">
+                                        <p className="font-medium text-gray-900">{transfer.quantity} {transfer.unit} of {transfer.item}</p>
+                                        {transfer.notes && <p className="text-xs text-gray-500">{transfer.notes}</p>}
+                                    </td>
+                                    <td className="px-4 py-3 text-gray-600">{siteName(sites, transfer.fromSiteId)} → {siteName(sites, transfer.toSiteId)}</td>
+                                    <td className="px-4 py-3">
+                                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${TRANSFER_STATUS_COLORS[transfer.status]}`}>{transferStatusLabel(transfer.status)}</span>
+                                        {transfer.status === TRANSFER_STATUS.received && (
+                                            <p className="text-xs text-gray-500 mt-1">{transfer.receivedQuantity} of {transfer.quantity} arrived</p>
+                                        )}
+                                        {transfer.discrepancy && (
+                                            <p className="text-xs text-red-600 mt-1">⚠️ {transfer.discrepancy.quantity} missing: {transfer.discrepancy.reason}</p>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-3 text-center whitespace-nowrap">
+                                        <RequireRole roles={STAFF_ROLES}>
+                                            {transfer.status === TRANSFER_STATUS.requested && transfer.fromSiteId === siteId && (
+                                                <>
+                                                    <button
+                                                        onClick={() => run(transfer.id, () => repo.dispatchTransfer(transfer.id, { actor: userId, sites }))}
+                                                        disabled={!isAuthReady || isBusy}
+                                                        className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                                                    >
+                                                        <Truck className="w-3 h-3 mr-1" /> Dispatch
+                                                    </button>
+                                                    <button
+                                                        onClick={() => run(transfer.id, () => repo.cancelTransfer(transfer.id, { actor: userId }))}
+                                                        disabled={!isAuthReady || isBusy}
+                                                        className="inline-flex items-center ml-2 px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+                                                    >
+                                                        <Ban className="w-3 h-3 mr-1" /> Cancel
+                                                    </button>
+                                                </>
+                                            )}
+                                            {transfer.status === TRANSFER_STATUS.inTransit && transfer.toSiteId === siteId && (
+                                                receipt?.transferId === transfer.id ? (
+                                                    <form onSubmit={handleReceive} className="flex items-center gap-2">
+                                                        <input
+                                                            type="number"
+                                                            min="0"
+                                                            max={transfer.quantity}
+                                                            autoFocus
+                                                            value={receipt.receivedQuantity}
+                                                            onChange={(e) => setReceipt({ ...receipt, receivedQuantity: e.target.value })}
+                                                            title="Units that arrived"
+                                                            required
+                                                            className="w-20 px-2 py-1 text-xs border border-gray-300 rounded-md"
+                                                        />
+                                                        {parseInt(receipt.receivedQuantity) !== transfer.quantity && (
+                                                            <input
+                                                                type="text"
+                                                                value={receipt.reason}
+                                                                onChange={(e) => setReceipt({ ...receipt, reason: e.target.value })}
+                                                                placeholder="What happened to the rest?"
+                                                                required
+                                                                className="px-2 py-1 text-xs border border-gray-300 rounded-md"
+                                                            />
+                                                        )}
+                                                        <button type="submit" disabled={isBusy} className="px-3 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50">Confirm</button>
+                                                        <button type="button" onClick={() => setReceipt(null)} className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-200 hover:bg-gray-300">Cancel</button>
+                                                    </form>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => setReceipt({ transferId: transfer.id, receivedQuantity: String(transfer.quantity), reason: '' })}
+                                                        disabled={!isAuthReady || isBusy}
+                                                        className="inline-flex items-center px-3 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                                                    >
+                                                        <PackageCheck className="w-3 h-3 mr-1" /> Receive
+                                                    </button>
+                                                )
+                                            )}
+                                        </RequireRole>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            {!shown.length && (
+                <p className="text-center py-8 text-gray-500">No transfers to or from this site yet.</p>
             )}
         </div>
     );
@@ -239,128 +1147,146 @@ const RequestManager = ({ requests, inventory, db, appId, isAuthReady }) => {
 
 // --- MAIN APP COMPONENT ---
 export default function App() {
-    // Firebase and Auth State
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
+    // Backend and Auth State
+    const [repo, setRepo] = useState(null);
+    // Queue for stock changes made while the counter is offline
+    const [outbox, setOutbox] = useState(null);
     const [userId, setUserId] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
     
     // Application Data State
     const [inventory, setInventory] = useState([]);
     const [requests, setRequests] = useState([]);
+    const [organizations, setOrganizations] = useState([]);
+    const [sites, setSites] = useState([]);
+    const [transfers, setTransfers] = useState([]);
+    // Site whose stock and shipments the dashboard shows
+    const [siteId, setSiteId] = useState(DEFAULT_SITE_ID);
+    // The analytics view listens to the whole ledger, so it only runs while open
+    const [showAnalytics, setShowAnalytics] = useState(false);
     const [currentTime, setCurrentTime] = useState(new Date());
 
-    // Canvas Globals (Must be used)
-    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-    const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-    const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-    
-    // 1. Initialize Firebase and Authenticate
+    // Role from token claims or the users/{uid} profile; the dashboard is staff-only
+    const roleState = useUserRole(userId);
+    const isStaff = hasRole(roleState.role, STAFF_ROLES);
+
+    // 1. Connect to the backend (Firestore, or local storage when offline) and Authenticate
     useEffect(() => {
-        if (!firebaseConfig) {
-            console.error("Firebase config not available. Cannot initialize app.");
-            return;
-        }
+        const backend = getBackend();
+        setRepo(backend.repo);
+        setOutbox(backend.outbox);
 
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authentication = getAuth(app);
-        
-        setDb(firestore);
-        setAuth(authentication);
-
-        const unsubscribe = onAuthStateChanged(authentication, async (user) => {
-            if (user) {
-                setUserId(user.uid);
-            } else {
-                // If not signed in via custom token, sign in anonymously
-                try {
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(authentication, initialAuthToken);
-                    } else {
-                        await signInAnonymously(authentication);
-                    }
-                    setUserId(authentication.currentUser?.uid || crypto.randomUUID());
-                } catch (error) {
-                    console.error("Authentication failed:", error);
-                }
-            }
+        const unsubscribe = backend.watchAuth((uid) => {
+            setUserId(uid);
             setIsAuthReady(true);
+        }, (error) => {
+            console.error("Authentication failed:", error);
         });
 
         return () => unsubscribe();
-    }, [initialAuthToken, firebaseConfig]);
+    }, []);
 
     // 2. Real-time Data Listeners
     useEffect(() => {
-        if (!db || !isAuthReady) return;
-
-        // Collection path for public, shared data: artifacts/{appId}/public/data/{collectionName}
-        const inventoryCollectionPath = `artifacts/${appId}/public/data/inventory`;
-        const requestsCollectionPath = `artifacts/${appId}/public/data/requests`;
+        if (!repo || !isAuthReady || !isStaff) return;
 
         // Inventory Listener
-        const unsubInventory = onSnapshot(collection(db, inventoryCollectionPath), (snapshot) => {
-            const data = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+        const unsubInventory = repo.subscribeInventory((data) => {
             setInventory(data);
             console.log("Inventory data updated:", data);
             
             // If the collection is empty, seed initial data (optional, for first run)
             if (data.length === 0) {
-                 seedInitialData(db, appId);
+                 seedInitialData(repo, userId);
             }
         }, (error) => {
             console.error("Error fetching inventory data:", error);
         });
 
         // Requests Listener
-        const unsubRequests = onSnapshot(collection(db, requestsCollectionPath), (snapshot) => {
-            const data = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+        const unsubRequests = repo.subscribeRequests((data) => {
             setRequests(data);
             console.log("Requests data updated:", data);
         }, (error) => {
              console.error("Error fetching requests data:", error);
         });
 
+        // Organization Registry Listener
+        const unsubOrganizations = repo.subscribeOrganizations(setOrganizations, (error) => {
+            console.error("Error fetching organizations:", error);
+        });
+
+        // Sites Listener; the default sites are written on first run
+        const unsubSites = repo.subscribeSites((data) => {
+            setSites(data);
+            if (data.length === 0) seedSites(repo, userId);
+        }, (error) => {
+            console.error("Error fetching sites:", error);
+        });
+
+        // Transfers Listener
+        const unsubTransfers = repo.subscribeTransfers(setTransfers, (error) => {
+            console.error("Error fetching transfers:", error);
+        });
+
         return () => {
             unsubInventory();
             unsubRequests();
+            unsubOrganizations();
+            unsubSites();
+            unsubTransfers();
         };
-    }, [db, isAuthReady, appId]);
+    }, [repo, isAuthReady, isStaff, userId]);
+
+    // The request form only reads the public catalog and organization names; fill in
+    // entries for data stored before they existed
+    useEffect(() => {
+        if (!repo || !isAuthReady || !isStaff) return;
+        repo.refreshCatalog().catch((error) => console.error("Error refreshing the catalog:", error));
+        repo.publishOrganizationNames().catch((error) => console.error("Error publishing organization names:", error));
+    }, [repo, isAuthReady, isStaff]);
 
 
     // Seed function to ensure there is data on first run
-    const seedInitialData = async (firestore, appId) => {
+    const seedInitialData = async (repo, actor) => {
         const initialData = [
-            { item: 'Canned Beans', quantity: 450, unit: 'cases', expiration: '2026-08-01', lastUpdated: new Date().toISOString() },
+            { item: 'Canned Beans', unit: 'cases', lastUpdated: new Date().toISOString(), lots: [
+                { id: 'beans-lot-1', quantity: 150, expiration: '2025-12-01', supplier: 'Regional Food Drive', receivedDate: '2025-06-10' },
+                { id: 'beans-lot-2', quantity: 300, expiration: '2026-08-01', supplier: 'Harvest Wholesale', receivedDate: '2025-09-02' },
+            ] },
             { item: 'Fresh Produce Mix', quantity: 120, unit: 'crates', expiration: '2025-10-15', lastUpdated: new Date().toISOString() },
             { item: 'Dry Pasta', quantity: 600, unit: 'boxes', expiration: '2027-01-20', lastUpdated: new Date().toISOString() },
             { item: 'Dairy (UHT Milk)', quantity: 30, unit: 'gallons', expiration: '2025-11-05', lastUpdated: new Date().toISOString() }, // Low stock item
+            { item: 'Canned Beans', quantity: 80, unit: 'cases', expiration: '2026-03-01', siteId: 'local-center-b', lastUpdated: new Date().toISOString() },
+            { item: 'Dry Pasta', quantity: 2400, unit: 'boxes', expiration: '2027-04-15', siteId: 'regional-depot-c', lastUpdated: new Date().toISOString() },
         ];
         
         const initialRequests = [
-            { organization: 'Community Shelter A', item: 'Canned Beans', amount: 50, status: 'Pending', requestedDate: '2025-10-08' },
-            { organization: 'Food Bank Central', item: 'Dry Pasta', amount: 100, status: 'Approved', requestedDate: '2025-10-07' },
+            { organization: 'Community Shelter A', status: 'Pending', requestedDate: '2025-10-08', lines: [
+                { id: 'line-1', item: 'Canned Beans', amount: 50, status: 'Pending' },
+                { id: 'line-2', item: 'Dairy (UHT Milk)', amount: 10, status: 'Pending' },
+            ] },
+            { organization: 'Food Bank Central', status: 'Approved', requestedDate: '2025-10-07', lines: [
+                { id: 'line-1', item: 'Dry Pasta', amount: 100, status: 'Approved' },
+            ] },
         ];
 
-        const inventoryRef = collection(firestore, `artifacts/${appId}/public/data/inventory`);
-        const requestsRef = collection(firestore, `artifacts/${appId}/public/data/requests`);
-        
         try {
-            await Promise.all(initialData.map(data => addDoc(inventoryRef, data)));
-            await Promise.all(initialRequests.map(data => addDoc(requestsRef, data)));
+            await repo.seed(initialData, initialRequests, { actor });
             console.log("Initial data seeded successfully.");
         } catch (e) {
             console.error("Error seeding initial data:", e);
         }
     };
 
+    const seedSites = async (repo, actor) => {
+        try {
+            await repo.seed([], [], { actor, sites: DEFAULT_SITES });
+        } catch (e) {
+            console.error("Error seeding sites:", e);
+        }
+    };
+
 
     // 3. Update time clock every minute
     useEffect(() => {
@@ -368,10 +1294,13 @@ export default function App() {
         return () => clearInterval(timer);
     }, []);
 
-    // Derived State for Stats
+    // Derived State for Stats, for the selected site
+    const site = sites.find(s => s.id === siteId) || { id: siteId, name: siteId };
+    const siteInventory = useMemo(() => inventory.filter(i => siteOf(i) === siteId), [inventory, siteId]);
+
     const totalInventoryUnits = useMemo(() => 
-        inventory.reduce((sum, item) => sum + item.quantity, 0),
-        [inventory]
+        siteInventory.reduce((sum, item) => sum + item.quantity, 0),
+        [siteInventory]
     );
 
     const pendingRequests = useMemo(() => 
@@ -379,20 +1308,94 @@ export default function App() {
         [requests]
     );
     
+    // Likely duplicate registrations, flagged in the registry and on request cards
+    const duplicates = useMemo(() => findLikelyDuplicates(organizations), [organizations]);
+
     const lowStockItems = useMemo(() => 
-        inventory.filter(r => r.quantity < 50).length,
-        [inventory]
+        siteInventory.filter(r => r.quantity < LOW_STOCK_THRESHOLD).length,
+        [siteInventory]
     );
 
 
     return (
-        <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans">
-            <header className="mb-8">
-                <h1 className="text-4xl font-extrabold text-gray-900 flex items-center">
-                    <Truck className="w-8 h-8 mr-3 text-indigo-600" />
-                    Distribution Portal Dashboard
-                </h1>
-                <p className="text-md text-gray-600 mt-2">
-                    Real-time overview of food inventory and community requests.
-                </p>
-               
+        <RoleContext.Provider value={roleState}>
+            <div className="min-h-screen bg-gray-50 p-4 sm:p-8 font-sans">
+                <header className="mb-8">
+                    <h1 className="text-4xl font-extrabold text-gray-900 flex items-center">
+                        <Truck className="w-8 h-8 mr-3 text-indigo-600" />
+                        Distribution Portal Dashboard
+                    </h1>
+                    <p className="text-md text-gray-600 mt-2">
+                        Real-time overview of food inventory and community requests.
+                        {isOfflineMode && <span className="ml-2 text-xs font-semibold text-yellow-700 bg-yellow-100 px-2 py-0.5 rounded-full">Offline mode: data is stored in this browser</span>}
+                    </p>
+                    <div className="text-sm text-gray-400 mt-1 flex flex-wrap items-center gap-4">
+                        <span className="flex items-center"><Clock className="w-4 h-4 mr-1" /> Last refreshed {currentTime.toLocaleTimeString()}</span>
+                        <span>Signed in as {ROLE_LABELS[roleState.role] || '...'}</span>
+                        <DemoRoleSwitcher />
+                    </div>
+                </header>
+
+                {!isAuthReady && (
+                    <div className="mt-8 p-4 text-center text-sm text-indigo-600 bg-indigo-50 rounded-md">
+                        <Loader2 className="w-4 h-4 inline animate-spin mr-2" />
+                        Connecting to service...
+                    </div>
+                )}
+
+                <RequireRole
+                    roles={STAFF_ROLES}
+                    fallback={roleState.role && (
+                        <div className="p-4 bg-red-100 border-l-4 border-red-500 text-red-700 rounded-lg shadow-md">
+                            <p className="font-bold">Access Restricted</p>
+                            <p>The distribution dashboard is only available to warehouse staff, managers and administrators.</p>
+                        </div>
+                    )}
+                >
+                    <OutboxStatus outbox={outbox} />
+
+                    <div className="mb-6 flex flex-wrap items-center gap-3 text-sm">
+                        <label className="flex items-center font-medium text-gray-700">
+                            <MapPin className="w-4 h-4 mr-1 text-indigo-600" /> Site
+                            <select value={siteId} onChange={(e) => setSiteId(e.target.value)} className="ml-2 rounded-md border-gray-300 p-1.5 border bg-white">
+                                {sites.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                            </select>
+                        </label>
+                        {site.address && <span className="text-gray-500">{site.address}{site.openingHours && ` · Open ${site.openingHours}`}</span>}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <StatCard icon={Database} title="Inventory Units at Site" value={totalInventoryUnits} color="border-t-4 border-indigo-500" />
+                        <StatCard icon={Users} title="Pending Requests" value={pendingRequests} color="border-t-4 border-yellow-500" />
+                        <StatCard icon={AlertTriangle} title="Low Stock Items" value={lowStockItems} color="border-t-4 border-red-500" />
+                    </div>
+
+                    <div className="mt-4 flex justify-end">
+                        <button onClick={() => setShowAnalytics(!showAnalytics)} className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-indigo-700 bg-indigo-50 hover:bg-indigo-100">
+                            <BarChart3 className="w-4 h-4 mr-1" /> {showAnalytics ? 'Hide Analytics' : 'Show Analytics'}
+                        </button>
+                    </div>
+
+                    {showAnalytics && <AnalyticsView repo={repo} inventory={inventory} requests={requests} isAuthReady={isAuthReady} />}
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <InventoryTable inventory={siteInventory} site={site} repo={repo} outbox={outbox} userId={userId} isAuthReady={isAuthReady} />
+                        <RequestManager requests={requests} inventory={inventory} siteId={siteId} organizations={organizations} duplicates={duplicates} repo={repo} outbox={outbox} userId={userId} isAuthReady={isAuthReady} />
+                    </div>
+
+                    <OrganizationRegistry organizations={organizations} duplicates={duplicates} repo={repo} userId={userId} isAuthReady={isAuthReady} />
+
+                    <TransferManager transfers={transfers} inventory={inventory} sites={sites} siteId={siteId} repo={repo} userId={userId} isAuthReady={isAuthReady} />
+
+                    <SiteManager sites={sites} inventory={inventory} selectedId={siteId} onSelect={setSiteId} repo={repo} userId={userId} isAuthReady={isAuthReady} />
+
+                    <ImportWizard repo={repo} userId={userId} sites={sites} isAuthReady={isAuthReady} />
+
+                    <RequireRole roles={MANAGER_ROLES}>
+                        <ReportExporter repo={repo} sites={sites} isAuthReady={isAuthReady} />
+                    </RequireRole>
+                </RequireRole>
+            </div>
+        </RoleContext.Provider>
+    );
+}
@@ -0,0 +1,200 @@
+// An inventory item's stock is split into lots, one per delivery, each with
+// its own expiration. The item's `quantity` and `expiration` fields are kept
+// as the lot total and the earliest lot expiration for screens that only need
+// the summary.
+
+/**
+ * @typedef {Object} Lot
+ * @property {string} id
+ * @property {number} quantity
+ * @property {string|null} expiration - YYYY-MM-DD, null when unknown
+ * @property {string|null} supplier - Donor or supplier
+ * @property {string|null} receivedDate - YYYY-MM-DD
+ * @property {LotCondition|null} [condition] - Check done at goods receipt
+ */
+
+/**
+ * @typedef {Object} LotCondition
+ * @property {boolean} packagingIntact
+ * @property {boolean} temperatureOk - Cold chain kept, or not needed for the item
+ * @property {string} [notes]
+ */
+
+/**
+ * Units taken from (or returned to) one lot. Carries the lot's details so an
+ * emptied lot can be restored on return.
+ *
+ * @typedef {Lot} LotAllocation
+ */
+
+// Lots expiring within this many days are flagged on the dashboard
+export const NEAR_EXPIRY_DAYS = 60;
+
+// Items below this many units count as low stock
+export const LOW_STOCK_THRESHOLD = 50;
+
+export const isNearExpiry = (expiration, now = new Date()) =>
+  Boolean(expiration) && new Date(expiration) < new Date(now.getTime() + NEAR_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+// First expiring first; lots without a date go last, older deliveries before newer
+const byExpiry = (a, b) =>
+  (a.expiration || '9999-12-31').localeCompare(b.expiration || '9999-12-31')
+  || (a.receivedDate || '').localeCompare(b.receivedDate || '');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Whether a lot is past its expiration date. Expired units are not handed
+ * out or transferred; staff write them off from the lot.
+ *
+ * @param {{ expiration?: string|null }} lot
+ * @param {Date} [now]
+ */
+export const isExpired = (lot, now = new Date()) =>
+  Boolean(lot.expiration) && lot.expiration < now.toISOString().slice(0, 10);
+
+/**
+ * @param {Partial<Lot> & { quantity: number }} details
+ * @returns {Lot}
+ */
+export const newLot = ({ quantity, expiration = null, supplier = null, receivedDate = today(), condition = null }) =>
+  ({ id: crypto.randomUUID(), quantity, expiration, supplier, receivedDate, condition });
+
+/**
+ * The item's lots in FEFO order. Items stored before lots existed are treated
+ * as a single lot holding their whole quantity.
+ *
+ * @param {{ quantity: number, expiration?: string, lastUpdated?: string, lots?: Lot[] }} item
+ * @returns {Lot[]}
+ */
+export const lotsOf = (item) => {
+  if (item.lots) return [...item.lots].sort(byExpiry);
+  if (!item.quantity) return [];
+  return [{
+    id: 'initial',
+    quantity: item.quantity,
+    expiration: item.expiration || null,
+    supplier: null,
+    receivedDate: item.lastUpdated ? item.lastUpdated.slice(0, 10) : null,
+  }];
+};
+
+/**
+ * Inventory fields to write after the lots changed.
+ * @param {Lot[]} lots
+ */
+export const lotFields = (lots) => {
+  const stocked = lots.filter(l => l.quantity > 0).sort(byExpiry);
+  return {
+    lots: stocked,
+    quantity: stocked.reduce((sum, l) => sum + l.quantity, 0),
+    expiration: stocked.find(l => l.expiration)?.expiration || null,
+  };
+};
+
+/**
+ * Takes units first-expiring-first-out, skipping expired lots unless
+ * `includeExpired` is set. Throws when the lots do not hold enough.
+ *
+ * @param {Lot[]} lots
+ * @param {number} quantity
+ * @param {{ includeExpired?: boolean, now?: Date }} [options]
+ * @returns {{ lots: Lot[], allocations: LotAllocation[] }}
+ */
+export const allocateFefo = (lots, quantity, { includeExpired = false, now = new Date() } = {}) => {
+  let left = quantity;
+  const allocations = [];
+  const next = [...lots].sort(byExpiry).map(lot => {
+    const taken = !includeExpired && isExpired(lot, now) ? 0 : Math.min(lot.quantity, left);
+    if (!taken) return lot;
+    left -= taken;
+    allocations.push({ ...lot, quantity: taken });
+    return { ...lot, quantity: lot.quantity - taken };
+  });
+
+  if (left > 0) {
+    const expired = includeExpired ? 0 : lots.filter(l => isExpired(l, now)).reduce((sum, l) => sum + l.quantity, 0);
+    throw new Error(expired
+      ? `Only ${quantity - left} units are in stock that have not expired; ${expired} more are past their expiration date.`
+      : `Only ${quantity - left} units are in stock.`);
+  }
+  return { lots: next.filter(l => l.quantity > 0), allocations };
+};
+
+/**
+ * Takes units from one particular lot, e.g. for spoilage.
+ *
+ * @param {Lot[]} lots
+ * @param {string} lotId
+ * @param {number} quantity
+ * @returns {{ lots: Lot[], allocations: LotAllocation[] }}
+ */
+export const takeFromLot = (lots, lotId, quantity) => {
+  const lot = lots.find(l => l.id === lotId);
+  if (!lot) throw new Error('That lot is no longer in stock.');
+  if (lot.quantity < quantity) throw new Error(`That lot only holds ${lot.quantity} units.`);
+
+  const next = lots.map(l => (l.id === lotId ? { ...l, quantity: l.quantity - quantity } : l));
+  return { lots: next.filter(l => l.quantity > 0), allocations: [{ ...lot, quantity }] };
+};
+
+/**
+ * Puts allocated units back into the lots they came from, recreating lots
+ * that were emptied in the meantime.
+ *
+ * @param {Lot[]} lots
+ * @param {LotAllocation[]} allocations
+ * @returns {Lot[]}
+ */
+export const returnToLots = (lots, allocations) =>
+  allocations.reduce((next, allocation) => (
+    next.some(l => l.id === allocation.id)
+      ? next.map(l => (l.id === allocation.id ? { ...l, quantity: l.quantity + allocation.quantity } : l))
+      : [...next, { ...allocation }]
+  ), [...lots]);
+
+/**
+ * Adds units as a new lot when lot details are given, to an existing lot by
+ * id, or otherwise to the latest-expiring lot (a new undated lot if there is
+ * none).
+ *
+ * @param {Lot[]} lots
+ * @param {number} quantity
+ * @param {{ lot?: Partial<Lot>, lotId?: string }} [target]
+ * @returns {{ lots: Lot[], allocations: LotAllocation[] }}
+ */
+export const addToLots = (lots, quantity, { lot, lotId } = {}) => {
+  if (lot) {
+    const added = newLot({ ...lot, quantity });
+    return { lots: [...lots, added], allocations: [added] };
+  }
+
+  const target = lotId ? lots.find(l => l.id === lotId) : [...lots].sort(byExpiry).pop();
+  if (lotId && !target) throw new Error('That lot is no longer in stock.');
+  if (!target) {
+    const added = newLot({ quantity });
+    return { lots: [added], allocations: [added] };
+  }
+  return { lots: returnToLots(lots, [{ ...target, quantity }]), allocations: [{ ...target, quantity }] };
+};
+
+/**
+ * Adds units arriving from another site, keeping the lots and expiration
+ * dates they were dispatched from. When fewer arrive than were sent, the
+ * first-expiring units are assumed to be the ones that arrived. A lot is only
+ * topped up when it is the same lot; a different lot that happens to share
+ * its id (e.g. two 'initial' lots) gets the units as a new lot.
+ *
+ * @param {Lot[]} lots - Destination lots
+ * @param {LotAllocation[]} dispatched
+ * @param {number} quantity - Units that arrived
+ * @returns {{ lots: Lot[], allocations: LotAllocation[] }}
+ */
+export const receiveIntoLots = (lots, dispatched, quantity) => {
+  // Whatever arrived is booked in, expired or not
+  const arriving = quantity ? allocateFefo(dispatched, quantity, { includeExpired: true }).allocations : [];
+  const allocations = arriving.map(a => (
+    lots.some(l => l.id === a.id && l.expiration !== a.expiration) ? { ...a, id: crypto.randomUUID() } : a
+  ));
+  return { lots: returnToLots(lots, allocations), allocations };
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { allocateFefo, receiveIntoLots, isExpired } from './Inventory-lots';
+
+const lot = (id, quantity, expiration) => ({ id, quantity, expiration, supplier: null, receivedDate: '2026-09-01' });
+
+describe('allocateFefo', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const lots = [lot('late', 10, '2027-03-01'), lot('expired', 5, '2026-10-01'), lot('soon', 4, '2026-10-25')];
+
+  it('takes the first-expiring lot that has not expired', () => {
+    const { lots: left, allocations } = allocateFefo(lots, 6, { now });
+    expect(allocations.map(a => [a.id, a.quantity])).toEqual([['soon', 4], ['late', 2]]);
+    expect(left.map(l => [l.id, l.quantity])).toEqual([['expired', 5], ['late', 8]]);
+  });
+
+  it('counts expired units as missing, and says so', () => {
+    expect(() => allocateFefo(lots, 15, { now })).toThrow('Only 14 units are in stock that have not expired; 5 more are past their expiration date.');
+  });
+
+  it('takes expired units first when asked to', () => {
+    expect(allocateFefo(lots, 6, { now, includeExpired: true }).allocations.map(a => [a.id, a.quantity])).toEqual([['expired', 5], ['soon', 1]]);
+  });
+
+  it('hands out lots without a date last, and a lot on its expiration day', () => {
+    const { allocations } = allocateFefo([lot('undated', 3, null), lot('today', 2, '2026-10-19')], 4, { now });
+    expect(allocations.map(a => [a.id, a.quantity])).toEqual([['today', 2], ['undated', 2]]);
+  });
+});
+
+describe('receiveIntoLots', () => {
+  it('books in dispatched units that expired on the way', () => {
+    const { allocations } = receiveIntoLots([], [lot('old', 3, '2020-01-01')], 3);
+    expect(allocations).toEqual([expect.objectContaining({ id: 'old', quantity: 3 })]);
+  });
+});
+
+describe('isExpired', () => {
+  it('treats lots without a date as fresh', () => {
+    expect(isExpired({ expiration: null })).toBe(false);
+  });
+});
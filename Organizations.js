@@ -0,0 +1,117 @@
+// Organizations that send requests. Each one is stored under a slug of its
+// normalized name, so "Food Bank Central" and "food bank central, Inc." are
+// the same document and the request form can look one up by name. The form
+// only sees the OrganizationName entry under the same id; the contacts and
+// registration details stay with staff.
+
+export const ORG_STATUS = {
+  unverified: 'Unverified',
+  verified: 'Verified',
+  rejected: 'Rejected',
+};
+
+/**
+ * @typedef {Object} OrganizationContact
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [phone]
+ */
+
+/**
+ * @typedef {Object} Organization
+ * @property {string} id - orgSlug(name)
+ * @property {string} name - As first registered
+ * @property {string} normalizedName
+ * @property {string} address
+ * @property {string} serviceArea - e.g. neighbourhoods or postcodes served
+ * @property {string} [registrationNumber] - Charity / non-profit registration
+ * @property {OrganizationContact[]} contacts
+ * @property {'Unverified'|'Verified'|'Rejected'} status
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} [createdBy] - UID of whoever registered it; they may read it back
+ * @property {string} [verifiedBy] - UID of the staff member who set the status
+ * @property {string} [verifiedAt] - ISO timestamp
+ */
+
+/**
+ * The public part of an organization, in organization_names.
+ *
+ * @typedef {Object} OrganizationName
+ * @property {string} id - Same as the organization's
+ * @property {string} name
+ * @property {'Unverified'|'Verified'|'Rejected'} status
+ */
+
+// Legal-form suffixes that do not tell two organizations apart
+const SUFFIXES = /\b(inc|incorporated|ltd|limited|llc|corp)$/;
+
+/** Lower case, '&' as 'and', no punctuation, no leading "the" or legal suffix. */
+export const normalizeOrgName = (name) =>
+  (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^the /, '')
+    .replace(SUFFIXES, '')
+    .trim();
+
+export const orgSlug = (name) => normalizeOrgName(name).replace(/ /g, '-');
+
+const normalizeRegistration = (value) => (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Edit distance, for names that differ by a typo
+const distance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Why two organizations are probably the same one, or null. Exact name
+ * matches share a document already, so this catches typos, a reused
+ * registration number and shared contact emails.
+ *
+ * @param {Organization} a
+ * @param {Organization} b
+ * @returns {string|null}
+ */
+export const duplicateReason = (a, b) => {
+  const regA = normalizeRegistration(a.registrationNumber);
+  if (regA && regA === normalizeRegistration(b.registrationNumber)) return 'same registration number';
+
+  const emails = new Set((a.contacts || []).map(c => c.email?.toLowerCase()).filter(Boolean));
+  if ((b.contacts || []).some(c => emails.has(c.email?.toLowerCase()))) return 'same contact email';
+
+  const nameA = a.normalizedName || normalizeOrgName(a.name);
+  const nameB = b.normalizedName || normalizeOrgName(b.name);
+  if (Math.min(nameA.length, nameB.length) >= 6 && distance(nameA, nameB) <= 2) return 'similar name';
+
+  return null;
+};
+
+/**
+ * Likely duplicates of every organization, for flagging on the dashboard.
+ *
+ * @param {Organization[]} organizations
+ * @returns {Object<string, { id: string, name: string, reason: string }[]>} keyed by organization id
+ */
+export const findLikelyDuplicates = (organizations) => {
+  const result = {};
+  organizations.forEach((a, i) => {
+    organizations.slice(i + 1).forEach(b => {
+      const reason = duplicateReason(a, b);
+      if (!reason) return;
+      (result[a.id] = result[a.id] || []).push({ id: b.id, name: b.name, reason });
+      (result[b.id] = result[b.id] || []).push({ id: a.id, name: a.name, reason });
+    });
+  });
+  return result;
+};
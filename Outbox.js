@@ -0,0 +1,201 @@
+// Counter mode. Completions and stock changes made at a counter go through an
+// outbox kept in this browser: while the device is offline, or the backend
+// cannot be reached, they wait in the queue and are replayed in order once
+// the connection returns. A queued write the backend refuses on replay (a
+// record already completed on another device, stock that has run out since)
+// is kept as a conflict for staff to review instead of being dropped.
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id
+ * @property {'recordStatus'|'adjustStock'|'receiveStock'|'transitionRequest'} kind
+ * @property {Object} args - What the repository call needs, as plain JSON
+ * @property {string} label - What staff see in the queue, e.g. 'Complete 1 × Rice (5kg)'
+ * @property {'queued'|'conflict'} state
+ * @property {string|null} problem - Why the backend refused it; set on conflicts
+ * @property {number} attempts - Replays that failed for lack of a connection
+ * @property {string} queuedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} OutboxState
+ * @property {OutboxEntry[]} entries - Oldest first
+ * @property {boolean} isOnline
+ * @property {boolean} isSyncing
+ */
+
+export const OUTBOX_STATE = {
+  queued: 'queued',
+  conflict: 'conflict',
+};
+
+// The repository call behind each kind of queued write
+const REPLAY = {
+  recordStatus: (repo, { recordId, status, from }) => repo.updateRecordStatus(recordId, status, { from }),
+  adjustStock: (repo, { itemId, delta, details }) => repo.adjustStock(itemId, delta, details),
+  receiveStock: (repo, { receipt }) => repo.receiveStock(receipt),
+  transitionRequest: (repo, { requestId, action, context }) => repo.transitionRequest({ id: requestId }, action, context),
+};
+
+// Errors that mean "try again later" rather than "the backend said no":
+// Firestore's connection errors and transactions that kept losing to other writes
+const TRANSIENT_CODES = ['unavailable', 'deadline-exceeded', 'conflict'];
+
+export const isDeviceOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+const isTransient = (error) => TRANSIENT_CODES.includes(error?.code) || !isDeviceOnline();
+
+/**
+ * @param {Object} options
+ * @param {ReturnType<import('./Data-repository').createRepository>} options.repo
+ * @param {Storage|null} [options.storage] - Pass null to keep the queue in memory only
+ * @param {string} [options.storageKey]
+ */
+export const createOutbox = ({
+  repo,
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  storageKey = 'food-distribution-portal:outbox',
+}) => {
+  const load = () => {
+    if (!storage) return [];
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || [];
+    } catch (error) {
+      console.error("Outbox is unreadable, starting empty:", error);
+      return [];
+    }
+  };
+
+  let entries = load();
+  let isOnline = isDeviceOnline();
+  let isSyncing = false;
+  const listeners = new Set();
+
+  /** @returns {OutboxState} */
+  const getState = () => ({ entries, isOnline, isSyncing });
+
+  const notify = () => listeners.forEach(listener => listener(getState()));
+
+  const save = (next) => {
+    entries = next;
+    storage?.setItem(storageKey, JSON.stringify(entries));
+    notify();
+  };
+
+  const change = (id, patch) => save(entries.map(e => (e.id === id ? { ...e, ...patch } : e)));
+
+  const nextQueued = () => entries.find(e => e.state === OUTBOX_STATE.queued);
+
+  /**
+   * Replays the queue in order. Stops at the first write that fails for
+   * lack of a connection, so later writes never overtake it.
+   */
+  const replay = async () => {
+    if (isSyncing || !isOnline) return;
+    isSyncing = true;
+    // Another tab may have replayed or queued writes meanwhile; without storage the queue lives only here
+    if (storage) entries = load();
+    notify();
+
+    try {
+      // Looked up afresh each time, so writes queued during the replay go out too
+      for (let entry = nextQueued(); entry; entry = nextQueued()) {
+        try {
+          await REPLAY[entry.kind](repo, entry.args);
+          save(entries.filter(e => e.id !== entry.id));
+        } catch (error) {
+          if (isTransient(error)) {
+            change(entry.id, { attempts: entry.attempts + 1 });
+            break;
+          }
+          console.error("Queued write refused on replay:", error);
+          change(entry.id, { state: OUTBOX_STATE.conflict, problem: error.message });
+        }
+      }
+    } finally {
+      isSyncing = false;
+      notify();
+    }
+  };
+
+  const enqueue = (kind, args, label) => save([...entries, {
+    id: crypto.randomUUID(),
+    kind,
+    args,
+    label,
+    state: OUTBOX_STATE.queued,
+    problem: null,
+    attempts: 0,
+    queuedAt: new Date().toISOString(),
+  }]);
+
+  /**
+   * Runs a write now when the device is online and nothing is waiting ahead
+   * of it, otherwise queues it. A write that fails for lack of a connection
+   * is queued too; any other refusal is thrown as before.
+   *
+   * @param {OutboxEntry['kind']} kind
+   * @param {Object} args
+   * @param {string} label
+   * @returns {Promise<{ queued: boolean }>}
+   */
+  const submit = async (kind, args, label) => {
+    if (!REPLAY[kind]) throw new Error(`Unknown outbox write: ${kind}`);
+
+    const isWaiting = entries.some(e => e.state === OUTBOX_STATE.queued);
+    if (isOnline && !isWaiting) {
+      try {
+        await REPLAY[kind](repo, args);
+        return { queued: false };
+      } catch (error) {
+        if (!isTransient(error)) throw error;
+        console.error("Write queued, backend unreachable:", error);
+      }
+    }
+    enqueue(kind, args, label);
+    replay();
+    return { queued: true };
+  };
+
+  /** Queues a conflict again, e.g. after the stock was corrected. */
+  const retry = (id) => {
+    change(id, { state: OUTBOX_STATE.queued, problem: null });
+    return replay();
+  };
+
+  /** Drops a conflict that no longer needs applying. */
+  const discard = (id) => save(entries.filter(e => e.id !== id));
+
+  /**
+   * @param {(state: OutboxState) => void} listener - Called now and after every change
+   * @returns {() => void}
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    listener(getState());
+    return () => listeners.delete(listener);
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+      isOnline = true;
+      notify();
+      replay();
+    });
+    window.addEventListener('offline', () => {
+      isOnline = false;
+      notify();
+    });
+    // Keep the count right when another tab of this browser queues or replays
+    window.addEventListener('storage', (event) => {
+      if (event.key !== storageKey || isSyncing) return;
+      entries = load();
+      notify();
+    });
+  }
+
+  // Writes left from an earlier session go out as soon as possible
+  setTimeout(replay, 0);
+
+  return { submit, replay, retry, discard, subscribe, getState };
+};
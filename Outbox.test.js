@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { createOutbox, OUTBOX_STATE } from './Outbox';
+
+const unreachable = () => Promise.reject(Object.assign(new Error('Backend unreachable'), { code: 'unavailable' }));
+
+describe('outbox kept in memory only', () => {
+  it('keeps a queued write through a replay', async () => {
+    const outbox = createOutbox({ repo: { adjustStock: unreachable }, storage: null });
+
+    expect(await outbox.submit('adjustStock', { itemId: 'pasta', delta: -1, details: {} }, 'Take 1 × Dry Pasta')).toEqual({ queued: true });
+    await outbox.replay();
+
+    const [entry, ...rest] = outbox.getState().entries;
+    expect(rest).toEqual([]);
+    expect(entry).toMatchObject({ kind: 'adjustStock', state: OUTBOX_STATE.queued });
+    expect(entry.attempts).toBeGreaterThan(0);
+  });
+});
+
+describe('replaying the queue', () => {
+  // A backend that can be taken down and brought back, recording what reaches it
+  const createBackend = () => {
+    const backend = { reachable: false, applied: [], refuse: new Set() };
+    backend.repo = {
+      adjustStock: async (itemId, delta) => {
+        if (!backend.reachable) return unreachable();
+        if (backend.refuse.has(itemId)) throw Object.assign(new Error(`Only 0 units of ${itemId} in stock.`), { code: 'invalid' });
+        backend.applied.push([itemId, delta]);
+      },
+      updateRecordStatus: async (recordId, status, { from }) => {
+        if (!backend.reachable) return unreachable();
+        throw Object.assign(new Error(`This record is already ${status}, probably changed on another device.`), { code: from === status ? 'stale' : 'conflict' });
+      },
+    };
+    return backend;
+  };
+  // Lets the replay each submit() starts run into the unreachable backend and stop
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+  const take = (outbox, itemId, delta = -1) => outbox.submit('adjustStock', { itemId, delta, details: {} }, `Take ${-delta} × ${itemId}`);
+
+  it('sends queued writes once the backend is reachable again', async () => {
+    const backend = createBackend();
+    const outbox = createOutbox({ repo: backend.repo, storage: null });
+    await take(outbox, 'pasta');
+    await settle();
+
+    backend.reachable = true;
+    await outbox.replay();
+
+    expect(backend.applied).toEqual([['pasta', -1]]);
+    expect(outbox.getState().entries).toEqual([]);
+  });
+
+  it('replays in the order the writes were made, later writes queueing behind earlier ones', async () => {
+    const backend = createBackend();
+    const outbox = createOutbox({ repo: backend.repo, storage: null });
+    await take(outbox, 'pasta', -1);
+    await take(outbox, 'rice', -2);
+    await settle();
+    backend.reachable = true;
+    // Something is still waiting, so this one queues behind it instead of going straight out
+    expect(await take(outbox, 'beans', -3)).toEqual({ queued: true });
+
+    // That submit() already started the replay
+    await settle();
+
+    expect(backend.applied).toEqual([['pasta', -1], ['rice', -2], ['beans', -3]]);
+  });
+
+  it('keeps a write the backend refuses as a conflict and replays the rest', async () => {
+    const backend = createBackend();
+    const outbox = createOutbox({ repo: backend.repo, storage: null });
+    await take(outbox, 'pasta');
+    await take(outbox, 'rice');
+    backend.refuse.add('pasta');
+    await settle();
+
+    backend.reachable = true;
+    await outbox.replay();
+
+    expect(backend.applied).toEqual([['rice', -1]]);
+    expect(outbox.getState().entries).toEqual([
+      expect.objectContaining({ state: OUTBOX_STATE.conflict, problem: 'Only 0 units of pasta in stock.' }),
+    ]);
+  });
+
+  it('keeps a completion made on another device as a conflict, but retries one that lost a race', async () => {
+    const backend = createBackend();
+    const outbox = createOutbox({ repo: backend.repo, storage: null });
+    await outbox.submit('recordStatus', { recordId: 'record-1', status: 'Completed', from: 'Completed' }, 'Complete record-1');
+    await outbox.submit('recordStatus', { recordId: 'record-2', status: 'Completed', from: 'Pending' }, 'Complete record-2');
+    await settle();
+
+    backend.reachable = true;
+    await outbox.replay();
+
+    // 'stale' is a refusal; 'conflict' (a transaction that kept losing) is tried again later
+    expect(outbox.getState().entries.map(e => [e.args.recordId, e.state])).toEqual([
+      ['record-1', OUTBOX_STATE.conflict],
+      ['record-2', OUTBOX_STATE.queued],
+    ]);
+  });
+});
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BOOKING_WINDOW_DAYS, hasStarted, freePlaces, formatSlot, isActiveBooking } from './Pickup-slots';
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 p-2 border text-sm";
+
+// --- Citizen: book, move or cancel a pickup slot at their site ---
+export const PickupBooking = ({ repo, userId, site, booking, hasPending }) => {
+    const [slots, setSlots] = useState([]);
+    const [error, setError] = useState(null);
+    const [busySlotId, setBusySlotId] = useState(null);
+
+    const siteId = site?.id;
+
+    useEffect(() => {
+        if (!repo || !siteId) return;
+
+        const unsubscribe = repo.subscribeSlots({ siteId }, setSlots, (err) => {
+            console.error("Error loading pickup slots:", err);
+            setError("Failed to load pickup times.");
+        });
+
+        return () => unsubscribe();
+    }, [repo, siteId]);
+
+    // Slots still to come within the booking window
+    const upcoming = useMemo(() => {
+        const until = new Date();
+        until.setDate(until.getDate() + BOOKING_WINDOW_DAYS);
+        return slots.filter(slot => !hasStarted(slot) && new Date(`${slot.date}T00:00`) <= until);
+    }, [slots]);
+
+    const run = async (slotId, action) => {
+        setError(null);
+        setBusySlotId(slotId);
+        try {
+            await action();
+        } catch (e) {
+            console.error("Error updating pickup booking: ", e);
+            setError(e.message);
+        } finally {
+            setBusySlotId(null);
+        }
+    };
+
+    if (!site) return null;
+    const isBooked = isActiveBooking(booking);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-xl font-bold text-gray-800 mb-1">Pickup Appointment</h2>
+            <p className="text-sm text-gray-500 mb-4">At {site.name}, {site.address}</p>
+
+            {isBooked && (
+                <div className="mb-4 p-3 bg-green-50 rounded-md flex flex-wrap justify-between items-center gap-2">
+                    <p className="text-green-800 font-semibold">Booked: {formatSlot(booking)}</p>
+                    <button
+                        onClick={() => run('cancel', () => repo.cancelBooking(userId))}
+                        disabled={busySlotId !== null}
+                        className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200 disabled:opacity-50"
+                    >
+                        Cancel Appointment
+                    </button>
+                </div>
+            )}
+            {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+            {!hasPending && !isBooked ? (
+                <p className="text-sm text-gray-500">You can book a pickup time once a distribution is pending for you.</p>
+            ) : (
+                <>
+                    <p className="text-sm font-medium text-gray-700 mb-2">{isBooked ? 'Move to another time' : 'Choose a time'}</p>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                        {upcoming.map(slot => {
+                            const isMine = isBooked && booking.slotId === slot.id;
+                            const isFull = !freePlaces(slot);
+                            return (
+                                <button
+                                    key={slot.id}
+                                    onClick={() => run(slot.id, () => repo.bookSlot(userId, slot.id))}
+                                    disabled={isMine || isFull || busySlotId !== null}
+                                    className={`p-2 text-sm rounded-md border text-left disabled:cursor-not-allowed ${isMine ? 'border-green-500 bg-green-50' : isFull ? 'bg-gray-100 text-gray-400' : 'hover:bg-indigo-50 border-gray-200'}`}
+                                >
+                                    <span className="block font-medium">{formatSlot(slot)}</span>
+                                    <span className="text-xs">{isMine ? 'Your appointment' : isFull ? 'Fully booked' : `${freePlaces(slot)} places left`}</span>
+                                </button>
+                            );
+                        })}
+                    </div>
+                    {!upcoming.length && <p className="text-sm text-gray-500">No pickup times have been published for the next {BOOKING_WINDOW_DAYS} days yet.</p>}
+                </>
+            )}
+        </div>
+    );
+};
+
+// --- Manager: publish slots and work through the day's booked pickups ---
+export const PickupRoster = ({ repo, userId, sites, records, onComplete }) => {
+    const [selectedSiteId, setSelectedSiteId] = useState('');
+    const [date, setDate] = useState(todayString);
+    const [slots, setSlots] = useState([]);
+    const [bookings, setBookings] = useState([]);
+    const [plan, setPlan] = useState({ from: '09:00', to: '12:00', length: '30', capacity: '10' });
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+
+    const site = sites.find(s => s.id === selectedSiteId) || sites[0];
+    const siteId = site?.id;
+
+    useEffect(() => {
+        if (!repo || !siteId) return;
+
+        const unsubSlots = repo.subscribeSlots({ siteId, date }, setSlots, (err) => {
+            console.error("Error loading pickup slots:", err);
+            setError("Failed to load pickup slots.");
+        });
+        const unsubBookings = repo.subscribeBookings({ siteId, date }, setBookings, (err) => {
+            console.error("Error loading pickup bookings:", err);
+            setError("Failed to load pickup bookings.");
+        });
+
+        return () => {
+            unsubSlots();
+            unsubBookings();
+        };
+    }, [repo, siteId, date]);
+
+    const handlePublish = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setMessage(null);
+        try {
+            const count = await repo.publishSlots({
+                siteId,
+                date,
+                from: plan.from,
+                to: plan.to,
+                length: parseInt(plan.length),
+                capacity: parseInt(plan.capacity),
+            }, { actor: userId });
+            setMessage(`Published ${count} slots.`);
+        } catch (err) {
+            console.error("Error publishing pickup slots:", err);
+            setError(err.message);
+        }
+    };
+
+    // The recipient's Pending records, which staff complete as goods are handed over
+    const pendingFor = (recipientId) => records.filter(r => r.recipientId === recipientId && r.status === 'Pending');
+
+    if (!site) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg mt-8">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                <h2 className="text-xl font-bold text-indigo-700">Pickup Roster</h2>
+                <div className="flex gap-2">
+                    <select value={siteId} onChange={(e) => setSelectedSiteId(e.target.value)} className="rounded-md border-gray-300 p-2 border bg-white text-sm">
+                        {sites.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                    <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="rounded-md border-gray-300 p-2 border text-sm" />
+                </div>
+            </div>
+
+            <form onSubmit={handlePublish} className="mb-4 p-3 bg-indigo-50 rounded-md grid grid-cols-2 md:grid-cols-5 gap-2 items-end">
+                <label className="text-xs text-gray-600">From<input type="time" value={plan.from} onChange={(e) => setPlan({ ...plan, from: e.target.value })} required className={inputClass} /></label>
+                <label className="text-xs text-gray-600">To<input type="time" value={plan.to} onChange={(e) => setPlan({ ...plan, to: e.target.value })} required className={inputClass} /></label>
+                <label className="text-xs text-gray-600">Minutes per slot<input type="number" min="5" value={plan.length} onChange={(e) => setPlan({ ...plan, length: e.target.value })} required className={inputClass} /></label>
+                <label className="text-xs text-gray-600">Households per slot<input type="number" min="1" value={plan.capacity} onChange={(e) => setPlan({ ...plan, capacity: e.target.value })} required className={inputClass} /></label>
+                <button type="submit" className="px-3 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Publish Slots</button>
+            </form>
+            {message && <p className="text-sm text-green-700 mb-2">{message}</p>}
+            {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+            <div className="space-y-3">
+                {slots.map(slot => {
+                    const booked = bookings.filter(b => b.slotId === slot.id);
+                    return (
+                        <div key={slot.id} className="border rounded-md p-3">
+                            <p className="font-semibold text-gray-800">
+                                {slot.start}–{slot.end}
+                                <span className="ml-2 text-sm font-normal text-gray-500">{slot.booked} of {slot.capacity} booked</span>
+                            </p>
+                            {booked.map(booking => (
+                                <div key={booking.id} className="mt-2 pl-3 border-l-2 border-indigo-200 text-sm">
+                                    <p className="font-medium text-gray-700">{booking.recipientId}</p>
+                                    {pendingFor(booking.recipientId).map(record => (
+                                        <p key={record.id} className="flex justify-between items-center text-gray-600">
+                                            <span>{record.quantity} × {record.foodItem}</span>
+                                            <button onClick={() => onComplete(record.id)} className="px-2 py-0.5 text-xs text-white bg-green-600 rounded hover:bg-green-700">
+                                                Complete
+                                            </button>
+                                        </p>
+                                    ))}
+                                    {!pendingFor(booking.recipientId).length && <p className="text-green-700">All collected</p>}
+                                </div>
+                            ))}
+                        </div>
+                    );
+                })}
+                {!slots.length && <p className="text-sm text-gray-500">No slots published for this day. Publish them above.</p>}
+            </div>
+        </div>
+    );
+};
@@ -0,0 +1,94 @@
+// Pickup appointments. Sites publish time slots that each take a limited
+// number of households. A citizen with Pending records holds at most one
+// booking, which they can move to another slot or cancel until it starts.
+
+/**
+ * @typedef {Object} PickupSlot
+ * @property {string} id - slotIdOf(siteId, date, start)
+ * @property {string} siteId
+ * @property {string} date - YYYY-MM-DD, site local time
+ * @property {string} start - HH:MM
+ * @property {string} end - HH:MM
+ * @property {number} capacity - Households the slot takes
+ * @property {number} booked - Households booked into it
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} createdBy
+ */
+
+/**
+ * One per recipient, stored under their recipient ID; cancelling keeps the
+ * document with status 'cancelled'.
+ *
+ * @typedef {Object} PickupBooking
+ * @property {string} id - The recipient's ID
+ * @property {string} recipientId
+ * @property {'booked'|'cancelled'} status
+ * @property {string} slotId
+ * @property {string} siteId
+ * @property {string} date
+ * @property {string} start
+ * @property {string} end
+ * @property {string[]} recordIds - The recipient's Pending records when they booked, at most MAX_BOOKED_RECORDS
+ * @property {string} bookedAt - ISO timestamp
+ */
+
+export const BOOKING_STATUS = {
+  booked: 'booked',
+  cancelled: 'cancelled',
+};
+
+// Most households one slot may take; firestore.rules repeats it
+export const MAX_SLOT_CAPACITY = 200;
+
+// Most Pending records one booking lists; firestore.rules looks each one up
+export const MAX_BOOKED_RECORDS = 6;
+
+// How far ahead citizens see open slots
+export const BOOKING_WINDOW_DAYS = 14;
+
+export const slotIdOf = (siteId, date, start) => `${siteId}_${date}_${start.replace(':', '')}`;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = /^(\d{2}):(\d{2})$/.exec(time || '') || [];
+  return hours === undefined ? NaN : Number(hours) * 60 + Number(minutes);
+};
+
+const toTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/** @param {{ date: string, start: string }} slot */
+export const slotStart = (slot) => new Date(`${slot.date}T${slot.start}`);
+
+export const hasStarted = (slot, now = new Date()) => slotStart(slot) <= now;
+
+export const freePlaces = (slot) => Math.max(0, slot.capacity - slot.booked);
+
+export const formatSlot = (slot) => `${new Date(`${slot.date}T00:00`).toLocaleDateString()} ${slot.start}–${slot.end}`;
+
+export const isActiveBooking = (booking) => booking?.status === BOOKING_STATUS.booked;
+
+/**
+ * Splits opening time on one day into back-to-back slots. Throws a
+ * user-facing message when the plan does not make sense.
+ *
+ * @param {{ siteId: string, date: string, from: string, to: string, length: number, capacity: number }} plan - length in minutes
+ * @returns {Omit<PickupSlot, 'booked'|'createdAt'|'createdBy'>[]}
+ */
+export const planSlots = ({ siteId, date, from, to, length, capacity }) => {
+  if (!siteId) throw new Error('Choose the site.');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) throw new Error('Choose the day.');
+  const first = toMinutes(from);
+  const last = toMinutes(to);
+  if (Number.isNaN(first) || Number.isNaN(last) || last <= first) throw new Error('Enter opening and closing times, closing after opening.');
+  if (!Number.isInteger(length) || length < 5) throw new Error('Slots must be at least 5 minutes long.');
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SLOT_CAPACITY) {
+    throw new Error(`Each slot takes from 1 to ${MAX_SLOT_CAPACITY} households.`);
+  }
+  if (slotStart({ date, start: from }) <= new Date()) throw new Error('Slots can only be published for times still to come.');
+
+  const slots = [];
+  for (let start = first; start + length <= last; start += length) {
+    slots.push({ id: slotIdOf(siteId, date, toTime(start)), siteId, date, start: toTime(start), end: toTime(start + length), capacity });
+  }
+  if (!slots.length) throw new Error('The opening time is shorter than one slot.');
+  return slots;
+};
@@ -1,109 +1,189 @@
 import React, { useState, useEffect } from 'react';
-import { Truck, Send, AlertCircle, CheckCircle, Package, Loader2 } from 'lucide-react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, setLogLevel } from 'firebase/firestore';
-
-// Set Firebase log level for debugging
-setLogLevel('debug');
-
-// Mock list of available items for the form dropdown (should ideally sync with Inventory collection)
-const MOCK_INVENTORY_ITEMS = [
-    'Canned Beans', 
-    'Fresh Produce Mix', 
-    'Dry Pasta', 
-    'Dairy (UHT Milk)',
-    'Rice',
-    'Cereal',
-];
+import { Truck, Send, AlertCircle, CheckCircle, Package, Loader2, Plus, Trash2, Building2 } from 'lucide-react';
+import { getBackend } from './Backend';
+import { AVAILABILITY_LABELS } from './Data-repository';
+import { MAX_REQUEST_LINES } from './Request-lifecycle';
+import { ORG_STATUS } from './Organizations';
+import { REQUEST_LIMITS, validateRequest, maxPerRequest } from './Request-validation';
+
+const emptyRegistration = { address: '', serviceArea: '', registrationNumber: '', contactName: '', phone: '' };
+
+// One row of the request cart; key only identifies the row on screen
+const newCartLine = (itemId = '') => ({ key: crypto.randomUUID(), itemId, amount: 10 });
 
 // --- MAIN APP COMPONENT ---
 export default function App() {
-    // Firebase and Auth State
-    const [db, setDb] = useState(null);
+    // Backend and Auth State
+    const [repo, setRepo] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [userId, setUserId] = useState(null);
     
     // Form State
     const [organizationName, setOrganizationName] = useState('');
-    const [requestedItem, setRequestedItem] = useState(MOCK_INVENTORY_ITEMS[0]);
-    const [amount, setAmount] = useState(10);
+    const [cartLines, setCartLines] = useState(() => [newCartLine()]);
     const [contactEmail, setContactEmail] = useState('');
+
+    // Organization registry lookup: 'idle', 'checking', 'found' (organization is set) or 'new' (registration fields shown)
+    const [orgLookup, setOrgLookup] = useState({ state: 'idle', organization: null });
+    const [registration, setRegistration] = useState(emptyRegistration);
     
+    // Catalog State: the live inventory items, so every request names a shippable item
+    const [catalog, setCatalog] = useState([]);
+    const [isCatalogLoading, setIsCatalogLoading] = useState(true);
+    // Preselected for new rows: the first item in stock
+    const defaultItemId = (catalog.find(e => e.availability !== 'unavailable') || catalog[0])?.id || '';
+
     // UI State
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [submissionStatus, setSubmissionStatus] = useState(null); // 'success', 'error'
+    const [errorMessage, setErrorMessage] = useState(null);
+    // Per-field messages from validateRequest(), here or from the backend
+    const [fieldErrors, setFieldErrors] = useState(null);
+    // Shown after a successful submission so the organization can track the request later
+    const [submitted, setSubmitted] = useState(null); // { referenceCode, contactEmail }
 
-    // Canvas Globals (Must be used)
-    const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-    const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
-    const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-    
-    // 1. Initialize Firebase and Authenticate
+    // 1. Connect to the backend (Firestore, or local storage when offline) and Authenticate
     useEffect(() => {
-        if (!firebaseConfig) {
-            console.error("Firebase config not available. Cannot initialize app.");
-            return;
-        }
+        const backend = getBackend();
+        setRepo(backend.repo);
 
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authentication = getAuth(app);
-        
-        setDb(firestore);
-
-        const unsubscribe = onAuthStateChanged(authentication, async (user) => {
-            if (!user) {
-                // Sign in anonymously for public data creation
-                try {
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(authentication, initialAuthToken);
-                    } else {
-                        await signInAnonymously(authentication);
-                    }
-                } catch (error) {
-                    console.error("Authentication failed:", error);
-                }
-            }
+        // Signed in (anonymously if needed) for public data creation
+        const unsubscribe = backend.watchAuth((uid) => {
+            setUserId(uid);
+            setIsAuthReady(true);
+        }, (error) => {
+            console.error("Authentication failed:", error);
             setIsAuthReady(true);
         });
 
         return () => unsubscribe();
-    }, [initialAuthToken, firebaseConfig]);
+    }, []);
+
+    // 2. Live catalog from the inventory collection
+    useEffect(() => {
+        if (!repo || !isAuthReady) return;
+
+        const unsubscribe = repo.subscribeCatalog((entries) => {
+            setCatalog(entries);
+            setIsCatalogLoading(false);
+            // Keep each row's choice while it is still in the catalog; otherwise preselect the first item in stock
+            const fallback = (entries.find(e => e.availability !== 'unavailable') || entries[0])?.id || '';
+            setCartLines(prev => prev.map(line => (entries.some(e => e.id === line.itemId) ? line : { ...line, itemId: fallback })));
+        }, (error) => {
+            console.error("Error loading item catalog:", error);
+            setIsCatalogLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [repo, isAuthReady]);
+
+    const updateLine = (key, changes) =>
+        setCartLines(prev => prev.map(line => (line.key === key ? { ...line, ...changes } : line)));
+    const addLine = () => setCartLines(prev => [...prev, newCartLine(defaultItemId)]);
+    const removeLine = (key) => setCartLines(prev => prev.filter(line => line.key !== key));
+
+    // Looks the organization up once the name is entered, so returning organizations skip registration
+    const lookUpOrganization = async () => {
+        if (!repo || !isAuthReady || !organizationName.trim()) {
+            setOrgLookup({ state: 'idle', organization: null });
+            return null;
+        }
+        setOrgLookup({ state: 'checking', organization: null });
+        try {
+            const organization = await repo.findOrganization(organizationName);
+            setOrgLookup({ state: organization ? 'found' : 'new', organization });
+            return organization;
+        } catch (error) {
+            console.error("Organization lookup failed:", error);
+            setOrgLookup({ state: 'new', organization: null });
+            return null;
+        }
+    };
+
+    const handleRegistrationChange = (e) => setRegistration(prev => ({ ...prev, [e.target.name]: e.target.value }));
 
     // Handle Form Submission
     const handleSubmit = async (e) => {
         e.preventDefault();
         
-        if (!db || !isAuthReady) {
+        if (!repo || !isAuthReady) {
             setSubmissionStatus('error');
             return console.error("Database not ready or user not authenticated.");
         }
+        // Same checks the backend runs, so most mistakes are caught before anything is sent
+        const errors = validateRequest({ organization: organizationName, contactEmail, lines: cartLines }, catalog);
+        setFieldErrors(errors);
+        if (errors) {
+            setErrorMessage(errors.form || 'Please correct the highlighted fields.');
+            return setSubmissionStatus('error');
+        }
+        const lines = cartLines.map((line, index) => {
+            const entry = catalog.find(e => e.id === line.itemId);
+            return {
+                id: `line-${index + 1}`,
+                itemId: entry.id,
+                item: entry.item,
+                amount: Number(line.amount),
+                status: 'Pending',
+            };
+        });
+
+        // Submitted straight from the name field (Enter), so the lookup has not run yet
+        let organizationId = orgLookup.organization?.id;
+        if (orgLookup.state === 'idle') {
+            organizationId = (await lookUpOrganization())?.id;
+            // Unknown organization: show the registration fields before sending
+            if (!organizationId) return;
+        }
 
         setIsSubmitting(true);
         setSubmissionStatus(null);
+        setErrorMessage(null);
+
+        try {
+            // First request from this organization: add it to the registry, unverified until staff check it
+            if (!organizationId) {
+                organizationId = await repo.registerOrganization({
+                    name: organizationName,
+                    address: registration.address,
+                    serviceArea: registration.serviceArea,
+                    registrationNumber: registration.registrationNumber,
+                    contacts: [{ name: registration.contactName, email: contactEmail, phone: registration.phone }],
+                }, { actor: userId });
+            }
+        } catch (error) {
+            console.error("Error registering organization: ", error);
+            setErrorMessage(error.message);
+            setSubmissionStatus('error');
+            return setIsSubmitting(false);
+        }
 
         const newRequest = {
-            organization: organizationName,
-            item: requestedItem,
-            amount: parseInt(amount),
-            contactEmail: contactEmail,
+            organization: organizationName.trim(),
+            organizationId,
+            lines,
+            contactEmail: contactEmail.trim(),
             status: 'Pending', // New requests always start as Pending
             requestedDate: new Date().toISOString().split('T')[0], // YYYY-MM-DD
             timestamp: new Date().toISOString()
         };
 
-        const requestsCollectionPath = `artifacts/${appId}/public/data/requests`;
-
         try {
-            await addDoc(collection(db, requestsCollectionPath), newRequest);
+            const { referenceCode } = await repo.submitRequest(newRequest);
+            setSubmitted({ referenceCode, contactEmail });
             setSubmissionStatus('success');
             // Clear form
             setOrganizationName('');
-            setAmount(10);
+            setOrgLookup({ state: 'idle', organization: null });
+            setRegistration(emptyRegistration);
+            setCartLines([newCartLine(defaultItemId)]);
             setContactEmail('');
             console.log("Request submitted successfully.");
         } catch (error) {
             console.error("Error submitting request: ", error);
+            // Rejected by validation or the rate limit: both carry a message for the user
+            if (error.code === 'invalid' || error.code === 'rate-limited') setErrorMessage(error.fieldErrors?.form || error.message);
+            setFieldErrors(error.fieldErrors || null);
             setSubmissionStatus('error');
         } finally {
             setIsSubmitting(false);
@@ -130,11 +210,40 @@ export default function App() {
                             type="text"
                             id="organizationName"
                             value={organizationName}
-                            onChange={(e) => setOrganizationName(e.target.value)}
+                            onChange={(e) => {
+                                setOrganizationName(e.target.value);
+                                setOrgLookup({ state: 'idle', organization: null });
+                            }}
+                            onBlur={lookUpOrganization}
                             required
+                            maxLength={REQUEST_LIMITS.organizationMaxLength}
                             className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                         />
+                        {fieldErrors?.organization && <p className="mt-1 text-xs text-red-600">{fieldErrors.organization}</p>}
+                        {orgLookup.state === 'checking' && (
+                            <p className="mt-1 text-xs text-gray-500"><Loader2 className="w-3 h-3 inline animate-spin mr-1" />Looking up organization...</p>
+                        )}
+                        {orgLookup.state === 'found' && (
+                            <p className="mt-1 text-xs text-green-700 flex items-center">
+                                <Building2 className="w-3 h-3 mr-1" />
+                                Registered as {orgLookup.organization.name}
+                                {orgLookup.organization.status !== ORG_STATUS.verified && ' (verification pending)'}
+                            </p>
+                        )}
                     </div>
+
+                    {orgLookup.state === 'new' && (
+                        <fieldset className="p-4 bg-indigo-50 rounded-md space-y-3">
+                            <legend className="text-sm font-medium text-indigo-700 flex items-center"><Building2 className="w-4 h-4 mr-1" /> New organization: please register</legend>
+                            <input type="text" name="address" value={registration.address} onChange={handleRegistrationChange} placeholder="Address" required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500" />
+                            <input type="text" name="serviceArea" value={registration.serviceArea} onChange={handleRegistrationChange} placeholder="Service area (neighbourhoods or postcodes served)" required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500" />
+                            <input type="text" name="registrationNumber" value={registration.registrationNumber} onChange={handleRegistrationChange} placeholder="Charity / registration number (if any)" className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500" />
+                            <div className="grid grid-cols-2 gap-3">
+                                <input type="text" name="contactName" value={registration.contactName} onChange={handleRegistrationChange} placeholder="Contact name" required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500" />
+                                <input type="tel" name="phone" value={registration.phone} onChange={handleRegistrationChange} placeholder="Phone" className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500" />
+                            </div>
+                        </fieldset>
+                    )}
                     
                      <div>
                         <label htmlFor="contactEmail" className="block text-sm font-medium text-gray-700">Contact Email</label>
@@ -144,38 +253,75 @@ export default function App() {
                             value={contactEmail}
                             onChange={(e) => setContactEmail(e.target.value)}
                             required
+                            maxLength={REQUEST_LIMITS.emailMaxLength}
                             className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                         />
+                        {fieldErrors?.contactEmail && <p className="mt-1 text-xs text-red-600">{fieldErrors.contactEmail}</p>}
                     </div>
 
-                    <div className="grid grid-cols-2 gap-4">
-                        <div>
-                            <label htmlFor="requestedItem" className="block text-sm font-medium text-gray-700">Requested Item</label>
-                            <select
-                                id="requestedItem"
-                                value={requestedItem}
-                                onChange={(e) => setRequestedItem(e.target.value)}
-                                required
-                                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md shadow-sm"
+                    <fieldset className="space-y-3">
+                        <legend className="block text-sm font-medium text-gray-700">Requested Items</legend>
+                        {cartLines.map((line, index) => {
+                            const entry = catalog.find(e => e.id === line.itemId);
+                            const lineError = fieldErrors?.lines?.[index];
+                            return (
+                                <div key={line.key} className="flex items-start gap-2">
+                                    <div className="flex-grow">
+                                        <select
+                                            aria-label={`Item ${index + 1}`}
+                                            value={line.itemId}
+                                            onChange={(e) => updateLine(line.key, { itemId: e.target.value })}
+                                            required
+                                            disabled={isCatalogLoading || !catalog.length}
+                                            className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md shadow-sm"
+                                        >
+                                            {isCatalogLoading && <option value="">Loading items...</option>}
+                                            {!isCatalogLoading && !catalog.length && <option value="">No items available yet</option>}
+                                            {catalog.map(c => (
+                                                <option key={c.id} value={c.id}>{c.item} ({c.unit})</option>
+                                            ))}
+                                        </select>
+                                        {entry && (
+                                            <p className={`mt-1 text-xs flex items-center ${entry.availability === 'available' ? 'text-green-600' : entry.availability === 'limited' ? 'text-yellow-600' : 'text-red-600'}`}>
+                                                <Package className="w-3 h-3 mr-1" /> {AVAILABILITY_LABELS[entry.availability]}
+                                            </p>
+                                        )}
+                                        {lineError?.itemId && <p className="mt-1 text-xs text-red-600">{lineError.itemId}</p>}
+                                        {lineError?.amount && <p className="mt-1 text-xs text-red-600">{lineError.amount}</p>}
+                                    </div>
+                                    <input
+                                        type="number"
+                                        aria-label={`Quantity ${index + 1}${entry ? ` (${entry.unit})` : ''}`}
+                                        value={line.amount}
+                                        onChange={(e) => updateLine(line.key, { amount: e.target.value })}
+                                        min="1"
+                                        max={entry ? maxPerRequest(entry) : undefined}
+                                        required
+                                        className="w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => removeLine(line.key)}
+                                        disabled={cartLines.length === 1}
+                                        title="Remove item"
+                                        className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                                    >
+                                        <Trash2 className="w-5 h-5" />
+                                    </button>
+                                </div>
+                            );
+                        })}
+                        {cartLines.length < MAX_REQUEST_LINES && (
+                            <button
+                                type="button"
+                                onClick={addLine}
+                                disabled={!catalog.length}
+                                className="inline-flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
                             >
-                                {MOCK_INVENTORY_ITEMS.map(item => (
-                                    <option key={item} value={item}>{item}</option>
-                                ))}
-                            </select>
-                        </div>
-                        <div>
-                            <label htmlFor="amount" className="block text-sm font-medium text-gray-700">Quantity (units)</label>
-                            <input
-                                type="number"
-                                id="amount"
-                                value={amount}
-                                onChange={(e) => setAmount(e.target.value)}
-                                min="1"
-                                required
-                                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
-                            />
-                        </div>
-                    </div>
+                                <Plus className="w-4 h-4 mr-1" /> Add another item
+                            </button>
+                        )}
+                    </fieldset>
 
                     {submissionStatus === 'success' && (
                         <div className="p-3 rounded-md bg-green-50">
@@ -183,6 +329,12 @@ export default function App() {
                                 <CheckCircle className="h-5 w-5 text-green-400" />
                                 <h3 className="ml-3 text-sm font-medium text-green-800">Request Submitted Successfully!</h3>
                             </div>
+                            {submitted && (
+                                <div className="mt-2 ml-8 text-sm text-green-800">
+                                    <p>Your reference code is <span className="font-mono font-bold text-lg">{submitted.referenceCode}</span></p>
+                                    <p className="text-xs mt-1">Keep it: with the code and {submitted.contactEmail} you can follow your request on the request status page.</p>
+                                </div>
+                            )}
                         </div>
                     )}
 
@@ -190,7 +342,7 @@ export default function App() {
                         <div className="p-3 rounded-md bg-red-50">
                             <div className="flex">
                                 <AlertCircle className="h-5 w-5 text-red-400" />
-                                <h3 className="ml-3 text-sm font-medium text-red-800">Error submitting request. Please try again.</h3>
+                                <h3 className="ml-3 text-sm font-medium text-red-800">{errorMessage || 'Error submitting request. Please try again.'}</h3>
                             </div>
                         </div>
                     )}
@@ -204,7 +356,7 @@ export default function App() {
 
                     <button
                         type="submit"
-                        disabled={isSubmitting || !isAuthReady}
+                        disabled={isSubmitting || !isAuthReady || !catalog.length || orgLookup.state === 'checking'}
                         className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-md shadow-sm text-base font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50 transition duration-150"
                     >
                         {isSubmitting ? (
@@ -0,0 +1,37 @@
+// Reference codes handed to organizations when they submit a request, e.g.
+// FD-7K3M-Q9XP. The alphabet leaves out 0/O, 1/I/L so codes survive being
+// read out over the phone.
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const CODE_LENGTH = 8;
+
+// Bytes from here up would favour the first letters of the alphabet, so they are drawn again
+const UNBIASED_LIMIT = 256 - (256 % ALPHABET.length);
+
+export const newReferenceCode = () => {
+  let chars = '';
+  while (chars.length < CODE_LENGTH) {
+    crypto.getRandomValues(new Uint8Array(CODE_LENGTH)).forEach(b => {
+      if (b < UNBIASED_LIMIT && chars.length < CODE_LENGTH) chars += ALPHABET[b % ALPHABET.length];
+    });
+  }
+  return `FD-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Accepts what people type: lower case, spaces, missing dashes or prefix.
+// Codes may themselves start with FD, so the prefix goes only when it is there as well.
+export const normalizeReferenceCode = (input) => {
+  const typed = (input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const chars = typed.length === CODE_LENGTH + 2 && typed.startsWith('FD') ? typed.slice(2) : typed;
+  return chars.length === CODE_LENGTH ? `FD-${chars.slice(0, 4)}-${chars.slice(4)}` : null;
+};
+
+/**
+ * Id of a request's public tracking document. It needs both the code and the
+ * contact email, so knowing one of them is not enough to read the status.
+ *
+ * @param {string} referenceCode
+ * @param {string} contactEmail
+ */
+export const trackingId = (referenceCode, contactEmail) =>
+  `${referenceCode}_${encodeURIComponent(contactEmail.trim().toLowerCase())}`;
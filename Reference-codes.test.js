@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { newReferenceCode, normalizeReferenceCode } from './Reference-codes';
+
+describe('reference codes', () => {
+  it('makes codes from the readable alphabet', () => {
+    expect(newReferenceCode()).toMatch(/^FD-[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}$/);
+  });
+
+  it('accepts codes typed without the prefix or dashes', () => {
+    expect(normalizeReferenceCode(' fd-7k3m-q9xp ')).toBe('FD-7K3M-Q9XP');
+    expect(normalizeReferenceCode('7k3m q9xp')).toBe('FD-7K3M-Q9XP');
+  });
+
+  it('keeps FD that belongs to the code itself', () => {
+    expect(normalizeReferenceCode('FDK3-Q9XP')).toBe('FD-FDK3-Q9XP');
+    expect(normalizeReferenceCode('FDFDK3Q9XP')).toBe('FD-FDK3-Q9XP');
+  });
+
+  it('refuses codes of the wrong length', () => {
+    expect(normalizeReferenceCode('FD-7K3M-Q9X')).toBeNull();
+    expect(normalizeReferenceCode('')).toBeNull();
+  });
+});
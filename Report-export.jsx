@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { FileText, FileDown, Loader2 } from 'lucide-react';
+import { REPORT_TYPES, localDay, toCsv, reportFileName } from './Reports';
+
+const MARGIN = 40;
+
+// First and last day of the month `offset` months from now
+const monthRange = (offset) => {
+    const now = new Date();
+    return {
+        from: localDay(new Date(now.getFullYear(), now.getMonth() + offset, 1)),
+        to: localDay(new Date(now.getFullYear(), now.getMonth() + offset + 1, 0)),
+    };
+};
+
+const saveBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoked after the click has started the download
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Lays a report out as a PDF: heading, totals, the grouped summaries, then
+ * every row. Wide reports are printed in landscape.
+ *
+ * @param {import('./Reports').Report} report
+ * @returns {jsPDF}
+ */
+const toPdf = (report) => {
+    const doc = new jsPDF({ orientation: report.columns.length > 6 ? 'landscape' : 'portrait', unit: 'pt', format: 'a4' });
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const tableStyles = { styles: { fontSize: 8, cellPadding: 3 }, headStyles: { fillColor: [79, 70, 229] }, margin: { left: MARGIN, right: MARGIN } };
+
+    doc.setFontSize(16);
+    doc.text(report.title, MARGIN, 48);
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    doc.text(report.subtitle, MARGIN, 66);
+    doc.text(`Generated ${new Date().toLocaleString()}`, MARGIN, 80);
+    doc.setTextColor(0);
+
+    autoTable(doc, { ...tableStyles, startY: 96, head: [['Total', '']], body: report.totals.map(t => [t.label, t.value]), tableWidth: 280, columnStyles: { 1: { halign: 'right' } } });
+
+    // Section heading under the last table, on a new page when it would be left alone at the bottom
+    const section = (title) => {
+        let y = doc.lastAutoTable.finalY + 28;
+        if (y > pageHeight - 80) {
+            doc.addPage();
+            y = 48;
+        }
+        doc.setFontSize(12);
+        doc.text(title, MARGIN, y);
+        return y + 8;
+    };
+
+    report.summaries.forEach(summary => {
+        autoTable(doc, { ...tableStyles, startY: section(summary.title), head: [summary.columns], body: summary.rows });
+    });
+    autoTable(doc, { ...tableStyles, startY: section(`Details (${report.rows.length} rows)`), head: [report.columns], body: report.rows });
+
+    const pages = doc.getNumberOfPages();
+    doc.setFontSize(8);
+    for (let page = 1; page <= pages; page++) {
+        doc.setPage(page);
+        doc.text(`${report.title}, page ${page} of ${pages}`, MARGIN, pageHeight - 20);
+    }
+    return doc;
+};
+
+// --- Managers: export records, requests, stock and the ledger for a period, site and status ---
+export const ReportExporter = ({ repo, sites, isAuthReady }) => {
+    const [type, setType] = useState('records');
+    const [filters, setFilters] = useState({ ...monthRange(-1), siteId: '', status: '' });
+    // Last exported report, for the totals shown below the form
+    const [report, setReport] = useState(null);
+    const [busyFormat, setBusyFormat] = useState(null);
+    const [error, setError] = useState(null);
+
+    const reportType = REPORT_TYPES[type];
+
+    const handleType = (next) => {
+        setType(next);
+        setFilters({ ...filters, status: '' });
+        setReport(null);
+    };
+
+    const handleExport = async (format) => {
+        if (!repo || !isAuthReady) return console.error("Database not ready.");
+        if (filters.from && filters.to && filters.from > filters.to) return setError('The start date must be on or before the end date.');
+
+        setError(null);
+        setBusyFormat(format);
+        try {
+            const built = await repo.loadReport(type, filters, { sites });
+            const fileName = reportFileName(type, filters, format);
+            if (format === 'csv') {
+                // The byte order mark makes Excel read the file as UTF-8
+                saveBlob(new Blob(['\uFEFF' + toCsv(built)], { type: 'text/csv;charset=utf-8' }), fileName);
+            } else {
+                toPdf(built).save(fileName);
+            }
+            setReport(built);
+        } catch (e) {
+            console.error("Error exporting report:", e);
+            setError('Could not build the report. Please try again.');
+        } finally {
+            setBusyFormat(null);
+        }
+    };
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-xl shadow-lg">
+            <h2 className="text-2xl font-semibold text-gray-800 mb-4 flex items-center">
+                <FileText className="w-5 h-5 mr-2 text-indigo-600" /> Reports &amp; Exports
+            </h2>
+
+            <div className="flex flex-wrap items-end gap-3 text-sm">
+                <label className="flex flex-col text-gray-700">
+                    Report
+                    <select value={type} onChange={(e) => handleType(e.target.value)} className="mt-1 rounded-md border-gray-300 p-2 border bg-white">
+                        {Object.entries(REPORT_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+                    </select>
+                </label>
+                {!reportType.isSnapshot && (
+                    <>
+                        <label className="flex flex-col text-gray-700">
+                            From
+                            <input type="date" value={filters.from} onChange={(e) => setFilters({ ...filters, from: e.target.value })} className="mt-1 rounded-md border-gray-300 p-1.5 border" />
+                        </label>
+                        <label className="flex flex-col text-gray-700">
+                            To
+                            <input type="date" value={filters.to} onChange={(e) => setFilters({ ...filters, to: e.target.value })} className="mt-1 rounded-md border-gray-300 p-1.5 border" />
+                        </label>
+                        <div className="flex gap-1 pb-1">
+                            <button onClick={() => setFilters({ ...filters, ...monthRange(-1) })} className="px-2 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-md hover:bg-indigo-100">Last Month</button>
+                            <button onClick={() => setFilters({ ...filters, ...monthRange(0) })} className="px-2 py-1 text-xs font-medium text-indigo-700 bg-indigo-50 rounded-md hover:bg-indigo-100">This Month</button>
+                            <button onClick={() => setFilters({ ...filters, from: '', to: '' })} className="px-2 py-1 text-xs font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">All Dates</button>
+                        </div>
+                    </>
+                )}
+                <label className="flex flex-col text-gray-700">
+                    Site
+                    <select value={filters.siteId} onChange={(e) => setFilters({ ...filters, siteId: e.target.value })} className="mt-1 rounded-md border-gray-300 p-2 border bg-white">
+                        <option value="">All sites</option>
+                        {sites.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                </label>
+                {reportType.statuses.length > 0 && (
+                    <label className="flex flex-col text-gray-700">
+                        {type === 'ledger' ? 'Movement' : 'Status'}
+                        <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })} className="mt-1 rounded-md border-gray-300 p-2 border bg-white">
+                            <option value="">All</option>
+                            {reportType.statuses.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                        </select>
+                    </label>
+                )}
+                <div className="flex gap-2">
+                    {[['csv', 'CSV'], ['pdf', 'PDF']].map(([format, label]) => (
+                        <button
+                            key={format}
+                            onClick={() => handleExport(format)}
+                            disabled={busyFormat !== null || !isAuthReady}
+                            className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            {busyFormat === format ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <FileDown className="w-4 h-4 mr-1" />} {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+            {report && (
+                <div className="mt-4 p-3 bg-gray-50 rounded-md">
+                    <p className="text-sm font-medium text-gray-700">{report.title}: {report.subtitle}</p>
+                    <dl className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                        {report.totals.map(t => (
+                            <div key={t.label}>
+                                <dt className="text-xs text-gray-500">{t.label}</dt>
+                                <dd className="font-semibold text-gray-900">{t.value}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,303 @@
+import { REQUEST_STATUS, linesOf, statusLabel } from './Request-lifecycle';
+import { MOVEMENT_TYPES, MOVEMENT_LABELS } from './Stock-ledger';
+import { lotsOf, LOW_STOCK_THRESHOLD } from './Inventory-lots';
+import { siteOf, siteName } from './Sites';
+
+// Reports for funders and government: distribution records, requests, stock
+// on hand and the stock ledger, narrowed to a period, a site and a status.
+// A report is built here as plain rows and totals; Report-export.jsx turns it
+// into a CSV file or a PDF.
+
+/**
+ * @typedef {Object} ReportFilters
+ * @property {string} [from] - YYYY-MM-DD, inclusive
+ * @property {string} [to] - YYYY-MM-DD, inclusive
+ * @property {string} [siteId] - Empty for all sites
+ * @property {string} [status] - Empty for every status
+ */
+
+/**
+ * @typedef {Object} ReportTable
+ * @property {string} title
+ * @property {string[]} columns
+ * @property {(string|number)[][]} rows
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {string} title
+ * @property {string} subtitle - The filters in words
+ * @property {string[]} columns
+ * @property {(string|number)[][]} rows - One per record, request line, stock item or movement
+ * @property {{ label: string, value: string|number }[]} totals
+ * @property {ReportTable[]} summaries - Totals grouped by month, site, item or type
+ */
+
+/**
+ * @typedef {Object} ReportType
+ * @property {string} label
+ * @property {string} source - Key of COLLECTIONS in Data-repository.js
+ * @property {boolean} [isSnapshot] - Shows the data as it is now, so takes no period
+ * @property {{ value: string, label: string }[]} statuses - What the status filter offers
+ */
+
+/** @type {Object<string, ReportType>} */
+export const REPORT_TYPES = {
+  records: {
+    label: 'Distribution Records',
+    source: 'records',
+    statuses: ['Pending', 'Completed'].map(value => ({ value, label: value })),
+  },
+  requests: {
+    label: 'Requests',
+    source: 'requests',
+    statuses: Object.values(REQUEST_STATUS).map(value => ({ value, label: statusLabel(value) })),
+  },
+  stock: {
+    label: 'Stock on Hand',
+    source: 'inventory',
+    isSnapshot: true,
+    statuses: [],
+  },
+  ledger: {
+    label: 'Stock Ledger',
+    source: 'movements',
+    statuses: Object.values(MOVEMENT_TYPES).map(value => ({ value, label: MOVEMENT_LABELS[value] })),
+  },
+};
+
+// How a request ended up, for the fulfilled versus rejected counts
+const OUTCOMES = {
+  [REQUEST_STATUS.shipped]: 'fulfilled',
+  [REQUEST_STATUS.delivered]: 'fulfilled',
+  [REQUEST_STATUS.rejected]: 'rejected',
+  [REQUEST_STATUS.cancelled]: 'cancelled',
+};
+
+/** 'fulfilled', 'rejected', 'cancelled' or, while it can still move, 'open'. */
+export const requestOutcome = (status) => OUTCOMES[status] || 'open';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** Calendar day in local time, as staff read dates on screen. */
+export const localDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const inPeriod = (day, { from, to }) => (!from || day >= from) && (!to || day <= to);
+
+const atSite = (siteId, filters) => !filters.siteId || siteId === filters.siteId;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const percent = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : 'n/a');
+
+/**
+ * Groups entries by key, sorted by key, and turns each group into a row.
+ *
+ * @template T
+ * @param {T[]} entries
+ * @param {(entry: T) => string[]} keyOf - Leading cells of the row, also the group key
+ * @param {(group: T[]) => (string|number)[]} totalsOf - Remaining cells
+ */
+const groupRows = (entries, keyOf, totalsOf) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const cells = keyOf(entry);
+    const key = JSON.stringify(cells);
+    if (!groups.has(key)) groups.set(key, { cells, entries: [] });
+    groups.get(key).entries.push(entry);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, group]) => [...group.cells, ...totalsOf(group.entries)]);
+};
+
+// Site of the stock a request line ships from; null until staff pick one
+const lineSiteId = (line, inventory) => {
+  if (!line.shippedFromItemId) return null;
+  const stock = inventory.find(i => i.id === line.shippedFromItemId);
+  return stock ? siteOf(stock) : null;
+};
+
+const BUILDERS = {
+  /** @param {import('./Data-repository').DistributionRecord[]} records */
+  records: (records, filters, { sites }) => {
+    const shown = records
+      .map(r => ({ ...r, day: localDay(r.timestamp), siteId: siteOf(r) }))
+      .filter(r => inPeriod(r.day, filters) && atSite(r.siteId, filters) && (!filters.status || r.status === filters.status))
+      .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+    const unitsWith = (group, status) => sum(group.filter(r => r.status === status).map(r => r.quantity));
+
+    return {
+      columns: ['Date', 'Recipient ID', 'Food Item', 'Quantity', 'Site', 'Status'],
+      rows: shown.map(r => [r.day, r.recipientId, r.foodItem, r.quantity, siteName(sites, r.siteId), r.status]),
+      totals: [
+        { label: 'Records', value: shown.length },
+        { label: 'Recipients', value: new Set(shown.map(r => r.recipientId)).size },
+        { label: 'Units distributed', value: unitsWith(shown, 'Completed') },
+        { label: 'Units still pending', value: unitsWith(shown, 'Pending') },
+      ],
+      summaries: [{
+        title: 'Distribution by Month, Site and Item',
+        columns: ['Month', 'Site', 'Item', 'Records', 'Units Distributed', 'Units Pending'],
+        rows: groupRows(shown, r => [r.day.slice(0, 7), siteName(sites, r.siteId), r.foodItem], group => [group.length, unitsWith(group, 'Completed'), unitsWith(group, 'Pending')]),
+      }],
+    };
+  },
+
+  /** @param {import('./Data-repository').DistributionRequest[]} requests */
+  requests: (requests, filters, { sites, inventory }) => {
+    const shown = requests
+      .filter(r => inPeriod(r.requestedDate, filters) && (!filters.status || r.status === filters.status))
+      .map(r => ({ ...r, outcome: requestOutcome(r.status), shownLines: linesOf(r).map(l => ({ ...l, siteId: lineSiteId(l, inventory) })).filter(l => atSite(l.siteId, filters)) }))
+      .filter(r => r.shownLines.length)
+      .sort((a, b) => a.requestedDate.localeCompare(b.requestedDate));
+    const count = (group, outcome) => group.filter(r => r.outcome === outcome).length;
+    const units = (group, field) => sum(group.flatMap(r => r.shownLines.map(l => l[field] || 0)));
+    const fulfilled = count(shown, 'fulfilled');
+
+    return {
+      columns: ['Requested', 'Reference', 'Organization', 'Item', 'Amount', 'Shipped', 'Line Status', 'Request Status', 'Site'],
+      rows: shown.flatMap(r => r.shownLines.map(l => [
+        r.requestedDate, r.referenceCode || r.id, r.organization, l.item, l.amount, l.shippedAmount || 0,
+        statusLabel(l.status), statusLabel(r.status), l.siteId ? siteName(sites, l.siteId) : 'Not shipped yet',
+      ])),
+      totals: [
+        { label: 'Requests', value: shown.length },
+        { label: 'Fulfilled (shipped or delivered)', value: fulfilled },
+        { label: 'Rejected', value: count(shown, 'rejected') },
+        { label: 'Cancelled', value: count(shown, 'cancelled') },
+        { label: 'Still open', value: count(shown, 'open') },
+        { label: 'Fulfilled of decided requests', value: percent(fulfilled, fulfilled + count(shown, 'rejected')) },
+        { label: 'Units requested', value: units(shown, 'amount') },
+        { label: 'Units shipped', value: units(shown, 'shippedAmount') },
+      ],
+      summaries: [{
+        title: 'Fulfilled versus Rejected by Month',
+        columns: ['Month', 'Requests', 'Fulfilled', 'Rejected', 'Cancelled', 'Open', 'Units Requested', 'Units Shipped'],
+        rows: groupRows(shown, r => [r.requestedDate.slice(0, 7)], group => [
+          group.length, count(group, 'fulfilled'), count(group, 'rejected'), count(group, 'cancelled'), count(group, 'open'),
+          units(group, 'amount'), units(group, 'shippedAmount'),
+        ]),
+      }],
+    };
+  },
+
+  /** @param {import('./Data-repository').InventoryItem[]} inventory */
+  stock: (inventory, filters, { sites }) => {
+    const shown = inventory
+      .map(i => ({ ...i, siteId: siteOf(i) }))
+      .filter(i => atSite(i.siteId, filters))
+      .sort((a, b) => siteName(sites, a.siteId).localeCompare(siteName(sites, b.siteId)) || a.item.localeCompare(b.item));
+    const lowStock = (group) => group.filter(i => i.quantity < LOW_STOCK_THRESHOLD).length;
+
+    return {
+      columns: ['Item', 'Site', 'Unit', 'Quantity', 'Earliest Expiration', 'Lots', 'Last Updated'],
+      rows: shown.map(i => [
+        i.item, siteName(sites, i.siteId), i.unit, i.quantity, i.expiration || '', lotsOf(i).length,
+        i.lastUpdated ? localDay(new Date(i.lastUpdated)) : '',
+      ]),
+      totals: [
+        { label: 'Items', value: shown.length },
+        { label: 'Units on hand', value: sum(shown.map(i => i.quantity)) },
+        { label: `Low stock (under ${LOW_STOCK_THRESHOLD})`, value: lowStock(shown) },
+        { label: 'Out of stock', value: shown.filter(i => i.quantity <= 0).length },
+      ],
+      summaries: [{
+        title: 'Stock by Site',
+        columns: ['Site', 'Items', 'Units', 'Low Stock Items'],
+        rows: groupRows(shown, i => [siteName(sites, i.siteId)], group => [group.length, sum(group.map(i => i.quantity)), lowStock(group)]),
+      }, {
+        title: 'Stock by Item',
+        columns: ['Item', 'Unit', 'Sites', 'Units'],
+        rows: groupRows(shown, i => [i.item, i.unit], group => [group.length, sum(group.map(i => i.quantity))]),
+      }],
+    };
+  },
+
+  /** @param {import('./Stock-ledger').InventoryMovement[]} movements */
+  ledger: (movements, filters, { sites }) => {
+    const shown = movements
+      .map(m => ({ ...m, day: localDay(new Date(m.at)), siteId: siteOf(m) }))
+      .filter(m => inPeriod(m.day, filters) && atSite(m.siteId, filters) && (!filters.status || m.type === filters.status))
+      .sort((a, b) => a.at.localeCompare(b.at));
+    const unitsIn = (group) => sum(group.filter(m => m.quantity > 0).map(m => m.quantity));
+    const unitsOut = (group) => -sum(group.filter(m => m.quantity < 0).map(m => m.quantity));
+
+    return {
+      columns: ['Date', 'Item', 'Site', 'Type', 'Quantity', 'Balance After', 'Reason', 'Request'],
+      rows: shown.map(m => [
+        m.day, m.item, siteName(sites, m.siteId), MOVEMENT_LABELS[m.type] || m.type, m.quantity, m.balanceAfter,
+        m.reason || '', m.requestId || '',
+      ]),
+      totals: [
+        { label: 'Movements', value: shown.length },
+        { label: 'Units in', value: unitsIn(shown) },
+        { label: 'Units out', value: unitsOut(shown) },
+        { label: 'Net change', value: unitsIn(shown) - unitsOut(shown) },
+      ],
+      summaries: [{
+        title: 'Movements by Type',
+        columns: ['Type', 'Movements', 'Units In', 'Units Out'],
+        rows: groupRows(shown, m => [MOVEMENT_LABELS[m.type] || m.type], group => [group.length, unitsIn(group), unitsOut(group)]),
+      }, {
+        title: 'Movements by Site and Item',
+        columns: ['Site', 'Item', 'Units In', 'Units Out', 'Net Change'],
+        rows: groupRows(shown, m => [siteName(sites, m.siteId), m.item], group => [unitsIn(group), unitsOut(group), unitsIn(group) - unitsOut(group)]),
+      }],
+    };
+  },
+};
+
+/**
+ * The filters in words, for the report heading.
+ *
+ * @param {string} type - Key of REPORT_TYPES
+ * @param {ReportFilters} filters
+ * @param {import('./Sites').Site[]} sites
+ */
+export const describeFilters = (type, { from, to, siteId, status }, sites) => {
+  const reportType = REPORT_TYPES[type];
+  const period = reportType.isSnapshot ? `As of ${localDay(new Date())}`
+    : from && to ? `${from} to ${to}`
+      : from ? `From ${from}` : to ? `Up to ${to}` : 'All dates';
+  const statusName = reportType.statuses.find(s => s.value === status)?.label;
+  return [period, siteId ? siteName(sites, siteId) : 'All sites', statusName].filter(Boolean).join(', ');
+};
+
+/**
+ * Builds a report from the documents of its source collection.
+ *
+ * @param {string} type - Key of REPORT_TYPES
+ * @param {Object[]} docs - Records must already carry Date timestamps
+ * @param {ReportFilters} filters
+ * @param {{ sites: import('./Sites').Site[], inventory?: import('./Data-repository').InventoryItem[] }} context - Requests need the inventory to place their lines at a site
+ * @returns {Report}
+ */
+export const buildReport = (type, docs, filters, { sites, inventory = [] }) => ({
+  title: REPORT_TYPES[type].label,
+  subtitle: describeFilters(type, filters, sites),
+  ...BUILDERS[type](docs, filters, { sites, inventory }),
+});
+
+// Cells starting like a formula are prefixed, so spreadsheets show them as text
+const csvCell = (value) => {
+  if (typeof value === 'number') return String(value);
+  const cell = String(value ?? '');
+  const text = /^[=+\-@\t\r]/.test(cell) ? `'${cell}` : cell;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The report's rows as CSV, headings first. Totals are left out so the file
+ * stays one table; the PDF carries them.
+ *
+ * @param {Report} report
+ */
+export const toCsv = ({ columns, rows }) => [columns, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+
+/** e.g. 'distribution-records_2026-09-01_2026-09-30.csv' */
+export const reportFileName = (type, { from, to }, extension) => {
+  const period = REPORT_TYPES[type].isSnapshot ? [localDay(new Date())] : [from || 'start', to || localDay(new Date())];
+  const name = REPORT_TYPES[type].label.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  return `${[name, ...period].join('_')}.${extension}`;
+};
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { buildReport } from './Reports';
+
+describe('requests report', () => {
+  const sites = [{ id: 'north', name: 'North Depot' }, { id: 'south', name: 'South Depot' }];
+  const inventory = [{ id: 'pasta-north', item: 'Dry Pasta', siteId: 'north' }, { id: 'pasta-south', item: 'Dry Pasta', siteId: 'south' }];
+  const requests = [{
+    id: 'req-1',
+    organization: 'Shelter A',
+    status: 'Approved',
+    requestedDate: '2026-10-19',
+    lines: [
+      { id: 'line-1', itemId: 'pasta-north', item: 'Dry Pasta', amount: 10, status: 'Approved' },
+      { id: 'line-2', itemId: 'pasta-north', item: 'Dry Pasta', amount: 5, shippedAmount: 5, shippedFromItemId: 'pasta-south', status: 'Shipped' },
+    ],
+  }];
+  const siteColumn = (report) => report.rows.map(row => row[row.length - 1]);
+
+  it('places a line at the site it shipped from, and no site before it ships', () => {
+    expect(siteColumn(buildReport('requests', requests, {}, { sites, inventory }))).toEqual(['Not shipped yet', 'South Depot']);
+  });
+
+  it('leaves lines not shipped yet out of a single site', () => {
+    expect(buildReport('requests', requests, { siteId: 'north' }, { sites, inventory }).rows).toEqual([]);
+  });
+});
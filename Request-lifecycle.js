@@ -0,0 +1,154 @@
+import { MANAGER_ROLES, STAFF_ROLES, hasRole } from './Role-names';
+
+// Every status a distribution request can be in
+export const REQUEST_STATUS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled',
+  partiallyShipped: 'PartiallyShipped',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+};
+
+export const STATUS_LABELS = {
+  PartiallyShipped: 'Partially Shipped',
+};
+
+// Side effects applied in the same atomic write as the status change
+export const EFFECTS = {
+  // Take the shipped units out of inventory
+  shipStock: 'shipStock',
+  // Put everything shipped so far back into the inventory item it came from
+  returnStock: 'returnStock',
+};
+
+const { pending, approved, rejected, cancelled, partiallyShipped, shipped, delivered } = REQUEST_STATUS;
+
+/**
+ * The request lifecycle. A transition is allowed only if it is listed here
+ * for the request's current status and the acting user's role.
+ *
+ * - `input: 'reason'` requires a free-text reason (stored on the request)
+ * - `input: 'quantity'` requires a unit count smaller than what is still owed
+ *
+ * Reversing a (partial) shipment returns the shipped units. This includes a
+ * request that is Shipped but not yet Delivered: the goods are still on their
+ * way and come back to the warehouse when a manager resets, cancels or
+ * rejects it. Once delivered, goods are gone and there is nothing to reverse.
+ */
+export const TRANSITIONS = [
+  { action: 'approve', label: 'Approve', from: [pending], to: approved, roles: MANAGER_ROLES },
+  { action: 'reject', label: 'Reject', from: [pending, approved, partiallyShipped, shipped], to: rejected, roles: MANAGER_ROLES, input: 'reason', effects: [EFFECTS.returnStock] },
+  { action: 'cancel', label: 'Cancel', from: [pending, approved, partiallyShipped, shipped], to: cancelled, roles: MANAGER_ROLES, effects: [EFFECTS.returnStock] },
+  { action: 'shipPartial', label: 'Ship Part', from: [approved, partiallyShipped], to: partiallyShipped, roles: STAFF_ROLES, input: 'quantity', effects: [EFFECTS.shipStock] },
+  { action: 'ship', label: 'Ship', from: [approved, partiallyShipped], to: shipped, roles: STAFF_ROLES, effects: [EFFECTS.shipStock] },
+  { action: 'deliver', label: 'Mark Delivered', from: [shipped], to: delivered, roles: STAFF_ROLES },
+  { action: 'reset', label: 'Reset', from: [approved, partiallyShipped, shipped], to: pending, roles: MANAGER_ROLES, effects: [EFFECTS.returnStock] },
+];
+
+export const statusLabel = (status) => STATUS_LABELS[status] || status;
+
+// Lines a single request may hold; firestore.rules checks each one
+export const MAX_REQUEST_LINES = 8;
+
+/**
+ * A request's line items. Requests from before multi-line requests carry a
+ * single item at the top level and are read as one line with id 'line-1'.
+ *
+ * @param {import('./Data-repository').DistributionRequest} request
+ * @returns {import('./Data-repository').RequestLine[]}
+ */
+export const linesOf = (request) => {
+  if (request.lines) return request.lines;
+  const { itemId = null, item, amount, status, shippedAmount = 0, shippedFromItemId, shippedLots, rejectionReason } = request;
+  return [{
+    id: 'line-1', itemId, item, amount, status, shippedAmount,
+    ...(shippedFromItemId && { shippedFromItemId }),
+    ...(shippedLots && { shippedLots }),
+    ...(rejectionReason && { rejectionReason }),
+  }];
+};
+
+/**
+ * The one status a request shows, derived from its lines. Rejected and
+ * cancelled lines are left out unless every line ended that way.
+ *
+ * @param {{ status: string }[]} lines
+ */
+export const overallStatus = (lines) => {
+  const active = lines.filter(l => l.status !== rejected && l.status !== cancelled);
+  if (!active.length) return lines.some(l => l.status === rejected) ? rejected : cancelled;
+
+  const all = (...statuses) => active.every(l => statuses.includes(l.status));
+  if (all(delivered)) return delivered;
+  if (all(shipped, delivered)) return shipped;
+  if (active.some(l => [partiallyShipped, shipped, delivered].includes(l.status))) return partiallyShipped;
+  if (all(approved)) return approved;
+  return pending;
+};
+
+// Units not shipped yet
+export const remainingAmount = (request) => request.amount - (request.shippedAmount || 0);
+
+/**
+ * Transitions the given role may take from a request line's current status.
+ * @returns {typeof TRANSITIONS}
+ */
+export const availableActions = (request, role) =>
+  TRANSITIONS.filter(t => t.from.includes(request.status) && hasRole(role, t.roles));
+
+/**
+ * Checks a transition of one request line against the machine and works out
+ * what to write on that line. Throws with a user-facing message when the
+ * transition is not allowed.
+ *
+ * @param {import('./Data-repository').RequestLine} request
+ * @param {string} action
+ * @param {{ role: string, quantity?: number, reason?: string }} context
+ * @returns {{ transition: Object, patch: Object, shipQuantity: number, returnQuantity: number }}
+ */
+export const planTransition = (request, action, { role, quantity, reason } = {}) => {
+  const transition = TRANSITIONS.find(t => t.action === action);
+  if (!transition) {
+    throw new Error(`Unknown request action "${action}".`);
+  }
+  if (!transition.from.includes(request.status)) {
+    throw new Error(`Cannot ${transition.label.toLowerCase()} a request that is ${statusLabel(request.status)}.`);
+  }
+  if (!hasRole(role, transition.roles)) {
+    throw new Error(`Your role is not allowed to ${transition.label.toLowerCase()} requests.`);
+  }
+
+  const patch = {
+    status: transition.to,
+    processedBy: transition.to !== pending ? new Date().toISOString() : null,
+  };
+
+  if (transition.input === 'reason') {
+    if (!reason || !reason.trim()) throw new Error('A reason is required.');
+    patch.rejectionReason = reason.trim();
+  }
+
+  let shipQuantity = 0;
+  if (transition.effects?.includes(EFFECTS.shipStock)) {
+    const remaining = remainingAmount(request);
+    shipQuantity = transition.input === 'quantity' ? Number(quantity) : remaining;
+
+    if (!Number.isInteger(shipQuantity) || shipQuantity <= 0) {
+      throw new Error('Enter a whole number of units to ship.');
+    }
+    if (transition.input === 'quantity' && shipQuantity >= remaining) {
+      throw new Error(`A partial shipment must be less than the ${remaining} units still owed; use Ship instead.`);
+    }
+    patch.shippedAmount = (request.shippedAmount || 0) + shipQuantity;
+  }
+
+  let returnQuantity = 0;
+  if (transition.effects?.includes(EFFECTS.returnStock)) {
+    returnQuantity = request.shippedAmount || 0;
+    if (returnQuantity) patch.shippedAmount = 0;
+  }
+
+  return { transition, patch, shipQuantity, returnQuantity };
+};
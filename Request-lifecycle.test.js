@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { planTransition, overallStatus, linesOf, availableActions } from './Request-lifecycle';
+
+const line = (status, amount = 10, shippedAmount = 0) => ({ id: 'line-1', item: 'Dry Pasta', amount, shippedAmount, status });
+
+describe('planTransition', () => {
+  it('lets only managers approve, and staff ship', () => {
+    expect(() => planTransition(line('Pending'), 'approve', { role: 'warehouse_staff' })).toThrow('Your role is not allowed to approve requests.');
+    expect(() => planTransition(line('Approved'), 'ship', { role: 'org_requester' })).toThrow('Your role is not allowed to ship requests.');
+    expect(planTransition(line('Pending'), 'approve', { role: 'manager' }).patch.status).toBe('Approved');
+    expect(planTransition(line('Approved'), 'ship', { role: 'warehouse_staff' }).shipQuantity).toBe(10);
+  });
+
+  it('refuses actions the current status does not allow', () => {
+    expect(() => planTransition(line('Pending'), 'ship', { role: 'manager' })).toThrow('Cannot ship a request that is');
+    expect(() => planTransition(line('Delivered'), 'reset', { role: 'manager' })).toThrow('Cannot reset a request that is');
+    expect(() => planTransition(line('Pending'), 'teleport', { role: 'admin' })).toThrow('Unknown request action "teleport".');
+  });
+
+  it('ships part of a line and keeps the rest owed', () => {
+    const first = planTransition(line('Approved'), 'shipPartial', { role: 'warehouse_staff', quantity: 4 });
+    expect(first).toMatchObject({ shipQuantity: 4, returnQuantity: 0, patch: { status: 'PartiallyShipped', shippedAmount: 4 } });
+
+    const rest = planTransition(line('PartiallyShipped', 10, 4), 'ship', { role: 'warehouse_staff' });
+    expect(rest).toMatchObject({ shipQuantity: 6, patch: { status: 'Shipped', shippedAmount: 10 } });
+  });
+
+  it('refuses a partial shipment of everything owed, or of no whole units', () => {
+    const partial = (quantity) => () => planTransition(line('PartiallyShipped', 10, 4), 'shipPartial', { role: 'warehouse_staff', quantity });
+    expect(partial(6)).toThrow('less than the 6 units still owed');
+    expect(partial(0)).toThrow('Enter a whole number of units to ship.');
+    expect(partial(1.5)).toThrow('Enter a whole number of units to ship.');
+  });
+
+  it('returns what was shipped when a shipped line is reset', () => {
+    expect(planTransition(line('Shipped', 10, 10), 'reset', { role: 'manager' }))
+      .toMatchObject({ returnQuantity: 10, patch: { status: 'Pending', shippedAmount: 0, processedBy: null } });
+  });
+
+  it('needs a reason to reject', () => {
+    expect(() => planTransition(line('Pending'), 'reject', { role: 'manager', reason: '  ' })).toThrow('A reason is required.');
+    expect(planTransition(line('Pending'), 'reject', { role: 'manager', reason: ' Out of area ' }).patch.rejectionReason).toBe('Out of area');
+  });
+});
+
+describe('availableActions', () => {
+  it('offers warehouse staff only shipping an approved line', () => {
+    expect(availableActions(line('Approved'), 'warehouse_staff').map(t => t.action)).toEqual(['shipPartial', 'ship']);
+  });
+});
+
+describe('overallStatus', () => {
+  const lines = (...statuses) => statuses.map(status => ({ status }));
+
+  it('is Pending until every active line is approved', () => {
+    expect(overallStatus(lines('Approved', 'Pending'))).toBe('Pending');
+    expect(overallStatus(lines('Approved', 'Approved', 'Rejected'))).toBe('Approved');
+  });
+
+  it('is PartiallyShipped as soon as one line has shipped anything', () => {
+    expect(overallStatus(lines('Shipped', 'Pending'))).toBe('PartiallyShipped');
+    expect(overallStatus(lines('PartiallyShipped', 'Approved'))).toBe('PartiallyShipped');
+    expect(overallStatus(lines('Delivered', 'Approved'))).toBe('PartiallyShipped');
+  });
+
+  it('is Shipped until every active line is delivered', () => {
+    expect(overallStatus(lines('Shipped', 'Delivered', 'Cancelled'))).toBe('Shipped');
+    expect(overallStatus(lines('Delivered', 'Delivered', 'Rejected'))).toBe('Delivered');
+  });
+
+  it('is Rejected or Cancelled only when no line is left', () => {
+    expect(overallStatus(lines('Cancelled', 'Rejected'))).toBe('Rejected');
+    expect(overallStatus(lines('Cancelled', 'Cancelled'))).toBe('Cancelled');
+  });
+});
+
+describe('linesOf', () => {
+  it('reads a request from before line items as one line', () => {
+    expect(linesOf({ item: 'Dry Pasta', amount: 5, status: 'Shipped', shippedAmount: 5 }))
+      .toEqual([{ id: 'line-1', itemId: null, item: 'Dry Pasta', amount: 5, status: 'Shipped', shippedAmount: 5 }]);
+  });
+});
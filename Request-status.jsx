@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { Search, AlertCircle, Loader2, Truck, MapPin, Calendar, Clock } from 'lucide-react';
+import { getBackend } from './Backend';
+import { statusLabel, TRANSITIONS } from './Request-lifecycle';
+import { normalizeReferenceCode } from './Reference-codes';
+
+const STATUS_COLORS = {
+    Pending: 'bg-yellow-100 text-yellow-700',
+    Approved: 'bg-teal-100 text-teal-700',
+    PartiallyShipped: 'bg-blue-100 text-blue-700',
+    Shipped: 'bg-indigo-100 text-indigo-700',
+    Delivered: 'bg-green-100 text-green-700',
+    Rejected: 'bg-red-100 text-red-700',
+    Cancelled: 'bg-gray-100 text-gray-500',
+};
+
+// History entries name the action taken; show what it means for the organization
+const actionLabel = (action) => {
+    if (action === 'submit') return 'Request submitted';
+    if (action === 'schedule') return 'Pickup / delivery scheduled';
+    return TRANSITIONS.find(t => t.action === action)?.label || action;
+};
+
+const StatusBadge = ({ status }) => (
+    <span className={`px-3 py-1 text-xs font-semibold rounded-full ${STATUS_COLORS[status] || 'bg-gray-100 text-gray-700'}`}>
+        {statusLabel(status)}
+    </span>
+);
+
+// --- MAIN APP COMPONENT ---
+// Public page where an organization follows its request with the reference code from the form
+export default function App() {
+    const [repo, setRepo] = useState(null);
+    const [isAuthReady, setIsAuthReady] = useState(false);
+
+    const [codeInput, setCodeInput] = useState('');
+    const [emailInput, setEmailInput] = useState('');
+    const [inputError, setInputError] = useState(null);
+
+    // What is being looked up; the live listener follows it
+    const [query, setQuery] = useState(null); // { referenceCode, contactEmail }
+    const [tracking, setTracking] = useState(undefined); // undefined while loading, null when not found
+
+    // 1. Connect to the backend and sign in (anonymously if needed)
+    useEffect(() => {
+        const backend = getBackend();
+        setRepo(backend.repo);
+
+        const unsubscribe = backend.watchAuth(() => setIsAuthReady(true), (error) => {
+            console.error("Authentication failed:", error);
+            setIsAuthReady(true);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    // 2. Live status: updates as staff process the request
+    useEffect(() => {
+        if (!repo || !isAuthReady || !query) return;
+        setTracking(undefined);
+
+        const unsubscribe = repo.watchTracking(query.referenceCode, query.contactEmail, setTracking, (error) => {
+            // Shown as not found, so the page does not tell which half of the pair was wrong
+            console.error("Error loading request status:", error);
+            setTracking(null);
+        });
+
+        return () => unsubscribe();
+    }, [repo, isAuthReady, query]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const referenceCode = normalizeReferenceCode(codeInput);
+        if (!referenceCode) return setInputError('Reference codes look like FD-7K3M-Q9XP.');
+        setInputError(null);
+        setQuery({ referenceCode, contactEmail: emailInput.trim() });
+    };
+
+    return (
+        <div className="min-h-screen bg-indigo-50 p-4 sm:p-8 font-sans flex justify-center">
+            <div className="w-full max-w-2xl space-y-6">
+                <div className="bg-white p-8 rounded-xl shadow-2xl border-t-8 border-indigo-600">
+                    <header className="mb-6 text-center">
+                        <Truck className="w-10 h-10 mx-auto text-indigo-600 mb-3" />
+                        <h1 className="text-3xl font-bold text-gray-900">Request Status</h1>
+                        <p className="text-md text-gray-500 mt-2">
+                            Enter the reference code you received when submitting your request and the contact email you used.
+                        </p>
+                    </header>
+
+                    <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-5 gap-3">
+                        <input
+                            type="text"
+                            value={codeInput}
+                            onChange={(e) => setCodeInput(e.target.value)}
+                            placeholder="FD-XXXX-XXXX"
+                            required
+                            className="sm:col-span-2 px-4 py-2 border border-gray-300 rounded-md shadow-sm font-mono uppercase focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <input
+                            type="email"
+                            value={emailInput}
+                            onChange={(e) => setEmailInput(e.target.value)}
+                            placeholder="Contact email"
+                            required
+                            className="sm:col-span-2 px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!isAuthReady}
+                            className="flex justify-center items-center py-2 px-4 rounded-md shadow-sm text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            <Search className="w-4 h-4 mr-1" /> Track
+                        </button>
+                    </form>
+                    {inputError && <p className="mt-2 text-sm text-red-600">{inputError}</p>}
+                </div>
+
+                {query && tracking === undefined && (
+                    <div className="p-4 text-center text-sm text-indigo-600 bg-white rounded-xl shadow">
+                        <Loader2 className="w-4 h-4 inline animate-spin mr-2" />
+                        Looking up your request...
+                    </div>
+                )}
+
+                {query && tracking === null && (
+                    <div className="p-4 rounded-xl bg-red-50 flex">
+                        <AlertCircle className="h-5 w-5 text-red-400" />
+                        <p className="ml-3 text-sm text-red-800">No request matches this reference code and email. Check both and try again.</p>
+                    </div>
+                )}
+
+                {tracking && (
+                    <div className="bg-white p-6 rounded-xl shadow-lg space-y-6">
+                        <div className="flex justify-between items-start">
+                            <div>
+                                <p className="text-sm text-gray-500 font-mono">{tracking.referenceCode}</p>
+                                <h2 className="text-2xl font-semibold text-gray-800">{tracking.organization}</h2>
+                                <p className="text-sm text-gray-500">Requested on {tracking.requestedDate}</p>
+                            </div>
+                            <StatusBadge status={tracking.status} />
+                        </div>
+
+                        <div>
+                            <h3 className="text-sm font-semibold text-gray-700 mb-2">Items</h3>
+                            <ul className="divide-y divide-gray-100 border rounded-lg">
+                                {tracking.lines.map((line, index) => (
+                                    <li key={index} className="p-3 flex justify-between items-center text-sm">
+                                        <span>
+                                            {line.amount} × {line.item}
+                                            {line.shippedAmount > 0 && line.shippedAmount < line.amount && <span className="text-gray-500"> ({line.shippedAmount} shipped so far)</span>}
+                                            {line.rejectionReason && <span className="block text-xs text-red-600">Reason: {line.rejectionReason}</span>}
+                                        </span>
+                                        <StatusBadge status={line.status} />
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+
+                        <div className="p-4 rounded-lg bg-indigo-50 text-sm text-indigo-900">
+                            {tracking.fulfilment ? (
+                                <>
+                                    <p className="font-semibold mb-1">{tracking.fulfilment.method === 'pickup' ? 'Pickup' : 'Delivery'} details</p>
+                                    <p className="flex items-center"><Calendar className="w-4 h-4 mr-2" /> {tracking.fulfilment.date}</p>
+                                    <p className="flex items-center"><MapPin className="w-4 h-4 mr-2" /> {tracking.fulfilment.location}</p>
+                                    {tracking.fulfilment.notes && <p className="mt-1 text-indigo-700">{tracking.fulfilment.notes}</p>}
+                                </>
+                            ) : (
+                                <p>Pickup or delivery details will appear here once your request has been scheduled.</p>
+                            )}
+                        </div>
+
+                        <div>
+                            <h3 className="text-sm font-semibold text-gray-700 mb-2">History</h3>
+                            <ol className="space-y-2">
+                                {[...tracking.history].reverse().map((change, index) => (
+                                    <li key={index} className="flex items-start text-sm">
+                                        <Clock className="w-4 h-4 mr-2 mt-0.5 text-gray-400" />
+                                        <div>
+                                            <p className="text-gray-800">
+                                                {actionLabel(change.action)}{change.item && `: ${change.item}`}
+                                                <span className="text-gray-500"> · now {statusLabel(change.status)}</span>
+                                            </p>
+                                            {change.note && <p className="text-xs text-gray-500">{change.note}</p>}
+                                            <p className="text-xs text-gray-400">{new Date(change.at).toLocaleString()}</p>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ol>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,72 @@
+import { MAX_REQUEST_LINES } from './Request-lifecycle';
+
+// Limits for requests from the public form. The request form checks them as
+// the user types, the repository again before writing, and firestore.rules
+// repeats the numeric ones on the server.
+export const REQUEST_LIMITS = {
+  organizationMaxLength: 120,
+  emailMaxLength: 254,
+  maxLines: MAX_REQUEST_LINES,
+  // Per line, unless the inventory item sets its own maxPerRequest
+  defaultMaxPerRequest: 1000,
+  // One request per organization in this many minutes
+  minutesBetweenSubmissions: 10,
+};
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+export const isValidEmail = (value) =>
+  typeof value === 'string' && value.length <= REQUEST_LIMITS.emailMaxLength && EMAIL_PATTERN.test(value.trim());
+
+// Largest amount of one catalog item a single request line may ask for
+export const maxPerRequest = (entry) => entry?.maxPerRequest || REQUEST_LIMITS.defaultMaxPerRequest;
+
+/**
+ * Per-field problems with a request, or null when it is fine. Line errors
+ * are listed by line position, so the form can show them next to each row.
+ *
+ * @typedef {Object} RequestErrors
+ * @property {string} [organization]
+ * @property {string} [contactEmail]
+ * @property {{ itemId?: string, amount?: string }[]} [lines]
+ * @property {string} [form] - Problems with the request as a whole
+ */
+
+/**
+ * @param {{ organization: string, contactEmail: string, lines: { itemId: string, amount: number|string }[] }} request
+ * @param {import('./Data-repository').CatalogEntry[]} catalog - The items that may be requested
+ * @returns {RequestErrors|null}
+ */
+export const validateRequest = ({ organization, contactEmail, lines }, catalog) => {
+  const errors = {};
+
+  const name = (organization || '').trim();
+  if (!name) errors.organization = 'Enter your organization name.';
+  else if (name.length > REQUEST_LIMITS.organizationMaxLength) {
+    errors.organization = `Keep the name under ${REQUEST_LIMITS.organizationMaxLength} characters.`;
+  }
+
+  if (!isValidEmail(contactEmail || '')) errors.contactEmail = 'Enter a valid email address, e.g. name@example.org.';
+
+  if (!lines?.length) errors.form = 'Add at least one item.';
+  else if (lines.length > REQUEST_LIMITS.maxLines) errors.form = `A request can hold at most ${REQUEST_LIMITS.maxLines} items.`;
+
+  const seen = new Set();
+  const lineErrors = (lines || []).map(({ itemId, amount }) => {
+    const lineError = {};
+    const entry = catalog.find(e => e.id === itemId);
+    const quantity = Number(amount);
+
+    if (!entry) lineError.itemId = 'Choose an item from the list.';
+    else if (seen.has(itemId)) lineError.itemId = `${entry.item} is already in this request; change that line's quantity instead.`;
+    seen.add(itemId);
+
+    if (!Number.isInteger(quantity) || quantity < 1) lineError.amount = 'Enter a whole number of at least 1.';
+    else if (entry && quantity > maxPerRequest(entry)) lineError.amount = `At most ${maxPerRequest(entry)} ${entry.unit} per request.`;
+
+    return Object.keys(lineError).length ? lineError : undefined;
+  });
+  if (lineErrors.some(Boolean)) errors.lines = lineErrors;
+
+  return Object.keys(errors).length ? errors : null;
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { validateRequest, isValidEmail, REQUEST_LIMITS } from './Request-validation';
+import { MAX_REQUEST_LINES } from './Request-lifecycle';
+
+const catalog = [
+  { id: 'pasta', item: 'Dry Pasta', unit: 'boxes', maxPerRequest: 50 },
+  { id: 'rice', item: 'Rice', unit: 'bags' },
+];
+const request = (lines, overrides = {}) => ({ organization: 'Shelter A', contactEmail: 'desk@shelter.example', lines, ...overrides });
+
+describe('validateRequest', () => {
+  it('accepts a request within the limits', () => {
+    expect(validateRequest(request([{ itemId: 'pasta', amount: 50 }, { itemId: 'rice', amount: '1000' }]), catalog)).toBeNull();
+  });
+
+  it(`takes one to ${MAX_REQUEST_LINES} lines`, () => {
+    expect(validateRequest(request([]), catalog).form).toBe('Add at least one item.');
+    const tooMany = Array.from({ length: MAX_REQUEST_LINES + 1 }, () => ({ itemId: 'rice', amount: 1 }));
+    expect(validateRequest(request(tooMany), catalog).form).toBe(`A request can hold at most ${MAX_REQUEST_LINES} items.`);
+  });
+
+  it('refuses the same item twice, next to the second line', () => {
+    const { lines } = validateRequest(request([{ itemId: 'pasta', amount: 1 }, { itemId: 'pasta', amount: 2 }]), catalog);
+    expect(lines[0]).toBeUndefined();
+    expect(lines[1].itemId).toBe("Dry Pasta is already in this request; change that line's quantity instead.");
+  });
+
+  it('refuses items outside the catalog', () => {
+    expect(validateRequest(request([{ itemId: 'caviar', amount: 1 }]), catalog).lines[0].itemId).toBe('Choose an item from the list.');
+  });
+
+  it("holds amounts to whole units up to the item's limit, or the default", () => {
+    const amountError = (itemId, amount) => validateRequest(request([{ itemId, amount }]), catalog)?.lines[0].amount;
+    expect(amountError('pasta', 0)).toBe('Enter a whole number of at least 1.');
+    expect(amountError('pasta', 2.5)).toBe('Enter a whole number of at least 1.');
+    expect(amountError('pasta', 'ten')).toBe('Enter a whole number of at least 1.');
+    expect(amountError('pasta', 51)).toBe('At most 50 boxes per request.');
+    expect(amountError('rice', REQUEST_LIMITS.defaultMaxPerRequest + 1)).toBe(`At most ${REQUEST_LIMITS.defaultMaxPerRequest} bags per request.`);
+  });
+
+  it('checks the organization name and contact email', () => {
+    const errors = validateRequest(request([{ itemId: 'rice', amount: 1 }], { organization: ' ', contactEmail: 'desk@shelter' }), catalog);
+    expect(errors.organization).toBe('Enter your organization name.');
+    expect(errors.contactEmail).toBe('Enter a valid email address, e.g. name@example.org.');
+    expect(validateRequest(request([{ itemId: 'rice', amount: 1 }], { organization: 'x'.repeat(121) }), catalog).organization)
+      .toBe('Keep the name under 120 characters.');
+  });
+});
+
+describe('isValidEmail', () => {
+  it('refuses addresses longer than the limit', () => {
+    expect(isValidEmail(`${'a'.repeat(250)}@b.org`)).toBe(false);
+    expect(isValidEmail('desk@shelter.example')).toBe(true);
+  });
+});
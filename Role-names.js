@@ -0,0 +1,20 @@
+// Role names and who counts as staff. Kept free of React and the backend so
+// plain modules (Request-lifecycle.js) can check roles without importing
+// Roles.jsx, which re-exports everything here.
+
+// Role names as stored in auth token claims (`role`) and users/{uid} profiles.
+// firestore.rules checks the same strings.
+export const ROLES = {
+  citizen: 'citizen',
+  orgRequester: 'org_requester',
+  warehouseStaff: 'warehouse_staff',
+  manager: 'manager',
+  admin: 'admin',
+};
+
+// Who may change stock, process requests and see every record
+export const STAFF_ROLES = [ROLES.warehouseStaff, ROLES.manager, ROLES.admin];
+// Who may open the Manager Dashboard and edit distribution records
+export const MANAGER_ROLES = [ROLES.manager, ROLES.admin];
+
+export const hasRole = (role, allowed) => Boolean(role) && allowed.includes(role);
@@ -0,0 +1,92 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { getBackend, isOfflineMode } from './Backend';
+import { ROLES, hasRole } from './Role-names';
+
+export { ROLES, STAFF_ROLES, MANAGER_ROLES, hasRole } from './Role-names';
+
+export const ROLE_LABELS = {
+    citizen: 'Citizen / Beneficiary',
+    org_requester: 'Organization Requester',
+    warehouse_staff: 'Warehouse Staff',
+    manager: 'System Manager',
+    admin: 'Administrator',
+};
+
+/**
+ * Token claims win over the profile document so an admin SDK can assign roles
+ * without a Firestore write. Anything unrecognised falls back to citizen.
+ *
+ * @param {ReturnType<typeof getBackend>} backend
+ * @param {string} uid
+ * @returns {Promise<string>}
+ */
+export const resolveRole = async (backend, uid) => {
+    const claims = await backend.getClaims();
+    const role = claims.role || (await backend.repo.getUserProfile(uid))?.role;
+    return Object.values(ROLES).includes(role) ? role : ROLES.citizen;
+};
+
+export const RoleContext = createContext({ role: null, isLoading: true });
+
+/**
+ * Looks up the signed-in user's role. Screens pass the result to
+ * <RoleContext.Provider> so nested components can call useRole().
+ *
+ * @param {string|null} userId
+ */
+export const useUserRole = (userId) => {
+    const [role, setRole] = useState(null);
+
+    useEffect(() => {
+        if (!userId) return;
+        let cancelled = false;
+
+        resolveRole(getBackend(), userId)
+            .then(resolved => !cancelled && setRole(resolved))
+            .catch(error => {
+                console.error("Role lookup failed, defaulting to citizen:", error);
+                if (!cancelled) setRole(ROLES.citizen);
+            });
+
+        return () => { cancelled = true; };
+    }, [userId]);
+
+    // Offline demos have no admin to hand out roles, so the user picks one.
+    // Online, security rules only let admins write profiles.
+    const switchRole = useCallback(async (nextRole) => {
+        await getBackend().repo.setUserRole(userId, nextRole);
+        setRole(nextRole);
+    }, [userId]);
+
+    return { role, isLoading: !role, switchRole };
+};
+
+export const useRole = () => {
+    const { role, isLoading } = useContext(RoleContext);
+    return { role, isLoading, hasRole: (allowed) => hasRole(role, allowed) };
+};
+
+// Renders children only for the given roles, otherwise the fallback
+export const RequireRole = ({ roles, fallback = null, children }) => {
+    const { role } = useRole();
+    return hasRole(role, roles) ? children : fallback;
+};
+
+// Role picker for offline demos and training; renders nothing online
+export const DemoRoleSwitcher = () => {
+    const { role, switchRole } = useContext(RoleContext);
+    if (!isOfflineMode || !role) return null;
+
+    return (
+        <label className="text-sm text-gray-600">
+            Demo role:{' '}
+            <select
+                value={role}
+                onChange={(e) => switchRole(e.target.value).catch(error => console.error("Role switch failed:", error))}
+                className="ml-1 rounded border-gray-300 p-1 text-xs bg-white border"
+            >
+                {Object.values(ROLES).map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+            </select>
+        </label>
+    );
+};
@@ -0,0 +1,43 @@
+// Distribution sites: where stock is kept and where recipients collect.
+// Every inventory document belongs to one site, so the same catalog item
+// stocked at two sites is two documents with the same name.
+
+/**
+ * @typedef {Object} Site
+ * @property {string} id - siteSlug(name)
+ * @property {string} name
+ * @property {string} address
+ * @property {string} openingHours - As shown to recipients, e.g. 'Mon–Fri 9:00–17:00'
+ * @property {number} capacity - Units of stock the site can hold
+ * @property {string} [updatedAt] - ISO timestamp
+ * @property {string|null} [updatedBy] - UID of the manager who last edited it
+ */
+
+// Items and records from before sites existed belong to the main hub
+export const DEFAULT_SITE_ID = 'central-hub-a';
+
+/** Written on first run, matching the locations the forms used to offer. */
+export const DEFAULT_SITES = [
+  { id: 'central-hub-a', name: 'Central Hub A', address: '1 Market Square', openingHours: 'Mon–Fri 9:00–17:00', capacity: 5000 },
+  { id: 'local-center-b', name: 'Local Center B', address: '27 Church Street', openingHours: 'Tue, Thu 10:00–16:00; Sat 9:00–12:00', capacity: 1500 },
+  { id: 'regional-depot-c', name: 'Regional Depot C', address: 'Unit 4, Riverside Industrial Estate', openingHours: 'Mon–Sat 7:00–19:00', capacity: 12000 },
+];
+
+export const siteSlug = (name) =>
+  (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/** @param {{ siteId?: string }} doc - An inventory item, movement or record */
+export const siteOf = (doc) => doc.siteId || DEFAULT_SITE_ID;
+
+// Display name of a site id, falling back to the id for sites that were removed
+export const siteName = (sites, siteId) => sites.find(s => s.id === siteId)?.name || siteId;
+
+/**
+ * Throws a user-facing message unless the site can be stored.
+ * @param {Partial<Site>} site
+ */
+export const assertSite = ({ name, address, capacity }) => {
+  if (!siteSlug(name)) throw new Error('Enter the site name.');
+  if (!address?.trim()) throw new Error('Enter the site address.');
+  if (!Number.isInteger(capacity) || capacity < 0) throw new Error('Enter the storage capacity as a whole number of units.');
+};
@@ -0,0 +1,66 @@
+// Every change to an inventory quantity is written as one of these movements
+// in the append-only inventory_movements collection.
+export const MOVEMENT_TYPES = {
+  receipt: 'receipt',
+  shipment: 'shipment',
+  adjustment: 'adjustment',
+  return: 'return',
+  spoilage: 'spoilage',
+  transfer: 'transfer',
+};
+
+export const MOVEMENT_LABELS = {
+  receipt: 'Receipt',
+  shipment: 'Shipment',
+  adjustment: 'Adjustment',
+  return: 'Return',
+  spoilage: 'Spoilage',
+  transfer: 'Transfer',
+};
+
+/**
+ * @typedef {Object} InventoryMovement
+ * @property {string} id
+ * @property {string} itemId
+ * @property {string} item - Item name at the time of the movement
+ * @property {keyof MOVEMENT_TYPES} type
+ * @property {number} quantity - Signed: positive adds stock, negative removes it
+ * @property {number} balanceAfter - Stored quantity right after this movement
+ * @property {string|null} actor - UID of the user who made the change
+ * @property {string|null} reason
+ * @property {string|null} requestId - Linked distribution request, if any
+ * @property {string|null} [transferId] - Linked transfer between sites, if any
+ * @property {import('./Inventory-lots').LotAllocation[]|null} lots - Lots the units went into or came out of
+ * @property {string} at - ISO timestamp
+ */
+
+/**
+ * Throws unless the signed quantity makes sense for the movement type:
+ * receipts and returns add stock, shipments and spoilage remove it,
+ * adjustments and transfers may go either way.
+ */
+export const assertMovement = (type, quantity) => {
+  if (!MOVEMENT_TYPES[type]) throw new Error(`Unknown movement type "${type}".`);
+  if (!Number.isInteger(quantity) || quantity === 0) throw new Error('Enter a whole, non-zero number of units.');
+  if ((type === 'receipt' || type === 'return') && quantity < 0) throw new Error(`A ${MOVEMENT_LABELS[type].toLowerCase()} must add stock.`);
+  if ((type === 'shipment' || type === 'spoilage') && quantity > 0) throw new Error(`A ${MOVEMENT_LABELS[type].toLowerCase()} must remove stock.`);
+};
+
+/** @param {InventoryMovement[]} movements */
+export const ledgerBalance = (movements) => movements.reduce((sum, m) => sum + m.quantity, 0);
+
+/**
+ * Compares an item's stored quantity with what its ledger adds up to. Drift
+ * means the quantity was written without a movement (e.g. data from before
+ * the ledger existed).
+ *
+ * @param {{ quantity: number }} item
+ * @param {InventoryMovement[]} movements
+ */
+export const reconcile = (item, movements) => {
+  const ledger = ledgerBalance(movements);
+  return { stored: item.quantity, ledger, drift: item.quantity - ledger };
+};
+
+// Newest first
+export const sortMovements = (movements) => [...movements].sort((a, b) => b.at.localeCompare(a.at));
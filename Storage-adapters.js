@@ -0,0 +1,283 @@
+import { collection, doc, addDoc, getDoc, getDocs, updateDoc, onSnapshot, query, where, writeBatch, increment, serverTimestamp, runTransaction } from 'firebase/firestore';
+
+/**
+ * A storage adapter is the only thing the repository talks to. Documents are
+ * plain objects carrying their `id`; filters are equality matches on fields.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {'firestore'|'local'} mode
+ * @property {(name: string, filter?: Object) => Promise<Object[]>} list
+ * @property {(name: string, id: string) => Promise<Object|null>} get
+ * @property {(name: string, filter: Object, onData: (docs: Object[]) => void, onError?: (error: Error) => void) => () => void} subscribe
+ * @property {(name: string, id: string, onData: (doc: Object|null) => void, onError?: (error: Error) => void) => () => void} watch - Like subscribe, for one document
+ * @property {(name: string, data: Object) => Promise<string>} add
+ * @property {(name: string, id: string, patch: Object) => Promise<void>} update
+ * @property {(writes: Write[]) => Promise<void>} commit - Applies every write or none
+ * @property {<T>(fn: (tx: Transaction) => Promise<T>) => Promise<T>} transaction - Reruns fn when a document it read changed before the writes landed
+ * @property {(delta: number) => *} increment - Field value for `update` patches
+ * @property {() => *} serverTime - Field value set to the time the write reaches the backend
+ */
+
+/**
+ * @typedef {Object} Write
+ * @property {'set'|'merge'|'update'} op - 'merge' creates the document or updates the given fields
+ * @property {string} name - Collection name
+ * @property {string} [id] - Omit on 'set' to generate one
+ * @property {Object} data
+ */
+
+/**
+ * Handed to a transaction callback. All reads must happen before any writes.
+ *
+ * @typedef {Object} Transaction
+ * @property {(name: string, id: string) => Promise<Object|null>} get
+ * @property {(name: string, id: string, data: Object) => void} update
+ * @property {(name: string, id: string|undefined, data: Object) => void} set
+ */
+
+// How often a transaction is retried after a concurrent write before giving up
+export const MAX_TRANSACTION_ATTEMPTS = 5;
+
+// Firestore refuses a writeBatch with more writes than this; callers of commit() split larger jobs
+export const MAX_BATCH_WRITES = 500;
+
+// firestore.rules may look up about 20 documents per batch; the role lookups take the rest.
+// Callers of commit() whose writes each make the rules read another document keep below this.
+export const MAX_BATCH_LOOKUPS = 18;
+
+// Thrown when a transaction keeps losing to concurrent writes
+const conflictError = () =>
+  Object.assign(new Error("Someone else changed this data at the same time. Please try again."), { code: 'conflict' });
+
+// Shared data lives under artifacts/{appId}/public/data/{collectionName}
+export const collectionPath = (appId, name) => `artifacts/${appId}/public/data/${name}`;
+
+// Only fields with a defined value take part in the filter
+const filterEntries = (filter = {}) => Object.entries(filter).filter(([, value]) => value !== undefined);
+
+// --- Firestore ---
+
+/**
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ * @returns {StorageAdapter}
+ */
+export const createFirestoreAdapter = (db, appId) => {
+  const ref = (name) => collection(db, collectionPath(appId, name));
+  const docRef = (name, id) => doc(db, collectionPath(appId, name), id);
+  const toQuery = (name, filter) => {
+    const clauses = filterEntries(filter).map(([field, value]) => where(field, '==', value));
+    return clauses.length ? query(ref(name), ...clauses) : ref(name);
+  };
+  const toDocs = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+  return {
+    mode: 'firestore',
+    increment: (delta) => increment(delta),
+    serverTime: () => serverTimestamp(),
+
+    list: async (name, filter) => toDocs(await getDocs(toQuery(name, filter))),
+
+    get: async (name, id) => {
+      const snapshot = await getDoc(docRef(name, id));
+      return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+    },
+
+    subscribe: (name, filter, onData, onError) =>
+      onSnapshot(toQuery(name, filter), (snapshot) => onData(toDocs(snapshot)), onError),
+
+    watch: (name, id, onData, onError) =>
+      onSnapshot(docRef(name, id), (snapshot) => onData(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null), onError),
+
+    add: async (name, data) => (await addDoc(ref(name), data)).id,
+
+    update: (name, id, patch) => updateDoc(docRef(name, id), patch),
+
+    commit: async (writes) => {
+      const batch = writeBatch(db);
+      writes.forEach(({ op, name, id, data }) => {
+        const target = id ? docRef(name, id) : doc(ref(name));
+        if (op === 'set') batch.set(target, data);
+        else if (op === 'merge') batch.set(target, data, { merge: true });
+        else batch.update(target, data);
+      });
+      await batch.commit();
+    },
+
+    transaction: async (fn) => {
+      try {
+        return await runTransaction(db, (t) => fn({
+          get: async (name, id) => {
+            const snapshot = await t.get(docRef(name, id));
+            return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+          },
+          update: (name, id, data) => { t.update(docRef(name, id), data); },
+          set: (name, id, data) => { t.set(id ? docRef(name, id) : doc(ref(name)), data); },
+        }), { maxAttempts: MAX_TRANSACTION_ATTEMPTS });
+      } catch (error) {
+        // Firestore reports exhausted retries as 'aborted'
+        if (error.code === 'aborted') throw conflictError();
+        throw error;
+      }
+    },
+  };
+};
+
+// --- Local (memory, optionally persisted to localStorage) ---
+
+const INCREMENT = '__increment';
+
+// Documents are stored as JSON, so Dates come back as ISO strings just like
+// they would after a round trip through localStorage.
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const applyPatch = (current, patch) => {
+  const next = { ...current };
+  Object.entries(patch).forEach(([field, value]) => {
+    next[field] = value && value[INCREMENT] !== undefined ? (current[field] || 0) + value[INCREMENT] : value;
+  });
+  return next;
+};
+
+/**
+ * In-browser adapter for demos, tests and training. Subscriptions behave like
+ * onSnapshot: the listener gets the current result straight away and again
+ * after every write that touches its collection.
+ *
+ * @param {Object} [options]
+ * @param {Storage|null} [options.storage] - Pass null to keep data in memory only
+ * @param {string} [options.storageKey]
+ * @returns {StorageAdapter}
+ */
+export const createLocalAdapter = ({
+  storage = typeof localStorage !== 'undefined' ? localStorage : null,
+  storageKey = 'food-distribution-portal',
+} = {}) => {
+  const load = () => {
+    if (!storage) return {};
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || {};
+    } catch (error) {
+      console.error("Local store is unreadable, starting empty:", error);
+      return {};
+    }
+  };
+
+  let collections = load();
+  const listeners = new Set();
+
+  // Per-document write counters for transactions; the epoch moves when another tab replaces the store
+  const versions = new Map();
+  let epoch = 0;
+  const versionOf = (name, id) => `${epoch}.${versions.get(`${name}/${id}`) || 0}`;
+
+  const matches = (data, filter) => filterEntries(filter).every(([field, value]) => data[field] === value);
+
+  const read = (name, filter) =>
+    Object.entries(collections[name] || {})
+      .filter(([, data]) => matches(data, filter))
+      .map(([id, data]) => ({ id, ...clone(data) }));
+
+  const readOne = (name, id) => {
+    const data = collections[name]?.[id];
+    return data ? { id, ...clone(data) } : null;
+  };
+
+  // What a listener receives: the matching documents, or one document for watch()
+  const resultFor = (listener) =>
+    listener.id ? readOne(listener.name, listener.id) : read(listener.name, listener.filter);
+
+  // Deliver asynchronously, as Firestore does
+  const notify = (names) => setTimeout(() => {
+    listeners.forEach(listener => {
+      if (!names || names.includes(listener.name)) listener.onData(resultFor(listener));
+    });
+  }, 0);
+
+  const commit = async (writes) => {
+    // Work on a copy so a failing write leaves the store untouched
+    const next = { ...collections };
+    writes.forEach(({ op, name, id, data }) => {
+      next[name] = { ...next[name] };
+      const docId = id || crypto.randomUUID();
+      const current = next[name][docId];
+      if (op === 'update' && !current) {
+        throw new Error(`No document to update: ${name}/${docId}`);
+      }
+      next[name][docId] = clone(applyPatch(op === 'set' ? {} : current || {}, data));
+    });
+
+    collections = next;
+    writes.forEach(({ name, id }) => id && versions.set(`${name}/${id}`, (versions.get(`${name}/${id}`) || 0) + 1));
+    storage?.setItem(storageKey, JSON.stringify(collections));
+    notify([...new Set(writes.map(w => w.name))]);
+  };
+
+  // Keep other tabs of the same browser in sync
+  if (storage && typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== storageKey) return;
+      collections = load();
+      epoch += 1;
+      notify();
+    });
+  }
+
+  return {
+    mode: 'local',
+    increment: (delta) => ({ [INCREMENT]: delta }),
+    serverTime: () => new Date().toISOString(),
+
+    list: async (name, filter) => read(name, filter),
+
+    get: async (name, id) => readOne(name, id),
+
+    subscribe: (name, filter, onData) => {
+      const listener = { name, filter, onData };
+      listeners.add(listener);
+      setTimeout(() => listeners.has(listener) && onData(resultFor(listener)), 0);
+      return () => listeners.delete(listener);
+    },
+
+    watch: (name, id, onData) => {
+      const listener = { name, id, onData };
+      listeners.add(listener);
+      setTimeout(() => listeners.has(listener) && onData(resultFor(listener)), 0);
+      return () => listeners.delete(listener);
+    },
+
+    add: async (name, data) => {
+      const id = crypto.randomUUID();
+      await commit([{ op: 'set', name, id, data }]);
+      return id;
+    },
+
+    update: (name, id, patch) => commit([{ op: 'update', name, id, data: patch }]),
+
+    commit,
+
+    // Optimistic: remember the version of every document read, and only commit
+    // if none of them changed while fn was running
+    transaction: async (fn) => {
+      for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+        const reads = new Map();
+        const writes = [];
+        const result = await fn({
+          get: async (name, id) => {
+            reads.set(`${name}/${id}`, [name, id, versionOf(name, id)]);
+            return readOne(name, id);
+          },
+          update: (name, id, data) => { writes.push({ op: 'update', name, id, data }); },
+          set: (name, id, data) => { writes.push({ op: 'set', name, id, data }); },
+        });
+
+        const isStale = [...reads.values()].some(([name, id, version]) => versionOf(name, id) !== version);
+        if (!isStale) {
+          await commit(writes);
+          return result;
+        }
+      }
+      throw conflictError();
+    },
+  };
+};
@@ -0,0 +1,95 @@
+// Stock moving from one site to another. Dispatching takes the units out of
+// the source site's inventory; until the destination receives them they are
+// in transit and only held on the transfer. Units that do not arrive are
+// recorded on the transfer as its discrepancy.
+
+export const TRANSFER_STATUS = {
+  requested: 'Requested',
+  inTransit: 'InTransit',
+  received: 'Received',
+  cancelled: 'Cancelled',
+};
+
+export const TRANSFER_STATUS_LABELS = {
+  InTransit: 'In Transit',
+};
+
+export const transferStatusLabel = (status) => TRANSFER_STATUS_LABELS[status] || status;
+
+/**
+ * @typedef {Object} TransferDiscrepancy
+ * @property {number} quantity - Units dispatched but not received
+ * @property {string} reason - e.g. 'Two cases crushed in transit'
+ */
+
+/**
+ * @typedef {Object} TransferChange
+ * @property {string} at - ISO timestamp
+ * @property {string} status - Transfer status after the change
+ * @property {string|null} actor - UID of the staff member
+ */
+
+/**
+ * @typedef {Object} Transfer
+ * @property {string} id
+ * @property {string} item - Item name, the same at both sites
+ * @property {string} unit
+ * @property {string} fromSiteId
+ * @property {string} fromItemId - Inventory document the units leave
+ * @property {string} toSiteId
+ * @property {string|null} toItemId - Inventory document the units arrived in; set on receipt
+ * @property {number} quantity - Units to move
+ * @property {'Requested'|'InTransit'|'Received'|'Cancelled'} status
+ * @property {import('./Inventory-lots').LotAllocation[]} lots - Lots the dispatched units came from
+ * @property {number|null} receivedQuantity
+ * @property {TransferDiscrepancy|null} discrepancy
+ * @property {string} notes
+ * @property {TransferChange[]} history
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} createdBy
+ */
+
+/**
+ * Throws a user-facing message unless the transfer can be created.
+ * @param {{ fromSiteId: string, toSiteId: string, quantity: number }} transfer
+ */
+export const assertTransfer = ({ fromSiteId, toSiteId, quantity }) => {
+  if (!toSiteId) throw new Error('Choose the site to send the stock to.');
+  if (fromSiteId === toSiteId) throw new Error('Stock can only be transferred to a different site.');
+  if (!Number.isInteger(quantity) || quantity <= 0) throw new Error('Enter a whole number of units to transfer.');
+};
+
+/**
+ * What a receipt records against what was dispatched: throws a user-facing
+ * message when it cannot be booked, otherwise returns the discrepancy (null
+ * when everything arrived).
+ *
+ * @param {Transfer} transfer
+ * @param {number} receivedQuantity
+ * @param {string} [reason] - Required when units are missing
+ * @returns {TransferDiscrepancy|null}
+ */
+export const receiptDiscrepancy = (transfer, receivedQuantity, reason = '') => {
+  if (!Number.isInteger(receivedQuantity) || receivedQuantity < 0) throw new Error('Enter the whole number of units that arrived.');
+  if (receivedQuantity > transfer.quantity) {
+    throw new Error(`Only ${transfer.quantity} units were dispatched. Book any extra units as a goods receipt.`);
+  }
+  if (receivedQuantity === transfer.quantity) return null;
+  if (!reason.trim()) throw new Error('Explain why units are missing or were refused.');
+  return { quantity: transfer.quantity - receivedQuantity, reason: reason.trim() };
+};
+
+/**
+ * Units on their way out of and into a site.
+ *
+ * @param {Transfer[]} transfers
+ * @param {string} siteId
+ * @returns {{ outgoing: number, incoming: number }}
+ */
+export const unitsInTransit = (transfers, siteId) =>
+  transfers
+    .filter(t => t.status === TRANSFER_STATUS.inTransit)
+    .reduce((sum, t) => ({
+      outgoing: sum.outgoing + (t.fromSiteId === siteId ? t.quantity : 0),
+      incoming: sum.incoming + (t.toSiteId === siteId ? t.quantity : 0),
+    }), { outgoing: 0, incoming: 0 });
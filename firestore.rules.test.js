@@ -0,0 +1,390 @@
+import { readFileSync } from 'fs';
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, collection, query, where, writeBatch, serverTimestamp } from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:rules` starts it and sets
+// FIRESTORE_EMULATOR_HOST. Without the emulator the suite is skipped.
+
+const APP_ID = 'rules-test-app';
+const path = (name, id) => `artifacts/${APP_ID}/public/data/${name}/${id}`;
+
+// One request line in the given status
+const line = (status) => ({ id: 'line-1', itemId: 'pasta', item: 'Dry Pasta', amount: 10, status });
+
+const CITIZEN = 'citizen-1';
+const OTHER_CITIZEN = 'citizen-2';
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+  let env;
+
+  // Firestore as seen by a user with the given role claim, or signed out
+  const asRole = (uid, role) => env.authenticatedContext(uid, role ? { role } : {}).firestore();
+  const asCitizen = (uid = CITIZEN) => asRole(uid, null);
+  const asStaff = () => asRole('staff-1', 'warehouse_staff');
+  const asManager = () => asRole('manager-1', 'manager');
+  const asAnonymous = () => env.authenticatedContext('anon-1', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+  const asSignedOut = () => env.unauthenticatedContext().firestore();
+
+  beforeAll(async () => {
+    env = await initializeTestEnvironment({
+      projectId: 'demo-food-distribution',
+      firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') },
+    });
+  });
+
+  afterAll(() => env.cleanup());
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, path('distribution_records', 'own')), { recipientId: CITIZEN, foodItem: 'Rice (5kg)', quantity: 1, status: 'Pending' });
+      await setDoc(doc(db, path('distribution_records', 'other')), { recipientId: OTHER_CITIZEN, foodItem: 'Rice (5kg)', quantity: 2, status: 'Pending' });
+      await setDoc(doc(db, path('inventory', 'pasta')), { item: 'Dry Pasta', unit: 'boxes', quantity: 100, maxPerRequest: 50 });
+      await setDoc(doc(db, path('catalog', 'dry%20pasta')), { itemId: 'pasta', item: 'Dry Pasta', unit: 'boxes', availability: 'available', maxPerRequest: 50, itemIds: ['pasta'] });
+      await setDoc(doc(db, path('organizations', 'shelter-a')), { name: 'Shelter A', status: 'Verified', contacts: [{ name: 'Desk', email: 'desk@shelter.example' }] });
+      await setDoc(doc(db, path('organization_names', 'shelter-a')), { name: 'Shelter A', status: 'Verified' });
+      await setDoc(doc(db, path('requests', 'existing')), { organization: 'Shelter A', status: 'Pending', lines: [line('Pending')] });
+      await setDoc(doc(db, path('requests', 'approved')), { organization: 'Shelter A', status: 'Approved', lines: [line('Approved')] });
+    });
+  });
+
+  describe('distribution records', () => {
+    it('lets a citizen read their own record', async () => {
+      await assertSucceeds(getDoc(doc(asCitizen(), path('distribution_records', 'own'))));
+    });
+
+    it("refuses a citizen another recipient's record", async () => {
+      await assertFails(getDoc(doc(asCitizen(), path('distribution_records', 'other'))));
+    });
+
+    it('lets a citizen list only records filtered to themselves', async () => {
+      const records = collection(asCitizen(), `artifacts/${APP_ID}/public/data/distribution_records`);
+      await assertSucceeds(getDocs(query(records, where('recipientId', '==', CITIZEN))));
+      await assertFails(getDocs(records));
+      await assertFails(getDocs(query(records, where('recipientId', '==', OTHER_CITIZEN))));
+    });
+
+    it('lets staff read every record', async () => {
+      await assertSucceeds(getDocs(collection(asStaff(), `artifacts/${APP_ID}/public/data/distribution_records`)));
+    });
+
+    it('lets warehouse staff complete a record only by redeeming its pickup code', async () => {
+      await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path('benefit_passes', 'own')), {
+        recordId: 'own', recipientId: CITIZEN, expiresAt: Date.now() + 60000, usedAt: null, usedBy: null, createdAt: new Date().toISOString(),
+      }));
+      await assertFails(updateDoc(doc(asStaff(), path('distribution_records', 'own')), { status: 'Completed' }));
+      await assertFails(updateDoc(doc(asStaff(), path('distribution_records', 'own')), { quantity: 5 }));
+
+      const db = asStaff();
+      const batch = writeBatch(db);
+      batch.update(doc(db, path('benefit_passes', 'own')), { usedAt: new Date().toISOString(), usedBy: 'staff-1' });
+      batch.update(doc(db, path('distribution_records', 'own')), { status: 'Completed', completedAt: new Date().toISOString() });
+      await assertSucceeds(batch.commit());
+    });
+
+    it('lets managers change the quantity', async () => {
+      await assertSucceeds(updateDoc(doc(asManager(), path('distribution_records', 'own')), { quantity: 5 }));
+    });
+
+    it('refuses citizens any change, even to their own record', async () => {
+      await assertFails(updateDoc(doc(asCitizen(), path('distribution_records', 'own')), { status: 'Completed' }));
+      await assertFails(updateDoc(doc(asCitizen(), path('distribution_records', 'own')), { quantity: 5 }));
+    });
+
+    describe('usage counters', () => {
+      const USAGE_ID = `${CITIZEN}_month-2026-10-01`;
+
+      beforeEach(async () => {
+        await env.withSecurityRulesDisabled(async (context) => {
+          const db = context.firestore();
+          await setDoc(doc(db, path('eligibility', CITIZEN)), { program: 'standard', householdSize: 2, allowances: { 'Rice (5kg)': 2 } });
+          await setDoc(doc(db, path('entitlement_usage', USAGE_ID)), { recipientId: CITIZEN, used: { 'Rice (5kg)': 1 }, lastRecordIds: { 'Rice (5kg)': 'own' } });
+        });
+      });
+
+      // What addRecord() writes: the record and its counter in one transaction
+      const addRecord = (quantity, used, { usageId = USAGE_ID, lastRecordId = 'new' } = {}) => {
+        const db = asManager();
+        const batch = writeBatch(db);
+        batch.set(doc(db, path('entitlement_usage', usageId)), { recipientId: CITIZEN, used: { 'Rice (5kg)': used }, lastRecordIds: { 'Rice (5kg)': lastRecordId } });
+        batch.set(doc(db, path('distribution_records', 'new')), {
+          recipientId: CITIZEN, foodItem: 'Rice (5kg)', quantity, status: 'Pending', timestamp: new Date('2026-10-19T12:00:00'), usageId,
+        });
+        return batch.commit();
+      };
+
+      it('lets a manager add a record that adds its quantity within the allowance', async () => {
+        await assertSucceeds(addRecord(1, 2));
+      });
+
+      it('refuses a record over the allowance, or not added exactly once', async () => {
+        await assertFails(addRecord(2, 3));
+        await assertFails(addRecord(1, 1));
+        await assertFails(addRecord(1, 2, { lastRecordId: 'other' }));
+      });
+
+      it('refuses a record without its counter', async () => {
+        await assertFails(setDoc(doc(asManager(), path('distribution_records', 'new')), {
+          recipientId: CITIZEN, foodItem: 'Rice (5kg)', quantity: 1, status: 'Pending', usageId: USAGE_ID,
+        }));
+      });
+
+      it('lets a citizen read only their own counter', async () => {
+        await assertSucceeds(getDoc(doc(asCitizen(), path('entitlement_usage', USAGE_ID))));
+        await assertFails(getDoc(doc(asCitizen(OTHER_CITIZEN), path('entitlement_usage', USAGE_ID))));
+      });
+    });
+  });
+
+  describe('inventory', () => {
+    it('lets staff change the quantity', async () => {
+      await assertSucceeds(updateDoc(doc(asStaff(), path('inventory', 'pasta')), { quantity: 80 }));
+    });
+
+    it('refuses a negative or fractional quantity, even from staff', async () => {
+      await assertFails(updateDoc(doc(asStaff(), path('inventory', 'pasta')), { quantity: -1 }));
+      await assertFails(updateDoc(doc(asStaff(), path('inventory', 'pasta')), { quantity: 1.5 }));
+    });
+
+    it('refuses citizens and anonymous users', async () => {
+      await assertFails(updateDoc(doc(asCitizen(), path('inventory', 'pasta')), { quantity: 80 }));
+      await assertFails(updateDoc(doc(asAnonymous(), path('inventory', 'pasta')), { quantity: 80 }));
+    });
+
+    it('shows stock only to staff, and the catalog to anyone signed in', async () => {
+      await assertFails(getDoc(doc(asAnonymous(), path('inventory', 'pasta'))));
+      await assertSucceeds(getDoc(doc(asStaff(), path('inventory', 'pasta'))));
+      await assertSucceeds(getDocs(collection(asAnonymous(), `artifacts/${APP_ID}/public/data/catalog`)));
+    });
+
+    it('refuses counts in the catalog', async () => {
+      await assertFails(updateDoc(doc(asStaff(), path('catalog', 'dry%20pasta')), { quantity: 100 }));
+      await assertFails(updateDoc(doc(asCitizen(), path('catalog', 'dry%20pasta')), { availability: 'available' }));
+    });
+  });
+
+  describe('benefit passes', () => {
+    const pass = (overrides = {}) => ({
+      recordId: 'own',
+      recipientId: CITIZEN,
+      expiresAt: Date.now() + 5 * 60 * 1000,
+      usedAt: null,
+      usedBy: null,
+      createdAt: new Date().toISOString(),
+      ...overrides,
+    });
+
+    beforeEach(async () => {
+      await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path('benefit_passes', 'own')), pass()));
+    });
+
+    it('refuses passes written by a client, even for their own Pending record', async () => {
+      await assertFails(setDoc(doc(asCitizen(), path('benefit_passes', 'new')), pass({ recordId: 'new' })));
+      await assertFails(setDoc(doc(asStaff(), path('benefit_passes', 'new')), pass({ recordId: 'new' })));
+    });
+
+    it('lets a citizen read only their own pass', async () => {
+      await assertSucceeds(getDoc(doc(asCitizen(), path('benefit_passes', 'own'))));
+      await assertFails(getDoc(doc(asCitizen(OTHER_CITIZEN), path('benefit_passes', 'own'))));
+    });
+
+    it('lets staff mark a pass used, once, and change nothing else', async () => {
+      await assertFails(updateDoc(doc(asStaff(), path('benefit_passes', 'own')), { expiresAt: Date.now() + 60 * 60 * 1000 }));
+      await assertSucceeds(updateDoc(doc(asStaff(), path('benefit_passes', 'own')), { usedAt: new Date().toISOString(), usedBy: 'staff-1' }));
+      await assertFails(updateDoc(doc(asStaff(), path('benefit_passes', 'own')), { usedAt: null, usedBy: null }));
+    });
+  });
+
+  describe('pickup bookings', () => {
+    const slot = { siteId: 'central', date: '2026-10-20', start: '10:00', end: '10:30', capacity: 5, booked: 0 };
+
+    beforeEach(async () => {
+      await env.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path('pickup_slots', 'central_2026-10-20_1000')), slot));
+    });
+
+    // What bookSlot() writes: the slot's place and the booking in one batch
+    const book = (db, overrides = {}) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, path('pickup_slots', 'central_2026-10-20_1000')), { booked: 1 });
+      batch.set(doc(db, path('pickup_bookings', CITIZEN)), {
+        recipientId: CITIZEN,
+        status: 'booked',
+        slotId: 'central_2026-10-20_1000',
+        siteId: slot.siteId,
+        date: slot.date,
+        start: slot.start,
+        end: slot.end,
+        recordIds: ['own'],
+        bookedAt: new Date().toISOString(),
+        ...overrides,
+      });
+      return batch.commit();
+    };
+
+    it("lets a citizen book the slot's own times for their Pending records", async () => {
+      await assertSucceeds(book(asCitizen()));
+    });
+
+    it('refuses times other than the slot\'s', async () => {
+      await assertFails(book(asCitizen(), { start: '09:00' }));
+      await assertFails(book(asCitizen(), { siteId: 'north' }));
+    });
+
+    it("refuses another recipient's record, or none at all", async () => {
+      await assertFails(book(asCitizen(), { recordIds: ['other'] }));
+      await assertFails(book(asCitizen(), { recordIds: [] }));
+    });
+
+    it('lets a cancellation change only the status', async () => {
+      await book(asCitizen());
+      const db = asCitizen();
+      const cancel = (patch) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, path('pickup_slots', 'central_2026-10-20_1000')), { booked: 0 });
+        batch.update(doc(db, path('pickup_bookings', CITIZEN)), { status: 'cancelled', ...patch });
+        return batch.commit();
+      };
+      await assertFails(cancel({ recordIds: ['other'] }));
+      await assertSucceeds(cancel({}));
+    });
+  });
+
+  describe('organizations', () => {
+    // What registerOrganization() writes from the public form
+    const register = (db, id, overrides = {}) => {
+      const organization = {
+        name: 'The Food Bank Central, Inc.',
+        normalizedName: 'food bank central',
+        address: '1 Main St',
+        serviceArea: 'Downtown',
+        registrationNumber: '',
+        contacts: [{ name: 'Desk', email: 'desk@foodbank.example', phone: '' }],
+        status: 'Unverified',
+        createdAt: new Date().toISOString(),
+        createdBy: 'anon-1',
+        ...overrides,
+      };
+      const batch = writeBatch(db);
+      batch.set(doc(db, path('organizations', id)), organization);
+      batch.set(doc(db, path('organization_names', id)), { name: organization.name, status: organization.status });
+      return batch.commit();
+    };
+
+    it('shows anyone signed in only the name and status', async () => {
+      await assertSucceeds(getDoc(doc(asAnonymous(), path('organization_names', 'shelter-a'))));
+      await assertFails(getDoc(doc(asAnonymous(), path('organizations', 'shelter-a'))));
+      await assertSucceeds(getDoc(doc(asStaff(), path('organizations', 'shelter-a'))));
+    });
+
+    it('lets the form register an organization under the slug of its name', async () => {
+      await assertSucceeds(register(asAnonymous(), 'food-bank-central'));
+      await assertSucceeds(getDoc(doc(asAnonymous(), path('organizations', 'food-bank-central'))));
+    });
+
+    it('refuses a registration under another id, already verified, or without its name entry', async () => {
+      await assertFails(register(asAnonymous(), 'shelter-b'));
+      await assertFails(register(asAnonymous(), 'food-bank-central', { status: 'Verified' }));
+      await assertFails(setDoc(doc(asAnonymous(), path('organization_names', 'made-up')), { name: 'Made Up', status: 'Verified' }));
+    });
+  });
+
+  describe('requests', () => {
+    // What submitRequest() writes from the public form: the request and the rate limit stamp in one batch,
+    // and the tracking document when `tracking` is given
+    const submit = (db, overrides = {}, tracking = null) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, path('requests', 'new')), {
+        organization: 'Shelter A',
+        organizationId: 'shelter-a',
+        contactEmail: 'desk@shelter.example',
+        status: 'Pending',
+        requestedDate: '2026-10-19',
+        referenceCode: 'FD-7K2M9Q',
+        trackingId: 'track-1',
+        lines: [{ id: 'line-1', itemId: 'pasta', item: 'Dry Pasta', amount: 10, status: 'Pending' }],
+        ...overrides,
+      });
+      batch.set(doc(db, path('submission_limits', 'shelter-a')), { lastSubmittedAt: serverTimestamp() });
+      if (tracking) {
+        batch.set(doc(db, path('request_tracking', tracking.id || 'track-1')), {
+          requestId: 'new',
+          referenceCode: 'FD-7K2M9Q',
+          organization: 'Shelter A',
+          status: 'Pending',
+          requestedDate: '2026-10-19',
+          lines: [{ item: 'Dry Pasta', amount: 10, shippedAmount: 0, status: 'Pending', rejectionReason: null }],
+          history: [],
+          fulfilment: null,
+          updatedAt: new Date().toISOString(),
+          ...tracking.data,
+        });
+      }
+      return batch.commit();
+    };
+
+    it('lets an anonymous user submit a Pending request', async () => {
+      await assertSucceeds(submit(asAnonymous()));
+    });
+
+    it('refuses a public request in any other status', async () => {
+      await assertFails(submit(asAnonymous(), { status: 'Approved' }));
+      await assertFails(submit(asCitizen(), { status: 'Shipped' }));
+    });
+
+    it('refuses a public request with a line that is not Pending', async () => {
+      await assertFails(submit(asAnonymous(), { lines: [{ id: 'line-1', itemId: 'pasta', item: 'Dry Pasta', amount: 10, status: 'Approved' }] }));
+    });
+
+    it('refuses staff-owned fields on a public request', async () => {
+      await assertFails(submit(asAnonymous(), { processedBy: 'anon-1' }));
+    });
+
+    it('refuses signed-out users', async () => {
+      await assertFails(submit(asSignedOut()));
+    });
+
+    it('lets the form create the tracking document of its own request', async () => {
+      await assertSucceeds(submit(asAnonymous(), {}, {}));
+    });
+
+    it('refuses a tracking document under another id or unlike its request', async () => {
+      await assertFails(submit(asAnonymous(), {}, { id: 'track-2' }));
+      await assertFails(submit(asAnonymous(), {}, { data: { status: 'Shipped' } }));
+      await assertFails(submit(asAnonymous(), {}, { data: { organization: 'Shelter B' } }));
+      await assertFails(submit(asAnonymous(), {}, { data: { lines: [{ item: 'Dry Pasta', amount: 500, shippedAmount: 0, status: 'Pending', rejectionReason: null }] } }));
+      await assertFails(submit(asAnonymous(), {}, { data: { note: 'extra' } }));
+    });
+
+    it('refuses a tracking document for a request that already exists', async () => {
+      const db = asAnonymous();
+      await assertFails(setDoc(doc(db, path('request_tracking', 'track-existing')), {
+        requestId: 'existing', referenceCode: 'FD-7K2M9Q', organization: 'Shelter A', status: 'Pending', lines: [], history: [], fulfilment: null, updatedAt: new Date().toISOString(),
+      }));
+    });
+
+    it('lets only managers approve', async () => {
+      const approve = { status: 'Approved', lines: [line('Approved')] };
+      await assertFails(updateDoc(doc(asStaff(), path('requests', 'existing')), approve));
+      await assertFails(updateDoc(doc(asCitizen(), path('requests', 'existing')), approve));
+      await assertFails(updateDoc(doc(asAnonymous(), path('requests', 'existing')), approve));
+      await assertSucceeds(updateDoc(doc(asManager(), path('requests', 'existing')), approve));
+    });
+
+    it('lets warehouse staff ship an approved request, but not reset it or change the amount', async () => {
+      await assertFails(updateDoc(doc(asStaff(), path('requests', 'approved')), { status: 'Pending', lines: [line('Pending')] }));
+      await assertFails(updateDoc(doc(asStaff(), path('requests', 'approved')), { status: 'Shipped', lines: [{ ...line('Shipped'), amount: 500 }] }));
+      await assertSucceeds(updateDoc(doc(asStaff(), path('requests', 'approved')), { status: 'Shipped', lines: [line('Shipped')] }));
+    });
+
+    it('refuses a line moving differently from the request', async () => {
+      await assertFails(updateDoc(doc(asStaff(), path('requests', 'approved')), { status: 'Shipped', lines: [line('Delivered')] }));
+    });
+
+    it('lets only managers delete requests', async () => {
+      await assertFails(deleteDoc(doc(asStaff(), path('requests', 'existing'))));
+      await assertSucceeds(deleteDoc(doc(asManager(), path('requests', 'existing'))));
+    });
+  });
+});
@@ -0,0 +1,109 @@
+// QR codes for collecting a pending distribution at the counter. Shared by the
+// portal and the Cloud Functions in this directory, so it only uses what both
+// a browser and Node 20 provide.
+//
+// Each Pending record has at most one pass, stored under the record's id and
+// valid for a few minutes. The code carries the record id and expiry, signed
+// with HMAC-SHA256 under a key only the server holds (the PASS_SIGNING_KEY
+// secret of index.js). A code that was altered or made up does not verify,
+// and redeeming a pass marks it used.
+
+/**
+ * @typedef {Object} BenefitPass
+ * @property {string} id - Same as recordId
+ * @property {string} recordId - The Pending distribution record it collects
+ * @property {string} recipientId
+ * @property {number} expiresAt - Milliseconds since the epoch
+ * @property {string|null} usedAt - ISO timestamp, set when staff redeem it
+ * @property {string|null} usedBy - UID of the staff member
+ * @property {string} createdAt - ISO timestamp
+ */
+
+// How long a code can be scanned after it is shown; the portal replaces it before then
+export const PASS_LIFETIME_MINUTES = 10;
+
+// A pass with less than this left is replaced instead of shown again
+export const PASS_REFRESH_MARGIN_MS = 60000;
+
+// FDP1 codes were signed with a key kept in the pass; FDP2 codes were not signed
+const PREFIX = 'FDP3';
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+const importKey = (key, usage) =>
+  crypto.subtle.importKey('raw', new TextEncoder().encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+
+const signedText = ({ recordId, expiresAt }) => `${PREFIX}.${recordId}.${expiresAt}`;
+
+/** A fresh random signing key, for offline mode and tests. */
+export const newPassKey = () => toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+
+/**
+ * The pass to store for a Pending record, expiring PASS_LIFETIME_MINUTES from now.
+ *
+ * @param {{ id: string, recipientId: string }} record
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {Omit<BenefitPass, 'id'>}
+ */
+export const newPass = (record, now = Date.now()) => ({
+  recordId: record.id,
+  recipientId: record.recipientId,
+  expiresAt: now + PASS_LIFETIME_MINUTES * 60000,
+  usedAt: null,
+  usedBy: null,
+  createdAt: new Date(now).toISOString(),
+});
+
+/**
+ * Whether a stored pass can be shown again rather than replaced, so opening
+ * the card repeatedly does not keep writing passes.
+ *
+ * @param {BenefitPass|null} pass
+ * @param {number} [now]
+ */
+export const isReusable = (pass, now = Date.now()) =>
+  Boolean(pass) && !pass.usedAt && pass.expiresAt - now > PASS_REFRESH_MARGIN_MS;
+
+/**
+ * The text to put in the QR code.
+ *
+ * @param {{ recordId: string, expiresAt: number }} pass - expiresAt in milliseconds
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+export const signPass = async (pass, key) => {
+  const signature = await crypto.subtle.sign('HMAC', await importKey(key, 'sign'), new TextEncoder().encode(signedText(pass)));
+  return `${signedText(pass)}.${toBase64Url(signature)}`;
+};
+
+/**
+ * Splits a scanned code into its parts, or returns null when it is not a
+ * benefit pass at all. Says nothing about whether the code is genuine.
+ *
+ * @param {string} code
+ * @returns {{ recordId: string, expiresAt: number, signature: string }|null}
+ */
+export const parsePass = (code) => {
+  const parts = (code || '').trim().split('.');
+  if (parts.length !== 4 || parts[0] !== PREFIX || !/^\d+$/.test(parts[2])) return null;
+  const [, recordId, expiresAt, signature] = parts;
+  return { recordId, expiresAt: Number(expiresAt), signature };
+};
+
+/**
+ * @param {{ recordId: string, expiresAt: number, signature: string }} parsed
+ * @param {string} key
+ * @returns {Promise<boolean>}
+ */
+export const verifyPass = async (parsed, key) => {
+  try {
+    return await crypto.subtle.verify('HMAC', await importKey(key, 'verify'), fromBase64Url(parsed.signature), new TextEncoder().encode(signedText(parsed)));
+  } catch (e) {
+    // A signature that is not even base64url
+    return false;
+  }
+};
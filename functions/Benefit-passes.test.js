@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { signPass, parsePass, verifyPass, isReusable, newPass, PASS_REFRESH_MARGIN_MS } from './Benefit-passes';
+
+describe('benefit pass codes', () => {
+  const pass = { recordId: 'record-1', expiresAt: 1792400000000 };
+  const KEY = 'server-key';
+
+  it('reads back and verifies what it signs', async () => {
+    const parsed = parsePass(await signPass(pass, KEY));
+    expect(parsed).toMatchObject(pass);
+    expect(await verifyPass(parsed, KEY)).toBe(true);
+  });
+
+  it('refuses a code with a changed record, expiry or key', async () => {
+    const parsed = parsePass(await signPass(pass, KEY));
+    expect(await verifyPass({ ...parsed, recordId: 'record-2' }, KEY)).toBe(false);
+    expect(await verifyPass({ ...parsed, expiresAt: pass.expiresAt + 3600000 }, KEY)).toBe(false);
+    expect(await verifyPass(parsed, 'guessed-key')).toBe(false);
+    expect(await verifyPass({ ...parsed, signature: 'not base64!' }, KEY)).toBe(false);
+  });
+
+  it('refuses anything else', () => {
+    expect(parsePass('FDP2.pass-1.record-1.1792400000000')).toBeNull();
+    expect(parsePass('FDP3.record-1.soon.c2lnbmF0dXJl')).toBeNull();
+    expect(parsePass('')).toBeNull();
+  });
+});
+
+describe('isReusable', () => {
+  const now = 1792400000000;
+  const pass = newPass({ id: 'record-1', recipientId: 'citizen-1' }, now);
+
+  it('shows a pass again while it has more than the refresh margin left', () => {
+    expect(isReusable(pass, now)).toBe(true);
+    expect(isReusable(pass, pass.expiresAt - PASS_REFRESH_MARGIN_MS)).toBe(false);
+  });
+
+  it('replaces a used pass or none at all', () => {
+    expect(isReusable({ ...pass, usedAt: new Date(now).toISOString() }, now)).toBe(false);
+    expect(isReusable(null, now)).toBe(false);
+  });
+});
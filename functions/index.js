@@ -0,0 +1,84 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { newPass, isReusable, signPass, parsePass, verifyPass } from './Benefit-passes.js';
+
+// Server side of the pickup codes: the portal cannot sign a code itself,
+// because any key the citizen's device holds the citizen could read.
+// Set the key with `firebase functions:secrets:set PASS_SIGNING_KEY`.
+
+initializeApp();
+const db = getFirestore();
+
+const PASS_SIGNING_KEY = defineSecret('PASS_SIGNING_KEY');
+
+// Mirror COLLECTIONS in Data-repository.js and STAFF_ROLES in Role-names.js;
+// this directory is deployed on its own, so it cannot import them
+const RECORDS = 'distribution_records';
+const PASSES = 'benefit_passes';
+const USERS = 'users';
+const STAFF_ROLES = ['warehouse_staff', 'manager', 'admin'];
+
+const dataDoc = (appId, name, id) => db.doc(`artifacts/${appId}/public/data/${name}/${id}`);
+
+// Ids end up in document paths, so nothing that could reach another path
+const assertId = (value) => {
+  if (typeof value !== 'string' || !/^[\w-]{1,128}$/.test(value)) throw new HttpsError('invalid-argument', 'Malformed request.');
+};
+
+// Same order as roleOf() in firestore.rules: the claim, then the users profile
+const roleOf = async (appId, auth) => {
+  if (auth.token.role) return auth.token.role;
+  const profile = await dataDoc(appId, USERS, auth.uid).get();
+  return profile.exists ? profile.get('role') : 'citizen';
+};
+
+/**
+ * Returns the signed code for one of the caller's Pending records. The
+ * record's pass is reused while it has time left, so a card left open or
+ * reopened writes at most one pass per record per PASS_LIFETIME_MINUTES.
+ *
+ * @returns {Promise<{ code: string, expiresAt: number }>}
+ */
+export const issuePass = onCall({ secrets: [PASS_SIGNING_KEY] }, async (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to see your pickup codes.');
+  const { appId, recordId } = request.data || {};
+  assertId(appId);
+  assertId(recordId);
+
+  const recordRef = dataDoc(appId, RECORDS, recordId);
+  const passRef = dataDoc(appId, PASSES, recordId);
+  const pass = await db.runTransaction(async (tx) => {
+    const [record, current] = await Promise.all([tx.get(recordRef), tx.get(passRef)]);
+    if (!record.exists || record.get('recipientId') !== request.auth.uid) {
+      throw new HttpsError('permission-denied', 'This distribution is not yours.');
+    }
+    if (record.get('status') !== 'Pending') throw new HttpsError('failed-precondition', 'Only pending distributions can be collected.');
+    if (isReusable(current.exists ? current.data() : null)) return current.data();
+
+    const fresh = newPass({ id: recordId, recipientId: record.get('recipientId') });
+    tx.set(passRef, fresh);
+    return fresh;
+  });
+
+  return { code: await signPass(pass, PASS_SIGNING_KEY.value()), expiresAt: pass.expiresAt };
+});
+
+/**
+ * Tells staff whether a scanned code was signed by issuePass. Expiry and use
+ * are checked by redeemPass() in Data-repository.js against the pass itself.
+ *
+ * @returns {Promise<{ valid: boolean }>}
+ */
+export const checkPass = onCall({ secrets: [PASS_SIGNING_KEY] }, async (request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to scan pickup codes.');
+  const { appId, code } = request.data || {};
+  assertId(appId);
+  if (!STAFF_ROLES.includes(await roleOf(appId, request.auth))) {
+    throw new HttpsError('permission-denied', 'Only staff can scan pickup codes.');
+  }
+
+  const parsed = parsePass(code);
+  return { valid: Boolean(parsed) && await verifyPass(parsed, PASS_SIGNING_KEY.value()) };
+});